@@ -0,0 +1,41 @@
+/**
+ * Drawing Canvas Settings
+ * ==============================================
+ *
+ * The drawing app keeps its drawing in the page units of
+ * lib/drawing-document.js and renders the sketch it sends to /api/predict
+ * and /api/generate at a fixed size, so the AI gets the same image from a
+ * phone, a tablet or a 4K kiosk:
+ *   - SKETCH_EXPORT_WIDTH x SKETCH_EXPORT_HEIGHT pixels (default 1024 x 640,
+ *     the aspect ratio of the page)
+ *   - A size of another aspect ratio centers the page on a white background
+ *
+ * The drawing app reads these settings from GET /api/canvas.
+ */
+
+const { PAGE } = require('./drawing-document');
+const { readInteger } = require('./env');
+
+const EXPORT_SIZE_BOUNDS = { min: 64, max: 4096 };
+
+const SETTINGS = {
+  exportWidth: readInteger('SKETCH_EXPORT_WIDTH', 1024, EXPORT_SIZE_BOUNDS),
+  exportHeight: readInteger('SKETCH_EXPORT_HEIGHT', 640, EXPORT_SIZE_BOUNDS)
+};
+
+/**
+ * Page of the drawings and size of the exported sketches.
+ *
+ * @returns {{page: {width: number, height: number}, export: {width: number, height: number}}}
+ */
+function getCanvasConfig() {
+  return {
+    page: { ...PAGE },
+    export: { width: SETTINGS.exportWidth, height: SETTINGS.exportHeight }
+  };
+}
+
+module.exports = {
+  SETTINGS,
+  getCanvasConfig
+};
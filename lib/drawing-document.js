@@ -0,0 +1,285 @@
+/**
+ * Drawing Document Format
+ * ==============================================
+ *
+ * JSON document of a drawing of the drawing app, saved on the server
+ * (lib/drawings.js, /api/drawings) or exported to a file by the visitor.
+ * Node loads it with require(); the drawing app loads it from
+ * /shared/drawing-document.js after /shared/schema.js (window.DrawingDocument).
+ *
+ * VERSIONS:
+ * ---------
+ *   1 - Strokes, shapes and layers in pixels of the canvas they were drawn on
+ *   2 - Coordinates and sizes in units of the PAGE, whatever the screen
+ *
+ * PAGE:
+ * -----
+ * The drawing app draws on a page of PAGE units fitted into the screen and
+ * rendered for its pixel density, so a drawing keeps its layout on a phone,
+ * on a 4K kiosk and after a rotation of the device. A version 1 drawing is
+ * fitted into the page (centered, keeping its aspect ratio) when it is read.
+ *
+ * A document of an older version is upgraded with MIGRATIONS when it is read;
+ * a newer version is rejected (saved by a newer server than this one).
+ *
+ * DOCUMENT:
+ * ---------
+ *   format   - Always 'imagination-drawing'
+ *   version  - DOCUMENT_VERSION when it was written
+ *   title    - Optional name of the drawing (exported files)
+ *   canvas   - { width, height } of the page (always PAGE)
+ *   layers   - { id, number, visible, opacity, exported }, from the bottom up
+ *              (see public/layers.js)
+ *   items    - Strokes and shapes in drawing order:
+ *     { kind: 'stroke', layerId, color, size, erase, pointerType, points: [[x, y, t, p]] }
+ *     { kind: 'shape', id, layerId, type, x, y, width, height, rotation, borderColor, fillColor }
+ *
+ * Stroke points are packed as arrays (see public/stroke.js for their meaning)
+ * to keep the documents small.
+ */
+
+(function (root) {
+  const { validate } = typeof require === 'function' ? require('./schema') : root.SchemaValidator;
+
+  const DOCUMENT_FORMAT = 'imagination-drawing';
+  const DOCUMENT_VERSION = 2;
+
+  const PAGE = { width: 1600, height: 1000 };
+
+  // Scale and offset fitting a size into the page, keeping its aspect ratio
+  function fitToPage(size) {
+    const scale = Math.min(PAGE.width / size.width, PAGE.height / size.height);
+    return {
+      scale,
+      offsetX: (PAGE.width - size.width * scale) / 2,
+      offsetY: (PAGE.height - size.height * scale) / 2
+    };
+  }
+
+  // Upgrade of a document from version N to version N + 1, by N
+  const MIGRATIONS = {
+    // Pixels of the canvas -> page units
+    1(document) {
+      if (!document.canvas || !(document.canvas.width > 0) || !(document.canvas.height > 0) ||
+          !Array.isArray(document.items)) {
+        return document; // Reported by validateDocument()
+      }
+
+      const { scale, offsetX, offsetY } = fitToPage(document.canvas);
+      const round = (value) => Math.round(value * 100) / 100;
+      const items = document.items.map((item) => {
+        if (!item || typeof item !== 'object') return item;
+        if (item.kind === 'shape') {
+          return {
+            ...item,
+            x: round(offsetX + item.x * scale),
+            y: round(offsetY + item.y * scale),
+            width: round(item.width * scale),
+            height: round(item.height * scale)
+          };
+        }
+        if (!Array.isArray(item.points)) return item;
+        return {
+          ...item,
+          size: round(item.size * scale),
+          points: item.points.map((point) => (Array.isArray(point)
+            ? [round(offsetX + point[0] * scale), round(offsetY + point[1] * scale), ...point.slice(2)]
+            : point))
+        };
+      });
+      return { ...document, canvas: { ...PAGE }, items };
+    }
+  };
+
+  const id = { type: 'string', minLength: 1, maxLength: 64 };
+  const color = { type: 'string', maxLength: 64 };
+  const number = { type: 'number' };
+
+  const DOCUMENT = {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: [DOCUMENT_FORMAT] },
+      version: { type: 'integer', minimum: 1 },
+      title: { type: 'string', nullable: true, maxLength: 100 },
+      canvas: {
+        type: 'object',
+        properties: {
+          width: { type: 'number', minimum: 1 },
+          height: { type: 'number', minimum: 1 }
+        },
+        required: ['width', 'height']
+      },
+      layers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id,
+            number: { type: 'integer', minimum: 1 },
+            visible: { type: 'boolean' },
+            opacity: { type: 'number', minimum: 0, maximum: 1 },
+            exported: { type: 'boolean' }
+          },
+          required: ['id', 'number', 'visible', 'opacity', 'exported']
+        }
+      },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { kind: { type: 'string', enum: ['stroke', 'shape'] } },
+          required: ['kind']
+        }
+      }
+    },
+    required: ['format', 'version', 'canvas', 'layers', 'items']
+  };
+
+  const ITEMS = {
+    stroke: {
+      type: 'object',
+      properties: {
+        layerId: id,
+        color,
+        size: { type: 'number', minimum: 0 },
+        erase: { type: 'boolean', nullable: true },
+        pointerType: { type: 'string', nullable: true, maxLength: 16 },
+        points: { type: 'array', items: { type: 'array', items: number } }
+      },
+      required: ['layerId', 'color', 'size', 'points']
+    },
+    shape: {
+      type: 'object',
+      properties: {
+        id,
+        layerId: id,
+        type: { type: 'string', enum: ['square', 'circle', 'triangle', 'line'] },
+        x: number,
+        y: number,
+        width: number,
+        height: number,
+        rotation: number,
+        borderColor: color,
+        fillColor: color
+      },
+      required: ['id', 'layerId', 'type', 'x', 'y', 'width', 'height', 'rotation', 'borderColor', 'fillColor']
+    }
+  };
+
+  /**
+   * Pack the points of a stroke for a document.
+   *
+   * @param {Array<{x: number, y: number, t: number, p: number}>} points
+   * @returns {Array<Array<number>>} - [x, y, t, p] per point
+   */
+  function packPoints(points) {
+    const round = (value) => Math.round(value * 100) / 100;
+    return points.map((point) => [
+      round(point.x),
+      round(point.y),
+      point.t || 0,
+      round(typeof point.p === 'number' ? point.p : 0.5)
+    ]);
+  }
+
+  /**
+   * Unpack the points of a document stroke.
+   *
+   * @param {Array<Array<number>>} points - [x, y, t, p] per point
+   * @returns {Array<{x: number, y: number, t: number, p: number}>}
+   */
+  function unpackPoints(points) {
+    return points.map(([x, y, t, p]) => ({ x, y, t: t || 0, p: typeof p === 'number' ? p : 0.5 }));
+  }
+
+  /**
+   * Check a document of the current version: its schema, then the references
+   * between its parts.
+   *
+   * @param {object} document - The document
+   * @returns {Array<string>} - Validation errors, empty if the document is valid
+   */
+  function validateDocument(document) {
+    const errors = validate(DOCUMENT, document);
+    if (errors.length > 0) return errors;
+
+    if (document.version !== DOCUMENT_VERSION) {
+      errors.push(`$.version must be ${DOCUMENT_VERSION}`);
+    }
+    if (document.canvas.width !== PAGE.width || document.canvas.height !== PAGE.height) {
+      errors.push(`$.canvas must be the page (${PAGE.width} x ${PAGE.height})`);
+    }
+
+    const layerIds = new Set(document.layers.map((layer) => layer.id));
+    if (layerIds.size === 0) {
+      errors.push('$.layers must contain at least one layer');
+    }
+    if (layerIds.size !== document.layers.length) {
+      errors.push('$.layers must have unique ids');
+    }
+
+    const shapeIds = new Set();
+    document.items.forEach((item, index) => {
+      const path = `$.items[${index}]`;
+      errors.push(...validate(ITEMS[item.kind], item, path));
+      if (typeof item.layerId === 'string' && !layerIds.has(item.layerId)) {
+        errors.push(`${path}.layerId must be the id of a layer`);
+      }
+      if (item.kind === 'stroke' && Array.isArray(item.points) && item.points.some((point) => point.length < 2)) {
+        errors.push(`${path}.points must contain [x, y, t, p] arrays`);
+      }
+      if (item.kind === 'shape') {
+        if (shapeIds.has(item.id)) {
+          errors.push(`${path}.id must be unique`);
+        }
+        shapeIds.add(item.id);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Read a document of any supported version: upgrade it to DOCUMENT_VERSION
+   * and validate it.
+   *
+   * @param {*} value - Parsed JSON
+   * @returns {{document: object|null, errors: Array<string>}} - document is null when errors is not empty
+   */
+  function readDocument(value) {
+    if (!value || typeof value !== 'object' || value.format !== DOCUMENT_FORMAT) {
+      return { document: null, errors: [`$.format must be "${DOCUMENT_FORMAT}"`] };
+    }
+    if (!Number.isInteger(value.version) || value.version < 1) {
+      return { document: null, errors: ['$.version must be a positive integer'] };
+    }
+    if (value.version > DOCUMENT_VERSION) {
+      return { document: null, errors: [`Unsupported document version ${value.version} (latest: ${DOCUMENT_VERSION})`] };
+    }
+
+    let document = value;
+    while (document.version < DOCUMENT_VERSION) {
+      document = { ...MIGRATIONS[document.version](document), version: document.version + 1 };
+    }
+
+    const errors = validateDocument(document);
+    return { document: errors.length === 0 ? document : null, errors };
+  }
+
+  const api = {
+    DOCUMENT_FORMAT,
+    DOCUMENT_VERSION,
+    PAGE,
+    fitToPage,
+    packPoints,
+    unpackPoints,
+    validateDocument,
+    readDocument
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.DrawingDocument = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
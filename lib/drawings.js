@@ -0,0 +1,172 @@
+/**
+ * Sketches Library
+ * ==============================================
+ *
+ * Stores the drawings saved from the drawing app, so a returning visitor or a
+ * workshop instructor can continue a sketch in another session. Each drawing
+ * is a document of lib/drawing-document.js, kept in <id>.json with its
+ * metadata:
+ *   - id, title, createdAt, updatedAt
+ *   - canvas, layerCount, itemCount   Summary of the document, for the list
+ *   - document                        The drawing itself
+ *
+ * Files live in DRAWINGS_DIR (default: data/drawings).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { SchemaValidationError } = require('./schema');
+const { readDocument } = require('./drawing-document');
+
+const DRAWINGS_DIR = process.env.DRAWINGS_DIR || path.join(__dirname, '..', 'data', 'drawings');
+
+// Ids are generated by the library; anything else is rejected to avoid path traversal
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+/**
+ * Upgrade and validate a document sent by the drawing app.
+ *
+ * @param {object} document - Drawing document, of any supported version
+ * @returns {object} - The document in the current version
+ * @throws {SchemaValidationError} If the document is invalid
+ */
+function checkDocument(document) {
+  const { document: checked, errors } = readDocument(document);
+  if (!checked) {
+    throw new SchemaValidationError('Invalid drawing document', errors);
+  }
+  return checked;
+}
+
+// Metadata of an entry, without its document
+function summarize(entry) {
+  const { document, ...meta } = entry;
+  return meta;
+}
+
+// Store an entry, its summary computed from its document
+async function writeEntry(entry) {
+  await fs.mkdir(DRAWINGS_DIR, { recursive: true });
+
+  const stored = {
+    ...entry,
+    canvas: entry.document.canvas,
+    layerCount: entry.document.layers.length,
+    itemCount: entry.document.items.length
+  };
+  await fs.writeFile(path.join(DRAWINGS_DIR, `${entry.id}.json`), JSON.stringify(stored));
+  return stored;
+}
+
+/**
+ * Save a new drawing.
+ *
+ * @param {object} drawing
+ * @param {object} drawing.document - Drawing document
+ * @param {string} [drawing.title] - Name given by the visitor
+ * @returns {Promise<object>} - The stored drawing, with its document
+ * @throws {SchemaValidationError} If the document is invalid
+ */
+async function saveDrawing(drawing) {
+  const document = checkDocument(drawing.document);
+  const now = new Date().toISOString();
+
+  const stored = await writeEntry({
+    id: crypto.randomUUID(),
+    title: drawing.title || null,
+    createdAt: now,
+    updatedAt: now,
+    document
+  });
+  console.log(`Drawing saved: ${stored.id}`);
+  return stored;
+}
+
+/**
+ * Replace the document (and title) of a saved drawing.
+ *
+ * @param {string} id - Drawing id
+ * @param {object} drawing
+ * @param {object} drawing.document - Drawing document
+ * @param {string} [drawing.title] - New name, the current one is kept if absent
+ * @returns {Promise<object|null>} - The stored drawing, null if it does not exist
+ * @throws {SchemaValidationError} If the document is invalid
+ */
+async function updateDrawing(id, drawing) {
+  const document = checkDocument(drawing.document);
+  const entry = await getDrawing(id);
+  if (!entry) return null;
+
+  const stored = await writeEntry({
+    ...entry,
+    title: drawing.title || entry.title,
+    updatedAt: new Date().toISOString(),
+    document
+  });
+  console.log(`Drawing updated: ${id}`);
+  return stored;
+}
+
+/**
+ * List saved drawings without their documents, last updated first.
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of entries to return
+ * @returns {Promise<Array<object>>}
+ */
+async function listDrawings(options = {}) {
+  let files;
+  try {
+    files = await fs.readdir(DRAWINGS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const file of files.filter((f) => f.endsWith('.json'))) {
+    try {
+      const content = await fs.readFile(path.join(DRAWINGS_DIR, file), 'utf8');
+      entries.push(summarize(JSON.parse(content)));
+    } catch (error) {
+      console.warn(`⚠️ Skipping unreadable drawing ${file}:`, error.message);
+    }
+  }
+
+  entries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  return options.limit ? entries.slice(0, options.limit) : entries;
+}
+
+/**
+ * Get a saved drawing by id, its document upgraded to the current version.
+ *
+ * @param {string} id - Drawing id
+ * @returns {Promise<object|null>}
+ * @throws {Error} If the stored document is invalid (a fault of the server, not of the request)
+ */
+async function getDrawing(id) {
+  if (!ID_PATTERN.test(id)) return null;
+
+  let entry;
+  try {
+    entry = JSON.parse(await fs.readFile(path.join(DRAWINGS_DIR, `${id}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const { document, errors } = readDocument(entry.document);
+  if (!document) {
+    throw new Error(`Stored drawing ${id} is invalid: ${errors.join('; ')}`);
+  }
+  return { ...entry, document };
+}
+
+module.exports = {
+  DRAWINGS_DIR,
+  saveDrawing,
+  updateDrawing,
+  listDrawings,
+  getDrawing
+};
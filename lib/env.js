@@ -0,0 +1,40 @@
+/**
+ * Environment Settings
+ * ==============================================
+ *
+ * Readers of the .env settings shared by the server modules. A missing or
+ * invalid value falls back to the default of the setting.
+ */
+
+/**
+ * Read an integer setting.
+ *
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @param {object} [bounds]
+ * @param {number} [bounds.min=0] - Smallest valid value
+ * @param {number} [bounds.max=Infinity] - Largest valid value
+ * @returns {number}
+ */
+function readInteger(name, fallback, bounds = {}) {
+  const { min = 0, max = Infinity } = bounds;
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= min && value <= max ? value : fallback;
+}
+
+/**
+ * Read a comma-separated list setting, limited to the known values.
+ *
+ * @param {string} name - Environment variable
+ * @param {Array<string>} known - Valid values, also the default
+ * @returns {Array<string>}
+ */
+function readList(name, known) {
+  if (!process.env[name]) return known;
+  return process.env[name].split(',').map((value) => value.trim()).filter((value) => known.includes(value));
+}
+
+module.exports = {
+  readInteger,
+  readList
+};
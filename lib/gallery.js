@@ -0,0 +1,199 @@
+/**
+ * Artwork Gallery
+ * ==============================================
+ *
+ * Persists every generated artwork on disk so it survives the expiry of the
+ * provider URLs (BFL AI and Fal AI links are temporary). For each artwork the
+ * gallery stores:
+ *   - <id>.<ext>        The generated image, downloaded from the provider
+ *   - <id>-sketch.png   The visitor's sketch (image-to-image only)
+ *   - <id>.json         Metadata: style, prompts, provider, timestamp
+ *
+ * Files live in GALLERY_DIR (default: data/gallery) and are served by the
+ * Express app under /gallery.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const GALLERY_DIR = process.env.GALLERY_DIR || path.join(__dirname, '..', 'data', 'gallery');
+
+// Public URL prefix under which GALLERY_DIR is served
+const PUBLIC_PREFIX = '/gallery';
+
+// Ids are generated by the gallery; anything else is rejected to avoid path traversal
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+/**
+ * Load an image from a URL or a data URL.
+ *
+ * @param {string} source - http(s) URL or data URL
+ * @returns {Promise<{buffer: Buffer, mimeType: string, extension: string}>}
+ */
+async function loadImage(source) {
+  const dataUrlMatch = /^data:([\w/+.-]+);base64,(.*)$/s.exec(source);
+  if (dataUrlMatch) {
+    return {
+      buffer: Buffer.from(dataUrlMatch[2], 'base64'),
+      mimeType: dataUrlMatch[1],
+      extension: EXTENSIONS[dataUrlMatch[1]] || 'png'
+    };
+  }
+
+  const response = await axios.get(source, { responseType: 'arraybuffer', timeout: 30000 });
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+  return {
+    buffer: Buffer.from(response.data),
+    mimeType: contentType,
+    extension: EXTENSIONS[contentType] || 'png'
+  };
+}
+
+/**
+ * Download a generated image and store it with its metadata.
+ *
+ * @param {object} artwork
+ * @param {string} artwork.image - Provider URL (or data URL) of the generated image
+ * @param {string} [artwork.sketch] - Sketch data URL sent by the visitor
+ * @param {string} [artwork.style] - Selected artistic style
+ * @param {string} [artwork.personalPrompt] - Visitor's text prompt
+ * @param {string} [artwork.description] - Enhanced description from Gemini
+ * @param {string} [artwork.prompt] - Enhanced prompt sent to the image provider
+ * @param {string} [artwork.provider] - Registry name of the provider used
+ * @param {string} [artwork.providerLabel] - Human readable provider name
+ * @param {string} [artwork.promptVersion] - Prompt template used for STEP 2 (e.g. "enhance@v2")
+ * @param {string} [artwork.locale] - Language of the booth (fr, en, ar)
+ * @returns {Promise<object>} - The stored metadata
+ */
+async function saveArtwork(artwork) {
+  await fs.mkdir(GALLERY_DIR, { recursive: true });
+
+  const id = crypto.randomUUID();
+  const generated = await loadImage(artwork.image);
+  const imageFile = `${id}.${generated.extension}`;
+  await fs.writeFile(path.join(GALLERY_DIR, imageFile), generated.buffer);
+
+  let sketchFile = null;
+  if (artwork.sketch) {
+    const sketch = await loadImage(artwork.sketch);
+    sketchFile = `${id}-sketch.${sketch.extension}`;
+    await fs.writeFile(path.join(GALLERY_DIR, sketchFile), sketch.buffer);
+  }
+
+  const entry = {
+    id,
+    createdAt: new Date().toISOString(),
+    mode: artwork.sketch ? 'image-to-image' : 'text-to-image',
+    style: artwork.style || null,
+    personalPrompt: artwork.personalPrompt || null,
+    description: artwork.description || null,
+    prompt: artwork.prompt || null,
+    provider: artwork.provider || null,
+    providerLabel: artwork.providerLabel || null,
+    promptVersion: artwork.promptVersion || null,
+    locale: artwork.locale || null,
+    sourceUrl: artwork.image.startsWith('data:') ? null : artwork.image,
+    imageFile,
+    sketchFile
+  };
+
+  await fs.writeFile(path.join(GALLERY_DIR, `${id}.json`), JSON.stringify(entry, null, 2));
+  console.log(`Artwork saved to gallery: ${id}`);
+
+  return withUrls(entry);
+}
+
+// Add the public URLs of the stored files to a metadata entry
+function withUrls(entry) {
+  return {
+    ...entry,
+    imageUrl: `${PUBLIC_PREFIX}/${entry.imageFile}`,
+    sketchUrl: entry.sketchFile ? `${PUBLIC_PREFIX}/${entry.sketchFile}` : null
+  };
+}
+
+/**
+ * List stored artworks, newest first.
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of entries to return
+ * @returns {Promise<Array<object>>}
+ */
+async function listArtworks(options = {}) {
+  let files;
+  try {
+    files = await fs.readdir(GALLERY_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const file of files.filter((f) => f.endsWith('.json'))) {
+    try {
+      const content = await fs.readFile(path.join(GALLERY_DIR, file), 'utf8');
+      entries.push(withUrls(JSON.parse(content)));
+    } catch (error) {
+      console.warn(`⚠️ Skipping unreadable gallery entry ${file}:`, error.message);
+    }
+  }
+
+  entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return options.limit ? entries.slice(0, options.limit) : entries;
+}
+
+/**
+ * Get a stored artwork by id.
+ *
+ * @param {string} id - Artwork id
+ * @returns {Promise<object|null>}
+ */
+async function getArtwork(id) {
+  if (!ID_PATTERN.test(id)) return null;
+
+  try {
+    const content = await fs.readFile(path.join(GALLERY_DIR, `${id}.json`), 'utf8');
+    return withUrls(JSON.parse(content));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Delete a stored artwork and its files.
+ *
+ * @param {string} id - Artwork id
+ * @returns {Promise<boolean>} - False if the artwork does not exist
+ */
+async function deleteArtwork(id) {
+  const entry = await getArtwork(id);
+  if (!entry) return false;
+
+  const files = [entry.imageFile, entry.sketchFile, `${id}.json`].filter(Boolean);
+  for (const file of files) {
+    await fs.rm(path.join(GALLERY_DIR, file), { force: true });
+  }
+
+  console.log(`Artwork deleted from gallery: ${id}`);
+  return true;
+}
+
+module.exports = {
+  GALLERY_DIR,
+  PUBLIC_PREFIX,
+  loadImage,
+  saveArtwork,
+  listArtworks,
+  getArtwork,
+  deleteArtwork
+};
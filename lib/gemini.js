@@ -0,0 +1,188 @@
+/**
+ * Gemini Client
+ * ==============================================
+ *
+ * Shared access to the Gemini API for the sketch prediction (STEP 1), the
+ * prompt enhancement (STEP 2) and the content checks of lib/moderation.js. Structured calls use Gemini's JSON mode with a
+ * response schema, and the returned JSON is checked again with the shared
+ * validator (lib/schema.js) before it reaches a route.
+ *
+ * Failures are reported as GeminiError with a machine readable code instead
+ * of a guessed fallback value:
+ *   gemini_unavailable   - Network error or non-2xx answer from the API
+ *   gemini_blocked       - Gemini refused the request (safety filters)
+ *   gemini_empty         - The answer contains no text
+ *   gemini_invalid_json  - The answer is not valid JSON
+ *   gemini_schema        - The JSON does not match the expected schema
+ */
+
+const fetch = require('node-fetch');
+const { validate } = require('./schema');
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Keywords of lib/schema.js that Gemini accepts in a response schema
+// (enum is only supported on strings and is added separately)
+const GEMINI_SCHEMA_KEYWORDS = ['description', 'nullable', 'minimum', 'maximum', 'required'];
+
+class GeminiError extends Error {
+  /**
+   * @param {string} code - Error code (see the list above)
+   * @param {string} message - Error message
+   * @param {object} [details] - Extra information (HTTP status, validation errors...)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'GeminiError';
+    this.code = code;
+    // HTTP status to answer with: the request was fine, the upstream answer was not
+    this.status = code === 'gemini_blocked' ? 422 : 502;
+    this.details = details;
+  }
+}
+
+/**
+ * Convert a lib/schema.js schema into a Gemini response schema.
+ *
+ * @param {object} schema
+ * @returns {object}
+ */
+function toGeminiSchema(schema) {
+  const geminiSchema = { type: schema.type.toUpperCase() };
+
+  for (const keyword of GEMINI_SCHEMA_KEYWORDS) {
+    if (schema[keyword] !== undefined) {
+      geminiSchema[keyword] = schema[keyword];
+    }
+  }
+  if (schema.enum && schema.type === 'string') {
+    geminiSchema.enum = schema.enum;
+  }
+  if (schema.properties) {
+    geminiSchema.properties = {};
+    for (const [name, propertySchema] of Object.entries(schema.properties)) {
+      geminiSchema.properties[name] = toGeminiSchema(propertySchema);
+    }
+  }
+  if (schema.items) {
+    geminiSchema.items = toGeminiSchema(schema.items);
+  }
+
+  return geminiSchema;
+}
+
+/**
+ * Send a prompt (and optionally a sketch) to Gemini and return the answer text.
+ *
+ * @param {object} request
+ * @param {string} request.prompt - Text instructions
+ * @param {string} [request.image] - Base64 image data (without the data URL prefix)
+ * @param {string} [request.mimeType] - Type of the image (default image/png)
+ * @param {object} [request.generationConfig] - Gemini generation options
+ * @returns {Promise<string>} - Text of the first candidate
+ */
+async function generateText({ prompt, image, mimeType = 'image/png', generationConfig }) {
+  const url = `${GEMINI_API_URL}/${GEMINI_MODEL}:generateContent?key=${process.env.GEMINI_API_KEY}`;
+  const body = {
+    contents: [
+      {
+        parts: [
+          { text: prompt },
+          // Include the image in the request if provided
+          ...(image ? [{
+            inline_data: {
+              mime_type: mimeType,
+              data: image,
+            },
+          }] : []),
+        ],
+      },
+    ],
+    ...(generationConfig ? { generationConfig } : {}),
+  };
+
+  let response;
+  let data;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    data = await response.json();
+  } catch (error) {
+    throw new GeminiError('gemini_unavailable', `Gemini request failed: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    const message = data?.error?.message || `HTTP ${response.status}`;
+    throw new GeminiError('gemini_unavailable', `Gemini API error: ${message}`, { httpStatus: response.status });
+  }
+
+  const blockReason = data?.promptFeedback?.blockReason;
+  const candidate = Array.isArray(data?.candidates) ? data.candidates[0] : null;
+  if (blockReason || candidate?.finishReason === 'SAFETY') {
+    throw new GeminiError('gemini_blocked', 'Gemini refused the request', {
+      reason: blockReason || candidate.finishReason
+    });
+  }
+
+  const text = (candidate?.content?.parts || []).map((p) => p.text || '').join('\n').trim();
+  if (!text) {
+    throw new GeminiError('gemini_empty', 'Gemini returned no text', {
+      finishReason: candidate?.finishReason || null
+    });
+  }
+
+  return text;
+}
+
+/**
+ * Ask Gemini for a JSON answer matching a schema.
+ *
+ * @param {object} request
+ * @param {string} request.prompt - Text instructions
+ * @param {string} [request.image] - Base64 image data (without the data URL prefix)
+ * @param {string} [request.mimeType] - Type of the image (default image/png)
+ * @param {object} request.schema - Expected answer (lib/schema.js format)
+ * @returns {Promise<object>} - The validated answer
+ */
+async function generateStructured({ prompt, image, mimeType, schema }) {
+  const text = await generateText({
+    prompt,
+    image,
+    mimeType,
+    generationConfig: {
+      responseMimeType: 'application/json',
+      responseSchema: toGeminiSchema(schema),
+    },
+  });
+
+  // JSON mode should return bare JSON, but strip code fences just in case
+  const jsonText = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let value;
+  try {
+    value = JSON.parse(jsonText);
+  } catch (error) {
+    throw new GeminiError('gemini_invalid_json', 'Gemini returned invalid JSON', {
+      preview: text.substring(0, 200)
+    });
+  }
+
+  const errors = validate(schema, value);
+  if (errors.length > 0) {
+    throw new GeminiError('gemini_schema', 'Gemini answer does not match the expected schema', { errors });
+  }
+
+  return value;
+}
+
+module.exports = {
+  GEMINI_MODEL,
+  GeminiError,
+  toGeminiSchema,
+  generateText,
+  generateStructured
+};
@@ -0,0 +1,178 @@
+/**
+ * Generation Job Store
+ * ==============================================
+ *
+ * Keeps track of asynchronous image generation jobs so that /api/generate can
+ * return a job id immediately while the pipeline runs in the background.
+ * Clients poll GET /api/jobs/:id for the status and result, and every stage
+ * change is emitted as a 'stage' event so the server can push progress over
+ * the WebSocket hub.
+ *
+ * JOB STAGES:
+ * -----------
+ *   queued        - Job created, pipeline not started yet
+ *   moderation    - The sketch, prompt or generated image is being checked (lib/moderation.js)
+ *   gemini-prompt - Gemini is writing the enhanced prompt (STEP 2)
+ *   bfl-polling   - BFL AI is generating, polling for the result (STEP 3)
+ *   fal-fallback  - Fal AI Kontext fallback is generating (STEP 4)
+ *   fal-text      - Fal AI text-to-image is generating (STEP 5)
+ *   done          - Result available
+ *   failed        - Pipeline failed, see job.error
+ *
+ * Jobs are kept in memory and removed JOB_TTL_MS after they finish.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Keep finished jobs for one hour so a page reload can still fetch the result
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const events = new EventEmitter();
+
+/**
+ * Create a new queued job.
+ *
+ * @param {object} [meta] - Public information about the request (mode, style...)
+ * @returns {object} - The created job
+ */
+function createJob(meta = {}) {
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    stage: 'queued',
+    stages: [{ stage: 'queued', at: now }],
+    meta,
+    result: null,
+    error: null,
+    code: null,
+    details: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Get a job by id.
+ *
+ * @param {string} id - Job id
+ * @returns {object|undefined}
+ */
+function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * List jobs that have not finished yet.
+ *
+ * @returns {Array<object>}
+ */
+function listActiveJobs() {
+  return Array.from(jobs.values()).filter(
+    (job) => job.status === 'queued' || job.status === 'running'
+  );
+}
+
+/**
+ * Move a job to a new stage and emit a 'stage' event.
+ *
+ * @param {string} id - Job id
+ * @param {string} stage - New stage name
+ * @param {object} [details] - Extra information sent with the event
+ */
+function setStage(id, stage, details = {}) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  const now = Date.now();
+  job.stage = stage;
+  job.stages.push({ stage, at: now, ...details });
+  job.updatedAt = now;
+  if (job.status === 'queued') {
+    job.status = 'running';
+  }
+
+  events.emit('stage', job, details);
+}
+
+/**
+ * Mark a job as done with its result.
+ *
+ * @param {string} id - Job id
+ * @param {object} result - The generation result returned to the client
+ */
+function completeJob(id, result) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  job.status = 'done';
+  job.result = result;
+  setStage(id, 'done');
+  scheduleCleanup(id);
+}
+
+/**
+ * Mark a job as failed.
+ *
+ * @param {string} id - Job id
+ * @param {string} message - Error message safe to show to the client
+ * @param {object} [failure] - Machine readable cause, for typed errors
+ * @param {string} [failure.code] - Error code (e.g. 'content_blocked')
+ * @param {object} [failure.details] - Error details (e.g. { stage, reasons })
+ */
+function failJob(id, message, failure = {}) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  job.status = 'failed';
+  job.error = message;
+  job.code = failure.code || null;
+  job.details = failure.details || null;
+  setStage(id, 'failed', { error: message, code: job.code });
+  scheduleCleanup(id);
+}
+
+// Remove a finished job once its TTL expires
+function scheduleCleanup(id) {
+  const timer = setTimeout(() => jobs.delete(id), JOB_TTL_MS);
+  // Don't keep the process alive just for job cleanup
+  if (timer.unref) timer.unref();
+}
+
+/**
+ * Public representation of a job for the REST API and WebSocket events.
+ *
+ * @param {object} job
+ * @returns {object}
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages,
+    meta: job.meta,
+    result: job.result,
+    error: job.error,
+    code: job.code,
+    details: job.details,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+module.exports = {
+  events,
+  createJob,
+  getJob,
+  listActiveJobs,
+  setStage,
+  completeJob,
+  failJob,
+  serializeJob
+};
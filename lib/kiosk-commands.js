@@ -0,0 +1,158 @@
+/**
+ * Remote Kiosk Commands
+ * ==============================================
+ *
+ * Commands sent by the staff from the admin dashboard (public/admin.html) to
+ * the controllers and displays, e.g. to reset a booth abandoned by a visitor
+ * without walking to it:
+ *
+ *   go_home       - Back to the start screen of the booth
+ *   reload        - Reload the current page
+ *   clear_canvas  - Clear the drawing (drawing app only)
+ *   lock          - Cover the screen and ignore touches, with an optional text
+ *   unlock        - Remove the lock screen
+ *   show_message  - Show a text for payload.durationMs (default 10 s)
+ *
+ * PROTOCOL:
+ * ---------
+ *   admin  -> server  admin_command  { requestId, command, room | clientId, clientType, payload }
+ *   server -> admin   command_sent   { requestId, commandId, command, targets }
+ *   server -> screen  admin_command  { commandId, command, payload }
+ *   screen -> server  command_ack    { commandId, ok, error }
+ *   server -> admin   command_ack    { commandId, clientId, clientType, room, ok, error }
+ *   server -> admin   command_timeout { commandId, missing } (no ack after ACK_TIMEOUT_MS)
+ *   server -> admin   command_error  { requestId, error, details } (invalid command)
+ *
+ * Screens run the commands in WebSocketSync.handleMessage
+ * (public/websocket-client.js).
+ */
+
+const crypto = require('crypto');
+const { validate } = require('./schema');
+const schemas = require('./schemas');
+const { send } = require('./ws-messaging');
+
+// Screens that did not answer by then are reported as missing
+const ACK_TIMEOUT_MS = 10000;
+
+// Commands waiting for acknowledgements: commandId -> { admin, command, waiting, timer }
+const pending = new Map();
+
+// Public information about a target screen
+function describeTarget(ws) {
+  return { clientId: ws.id, clientType: ws.clientType, room: ws.room || null };
+}
+
+// Controllers and displays matching the target of a command
+function resolveTargets(clients, request) {
+  return Array.from(clients).filter((ws) => {
+    if (ws.clientType !== 'controller' && ws.clientType !== 'display') return false;
+    if (request.clientId) return ws.id === request.clientId;
+    if (request.room && ws.room !== request.room) return false;
+    return !request.clientType || ws.clientType === request.clientType;
+  });
+}
+
+/**
+ * Send a command of the admin dashboard to the matching screens.
+ *
+ * @param {WebSocket} admin - Socket of the admin dashboard
+ * @param {object} request - The admin_command message (ADMIN_COMMAND schema)
+ * @param {Iterable<WebSocket>} clients - Connected WebSocket clients (wss.clients)
+ * @returns {string|null} - Id of the command, null if it was refused
+ */
+function dispatch(admin, request, clients) {
+  const errors = validate(schemas.ADMIN_COMMAND, request);
+  if (request && request.command === 'show_message' && !(request.payload && request.payload.text)) {
+    errors.push('$.payload.text is required');
+  }
+  if (errors.length > 0) {
+    send(admin, { type: 'command_error', requestId: request && request.requestId, error: 'Invalid command', details: errors });
+    return null;
+  }
+
+  const targets = resolveTargets(clients, request);
+  if (targets.length === 0) {
+    send(admin, { type: 'command_error', requestId: request.requestId, error: 'No connected screen matches the target', details: [] });
+    return null;
+  }
+
+  const commandId = crypto.randomUUID();
+  const entry = {
+    admin,
+    command: request.command,
+    waiting: new Map(targets.map((ws) => [ws.id, ws])),
+    timer: setTimeout(() => expire(commandId), ACK_TIMEOUT_MS)
+  };
+  pending.set(commandId, entry);
+
+  targets.forEach((ws) => send(ws, {
+    type: 'admin_command',
+    commandId,
+    command: request.command,
+    payload: request.payload || {}
+  }));
+  send(admin, {
+    type: 'command_sent',
+    requestId: request.requestId,
+    commandId,
+    command: request.command,
+    targets: targets.map(describeTarget)
+  });
+
+  console.log(`Admin command ${request.command} sent to ${targets.length} screen(s)`);
+  return commandId;
+}
+
+/**
+ * Handle the acknowledgement of a command by a screen, and forward it to the
+ * admin dashboard that sent the command.
+ *
+ * @param {WebSocket} ws - Socket of the screen
+ * @param {object} ack - The command_ack message { commandId, ok, error }
+ */
+function acknowledge(ws, ack) {
+  const entry = pending.get(ack.commandId);
+  if (!entry || !entry.waiting.has(ws.id)) return;
+
+  entry.waiting.delete(ws.id);
+  const ok = ack.ok === true;
+
+  // The server keeps the lock state for the dashboard
+  if (ok && (entry.command === 'lock' || entry.command === 'unlock')) {
+    ws.locked = entry.command === 'lock';
+  }
+
+  send(entry.admin, {
+    type: 'command_ack',
+    commandId: ack.commandId,
+    ...describeTarget(ws),
+    ok,
+    error: ok ? null : String(ack.error || 'failed')
+  });
+  if (!ok) {
+    console.warn(`⚠️ Admin command ${entry.command} failed on ${ws.clientType} ${ws.id}:`, ack.error);
+  }
+
+  if (entry.waiting.size === 0) {
+    clearTimeout(entry.timer);
+    pending.delete(ack.commandId);
+  }
+}
+
+// Report the screens that did not acknowledge a command in time
+function expire(commandId) {
+  const entry = pending.get(commandId);
+  if (!entry) return;
+
+  pending.delete(commandId);
+  const missing = Array.from(entry.waiting.values()).map(describeTarget);
+  send(entry.admin, { type: 'command_timeout', commandId, missing });
+  console.warn(`⚠️ Admin command ${entry.command}: no acknowledgement from ${missing.length} screen(s)`);
+}
+
+module.exports = {
+  ACK_TIMEOUT_MS,
+  dispatch,
+  acknowledge
+};
@@ -0,0 +1,114 @@
+/**
+ * Unattended Kiosk
+ * ==============================================
+ *
+ * Idle timeout and attract mode of the booths, so a drawing abandoned by a
+ * visitor does not stay on screen for the next one:
+ *   - The controller (app.html) warns, then clears the canvas and returns
+ *     both screens home (`return_to_home`) after KIOSK_IDLE_TIMEOUT_MS
+ *     without a touch
+ *   - The display start screen (index.html) then cycles through recent
+ *     gallery artworks and the style reference images of images/
+ *
+ * The screens read these settings and the attract slides from GET /api/kiosk.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const gallery = require('./gallery');
+const { readInteger } = require('./env');
+
+const IMAGES_DIR = path.join(__dirname, '..', 'images');
+
+// Served by the Express app under /images
+const IMAGES_PREFIX = '/images';
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.svg'];
+
+// Style shown by each reference image (same as the style carousel of script.js)
+const STYLE_IMAGES = {
+  'aquarelle cat.jpg': 'Aquarelle',
+  'illustration cat.jpg': 'Illustration',
+  'pop art cat.jpg': 'Pop Art',
+  'croquis cat.jpg': 'Croquis',
+  '3D cat.jpg': 'Dessin Animé 3D',
+  'oil cat.png': 'Peinture à l\'huile'
+};
+
+const SETTINGS = {
+  // No touch on the controller for this long returns the booth home (0 disables it)
+  idleTimeoutMs: readInteger('KIOSK_IDLE_TIMEOUT_MS', 120000),
+  // Countdown shown before the reset, cancelled by any touch
+  idleWarningMs: readInteger('KIOSK_IDLE_WARNING_MS', 15000),
+  // Time on the display start screen before the attract mode starts (0 disables it)
+  attractDelayMs: readInteger('ATTRACT_DELAY_MS', 20000),
+  attractSlideMs: readInteger('ATTRACT_SLIDE_MS', 6000),
+  // Recent gallery artworks shown in the attract mode
+  attractArtworks: readInteger('ATTRACT_ARTWORKS', 12)
+};
+
+// Style reference images of images/
+async function listStyleImages() {
+  let files;
+  try {
+    files = await fs.readdir(IMAGES_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return files
+    .filter((file) => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .map((file) => ({
+      kind: 'style',
+      imageUrl: `${IMAGES_PREFIX}/${encodeURIComponent(file)}`,
+      style: STYLE_IMAGES[file] || null
+    }));
+}
+
+/**
+ * Slides of the attract mode: the recent artworks of the gallery, newest
+ * first, then the style reference images.
+ *
+ * @returns {Promise<Array<{kind: string, imageUrl: string, style: string|null}>>}
+ */
+async function listAttractSlides() {
+  let artworks = [];
+  if (SETTINGS.attractArtworks > 0) {
+    // An unreadable gallery must not stop the style images
+    try {
+      artworks = await gallery.listArtworks({ limit: SETTINGS.attractArtworks });
+    } catch (error) {
+      console.warn('⚠️ Attract mode: failed to list the gallery:', error.message);
+    }
+  }
+
+  return [
+    ...artworks.map((artwork) => ({ kind: 'artwork', imageUrl: artwork.imageUrl, style: artwork.style || null })),
+    ...await listStyleImages()
+  ];
+}
+
+/**
+ * Settings of the idle timeout and attract mode, with the attract slides.
+ *
+ * @returns {Promise<object>}
+ */
+async function getKioskConfig() {
+  return {
+    idleTimeoutMs: SETTINGS.idleTimeoutMs,
+    idleWarningMs: Math.min(SETTINGS.idleWarningMs, SETTINGS.idleTimeoutMs),
+    attract: {
+      delayMs: SETTINGS.attractDelayMs,
+      slideMs: SETTINGS.attractSlideMs,
+      slides: await listAttractSlides()
+    }
+  };
+}
+
+module.exports = {
+  SETTINGS,
+  listAttractSlides,
+  getKioskConfig
+};
@@ -0,0 +1,35 @@
+/**
+ * Booth Locales
+ * ==============================================
+ *
+ * Languages the booth can run in. The client sends its locale (public/i18n.js)
+ * with /api/predict and /api/generate; it selects the prompt templates of that
+ * language (prompts/<name>/<locale>/) and therefore the language of the
+ * guesses and descriptions returned by Gemini.
+ *
+ * DEFAULT_LOCALE (env, default 'fr') is used when the request has no locale
+ * or an unsupported one.
+ */
+
+const SUPPORTED_LOCALES = ['fr', 'en', 'ar'];
+
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE)
+  ? process.env.DEFAULT_LOCALE
+  : 'fr';
+
+/**
+ * Resolve a requested locale to a supported one ('en-US' -> 'en').
+ *
+ * @param {string} [locale] - Locale sent by the client
+ * @returns {string} - Supported locale, DEFAULT_LOCALE otherwise
+ */
+function resolveLocale(locale) {
+  const language = String(locale || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale
+};
@@ -0,0 +1,202 @@
+/**
+ * Moderation Audit Log
+ * ==============================================
+ *
+ * Records every blocked sketch, personal prompt and generated image so event
+ * staff can review the decisions of lib/moderation.js (and the ethics flag of
+ * the prediction when the sketch stage is off). For each decision the log
+ * stores:
+ *   - <id>.json          Stage, reason codes, timestamp, booth room, review
+ *   - <id>-sketch.png    The visitor's sketch (shown as a thumbnail)
+ *   - <id>-image.<ext>   The blocked generated image (image stage only)
+ *
+ * Files live in MODERATION_LOG_DIR (default: data/moderation). They are not
+ * served statically: the operator page reads them through the review API.
+ *
+ * REVIEW STATUS:
+ * --------------
+ *   pending     - Not reviewed yet
+ *   approved    - An operator confirmed the block
+ *   overridden  - An operator marked it as a false positive
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { loadImage } = require('./gallery');
+
+const MODERATION_LOG_DIR = process.env.MODERATION_LOG_DIR || path.join(__dirname, '..', 'data', 'moderation');
+
+// URL prefix of the review API, which also serves the stored images
+const API_PREFIX = '/api/moderation/decisions';
+
+// Ids are generated by the log; anything else is rejected to avoid path traversal
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+const REVIEW_ACTIONS = {
+  approve: 'approved',
+  override: 'overridden'
+};
+
+// Store an optional image of a decision, returning its file name
+async function saveImage(id, kind, source) {
+  if (!source) return null;
+
+  // Sketches arrive as bare base64 PNG data in the routes
+  const image = await loadImage(/^(data:|https?:)/.test(source) ? source : `data:image/png;base64,${source}`);
+  const file = `${id}-${kind}.${image.extension}`;
+  await fs.writeFile(path.join(MODERATION_LOG_DIR, file), image.buffer);
+  return file;
+}
+
+// Add the URLs of the stored images to an entry
+function withUrls(entry) {
+  return {
+    ...entry,
+    sketchUrl: entry.sketchFile ? `${API_PREFIX}/${entry.id}/sketch` : null,
+    imageUrl: entry.imageFile ? `${API_PREFIX}/${entry.id}/image` : null
+  };
+}
+
+/**
+ * Record a moderation decision.
+ *
+ * @param {object} decision
+ * @param {string} decision.stage - 'sketch', 'prompt' or 'image'
+ * @param {Array<string>} decision.reasons - Reason codes (category ids)
+ * @param {string} decision.source - What blocked the content: 'keywords',
+ *   'gemini', 'gemini_blocked' (Gemini refused it) or 'prediction' (ethics flag)
+ * @param {string} decision.endpoint - '/api/predict' or '/api/generate'
+ * @param {string} [decision.sketch] - Sketch data URL or base64 PNG data
+ * @param {string} [decision.image] - Blocked generated image (URL or data URL)
+ * @param {string} [decision.text] - Blocked personal prompt
+ * @param {string} [decision.guess] - Prediction of the sketch
+ * @param {string} [decision.room] - Booth room of the visitor
+ * @param {string} [decision.locale] - Booth language
+ * @returns {Promise<object>} - The stored entry
+ */
+async function recordDecision(decision) {
+  await fs.mkdir(MODERATION_LOG_DIR, { recursive: true });
+
+  const id = crypto.randomUUID();
+  const entry = {
+    id,
+    createdAt: new Date().toISOString(),
+    stage: decision.stage,
+    reasons: decision.reasons,
+    source: decision.source,
+    endpoint: decision.endpoint,
+    text: decision.text || null,
+    guess: decision.guess || null,
+    room: decision.room || null,
+    locale: decision.locale || null,
+    sketchFile: await saveImage(id, 'sketch', decision.sketch),
+    imageFile: await saveImage(id, 'image', decision.image),
+    status: 'pending',
+    review: null
+  };
+
+  await fs.writeFile(path.join(MODERATION_LOG_DIR, `${id}.json`), JSON.stringify(entry, null, 2));
+  console.log(`Moderation decision recorded: ${id} (${entry.stage}: ${entry.reasons.join(', ')})`);
+
+  return withUrls(entry);
+}
+
+/**
+ * List recorded decisions, newest first.
+ *
+ * @param {object} [options]
+ * @param {string} [options.status] - Only decisions with this review status
+ * @param {number} [options.limit] - Maximum number of entries to return
+ * @returns {Promise<Array<object>>}
+ */
+async function listDecisions(options = {}) {
+  let files;
+  try {
+    files = await fs.readdir(MODERATION_LOG_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const file of files.filter((f) => f.endsWith('.json'))) {
+    try {
+      const content = await fs.readFile(path.join(MODERATION_LOG_DIR, file), 'utf8');
+      entries.push(withUrls(JSON.parse(content)));
+    } catch (error) {
+      console.warn(`⚠️ Skipping unreadable moderation entry ${file}:`, error.message);
+    }
+  }
+
+  const filtered = options.status ? entries.filter((entry) => entry.status === options.status) : entries;
+  filtered.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return options.limit ? filtered.slice(0, options.limit) : filtered;
+}
+
+/**
+ * Get a recorded decision by id.
+ *
+ * @param {string} id - Decision id
+ * @returns {Promise<object|null>}
+ */
+async function getDecision(id) {
+  if (!ID_PATTERN.test(id)) return null;
+
+  try {
+    const content = await fs.readFile(path.join(MODERATION_LOG_DIR, `${id}.json`), 'utf8');
+    return withUrls(JSON.parse(content));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Review a decision: confirm the block or mark it as a false positive.
+ *
+ * @param {string} id - Decision id
+ * @param {object} review
+ * @param {string} review.action - 'approve' or 'override'
+ * @param {string} [review.note] - Comment of the operator
+ * @returns {Promise<object|null>} - The updated entry, null if it does not exist
+ */
+async function reviewDecision(id, { action, note }) {
+  const entry = await getDecision(id);
+  if (!entry) return null;
+
+  const { sketchUrl, imageUrl, ...stored } = entry;
+  stored.status = REVIEW_ACTIONS[action];
+  stored.review = {
+    action,
+    note: note || null,
+    at: new Date().toISOString()
+  };
+
+  await fs.writeFile(path.join(MODERATION_LOG_DIR, `${id}.json`), JSON.stringify(stored, null, 2));
+  console.log(`Moderation decision ${id} ${stored.status}`);
+
+  return withUrls(stored);
+}
+
+/**
+ * Path of the sketch or blocked image of a decision.
+ *
+ * @param {object} entry - Decision entry
+ * @param {string} kind - 'sketch' or 'image'
+ * @returns {string|null}
+ */
+function getFilePath(entry, kind) {
+  const file = kind === 'sketch' ? entry.sketchFile : kind === 'image' ? entry.imageFile : null;
+  return file ? path.join(MODERATION_LOG_DIR, file) : null;
+}
+
+module.exports = {
+  MODERATION_LOG_DIR,
+  REVIEW_ACTIONS,
+  recordDecision,
+  listDecisions,
+  getDecision,
+  reviewDecision,
+  getFilePath
+};
@@ -0,0 +1,61 @@
+/**
+ * Moderation Policy Store
+ * ==============================================
+ *
+ * Content rules of this deployment: which censorship categories of
+ * lib/moderation.js are blocked or allowed, and extra keywords for the
+ * keyword scan. A sports event can for example allow national flags while a
+ * school keeps every category blocked.
+ *
+ * The policy is a JSON file (MODERATION_POLICY_FILE, default
+ * data/moderation-policy.json), edited by hand or through the operator API
+ * (PUT /api/moderation/policy):
+ *
+ *   {
+ *     "name": "Tournoi de football",
+ *     "allowed": ["flags"],
+ *     "blocked": ["violence"],
+ *     "keywords": [{ "category": "violence", "words": ["hooligan", "hooligans"] }]
+ *   }
+ *
+ * Categories in neither list keep the default of MODERATION_CATEGORIES. The
+ * policy is validated and applied by lib/moderation.js; this module only
+ * reads and writes the file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const POLICY_FILE = process.env.MODERATION_POLICY_FILE || path.join(__dirname, '..', 'data', 'moderation-policy.json');
+
+/**
+ * Read the policy file.
+ *
+ * @returns {Promise<object|null>} - The stored policy, null if there is no file
+ */
+async function readPolicy() {
+  try {
+    const content = await fs.readFile(POLICY_FILE, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Replace the policy file.
+ *
+ * @param {object} policy - Validated policy
+ * @returns {Promise<void>}
+ */
+async function writePolicy(policy) {
+  await fs.mkdir(path.dirname(POLICY_FILE), { recursive: true });
+  await fs.writeFile(POLICY_FILE, JSON.stringify(policy, null, 2));
+}
+
+module.exports = {
+  POLICY_FILE,
+  readPolicy,
+  writePolicy
+};
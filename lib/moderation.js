@@ -0,0 +1,525 @@
+/**
+ * Content Moderation
+ * ==============================================
+ *
+ * Checks the visitor's content at three points of the pipeline, separately
+ * from the sketch prediction:
+ *
+ *   sketch - The drawing sent to /api/predict and /api/generate
+ *   prompt - The personal prompt typed by the visitor (/api/generate)
+ *   image  - The generated image, before it is returned or stored
+ *
+ * Text is first scanned for the keywords of each category (in every booth
+ * language) and only sent to Gemini if no keyword matched. Sketches and
+ * generated images are sent to Gemini with the `moderation` prompt template.
+ *
+ * CATEGORIES:
+ * -----------
+ * The ids below are the reason codes returned with blocked content, and shown
+ * by the censorship overlay of the drawing app (censorship.reason.<id>).
+ *   flags, politics, violence, sexual, drugs, hate, mature
+ * `other` is returned when Gemini blocks content without naming a category.
+ *
+ * CONFIGURATION:
+ * --------------
+ *   MODERATION=off          Disable every check
+ *   MODERATION_STAGES       Stages to check (default: sketch,prompt,image)
+ *   MODERATION_CATEGORIES   Categories to block (default: all of them)
+ *   MODERATION_ON_ERROR     'block' (default) or 'allow' content that could
+ *                           not be checked because Gemini failed
+ *
+ * POLICY:
+ * -------
+ * Each deployment can allow or block categories and add keywords with a
+ * policy file (lib/moderation-policy.js). Categories the policy does not
+ * mention keep the MODERATION_CATEGORIES default. The blocked categories
+ * are passed to the `moderation` and `prediction` prompt templates as one
+ * flag per category (getCategoryFlags), and select the keyword lists.
+ *
+ * Blocked content is recorded by the routes in the audit log
+ * (lib/moderation-log.js). When an operator overrides a block, the booth room
+ * of the visitor is no longer checked until its next artwork.
+ */
+
+const gemini = require('./gemini');
+const prompts = require('./prompts');
+const schemas = require('./schemas');
+const { validate, SchemaValidationError } = require('./schema');
+const policyStore = require('./moderation-policy');
+const { loadImage } = require('./gallery');
+const { readList } = require('./env');
+
+const STAGES = ['sketch', 'prompt', 'image'];
+
+// Keywords are lowercase and without accents. French and English words only
+// match as listed, so every form to block is listed (arme, armes); an Arabic
+// word also matches with its prefixes (ال، و، ب). A keyword blocks without
+// asking Gemini: words that are also part of harmless children's subjects
+// ("killer whale", "Star Wars", "water gun", "blood orange", "pill bug",
+// "the bird sang", "حرب النجوم") are left to Gemini
+const CATEGORIES = {
+  flags: ['drapeau', 'drapeaux', 'flag', 'flags', 'راية'],
+  politics: [
+    'politique', 'politiques', 'politicien', 'politiciens', 'president', 'presidente', 'presidents',
+    'election', 'elections', 'vote', 'votes', 'voter', 'politics', 'politician', 'politicians',
+    'سياسة', 'سياسي', 'انتخابات'
+  ],
+  violence: [
+    'arme', 'armes', 'pistolet', 'pistolets', 'fusil', 'fusils', 'mitraillette', 'mitraillettes',
+    'tuer', 'meurtre', 'meurtres', 'meurtrier', 'bombe', 'bombes', 'guerre', 'guerres',
+    'blesse', 'blesses', 'blessee', 'blessees',
+    'rifle', 'rifles', 'weapon', 'weapons', 'murder', 'murders', 'murdered', 'murderer',
+    'bomb', 'bombs', 'wounded',
+    'سلاح', 'مسدس', 'بندقية', 'قتل', 'قنبلة'
+  ],
+  sexual: [
+    'nu', 'nue', 'nus', 'nues', 'sexe', 'sexy', 'bisou', 'bisous', 'erotique', 'nude', 'naked', 'sex',
+    'kiss', 'kissing', 'erotic', 'عاري', 'عارية', 'جنس', 'قبلة'
+  ],
+  drugs: [
+    'drogue', 'drogues', 'cigarette', 'cigarettes', 'alcool', 'biere', 'bieres', 'pilule', 'pilules',
+    'cannabis', 'drug', 'drugs', 'alcohol', 'beer', 'beers', 'مخدرات', 'سيجارة', 'كحول', 'خمر'
+  ],
+  hate: ['nazi', 'nazis', 'swastika', 'svastika', 'raciste', 'racistes', 'racist', 'racists', 'نازي', 'عنصري'],
+  mature: [
+    'cadavre', 'cadavres', 'gore', 'suicide', 'horreur', 'corpse', 'corpses', 'horror',
+    'جثة', 'انتحار'
+  ]
+};
+
+const ARABIC_PREFIXES = ['', 'ال', 'و', 'وال', 'ب', 'بال'];
+
+// Image types Gemini can read (the mock provider returns SVG placeholders)
+const READABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+const ENABLED = process.env.MODERATION !== 'off';
+const ENABLED_STAGES = readList('MODERATION_STAGES', STAGES);
+const DEFAULT_CATEGORIES = readList('MODERATION_CATEGORIES', Object.keys(CATEGORIES));
+const BLOCK_ON_ERROR = process.env.MODERATION_ON_ERROR !== 'allow';
+
+// Resolved policy, read from the policy file on first use
+let policyPromise = null;
+
+// Rooms whose blocked content an operator let through: code -> expiry time
+const OVERRIDE_TTL_MS = 10 * 60 * 1000;
+const roomOverrides = new Map();
+
+class ModerationError extends Error {
+  /**
+   * @param {string} code - 'content_blocked' or 'moderation_unavailable'
+   * @param {string} message - Error message
+   * @param {object} details - { stage, reasons }
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ModerationError';
+    this.code = code;
+    this.status = code === 'content_blocked' ? 422 : 502;
+    this.details = details;
+  }
+}
+
+/**
+ * Whether a stage is checked with the current configuration.
+ *
+ * @param {string} stage - 'sketch', 'prompt' or 'image'
+ * @returns {boolean}
+ */
+function isStageEnabled(stage) {
+  return ENABLED && ENABLED_STAGES.includes(stage);
+}
+
+// Lowercase text without accents (Arabic letters are kept)
+function normalizeText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// Words of a normalized text
+function tokenize(text) {
+  return normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Check a policy (file content or API request body).
+ *
+ * @param {object} policy
+ * @returns {Array<string>} - Validation errors, empty if the policy is valid
+ */
+function validatePolicy(policy) {
+  const errors = validate(schemas.MODERATION_POLICY, policy);
+  if (errors.length > 0) return errors;
+
+  const known = (category, where) => (CATEGORIES[category] ? [] : [`${where}: unknown category "${category}"`]);
+  for (const category of policy.allowed || []) {
+    errors.push(...known(category, '$.allowed'));
+    if ((policy.blocked || []).includes(category)) {
+      errors.push(`$.allowed: "${category}" is also blocked`);
+    }
+  }
+  for (const category of policy.blocked || []) {
+    errors.push(...known(category, '$.blocked'));
+  }
+  for (const entry of policy.keywords || []) {
+    errors.push(...known(entry.category, '$.keywords'));
+  }
+  return errors;
+}
+
+// Apply a stored policy (or none) over the MODERATION_CATEGORIES default
+function resolvePolicy(stored, source) {
+  const policy = stored || {};
+  const blocked = Object.keys(CATEGORIES).filter((category) => {
+    if ((policy.blocked || []).includes(category)) return true;
+    if ((policy.allowed || []).includes(category)) return false;
+    return DEFAULT_CATEGORIES.includes(category);
+  });
+
+  // Keywords of each blocked category, with the ones added by the policy
+  const keywords = Object.fromEntries(blocked.map((category) => [category, [...CATEGORIES[category]]]));
+  for (const entry of policy.keywords || []) {
+    if (keywords[entry.category]) {
+      keywords[entry.category].push(...entry.words.map((word) => normalizeText(word).trim()));
+    }
+  }
+
+  return {
+    name: policy.name || null,
+    source,
+    blocked,
+    allowed: Object.keys(CATEGORIES).filter((category) => !blocked.includes(category)),
+    extraKeywords: policy.keywords || [],
+    keywords
+  };
+}
+
+// Read the policy file; an unreadable or invalid file falls back to the default
+async function loadPolicy() {
+  let stored;
+  try {
+    stored = await policyStore.readPolicy();
+  } catch (err) {
+    console.error(`✗ Moderation policy ${policyStore.POLICY_FILE} could not be read:`, err.message);
+    return resolvePolicy(null, 'default');
+  }
+  if (!stored) {
+    return resolvePolicy(null, 'default');
+  }
+
+  const errors = validatePolicy(stored);
+  if (errors.length > 0) {
+    console.error(`✗ Invalid moderation policy ${policyStore.POLICY_FILE}, using the default:`, errors);
+    return resolvePolicy(null, 'default');
+  }
+
+  const policy = resolvePolicy(stored, 'file');
+  console.log(`✓ Moderation policy ${policy.name ? `"${policy.name}" ` : ''}loaded, blocked: ${policy.blocked.join(', ') || 'none'}`);
+  return policy;
+}
+
+/**
+ * Current moderation policy of the deployment.
+ *
+ * @returns {Promise<object>} - { name, source, blocked, allowed, extraKeywords, keywords }
+ *   source is 'file' or 'default' (MODERATION_CATEGORIES only)
+ */
+function getPolicy() {
+  if (!policyPromise) {
+    policyPromise = loadPolicy();
+  }
+  return policyPromise;
+}
+
+/**
+ * Replace the policy of the deployment and store it in the policy file.
+ *
+ * @param {object} stored - New policy (MODERATION_POLICY schema)
+ * @returns {Promise<object>} - The resolved policy, see getPolicy()
+ * @throws {SchemaValidationError} If the policy is invalid
+ */
+async function setPolicy(stored) {
+  const errors = validatePolicy(stored);
+  if (errors.length > 0) {
+    throw new SchemaValidationError('Invalid moderation policy', errors);
+  }
+
+  await policyStore.writePolicy(stored);
+  const policy = resolvePolicy(stored, 'file');
+  policyPromise = Promise.resolve(policy);
+  console.log(`✓ Moderation policy updated, blocked: ${policy.blocked.join(', ') || 'none'}`);
+  return policy;
+}
+
+/**
+ * Policy as returned by the operator API (without the built-in keyword lists).
+ *
+ * @param {object} policy - Resolved policy
+ * @returns {object}
+ */
+function serializePolicy(policy) {
+  return {
+    name: policy.name,
+    source: policy.source,
+    blocked: policy.blocked,
+    allowed: policy.allowed,
+    keywords: policy.extraKeywords
+  };
+}
+
+/**
+ * Template flags of the blocked categories ({ flags: true, violence: true...}),
+ * for the censored content lists of the `moderation` and `prediction` templates.
+ *
+ * @returns {Promise<object>}
+ */
+async function getCategoryFlags() {
+  const policy = await getPolicy();
+  return Object.fromEntries(policy.blocked.map((category) => [category, true]));
+}
+
+function matchesKeyword(word, keyword) {
+  if (/^[a-z]+$/.test(keyword)) {
+    return word === keyword;
+  }
+  return ARABIC_PREFIXES.some((prefix) => word === prefix + keyword);
+}
+
+/**
+ * Scan a text for the keywords of the blocked categories.
+ *
+ * @param {string} text
+ * @param {object} policy - Resolved policy, see getPolicy()
+ * @returns {Array<string>} - Ids of the matched categories
+ */
+function scanKeywords(text, policy) {
+  const words = tokenize(text);
+  return policy.blocked.filter((category) =>
+    policy.keywords[category].some((keyword) => words.some((word) => matchesKeyword(word, keyword))));
+}
+
+// Angle bracket runs of the visitor's text, which could close the
+// <<<TEXT>>> delimiter of the template and pass for instructions
+function stripDelimiters(text) {
+  return text.replace(/<{2,}|>{2,}/g, ' ');
+}
+
+// Ask Gemini whether the content belongs to one of the blocked categories
+async function askGemini(policy, { stage, text, image, mimeType, locale }) {
+  const categoryFlags = Object.fromEntries(policy.blocked.map((category) => [category, true]));
+  const template = await prompts.renderPrompt('moderation', {
+    ...categoryFlags,
+    text: text && stripDelimiters(text),
+    isSketch: stage === 'sketch',
+    isImage: stage === 'image'
+  }, { locale });
+
+  const answer = await gemini.generateStructured({
+    prompt: template.text,
+    image,
+    mimeType,
+    schema: schemas.MODERATION
+  });
+
+  // Categories the policy allows do not block, even if Gemini names them
+  const reasons = answer.categories.filter((category) => policy.blocked.includes(category));
+  if (!answer.allowed && answer.categories.length === 0) {
+    reasons.push('other');
+  }
+  return reasons;
+}
+
+/**
+ * Check content at one stage of the pipeline.
+ *
+ * @param {string} stage - 'sketch', 'prompt' or 'image'
+ * @param {object} content
+ * @param {string} [content.text] - Text to check (prompt stage)
+ * @param {string} [content.image] - Base64 image data (sketch and image stages)
+ * @param {string} [content.mimeType] - Type of the image (default image/png)
+ * @param {string} [content.locale] - Booth language, selects the template
+ * @returns {Promise<{allowed: boolean, stage: string, reasons: Array<string>, checked: boolean, source: string}>}
+ *   source tells what decided: 'keywords', 'gemini' or 'gemini_blocked' (Gemini refused the content)
+ * @throws {ModerationError} moderation_unavailable if Gemini failed and MODERATION_ON_ERROR is 'block'
+ */
+async function check(stage, content) {
+  const policy = await getPolicy();
+  if (!isStageEnabled(stage) || policy.blocked.length === 0) {
+    return { allowed: true, stage, reasons: [], checked: false };
+  }
+
+  // Obvious words are blocked without waiting for Gemini
+  if (content.text) {
+    const reasons = scanKeywords(content.text, policy);
+    if (reasons.length > 0) {
+      console.log(`🚫 Moderation (${stage}): blocked by keywords`, reasons);
+      return { allowed: false, stage, reasons, checked: true, source: 'keywords' };
+    }
+  }
+
+  try {
+    const reasons = await askGemini(policy, { stage, ...content });
+    if (reasons.length > 0) {
+      console.log(`🚫 Moderation (${stage}): blocked by Gemini`, reasons);
+    }
+    return { allowed: reasons.length === 0, stage, reasons, checked: true, source: 'gemini' };
+  } catch (err) {
+    // Gemini refusing to look at the content is an answer in itself
+    if (err.code === 'gemini_blocked') {
+      console.log(`🚫 Moderation (${stage}): Gemini refused the content`);
+      return { allowed: false, stage, reasons: ['other'], checked: true, source: 'gemini_blocked' };
+    }
+    console.error(`✗ Moderation (${stage}) failed:`, err.message);
+    if (BLOCK_ON_ERROR) {
+      throw new ModerationError('moderation_unavailable', 'Content could not be checked', { stage, reasons: [] });
+    }
+    return { allowed: true, stage, reasons: [], checked: false };
+  }
+}
+
+/**
+ * Check the sketch sent by the visitor.
+ *
+ * @param {string} base64 - PNG data without the data URL prefix
+ * @param {string} [locale] - Booth language
+ * @returns {Promise<object>} - See check()
+ */
+function checkSketch(base64, locale) {
+  return check('sketch', { image: base64, locale });
+}
+
+/**
+ * Check the personal prompt typed by the visitor.
+ *
+ * @param {string} text
+ * @param {string} [locale] - Booth language
+ * @returns {Promise<object>} - See check()
+ */
+function checkPrompt(text, locale) {
+  return check('prompt', { text, locale });
+}
+
+/**
+ * Check a generated image before it is returned.
+ *
+ * @param {string} source - Provider URL or data URL of the image
+ * @param {string} [locale] - Booth language
+ * @returns {Promise<object>} - See check()
+ */
+async function checkImage(source, locale) {
+  const policy = await getPolicy();
+  if (!isStageEnabled('image') || policy.blocked.length === 0) {
+    return { allowed: true, stage: 'image', reasons: [], checked: false };
+  }
+
+  let loaded;
+  try {
+    loaded = await loadImage(source);
+  } catch (err) {
+    console.error('✗ Moderation (image): could not download the image:', err.message);
+    if (BLOCK_ON_ERROR) {
+      throw new ModerationError('moderation_unavailable', 'Content could not be checked', { stage: 'image', reasons: [] });
+    }
+    return { allowed: true, stage: 'image', reasons: [], checked: false };
+  }
+
+  if (!READABLE_IMAGE_TYPES.includes(loaded.mimeType)) {
+    console.warn(`⚠️ Moderation (image): ${loaded.mimeType} images cannot be checked, skipping`);
+    return { allowed: true, stage: 'image', reasons: [], checked: false };
+  }
+
+  return check('image', { image: loaded.buffer.toString('base64'), mimeType: loaded.mimeType, locale });
+}
+
+/**
+ * Throw if a moderation result blocks the content.
+ *
+ * @param {object} result - Result of a check
+ * @param {object} [details] - Extra error details (e.g. the audit log decisionId)
+ * @throws {ModerationError} content_blocked with { stage, reasons, ...details }
+ */
+function assertAllowed(result, details = {}) {
+  if (!result.allowed) {
+    throw new ModerationError('content_blocked', `Content blocked at the ${result.stage} stage`, {
+      stage: result.stage,
+      reasons: result.reasons,
+      ...details
+    });
+  }
+}
+
+/**
+ * Let the content of a booth room through after an operator overrode a
+ * block (lib/moderation-log.js). The override lasts OVERRIDE_TTL_MS or until
+ * the next generated artwork of the room.
+ *
+ * @param {string} room - Room code
+ */
+function grantOverride(room) {
+  roomOverrides.set(room, Date.now() + OVERRIDE_TTL_MS);
+  console.log(`Moderation overridden for room ${room}`);
+}
+
+/**
+ * Whether an operator override is active for a room.
+ *
+ * @param {string} [room] - Room code
+ * @returns {boolean}
+ */
+function hasOverride(room) {
+  const expiresAt = room ? roomOverrides.get(room) : undefined;
+  if (expiresAt && expiresAt < Date.now()) {
+    roomOverrides.delete(room);
+    return false;
+  }
+  return Boolean(expiresAt);
+}
+
+/**
+ * End the operator override of a room.
+ *
+ * @param {string} [room] - Room code
+ */
+function clearOverride(room) {
+  if (room && roomOverrides.delete(room)) {
+    console.log(`Moderation override of room ${room} ended`);
+  }
+}
+
+/**
+ * Current configuration, for the startup log (the policy is logged when it
+ * is loaded).
+ *
+ * @returns {object}
+ */
+function describeConfig() {
+  return {
+    enabled: ENABLED,
+    stages: ENABLED ? ENABLED_STAGES : [],
+    defaultCategories: DEFAULT_CATEGORIES,
+    policyFile: policyStore.POLICY_FILE,
+    onError: BLOCK_ON_ERROR ? 'block' : 'allow'
+  };
+}
+
+module.exports = {
+  STAGES,
+  CATEGORIES,
+  ModerationError,
+  isStageEnabled,
+  validatePolicy,
+  getPolicy,
+  setPolicy,
+  serializePolicy,
+  getCategoryFlags,
+  scanKeywords,
+  checkSketch,
+  checkPrompt,
+  checkImage,
+  assertAllowed,
+  grantOverride,
+  hasOverride,
+  clearOverride,
+  describeConfig
+};
@@ -0,0 +1,150 @@
+/**
+ * Live Monitoring
+ * ==============================================
+ *
+ * State of the installation for the admin dashboard (public/admin.html), so
+ * on-site staff can spot a stuck booth without reading the server logs:
+ *   - Connected controllers and displays, and their booth rooms
+ *   - Generation jobs in progress and their current stage
+ *   - Attempts, failures and recent errors of each image provider
+ *   - Share of the artworks generated by each provider (BFL AI vs Fal AI)
+ *
+ * Provider statistics are collected from the 'attempt' events of the
+ * provider registry since the server started; they are kept in memory only.
+ * The server pushes a new snapshot to the dashboards over the WebSocket hub
+ * when something changes (`admin_snapshot` message).
+ */
+
+const imageProviders = require('./providers');
+const jobs = require('./jobs');
+const rooms = require('./rooms');
+
+// Errors kept per provider and in the recent errors list
+const MAX_RECENT_ERRORS = 10;
+
+const startedAt = Date.now();
+
+// Provider statistics by name
+const providerStats = new Map();
+
+// Latest provider errors, newest first
+const recentErrors = [];
+
+function getStats(name, label) {
+  if (!providerStats.has(name)) {
+    providerStats.set(name, {
+      name,
+      label,
+      attempts: 0,
+      successes: 0,
+      failures: 0,
+      averageMs: null,
+      lastSuccessAt: null,
+      lastError: null
+    });
+  }
+  return providerStats.get(name);
+}
+
+imageProviders.events.on('attempt', (attempt) => {
+  const stats = getStats(attempt.provider, attempt.label);
+  stats.attempts++;
+
+  if (attempt.ok) {
+    // Running average of the successful generations
+    stats.averageMs = stats.successes === 0
+      ? attempt.durationMs
+      : Math.round((stats.averageMs * stats.successes + attempt.durationMs) / (stats.successes + 1));
+    stats.successes++;
+    stats.lastSuccessAt = attempt.at;
+    return;
+  }
+
+  stats.failures++;
+  stats.lastError = { message: attempt.error, at: attempt.at };
+  recentErrors.unshift({ provider: attempt.provider, label: attempt.label, mode: attempt.mode, message: attempt.error, at: attempt.at });
+  recentErrors.splice(MAX_RECENT_ERRORS);
+});
+
+/**
+ * Statistics of every registered provider (also the ones not used yet).
+ *
+ * @returns {Array<object>}
+ */
+function listProviderStats() {
+  return imageProviders.listProviders().map((provider) => ({
+    ...getStats(provider.name, provider.label),
+    configured: provider.configured
+  }));
+}
+
+/**
+ * Artworks generated by each service, grouped by provider label (both Fal AI
+ * providers count as Fal AI).
+ *
+ * @returns {Array<{label: string, count: number, share: number}>}
+ */
+function getUsage() {
+  const counts = new Map();
+  for (const stats of providerStats.values()) {
+    if (stats.successes > 0) {
+      counts.set(stats.label, (counts.get(stats.label) || 0) + stats.successes);
+    }
+  }
+
+  const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+  return Array.from(counts, ([label, count]) => ({ label, count, share: count / total }));
+}
+
+// Public information about a WebSocket client
+function describeClient(ws) {
+  return {
+    id: ws.id,
+    type: ws.clientType || 'unregistered',
+    room: ws.room || null,
+    locked: Boolean(ws.locked),
+    // Version 1: page cached before the protocol update
+    protocolVersion: ws.protocolVersion || null,
+    address: ws.address || null,
+    connectedAt: ws.connectedAt || null,
+    // Last pong or message (lib/ws-heartbeat.js)
+    lastSeenAt: ws.lastSeenAt || null
+  };
+}
+
+/**
+ * Snapshot of the installation for the admin dashboard.
+ *
+ * @param {Iterable<WebSocket>} clients - Connected WebSocket clients (wss.clients)
+ * @returns {object}
+ */
+function buildSnapshot(clients) {
+  const screens = Array.from(clients).filter((ws) => ws.clientType !== 'admin').map(describeClient);
+
+  return {
+    at: Date.now(),
+    startedAt,
+    rooms: rooms.listRooms(),
+    clients: screens,
+    jobs: jobs.listActiveJobs().map((job) => ({
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      room: job.meta.room || null,
+      mode: job.meta.mode || null,
+      style: job.meta.style || null,
+      createdAt: job.createdAt,
+      // Time of the last stage change, to spot a job stuck in a stage
+      updatedAt: job.updatedAt
+    })),
+    providers: listProviderStats(),
+    usage: getUsage(),
+    recentErrors
+  };
+}
+
+module.exports = {
+  listProviderStats,
+  getUsage,
+  buildSnapshot
+};
@@ -0,0 +1,193 @@
+/**
+ * Enhanced Prompt Extraction
+ * ==============================================
+ *
+ * Parses the STEP 2 answer from Gemini. Gemini is asked to wrap its output in
+ * two envelopes:
+ *
+ *   <<<BEGIN_DESCRIPTION>>>
+ *   Short description shown to the visitor
+ *   <<<END_DESCRIPTION>>>
+ *   <<<BEGIN_PROMPT>>>
+ *   Paragraph sent to the image provider (max 1000 characters)
+ *   <<<END_PROMPT>>>
+ *
+ * Only the envelope contents are kept: marker text, code fences and labels
+ * never reach the image provider. The prompt is mandatory; the description
+ * falls back to the first sentence of the prompt. Empty or placeholder output
+ * (e.g. the "{paragraphe final en français}" template echoed back) is
+ * rejected with a PromptExtractionError, and requestEnhancedPrompt() asks
+ * Gemini once more before giving up.
+ */
+
+// Limit given to Gemini and enforced on its answer (BFL/Fal prompt budget)
+const MAX_PROMPT_LENGTH = 1000;
+
+// Number of Gemini calls before giving up (first call + one retry)
+const MAX_ATTEMPTS = 2;
+
+// Template text Gemini sometimes echoes instead of writing the prompt
+const PLACEHOLDER_PATTERNS = [
+  /^\{[^}]*\}$/,                       // {paragraphe final en français}
+  /^\[[^\]]*\]$/,                      // [prompt]
+  /paragraphe final/i,
+  /final paragraph/i,
+  /^(description|prompt)\s*:?$/i,
+  /lorem ipsum/i,
+  /^[.…\s-]*$/                         // ..., …, ---
+];
+
+class PromptExtractionError extends Error {
+  /**
+   * @param {string} code - 'prompt_missing', 'prompt_empty' or 'prompt_placeholder'
+   * @param {string} message - Error message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'PromptExtractionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Read the content of a <<<BEGIN_NAME>>> ... <<<END_NAME>>> envelope.
+ * Tolerates spaces and a different number of angle brackets; a missing end
+ * marker (answer cut by the token limit) keeps everything after the start.
+ *
+ * @param {string} text - Gemini answer
+ * @param {string} name - Envelope name (PROMPT, DESCRIPTION)
+ * @returns {string|null} - Raw content, or null if the envelope is absent
+ */
+function readEnvelope(text, name) {
+  const begin = new RegExp(`<{2,3}\\s*BEGIN_${name}\\s*>{2,3}`, 'i');
+  const end = new RegExp(`<{2,3}\\s*END_${name}\\s*>{2,3}`, 'i');
+
+  const beginMatch = begin.exec(text);
+  if (!beginMatch) return null;
+
+  const rest = text.slice(beginMatch.index + beginMatch[0].length);
+  const endMatch = end.exec(rest);
+  let content = endMatch ? rest.slice(0, endMatch.index) : rest;
+
+  // Without an end marker, stop at the next envelope
+  if (!endMatch) {
+    const nextEnvelope = /<{2,3}\s*(BEGIN|END)_\w+\s*>{2,3}/i.exec(content);
+    if (nextEnvelope) content = content.slice(0, nextEnvelope.index);
+  }
+
+  return content;
+}
+
+// Remove fences, labels and quotes around an envelope content, collapse whitespace
+function cleanText(text) {
+  return text
+    .replace(/```[a-z]*/gi, '')
+    .replace(/^\s*(description|prompt)\s*:\s*/i, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^["«“]\s*(.*?)\s*["»”]$/, '$1');
+}
+
+/**
+ * Cut a prompt to the length limit, at the end of a sentence when possible.
+ *
+ * @param {string} prompt
+ * @param {number} [maxLength=MAX_PROMPT_LENGTH]
+ * @returns {string}
+ */
+function truncatePrompt(prompt, maxLength = MAX_PROMPT_LENGTH) {
+  if (prompt.length <= maxLength) return prompt;
+
+  const cut = prompt.slice(0, maxLength);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+  if (sentenceEnd > maxLength / 2) {
+    return cut.slice(0, sentenceEnd + 1);
+  }
+
+  const wordEnd = cut.lastIndexOf(' ');
+  return (wordEnd > 0 ? cut.slice(0, wordEnd) : cut).replace(/[,;:]$/, '');
+}
+
+function isPlaceholder(text) {
+  return PLACEHOLDER_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+// First sentence of the prompt, used when Gemini gave no description
+function firstSentence(text) {
+  const match = /^.*?[.!?](?=\s|$)/.exec(text);
+  return match ? match[0] : text;
+}
+
+/**
+ * Extract the clean description and prompt from a Gemini STEP 2 answer.
+ *
+ * @param {string} text - Raw Gemini answer
+ * @returns {{description: string, prompt: string, truncated: boolean}}
+ * @throws {PromptExtractionError} - If the prompt is missing, empty or a placeholder
+ */
+function extractPrompt(text) {
+  const rawPrompt = readEnvelope(text || '', 'PROMPT');
+  if (rawPrompt === null) {
+    throw new PromptExtractionError('prompt_missing', 'No <<<BEGIN_PROMPT>>> envelope in the Gemini answer');
+  }
+
+  const fullPrompt = cleanText(rawPrompt);
+  if (!fullPrompt) {
+    throw new PromptExtractionError('prompt_empty', 'The Gemini prompt envelope is empty');
+  }
+  if (isPlaceholder(fullPrompt)) {
+    throw new PromptExtractionError('prompt_placeholder', `Gemini returned a placeholder prompt: "${fullPrompt.substring(0, 60)}"`);
+  }
+
+  const prompt = truncatePrompt(fullPrompt);
+
+  const rawDescription = readEnvelope(text, 'DESCRIPTION');
+  let description = rawDescription === null ? '' : cleanText(rawDescription);
+  if (!description || isPlaceholder(description)) {
+    description = firstSentence(prompt);
+  }
+
+  return {
+    description,
+    prompt,
+    truncated: prompt.length < fullPrompt.length
+  };
+}
+
+/**
+ * Call Gemini and extract the enhanced prompt, asking once more if the
+ * answer is rejected.
+ *
+ * @param {function} generate - Returns a promise of the raw Gemini answer
+ * @returns {Promise<{description: string, prompt: string, truncated: boolean, attempts: number}>}
+ * @throws The error of the last attempt
+ */
+async function requestEnhancedPrompt(generate) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const extracted = extractPrompt(await generate());
+      if (extracted.truncated) {
+        console.warn(`⚠️ Enhanced prompt cut to ${MAX_PROMPT_LENGTH} characters`);
+      }
+      return { ...extracted, attempts: attempt };
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️ Enhanced prompt attempt ${attempt}/${MAX_ATTEMPTS} rejected (${error.code || 'error'}): ${error.message}`);
+
+      // Asking again will not get past Gemini's safety filters
+      if (error.code === 'gemini_blocked') break;
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  MAX_PROMPT_LENGTH,
+  PromptExtractionError,
+  extractPrompt,
+  truncatePrompt,
+  requestEnhancedPrompt
+};
@@ -0,0 +1,189 @@
+/**
+ * Prompt Template Store
+ * ==============================================
+ *
+ * The instructions sent to Gemini live in versioned template files under
+ * prompts/ (override with PROMPTS_DIR), so the wording and the censorship
+ * categories can be edited without touching the routes:
+ *
+ *   prompts/manifest.json                 Templates, their variables and active version
+ *   prompts/<name>/<locale>/<version>.txt One file per template version and language
+ *
+ * A version missing in the requested locale (lib/locales.js) is rendered in
+ * the default locale instead.
+ *
+ * New wording goes into a new version file (v3.txt...) rather than over an
+ * existing one, so results stay comparable with the version that produced them.
+ *
+ * Files are read on every render: edits apply without restarting the server.
+ *
+ * TEMPLATE SYNTAX:
+ * ----------------
+ *   {{name}}                 Value of the variable (empty if missing)
+ *   {{#name}}...{{/name}}    Section rendered only if the variable is set
+ *   {{^name}}...{{/name}}    Section rendered only if the variable is empty
+ * A section tag alone on its line does not leave an empty line behind.
+ *
+ * A/B TESTING:
+ * ------------
+ * A template can declare an "experiment" in the manifest, mapping versions to
+ * weights (e.g. { "v1": 50, "v2": 50 }). Each render then picks a version at
+ * random with these weights instead of the "active" one. The chosen version is
+ * returned with the text so it can be stored with the result.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_LOCALE, resolveLocale } = require('./locales');
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+
+// Versions are used in file names: keep them simple to avoid path traversal
+const VERSION_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Read the template manifest.
+ *
+ * @returns {Promise<object>} - Templates by name
+ */
+async function loadManifest() {
+  const content = await fs.readFile(path.join(PROMPTS_DIR, 'manifest.json'), 'utf8');
+  return JSON.parse(content);
+}
+
+// Read a template file, or null if this version does not exist in the locale
+async function readTemplate(name, locale, version) {
+  try {
+    return await fs.readFile(path.join(PROMPTS_DIR, name, locale, `${version}.txt`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Pick a version from { version: weight } at random
+function pickWeighted(weights) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = Math.random() * total;
+
+  for (const [version, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return version;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Render a template string with variables.
+ *
+ * @param {string} template - Template text (see TEMPLATE SYNTAX above)
+ * @param {object} variables - Values by variable name
+ * @returns {string}
+ */
+function render(template, variables) {
+  // Standalone section tags take their line with them
+  const text = template.replace(/^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*\r?\n/gm, '$1');
+
+  // Sections and variables in a single pass: a value containing {{name}}
+  // (visitor text) is not expanded in turn
+  return text.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{(\w+)\}\}/g,
+    (match, kind, section, content, name) => {
+      if (kind) {
+        const isSet = Boolean(variables[section]);
+        return (kind === '#') === isSet ? render(content, variables) : '';
+      }
+      const value = variables[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Render a template from the store.
+ *
+ * @param {string} name - Template name (e.g. 'prediction', 'enhance')
+ * @param {object} [variables] - Values of the template variables
+ * @param {object} [options]
+ * @param {string} [options.version] - Force a version (otherwise experiment or active)
+ * @param {string} [options.locale] - Language of the template (default: DEFAULT_LOCALE)
+ * @returns {Promise<{text: string, name: string, version: string, locale: string}>}
+ */
+async function renderPrompt(name, variables = {}, options = {}) {
+  const manifest = await loadManifest();
+  const entry = manifest[name];
+  if (!entry) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+
+  const version = options.version ||
+    (entry.experiment ? pickWeighted(entry.experiment) : entry.active);
+  if (!VERSION_PATTERN.test(version || '')) {
+    throw new Error(`Invalid version "${version}" for prompt template ${name}`);
+  }
+
+  let locale = resolveLocale(options.locale);
+  let template = await readTemplate(name, locale, version);
+  if (template === null && locale !== DEFAULT_LOCALE) {
+    console.warn(`⚠️ Prompt ${name}@${version} has no ${locale} translation, using ${DEFAULT_LOCALE}`);
+    locale = DEFAULT_LOCALE;
+    template = await readTemplate(name, locale, version);
+  }
+  if (template === null) {
+    throw new Error(`Prompt template ${name}@${version} not found`);
+  }
+
+  return {
+    text: render(template, variables).trim(),
+    name,
+    version,
+    locale
+  };
+}
+
+/**
+ * List the templates with their versions, for the content team.
+ *
+ * @returns {Promise<Array<object>>}
+ */
+async function listTemplates() {
+  const manifest = await loadManifest();
+  const templates = [];
+
+  for (const [name, entry] of Object.entries(manifest)) {
+    // Locales in which each version exists
+    const versions = {};
+    try {
+      for (const locale of await fs.readdir(path.join(PROMPTS_DIR, name))) {
+        const files = await fs.readdir(path.join(PROMPTS_DIR, name, locale));
+        for (const file of files.filter((f) => f.endsWith('.txt'))) {
+          const version = file.replace(/\.txt$/, '');
+          (versions[version] = versions[version] || []).push(locale);
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠️ No template files for prompt ${name}:`, error.message);
+    }
+
+    templates.push({
+      name,
+      description: entry.description || null,
+      variables: entry.variables || [],
+      active: entry.active,
+      experiment: entry.experiment || null,
+      versions: Object.keys(versions).sort().map((version) => ({
+        version,
+        description: entry.versions?.[version] || null,
+        locales: versions[version].sort()
+      }))
+    });
+  }
+
+  return templates;
+}
+
+module.exports = {
+  PROMPTS_DIR,
+  render,
+  renderPrompt,
+  listTemplates
+};
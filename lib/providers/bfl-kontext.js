@@ -0,0 +1,168 @@
+/**
+ * BFL Kontext Provider
+ *
+ * Primary image generation service using the Black Forest Labs AI API
+ * (flux-kontext-pro). Supports both text-to-image and image-to-image modes.
+ * The API is asynchronous: the initial request returns a polling URL that is
+ * checked until the image is ready.
+ *
+ * Set BFL_API_URL to point the provider at a local stub server for testing.
+ */
+
+const axios = require('axios');
+
+// Polling configuration: 5 attempts with 2 seconds between each = 10 seconds max
+const POLL_INTERVAL_MS = 2000;
+const MAX_POLL_ATTEMPTS = 5;
+
+/**
+ * Generate an image with BFL AI.
+ *
+ * @param {object} request
+ * @param {string} request.prompt - The text prompt to guide image generation
+ * @param {string} [request.image] - Seed image as a data URL or raw base64
+ * @returns {Promise<string>} - URL of the generated image
+ */
+async function generate({ prompt, image }) {
+  const apiKey = process.env.BFL_API_KEY;
+  const baseUrl = process.env.BFL_API_URL || 'https://api.bfl.ai/v1';
+
+  if (!apiKey) {
+    throw new Error('Missing BFL API key');
+  }
+
+  try {
+    console.log('Generating image with BFL AI...');
+
+    // Préparer la requête pour l'API BFL
+    const requestData = {
+      prompt: prompt,
+    };
+
+    console.log('BFL prompt length:', prompt ? prompt.length : 0, 'chars');
+
+    // Si une image source est fournie, l'ajouter à la requête
+    if (image) {
+      // BFL attend uniquement la partie base64 (sans le préfixe dataURI)
+      requestData.input_image = image.startsWith('data:')
+        ? image.replace(/^data:image\/\w+;base64,/, '')
+        : image;
+      console.log('Using input image with BFL AI, length:', requestData.input_image.length);
+    }
+
+    // Effectuer la requête initiale pour démarrer la génération
+    const response = await axios.post(
+      `${baseUrl}/flux-kontext-pro`,
+      requestData,
+      {
+        headers: {
+          accept: "application/json",
+          "x-key": apiKey,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    console.log("BFL initial response received, polling for results...");
+
+    // Extraire l'URL de polling pour suivre l'avancement
+    const pollingUrl = response.data.polling_url;
+
+    if (!pollingUrl) {
+      throw new Error('No polling URL returned from BFL API');
+    }
+
+    let resultUrl = null;
+    let attempts = 0;
+
+    while (attempts < MAX_POLL_ATTEMPTS) {
+      // Attendre entre chaque tentative
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      attempts++;
+
+      // Vérifier l'état de la génération
+      const statusResponse = await axios.get(pollingUrl, {
+        headers: {
+          accept: "application/json",
+          "x-key": apiKey
+        }
+      });
+
+      const status = statusResponse.data.status;
+      console.log(`BFL status: ${status}, attempt ${attempts}/${MAX_POLL_ATTEMPTS}`);
+
+      // Si la génération est terminée avec succès (COMPLETED ou Ready)
+      if (status === "COMPLETED" || status === "Ready") {
+        resultUrl = extractImageUrl(statusResponse.data);
+        if (resultUrl) {
+          break;
+        }
+        console.log("Status is Ready but no image URL found yet. Continuing...");
+      }
+      // Si la génération a échoué
+      else if (status === "FAILED") {
+        throw new Error(`BFL image generation failed: ${statusResponse.data.error || "Unknown error"}`);
+      }
+    }
+
+    if (!resultUrl) {
+      const seconds = MAX_POLL_ATTEMPTS * POLL_INTERVAL_MS / 1000;
+      throw new Error(`BFL image generation timed out after ${MAX_POLL_ATTEMPTS} attempts (${seconds} seconds)`);
+    }
+
+    // Vérifier si l'URL de l'image semble valide
+    if (!resultUrl.startsWith('http')) {
+      console.warn(`BFL returned potentially invalid image URL: ${resultUrl}. Proceeding anyway.`);
+    }
+
+    console.log(`BFL final image URL: ${resultUrl}`);
+    return resultUrl;
+  } catch (error) {
+    console.error("BFL API error:", error.response?.data || error.message);
+
+    // Fournir plus de détails sur l'erreur
+    let errorMessage = error.message;
+    const errorData = error.response && error.response.data;
+    if (errorData) {
+      if (typeof errorData === 'string') {
+        errorMessage += ` - ${errorData}`;
+      } else if (errorData.error) {
+        errorMessage += ` - ${errorData.error}`;
+      } else {
+        errorMessage += ` - ${JSON.stringify(errorData)}`;
+      }
+    }
+
+    throw new Error(`BFL API error: ${errorMessage}`);
+  }
+}
+
+// Find the image URL in a completed BFL polling response (several formats observed)
+function extractImageUrl(data) {
+  if (data.result && data.result.sample) {
+    return data.result.sample;
+  }
+  if (data.output && data.output.image) {
+    return data.output.image;
+  }
+  if (data.image) {
+    return data.image;
+  }
+  if (data.output) {
+    return data.output;
+  }
+  return null;
+}
+
+module.exports = {
+  name: 'bfl-kontext',
+  label: 'BFL AI',
+  stage: 'bfl-polling',
+  capabilities: {
+    modes: ['text-to-image', 'image-to-image'],
+    maxResolution: 1440
+  },
+  timeoutMs: 40000,
+  isConfigured: () => !!process.env.BFL_API_KEY,
+  generate
+};
@@ -0,0 +1,39 @@
+/**
+ * Shared Fal AI client
+ *
+ * Configures the Fal AI client once with credentials from the environment and
+ * provides the result parsing shared by every Fal-based provider.
+ */
+
+const { fal } = require('@fal-ai/client');
+
+// Configure Fal AI with credentials from the environment
+fal.config({
+  credentials: process.env.FAL_API_KEY || '',
+});
+
+/**
+ * Extract the generated image URL from a Fal AI response
+ * (handling the different response formats returned by the models).
+ *
+ * @param {object} falResult - Result of fal.subscribe()
+ * @returns {string|null}
+ */
+function extractImageUrl(falResult) {
+  if (falResult?.images && falResult.images.length > 0) {
+    return falResult.images[0].url;
+  }
+  if (falResult?.data?.images && falResult.data.images.length > 0) {
+    return falResult.data.images[0].url;
+  }
+  if (falResult?.output) {
+    return falResult.output;
+  }
+  return null;
+}
+
+module.exports = {
+  subscribe: fal.subscribe.bind(fal),
+  extractImageUrl,
+  isConfigured: () => !!process.env.FAL_API_KEY
+};
@@ -0,0 +1,52 @@
+/**
+ * Fal Kontext Provider
+ *
+ * Image-to-image generation with the Fal AI flux-pro/kontext model.
+ * Used as the fallback when BFL AI fails or times out.
+ */
+
+const falClient = require('./fal-client');
+
+/**
+ * Generate an image from a sketch with Fal AI Kontext.
+ *
+ * @param {object} request
+ * @param {string} request.prompt - The text prompt to guide image generation
+ * @param {string} request.image - Sketch as a data URL (Fal AI handles this format)
+ * @returns {Promise<string>} - URL of the generated image
+ */
+async function generate({ prompt, image }) {
+  const falResult = await falClient.subscribe('fal-ai/flux-pro/kontext', {
+    input: {
+      prompt: prompt,
+      image_url: image,
+    },
+    sync_mode: true,  // Wait for completion
+    logs: true,       // Enable logs for debugging
+  });
+
+  console.log('Fal AI response received:',
+              falResult ? 'Success' : 'Empty response',
+              falResult?.images ? `with ${falResult.images.length} images` : 'without images');
+
+  const imageUrl = falClient.extractImageUrl(falResult);
+  if (!imageUrl) {
+    console.error('No image URL found in Fal AI response:', JSON.stringify(falResult, null, 2));
+    throw new Error('No image returned from Fal AI');
+  }
+
+  return imageUrl;
+}
+
+module.exports = {
+  name: 'fal-kontext',
+  label: 'Fal AI',
+  stage: 'fal-fallback',
+  capabilities: {
+    modes: ['image-to-image'],
+    maxResolution: 1440
+  },
+  timeoutMs: 90000,
+  isConfigured: falClient.isConfigured,
+  generate
+};
@@ -0,0 +1,59 @@
+/**
+ * Fal SDXL Lightning Provider
+ *
+ * Text-to-image generation with the Fal AI stable-diffusion-xl-lightning
+ * model. Used when no sketch is provided, only a text prompt.
+ */
+
+const falClient = require('./fal-client');
+
+// Comprehensive negative prompt to avoid common generation issues
+const NEGATIVE_PROMPT = "deformed, bad anatomy, disfigured, poorly drawn face, mutation, mutated, extra limb, ugly, poorly drawn hands, missing limb, floating limbs, disconnected limbs, malformed hands, blurry, watermark, watermarked, oversaturated, censored, distorted, deeply detailed, poorly drawn, low quality, draft, out of frame, cut off, poorly framed";
+
+/**
+ * Generate an image from text with Fal AI Stable Diffusion.
+ *
+ * @param {object} request
+ * @param {string} request.prompt - The text prompt to guide image generation
+ * @param {number} request.width - Output width
+ * @param {number} request.height - Output height
+ * @returns {Promise<string>} - URL of the generated image
+ */
+async function generate({ prompt, width, height }) {
+  const falResult = await falClient.subscribe('fal-ai/stable-diffusion-xl-lightning', {
+    input: {
+      prompt: prompt,
+      negative_prompt: NEGATIVE_PROMPT,
+      width: width,
+      height: height,
+      num_images: 1
+    },
+    sync_mode: true,
+    logs: true,
+  });
+
+  console.log('Fal AI text-to-image response received:',
+              falResult ? 'Success' : 'Empty response',
+              falResult?.images ? `with ${falResult.images.length} images` : 'without images');
+
+  const imageUrl = falClient.extractImageUrl(falResult);
+  if (!imageUrl) {
+    console.error('No image URL found in Fal AI text-to-image response:', JSON.stringify(falResult, null, 2));
+    throw new Error('No image returned from Fal AI text-to-image generation');
+  }
+
+  return imageUrl;
+}
+
+module.exports = {
+  name: 'fal-sdxl-lightning',
+  label: 'Fal AI',
+  stage: 'fal-text',
+  capabilities: {
+    modes: ['text-to-image'],
+    maxResolution: 1024
+  },
+  timeoutMs: 60000,
+  isConfigured: falClient.isConfigured,
+  generate
+};
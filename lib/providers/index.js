@@ -0,0 +1,274 @@
+/**
+ * Image Provider Registry
+ * ==============================================
+ *
+ * Central registry for the image generation backends used by /api/generate.
+ * Each provider registers itself with a name, a human readable label and its
+ * capabilities (supported generation modes and maximum resolution). The route
+ * no longer calls a specific backend: it asks the registry to run an ordered
+ * chain of providers and uses the first one that succeeds.
+ *
+ * PROVIDER SHAPE:
+ * ---------------
+ *   {
+ *     name: 'bfl-kontext',              // Unique identifier used in chains
+ *     label: 'BFL AI',                  // Name reported to the client
+ *     stage: 'bfl-polling',             // Job stage reported while it runs
+ *     capabilities: {
+ *       modes: ['text-to-image', 'image-to-image'],
+ *       maxResolution: 1024             // Largest width/height accepted
+ *     },
+ *     timeoutMs: 40000,                 // Max wait before moving to the next provider
+ *     isConfigured: () => boolean,      // False when credentials are missing
+ *     generate: async ({ prompt, image, width, height }) => imageUrl
+ *   }
+ *
+ * CHAIN CONFIGURATION:
+ * --------------------
+ * Chains are comma-separated provider names, read from the environment:
+ *   - IMAGE_TO_IMAGE_CHAIN (default: bfl-kontext,fal-kontext)
+ *   - TEXT_TO_IMAGE_CHAIN  (default: fal-sdxl-lightning)
+ * Providers that do not support the requested mode, or are not configured,
+ * are skipped when the chain is resolved.
+ *
+ * EVENTS:
+ * -------
+ * Every provider attempt emits an 'attempt' event on `events` with
+ * { provider, label, mode, ok, error, durationMs, at }, used by the live
+ * monitoring of the admin dashboard (lib/monitoring.js).
+ */
+
+const EventEmitter = require('events');
+
+const MODES = {
+  IMAGE_TO_IMAGE: 'image-to-image',
+  TEXT_TO_IMAGE: 'text-to-image'
+};
+
+const DEFAULT_CHAINS = {
+  [MODES.IMAGE_TO_IMAGE]: 'bfl-kontext,fal-kontext',
+  [MODES.TEXT_TO_IMAGE]: 'fal-sdxl-lightning'
+};
+
+const CHAIN_ENV_VARS = {
+  [MODES.IMAGE_TO_IMAGE]: 'IMAGE_TO_IMAGE_CHAIN',
+  [MODES.TEXT_TO_IMAGE]: 'TEXT_TO_IMAGE_CHAIN'
+};
+
+// Default timeout applied to providers that do not declare their own
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Registered providers by name (insertion order is preserved)
+const providers = new Map();
+
+const events = new EventEmitter();
+
+// Report the outcome of one provider attempt
+function emitAttempt(provider, mode, startedAt, error = null) {
+  const now = Date.now();
+  events.emit('attempt', {
+    provider: provider.name,
+    label: provider.label,
+    mode,
+    ok: !error,
+    error: error ? error.message : null,
+    durationMs: now - startedAt,
+    at: now
+  });
+}
+
+/**
+ * Register an image provider with the registry.
+ *
+ * @param {object} provider - Provider definition (see PROVIDER SHAPE above)
+ * @returns {object} - The registered provider
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name) {
+    throw new Error('Image provider must have a name');
+  }
+  if (typeof provider.generate !== 'function') {
+    throw new Error(`Image provider "${provider.name}" must implement generate()`);
+  }
+  if (!provider.capabilities || !Array.isArray(provider.capabilities.modes)) {
+    throw new Error(`Image provider "${provider.name}" must declare its supported modes`);
+  }
+
+  providers.set(provider.name, {
+    label: provider.name,
+    stage: provider.name,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    isConfigured: () => true,
+    ...provider
+  });
+
+  return providers.get(provider.name);
+}
+
+/**
+ * Look up a registered provider by name.
+ *
+ * @param {string} name - Provider name
+ * @returns {object|undefined}
+ */
+function getProvider(name) {
+  return providers.get(name);
+}
+
+/**
+ * List all registered providers with their capabilities.
+ *
+ * @returns {Array<object>}
+ */
+function listProviders() {
+  return Array.from(providers.values()).map((provider) => ({
+    name: provider.name,
+    label: provider.label,
+    stage: provider.stage,
+    capabilities: provider.capabilities,
+    timeoutMs: provider.timeoutMs,
+    configured: provider.isConfigured()
+  }));
+}
+
+/**
+ * Read the configured chain of provider names for a generation mode.
+ *
+ * @param {string} mode - 'image-to-image' or 'text-to-image'
+ * @returns {Array<string>}
+ */
+function getChainNames(mode) {
+  const configured = process.env[CHAIN_ENV_VARS[mode]] || DEFAULT_CHAINS[mode] || '';
+  return configured
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve the ordered list of usable providers for a generation mode.
+ * Unknown, unconfigured or incapable providers are skipped with a warning.
+ *
+ * @param {string} mode - 'image-to-image' or 'text-to-image'
+ * @param {Array<string>} [chain] - Explicit chain overriding the environment
+ * @returns {Array<object>}
+ */
+function resolveChain(mode, chain = getChainNames(mode)) {
+  const resolved = [];
+
+  for (const name of chain) {
+    const provider = providers.get(name);
+
+    if (!provider) {
+      console.warn(`⚠️ Unknown image provider in ${mode} chain: ${name}`);
+      continue;
+    }
+    if (!provider.capabilities.modes.includes(mode)) {
+      console.warn(`⚠️ Provider ${name} does not support ${mode}, skipping`);
+      continue;
+    }
+    if (!provider.isConfigured()) {
+      console.warn(`⚠️ Provider ${name} is not configured, skipping`);
+      continue;
+    }
+
+    resolved.push(provider);
+  }
+
+  return resolved;
+}
+
+// Create a timeout promise so a slow provider doesn't block the chain
+function timeoutPromise(ms) {
+  return new Promise((resolve) => setTimeout(() => resolve('TIMEOUT'), ms));
+}
+
+/**
+ * Run a generation request through the provider chain for its mode.
+ * Providers are tried in order; the first one returning an image wins.
+ *
+ * @param {object} request - Generation request
+ * @param {string} request.prompt - Text prompt guiding the generation
+ * @param {string} [request.image] - Sketch as a data URL (image-to-image only)
+ * @param {number} [request.width=768] - Requested output width
+ * @param {number} [request.height=768] - Requested output height
+ * @param {object} [options]
+ * @param {Array<string>} [options.chain] - Explicit chain overriding the environment
+ * @param {function} [options.onAttempt] - Called with (provider, index) before each attempt
+ * @returns {Promise<{image: string, provider: object, fallback: boolean, errors: Array}>}
+ */
+async function generateWithChain(request, options = {}) {
+  const mode = request.image ? MODES.IMAGE_TO_IMAGE : MODES.TEXT_TO_IMAGE;
+  const chain = resolveChain(mode, options.chain);
+  const errors = [];
+
+  if (chain.length === 0) {
+    throw new Error(`No configured image provider supports ${mode}`);
+  }
+
+  for (let index = 0; index < chain.length; index++) {
+    const provider = chain[index];
+    const maxResolution = provider.capabilities.maxResolution || Infinity;
+    const providerRequest = {
+      prompt: request.prompt,
+      image: request.image,
+      width: Math.min(request.width || 768, maxResolution),
+      height: Math.min(request.height || 768, maxResolution)
+    };
+
+    if (options.onAttempt) {
+      options.onAttempt(provider, index);
+    }
+
+    console.log(`Trying image provider ${index + 1}/${chain.length}: ${provider.name} (${mode})`);
+    const startedAt = Date.now();
+
+    try {
+      const result = await Promise.race([
+        provider.generate(providerRequest),
+        timeoutPromise(provider.timeoutMs)
+      ]);
+
+      if (result === 'TIMEOUT') {
+        throw new Error(`Request timed out after ${provider.timeoutMs / 1000} seconds`);
+      }
+      if (!result) {
+        throw new Error('Provider returned no image');
+      }
+
+      console.log(`✓ Image generated with ${provider.name}`);
+      emitAttempt(provider, mode, startedAt);
+      return {
+        image: result,
+        provider,
+        fallback: index > 0,
+        errors
+      };
+    } catch (error) {
+      console.error(`✗ Provider ${provider.name} failed:`, error.message);
+      errors.push({ provider: provider.name, message: error.message });
+      emitAttempt(provider, mode, startedAt, error);
+    }
+  }
+
+  const error = new Error(`All image providers failed for ${mode}`);
+  error.providerErrors = errors;
+  throw error;
+}
+
+module.exports = {
+  MODES,
+  events,
+  registerProvider,
+  getProvider,
+  listProviders,
+  getChainNames,
+  resolveChain,
+  generateWithChain
+};
+
+// Register the built-in providers
+registerProvider(require('./bfl-kontext'));
+registerProvider(require('./fal-kontext'));
+registerProvider(require('./fal-sdxl-lightning'));
+registerProvider(require('./mock'));
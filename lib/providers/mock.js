@@ -0,0 +1,67 @@
+/**
+ * Local Mock Provider
+ *
+ * Offline provider for development and for testing the fallback logic without
+ * calling any paid API. It returns an SVG placeholder showing the prompt.
+ *
+ * Environment options:
+ *   - MOCK_PROVIDER_DELAY_MS: simulated generation time (default 500)
+ *   - MOCK_PROVIDER_FAIL: set to "true" to make every generation fail
+ *   - MOCK_PROVIDER_IMAGE_URL: fixed image URL to return instead of the placeholder
+ */
+
+// Escape text for safe inclusion in the SVG markup
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Produce a placeholder image after a simulated delay.
+ *
+ * @param {object} request
+ * @param {string} request.prompt - The text prompt (shown in the placeholder)
+ * @param {string} [request.image] - Sketch data URL (embedded in the placeholder)
+ * @param {number} request.width - Output width
+ * @param {number} request.height - Output height
+ * @returns {Promise<string>} - Data URL of the placeholder image
+ */
+async function generate({ prompt, image, width, height }) {
+  const delay = parseInt(process.env.MOCK_PROVIDER_DELAY_MS || '500', 10);
+  await new Promise(resolve => setTimeout(resolve, delay));
+
+  if (process.env.MOCK_PROVIDER_FAIL === 'true') {
+    throw new Error('Mock provider configured to fail');
+  }
+
+  if (process.env.MOCK_PROVIDER_IMAGE_URL) {
+    return process.env.MOCK_PROVIDER_IMAGE_URL;
+  }
+
+  const caption = escapeXml((prompt || '').substring(0, 80));
+  const sketch = image
+    ? `<image href="${escapeXml(image)}" x="0" y="0" width="${width}" height="${height}" opacity="0.5"/>`
+    : '';
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="#7460C4"/>` +
+    sketch +
+    `<text x="50%" y="50%" fill="white" font-size="20" text-anchor="middle">${caption}</text>` +
+    `</svg>`;
+
+  return 'data:image/svg+xml;base64,' + Buffer.from(svg).toString('base64');
+}
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock',
+  stage: 'mock',
+  capabilities: {
+    modes: ['text-to-image', 'image-to-image'],
+    maxResolution: 2048
+  },
+  timeoutMs: 30000,
+  generate
+};
@@ -0,0 +1,218 @@
+/**
+ * Booth Room State
+ * ==============================================
+ *
+ * Last known state of each booth, kept from the messages of its controller so
+ * a screen that lost its connection can catch up (`resync`, see
+ * WEBSOCKET_README.md) instead of drifting apart from the rest of the booth:
+ *   - page     - 'home' (start screens) or 'app' (drawing / awaiting screens)
+ *   - locale   - Language picked by the visitor (`set_locale`)
+ *   - result   - Artwork revealed on the display (`result`), until the next drawing
+ *   - canvas   - Copy of the live drawing, rebuilt from the `canvas_update`
+ *                payloads the same way CanvasMirrorRenderer does
+ *                (public/canvas-mirror.js)
+ *
+ * States are kept in memory and dropped with their room.
+ */
+
+const rooms = require('./rooms');
+
+// A room is empty for a moment when both screens change pages at once:
+// its state is only dropped if it is still empty after this delay
+const RELEASE_DELAY_MS = 60000;
+
+// States by room code
+const states = new Map();
+
+function createCanvas() {
+  return {
+    items: [],            // Ordered finished strokes and shape references
+    shapes: new Map(),    // Shape data by id
+    activeStrokes: new Map(), // Strokes being drawn, by id
+    layers: null,         // Layers from the bottom up (null: a single layer)
+    canvasSize: null,
+    guess: null
+  };
+}
+
+function createState() {
+  return {
+    page: 'home',
+    locale: null,
+    result: null,
+    canvas: createCanvas(),
+    updatedAt: Date.now()
+  };
+}
+
+function getState(code) {
+  if (!states.has(code)) {
+    states.set(code, createState());
+  }
+  return states.get(code);
+}
+
+// Apply one canvas_update payload (see CanvasMirrorRenderer.apply)
+function applyCanvas(state, payload) {
+  const canvas = state.canvas;
+  if (payload.canvasSize) {
+    canvas.canvasSize = payload.canvasSize;
+  }
+
+  switch (payload.kind) {
+    case 'stroke_start':
+      // A new drawing closes the reveal of the previous artwork
+      state.result = null;
+      canvas.activeStrokes.set(payload.id, {
+        points: [payload.point],
+        color: payload.color,
+        size: payload.size,
+        layerId: payload.layerId,
+        erase: payload.erase
+      });
+      break;
+    case 'stroke_points': {
+      const stroke = canvas.activeStrokes.get(payload.id);
+      if (stroke && Array.isArray(payload.points)) {
+        stroke.points.push(...payload.points);
+      }
+      break;
+    }
+    case 'stroke_end': {
+      const stroke = canvas.activeStrokes.get(payload.id);
+      if (stroke) {
+        canvas.items.push(stroke);
+        canvas.activeStrokes.delete(payload.id);
+      }
+      break;
+    }
+    case 'shape':
+      if (!payload.shape || payload.shape.id === undefined) break;
+      state.result = null;
+      if (!canvas.shapes.has(payload.shape.id)) {
+        canvas.items.push({ shapeId: payload.shape.id });
+      }
+      canvas.shapes.set(payload.shape.id, payload.shape);
+      break;
+    case 'shape_remove':
+      canvas.shapes.delete(payload.id);
+      canvas.items = canvas.items.filter((item) => item.shapeId !== payload.id);
+      break;
+    case 'snapshot':
+      canvas.items = Array.isArray(payload.items) ? payload.items : [];
+      canvas.shapes = new Map((Array.isArray(payload.shapes) ? payload.shapes : []).map((shape) => [shape.id, shape]));
+      canvas.layers = Array.isArray(payload.layers) ? payload.layers : null;
+      canvas.activeStrokes.clear();
+      break;
+    case 'prediction':
+      canvas.guess = typeof payload.guess === 'string' ? payload.guess : null;
+      break;
+  }
+}
+
+// Back to the start screens: the next visitor starts from scratch
+function reset(state) {
+  state.page = 'home';
+  state.result = null;
+  state.canvas = createCanvas();
+}
+
+/**
+ * Update the state of a room with a message of its controller. Messages of
+ * other types are ignored.
+ *
+ * @param {string} code - Room code
+ * @param {object} data - Validated client message (lib/ws-protocol.js)
+ */
+function record(code, data) {
+  if (!code) return;
+  const state = getState(code);
+
+  switch (data.type) {
+    case 'controller_action':
+      if (data.action === 'return_to_home') {
+        reset(state);
+      } else if (data.action === 'set_locale' && data.payload && typeof data.payload.locale === 'string') {
+        state.locale = data.payload.locale;
+      } else {
+        return;
+      }
+      break;
+    case 'page_change':
+      if (data.page === 'home') {
+        reset(state);
+      } else {
+        state.page = data.page;
+      }
+      break;
+    case 'app_start':
+      state.page = 'app';
+      state.result = null;
+      state.canvas = createCanvas();
+      break;
+    case 'result':
+      state.page = 'app';
+      state.result = data.payload || null;
+      break;
+    case 'canvas_update':
+      // Only the drawing app streams its canvas
+      state.page = 'app';
+      applyCanvas(state, data.payload);
+      break;
+    default:
+      return;
+  }
+  state.updatedAt = Date.now();
+}
+
+/**
+ * State of a room for a screen that reconnected (`resync_state`). The drawing
+ * is a `snapshot` canvas payload, with the strokes in progress as finished
+ * ones.
+ *
+ * @param {string} code - Room code
+ * @returns {{page: string, locale: string|null, result: object|null, canvas: object|null, guess: string|null, updatedAt: number}}
+ */
+function describe(code) {
+  const state = getState(code);
+  const { canvas } = state;
+  const items = [...canvas.items, ...canvas.activeStrokes.values()];
+
+  return {
+    page: state.page,
+    locale: state.locale,
+    result: state.result,
+    canvas: items.length > 0 || canvas.canvasSize
+      ? {
+        kind: 'snapshot',
+        items,
+        shapes: Array.from(canvas.shapes.values()),
+        ...(canvas.layers ? { layers: canvas.layers } : {}),
+        ...(canvas.canvasSize ? { canvasSize: canvas.canvasSize } : {})
+      }
+      : null,
+    guess: canvas.guess,
+    updatedAt: state.updatedAt
+  };
+}
+
+/**
+ * Drop the state of a room that closed, unless a screen joins it again soon.
+ *
+ * @param {string} code - Room code
+ */
+function release(code) {
+  setTimeout(() => {
+    const isEmpty = rooms.getClients(code, 'controller').length === 0 &&
+      rooms.getClients(code, 'display').length === 0;
+    if (isEmpty) {
+      states.delete(code);
+    }
+  }, RELEASE_DELAY_MS).unref();
+}
+
+module.exports = {
+  record,
+  describe,
+  release
+};
@@ -0,0 +1,136 @@
+/**
+ * Booth Rooms (Controller/Display Pairing)
+ * ==============================================
+ *
+ * Several booths can share one server. Each booth is a room identified by a
+ * short pairing code: the display screen (index.html) gets a code from the
+ * server and shows it, and the controller (index2.html) joins the same room
+ * by entering the code or opening index2.html?room=CODE. Every WebSocket
+ * broadcast is scoped to the sender's room, so booths never control each
+ * other's screens.
+ *
+ * Codes can also be chosen by the operator (e.g. "BOOTH-1") by opening
+ * index.html?room=BOOTH-1 on the display. Rooms are kept in memory and removed
+ * when their last client disconnects.
+ */
+
+// No 0/O or 1/I so the code is easy to read on the display screen
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 4;
+
+// Operator chosen codes: letters, digits and dashes
+const CODE_PATTERN = /^[A-Z0-9-]{3,16}$/;
+
+// Rooms by code: { code, controllers: [], displays: [], createdAt }
+const rooms = new Map();
+
+/**
+ * Normalize a pairing code entered by a user.
+ *
+ * @param {string} code - Raw code
+ * @returns {string|null} - Upper-case code, or null if invalid
+ */
+function normalizeCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  return CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Generate a pairing code that is not in use.
+ *
+ * @returns {string}
+ */
+function generateCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+    }
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * Add a client to a room, creating the room if needed. A client that was
+ * already in another room leaves it first.
+ *
+ * @param {WebSocket} ws - Client socket
+ * @param {string} clientType - 'controller' or 'display'
+ * @param {string} code - Normalized room code
+ * @returns {object} - The room
+ */
+function join(ws, clientType, code) {
+  leave(ws);
+
+  if (!rooms.has(code)) {
+    rooms.set(code, { code, controllers: [], displays: [], createdAt: Date.now() });
+    console.log(`Room created: ${code}`);
+  }
+
+  const room = rooms.get(code);
+  room[clientType === 'controller' ? 'controllers' : 'displays'].push(ws);
+  ws.clientType = clientType;
+  ws.room = code;
+
+  return room;
+}
+
+/**
+ * Remove a client from its room. Empty rooms are deleted.
+ *
+ * @param {WebSocket} ws - Client socket
+ * @returns {object|null} - The room the client left
+ */
+function leave(ws) {
+  const room = rooms.get(ws.room);
+  if (!room) return null;
+
+  room.controllers = room.controllers.filter(client => client !== ws);
+  room.displays = room.displays.filter(client => client !== ws);
+  ws.room = null;
+
+  if (room.controllers.length === 0 && room.displays.length === 0) {
+    rooms.delete(room.code);
+    console.log(`Room closed: ${room.code}`);
+  }
+
+  return room;
+}
+
+/**
+ * Get the clients of one type in a room.
+ *
+ * @param {string} code - Room code
+ * @param {string} clientType - 'controller' or 'display'
+ * @returns {Array<WebSocket>}
+ */
+function getClients(code, clientType) {
+  const room = rooms.get(code);
+  if (!room) return [];
+  return clientType === 'controller' ? room.controllers : room.displays;
+}
+
+/**
+ * List the open rooms with their client counts.
+ *
+ * @returns {Array<{code: string, controllers: number, displays: number, createdAt: number}>}
+ */
+function listRooms() {
+  return Array.from(rooms.values()).map((room) => ({
+    code: room.code,
+    controllers: room.controllers.length,
+    displays: room.displays.length,
+    createdAt: room.createdAt
+  }));
+}
+
+module.exports = {
+  normalizeCode,
+  generateCode,
+  join,
+  leave,
+  getClients,
+  listRooms
+};
@@ -0,0 +1,144 @@
+/**
+ * Schema Validator
+ * ==============================================
+ *
+ * Minimal JSON schema validator shared by the API endpoints. The same schema
+ * objects describe the request bodies accepted by the routes and the
+ * structured responses expected from Gemini (see lib/gemini.js, which also
+ * sends them to Gemini as its response schema).
+ *
+ * The pages load this file too (served as /shared/schema.js, exposed as
+ * window.SchemaValidator) to validate the WebSocket messages of
+ * lib/ws-protocol.js.
+ *
+ * SUPPORTED KEYWORDS:
+ * -------------------
+ *   type        - 'object', 'array', 'string', 'number', 'integer', 'boolean'
+ *   nullable    - Also accept null
+ *   properties  - Schemas of the object properties
+ *   required    - Property names that must be present
+ *   items       - Schema of the array items
+ *   enum        - Allowed values
+ *   minLength / maxLength - String length bounds
+ *   minimum / maximum     - Number bounds
+ *   description - Documentation only (also sent to Gemini)
+ */
+
+class SchemaValidationError extends Error {
+  /**
+   * @param {string} message - Summary of the failure
+   * @param {Array<string>} errors - One message per invalid value
+   */
+  constructor(message, errors) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.code = 'invalid_schema';
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+// Check a value against a single schema type
+function matchesType(type, value) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {object} schema - Schema (see SUPPORTED KEYWORDS above)
+ * @param {*} value - Value to validate
+ * @param {string} [path='$'] - Location of the value, used in error messages
+ * @returns {Array<string>} - Validation errors, empty if the value is valid
+ */
+function validate(schema, value, path = '$') {
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [`${path} is required`];
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [`${path} must be of type ${schema.type}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (schema.type === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || (value[name] === null && !schema.properties?.[name]?.nullable)) {
+        errors.push(`${path}.${name} is required`);
+      }
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined && value[name] !== null) {
+        errors.push(...validate(propertySchema, value[name], `${path}.${name}`));
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value and throw a SchemaValidationError if it does not match.
+ *
+ * @param {object} schema - Schema to validate against
+ * @param {*} value - Value to validate
+ * @param {string} [message='Invalid value'] - Error message if validation fails
+ * @returns {*} - The value, for chaining
+ */
+function assertValid(schema, value, message = 'Invalid value') {
+  const errors = validate(schema, value);
+  if (errors.length > 0) {
+    throw new SchemaValidationError(message, errors);
+  }
+  return value;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SchemaValidationError,
+    validate,
+    assertValid
+  };
+} else {
+  window.SchemaValidator = { validate };
+}
@@ -0,0 +1,173 @@
+/**
+ * API Schemas
+ * ==============================================
+ *
+ * Schemas of the request bodies accepted by the API and of the structured
+ * answers expected from Gemini, validated with lib/schema.js.
+ */
+
+// Base64 data URLs of sketches are large: the JSON body limit (15mb) bounds them
+const dataUrl = { type: 'string', minLength: 1 };
+const optionalText = (maxLength) => ({ type: 'string', nullable: true, maxLength });
+
+// POST /api/predict
+const PREDICT_REQUEST = {
+  type: 'object',
+  properties: {
+    image: dataUrl,
+    previousPrediction: optionalText(200),
+    userResponse: optionalText(200),
+    locale: optionalText(16),
+    room: optionalText(16)
+  },
+  required: ['image']
+};
+
+// STEP 1 answer from Gemini
+const PREDICTION = {
+  type: 'object',
+  properties: {
+    prediction: {
+      type: 'string',
+      description: '2-3 words describing the sketch, in the language of the instructions',
+      minLength: 1,
+      maxLength: 80
+    },
+    ethics: {
+      type: 'integer',
+      description: '0 if the content is censored, otherwise 1',
+      enum: [0, 1]
+    },
+    // Grammar of the guess, used to phrase the question ("Est-ce que c'est une voiture rouge ?")
+    article: {
+      type: 'string',
+      nullable: true,
+      description: 'Indefinite article to place before the prediction (fr: un, une, des; en: a, an)',
+      maxLength: 5
+    },
+    gender: {
+      type: 'string',
+      nullable: true,
+      description: 'Grammatical gender of the main noun of the prediction',
+      enum: ['masculine', 'feminine']
+    },
+    number: {
+      type: 'string',
+      nullable: true,
+      description: 'Grammatical number of the main noun of the prediction',
+      enum: ['singular', 'plural']
+    }
+  },
+  required: ['prediction', 'ethics']
+};
+
+// Moderation answer from Gemini (lib/moderation.js)
+const MODERATION = {
+  type: 'object',
+  properties: {
+    allowed: {
+      type: 'boolean',
+      description: 'false if the content belongs to one of the listed categories'
+    },
+    categories: {
+      type: 'array',
+      description: 'Ids of the listed categories found in the content (empty if allowed)',
+      items: { type: 'string', maxLength: 40 }
+    }
+  },
+  required: ['allowed', 'categories']
+};
+
+// POST /api/generate (at least an image or a personal prompt, checked by the route)
+const GENERATE_REQUEST = {
+  type: 'object',
+  properties: {
+    image: { type: 'string', nullable: true },
+    style: optionalText(100),
+    question: optionalText(200),
+    answer: optionalText(200),
+    personalPrompt: optionalText(1000),
+    async: { type: 'boolean', nullable: true },
+    room: optionalText(16),
+    locale: optionalText(16)
+  }
+};
+
+// POST /api/moderation/decisions/:id/review
+const REVIEW_REQUEST = {
+  type: 'object',
+  properties: {
+    action: { type: 'string', enum: ['approve', 'override'] },
+    note: optionalText(500)
+  },
+  required: ['action']
+};
+
+// Moderation policy file and PUT /api/moderation/policy (lib/moderation-policy.js)
+// Category ids are checked against lib/moderation.js when the policy is applied
+const categoryList = { type: 'array', nullable: true, items: { type: 'string', maxLength: 40 } };
+const MODERATION_POLICY = {
+  type: 'object',
+  properties: {
+    name: optionalText(100),
+    allowed: categoryList,
+    blocked: categoryList,
+    keywords: {
+      type: 'array',
+      nullable: true,
+      items: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', maxLength: 40 },
+          words: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 60 } }
+        },
+        required: ['category', 'words']
+      }
+    }
+  }
+};
+
+// POST /api/drawings and PUT /api/drawings/:id
+// The document itself is checked by lib/drawing-document.js, which knows its versions
+const DRAWING_REQUEST = {
+  type: 'object',
+  properties: {
+    title: optionalText(100),
+    document: { type: 'object' }
+  },
+  required: ['document']
+};
+
+// `admin_command` WebSocket message of the admin dashboard (lib/kiosk-commands.js)
+// Without room or clientId, the command goes to every screen
+const ADMIN_COMMAND = {
+  type: 'object',
+  properties: {
+    requestId: { type: 'string', nullable: true, maxLength: 64 },
+    command: { type: 'string', enum: ['go_home', 'reload', 'clear_canvas', 'lock', 'unlock', 'show_message'] },
+    room: optionalText(16),
+    clientId: optionalText(64),
+    clientType: { type: 'string', nullable: true, enum: ['controller', 'display'] },
+    payload: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        // Message shown by show_message, or on the lock screen
+        text: optionalText(300),
+        durationMs: { type: 'integer', nullable: true, minimum: 1000, maximum: 600000 }
+      }
+    }
+  },
+  required: ['command']
+};
+
+module.exports = {
+  PREDICT_REQUEST,
+  PREDICTION,
+  MODERATION,
+  GENERATE_REQUEST,
+  REVIEW_REQUEST,
+  MODERATION_POLICY,
+  DRAWING_REQUEST,
+  ADMIN_COMMAND
+};
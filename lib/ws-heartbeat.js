@@ -0,0 +1,77 @@
+/**
+ * WebSocket Heartbeat
+ * ==============================================
+ *
+ * A tablet that goes to sleep or loses the Wi-Fi leaves a half-open socket:
+ * no `close` event arrives, so its screen would stay in its booth room
+ * forever. The server pings every client each WS_HEARTBEAT_INTERVAL_MS
+ * (WebSocket ping frames, answered by the browsers themselves). A client
+ * that has not answered since the previous ping is terminated, which runs
+ * the usual `close` handling of server.js: it leaves its room, the
+ * controllers get `display_left` and the admin dashboards a new snapshot.
+ *
+ * Any message from the client also counts as an answer.
+ */
+
+const WebSocket = require('ws');
+const { readInteger } = require('./env');
+
+// Time between two pings; a dead socket is evicted after one to two intervals (0 disables it)
+const HEARTBEAT_INTERVAL_MS = readInteger('WS_HEARTBEAT_INTERVAL_MS', 30000);
+
+function markAlive(ws) {
+  ws.isAlive = true;
+  ws.lastSeenAt = Date.now();
+}
+
+/**
+ * Follow the answers of a new client.
+ *
+ * @param {WebSocket} ws - Client socket
+ */
+function track(ws) {
+  markAlive(ws);
+  ws.on('pong', () => markAlive(ws));
+  ws.on('message', () => markAlive(ws));
+}
+
+/**
+ * Ping the clients of a WebSocket server and terminate the ones that stopped
+ * answering. Stops with the server.
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @returns {NodeJS.Timeout|null} - Heartbeat timer, null when disabled
+ */
+function start(wss) {
+  if (!HEARTBEAT_INTERVAL_MS) {
+    console.log('WebSocket heartbeat disabled');
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        const silentFor = Math.round((Date.now() - ws.lastSeenAt) / 1000);
+        console.warn(`⚠️ Evicting stale ${ws.clientType || 'unregistered'} client ${ws.id}` +
+          `${ws.room ? ` in room ${ws.room}` : ''}: no answer for ${silentFor}s`);
+        ws.evicted = true;
+        ws.terminate();
+        return;
+      }
+
+      ws.isAlive = false;
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.ping();
+      }
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(timer));
+  return timer;
+}
+
+module.exports = {
+  HEARTBEAT_INTERVAL_MS,
+  track,
+  start
+};
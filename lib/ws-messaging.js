@@ -0,0 +1,203 @@
+/**
+ * WebSocket Messaging
+ * ==============================================
+ *
+ * Server side of the WebSocket protocol (lib/ws-protocol.js):
+ *   - Incoming messages are validated; unknown or invalid ones are answered
+ *     with `protocol_error` and dropped
+ *   - Outgoing messages are validated and numbered per connection (`seq`)
+ *   - Critical messages from the screens are acknowledged, and the ones
+ *     already handled (retries) are not forwarded twice
+ *   - Critical messages to the screens are sent again until they are
+ *     acknowledged, at most MAX_RETRIES times
+ *
+ * Screens of protocol version 1 (pages cached before the update) never
+ * acknowledge, so they get every message once, as before.
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const protocol = require('./ws-protocol');
+
+// Ids of the critical messages already handled, oldest first
+const MAX_HANDLED_IDS = 1000;
+const handledIds = new Set();
+
+function serialize(ws, message) {
+  ws.seq = (ws.seq || 0) + 1;
+  return JSON.stringify({ ...message, seq: ws.seq });
+}
+
+/**
+ * Send a message to a client, if it is connected. Critical messages to a
+ * client of protocol version 2 are kept until they are acknowledged.
+ *
+ * @param {WebSocket} ws - Client socket
+ * @param {object} message - Message (lib/ws-protocol.js, server messages)
+ * @returns {boolean} - Whether the message was sent
+ */
+function send(ws, message) {
+  const errors = protocol.validateMessage('server', message);
+  if (errors.length > 0) {
+    console.error(`✗ Not sending invalid ${message.type} message:`, errors);
+    return false;
+  }
+  if (ws.readyState !== WebSocket.OPEN) return false;
+
+  if (protocol.isCritical('server', message) && ws.protocolVersion >= 2) {
+    message = withId(message);
+    expectAck(ws, message);
+  }
+  ws.send(serialize(ws, message));
+  return true;
+}
+
+/**
+ * Give an id to a critical message without one, so every recipient of a
+ * broadcast acknowledges the same id.
+ *
+ * @param {object} message - Server message
+ * @returns {object} - The message, with an id if it is critical
+ */
+function withId(message) {
+  if (message.id || !protocol.isCritical('server', message)) return message;
+  return { ...message, id: `server-${crypto.randomUUID()}` };
+}
+
+// Send the message again until the client acknowledges it
+function expectAck(ws, message) {
+  if (!ws.pendingAcks) ws.pendingAcks = new Map();
+
+  const retry = (attempt) => setTimeout(() => {
+    if (ws.readyState !== WebSocket.OPEN || !ws.pendingAcks.has(message.id)) return;
+    if (attempt > protocol.MAX_RETRIES) {
+      ws.pendingAcks.delete(message.id);
+      console.warn(`⚠️ ${ws.clientType} ${ws.id} never acknowledged ${message.type} ${message.id}`);
+      return;
+    }
+    console.log(`Resending ${message.type} ${message.id} to ${ws.clientType} ${ws.id} (attempt ${attempt}/${protocol.MAX_RETRIES})`);
+    ws.send(serialize(ws, message));
+    ws.pendingAcks.set(message.id, retry(attempt + 1));
+  }, protocol.ACK_TIMEOUT_MS);
+
+  clearTimeout(ws.pendingAcks.get(message.id));
+  ws.pendingAcks.set(message.id, retry(1));
+}
+
+// Remember the id of a handled critical message; false if it was already handled
+function markHandled(id) {
+  if (handledIds.has(id)) return false;
+  handledIds.add(id);
+  if (handledIds.size > MAX_HANDLED_IDS) {
+    handledIds.delete(handledIds.values().next().value);
+  }
+  return true;
+}
+
+function reject(ws, data, error, details = []) {
+  console.warn(`⚠️ WebSocket message rejected (${error}):`, data && data.type, details);
+  send(ws, {
+    type: 'protocol_error',
+    error,
+    messageType: data && typeof data.type === 'string' ? data.type.slice(0, 80) : null,
+    messageId: data && typeof data.id === 'string' ? data.id.slice(0, 80) : null,
+    details,
+    protocolVersion: protocol.PROTOCOL_VERSION
+  });
+}
+
+/**
+ * Check a message received from a client before it is handled: validation,
+ * acknowledgement of critical messages and duplicate detection. Handles the
+ * `ack` messages itself.
+ *
+ * @param {WebSocket} ws - Client socket
+ * @param {object} data - Parsed message
+ * @returns {boolean} - Whether the message must be handled
+ */
+function receive(ws, data) {
+  const definition = data && typeof data.type === 'string' ? protocol.getDefinition('client', data.type) : null;
+  if (!definition) {
+    reject(ws, data, 'unknown_type');
+    return false;
+  }
+
+  const errors = protocol.validateMessage('client', data);
+  if (errors.length > 0) {
+    reject(ws, data, 'invalid_message', errors);
+    return false;
+  }
+
+  if (data.type === 'ack') {
+    if (ws.pendingAcks && ws.pendingAcks.has(data.id)) {
+      clearTimeout(ws.pendingAcks.get(data.id));
+      ws.pendingAcks.delete(data.id);
+    }
+    return false;
+  }
+
+  // Not acknowledged, so the screen sends it again once registered
+  if (definition.room && !ws.room) {
+    reject(ws, data, 'not_registered');
+    return false;
+  }
+
+  if (protocol.isCritical('client', data)) {
+    // Screens of version 1 send them once, without an id
+    if (!data.id) {
+      if (ws.protocolVersion >= 2) {
+        reject(ws, data, 'invalid_message', ['$.id is required (critical message)']);
+        return false;
+      }
+      return true;
+    }
+    send(ws, { type: 'ack', id: data.id });
+    if (!markHandled(data.id)) {
+      console.log(`Ignoring ${data.type} ${data.id}: already handled`);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Check the protocol version sent with `register_*` and remember it.
+ *
+ * @param {WebSocket} ws - Client socket
+ * @param {object} data - The register message
+ * @returns {boolean} - false if the version is not supported (the client was told)
+ */
+function negotiateVersion(ws, data) {
+  const version = data.protocolVersion || 1;
+  if (!protocol.isSupportedVersion(version)) {
+    reject(ws, data, 'unsupported_version', [
+      `Supported versions: ${protocol.MIN_PROTOCOL_VERSION} to ${protocol.PROTOCOL_VERSION}`
+    ]);
+    return false;
+  }
+
+  if (version < protocol.PROTOCOL_VERSION) {
+    console.warn(`⚠️ ${data.type} with protocol version ${version}: the page was cached before the update`);
+  }
+  ws.protocolVersion = version;
+  return true;
+}
+
+/**
+ * Forget the messages waiting for an acknowledgement of a closed client.
+ *
+ * @param {WebSocket} ws - Client socket
+ */
+function release(ws) {
+  if (!ws.pendingAcks) return;
+  ws.pendingAcks.forEach((timer) => clearTimeout(timer));
+  ws.pendingAcks.clear();
+}
+
+module.exports = {
+  send,
+  withId,
+  receive,
+  negotiateVersion,
+  release
+};
@@ -0,0 +1,231 @@
+/**
+ * WebSocket Protocol
+ * ==============================================
+ *
+ * Shared definition of the messages exchanged by the screens (WebSocketSync
+ * in public/websocket-client.js, the admin dashboard) and the WebSocket hub
+ * of server.js. Node loads it with require(); the pages load it from
+ * /shared/ws-protocol.js after /shared/schema.js (window.WsProtocol).
+ *
+ * VERSIONS:
+ * ---------
+ *   1 - Untyped JSON messages (pages cached before version 2)
+ *   2 - Version handshake, validated messages, message ids and acknowledgements
+ *
+ * HANDSHAKE:
+ * ----------
+ * The server announces its version in `connection_established`. Clients send
+ * theirs in `register_*` (`protocolVersion`, 1 when missing) and the server
+ * answers `protocol_error` (unsupported_version) to a version it does not
+ * support. A page older than the server reloads itself to get the new scripts.
+ *
+ * ENVELOPE:
+ * ---------
+ *   type  - Message type, see MESSAGES
+ *   id    - Message id, unique per sender (critical messages of version 2)
+ *   seq   - Number of the message on the sender's connection, for debugging
+ *
+ * ACKNOWLEDGEMENTS:
+ * -----------------
+ * Critical messages (navigation of the screens, results) are acknowledged
+ * hop by hop with `ack { id }`: the server acknowledges the controller, then
+ * each display acknowledges the server. A critical message without an
+ * acknowledgement is sent again every ACK_TIMEOUT_MS, at most MAX_RETRIES
+ * times, and receivers skip the ids they already handled. Forwarded messages
+ * keep the id of the original message, so one id follows an action across
+ * the screens in the logs.
+ *
+ * Unknown or invalid messages are dropped; the server answers them with
+ * `protocol_error { error, messageType, messageId, details }`.
+ */
+
+(function (root) {
+  const { validate } = typeof require === 'function' ? require('./schema') : root.SchemaValidator;
+
+  const PROTOCOL_VERSION = 2;
+  const MIN_PROTOCOL_VERSION = 1;
+
+  const ACK_TIMEOUT_MS = 3000;
+  const MAX_RETRIES = 5;
+
+  // Controller actions that move the screens of the booth
+  const CRITICAL_ACTIONS = ['return_to_home', 'set_locale'];
+
+  const PROTOCOL_ERRORS = ['unknown_type', 'invalid_message', 'not_registered', 'unsupported_version'];
+
+  const text = (maxLength) => ({ type: 'string', nullable: true, maxLength });
+  const count = { type: 'integer', nullable: true, minimum: 0 };
+  const flag = { type: 'boolean', nullable: true };
+  // Free-form data of the pages (actions, results, progress details)
+  const data = { type: 'object', nullable: true };
+  const version = { type: 'integer', nullable: true, minimum: 1 };
+
+  // Schema of a message: its properties plus the envelope
+  function message(properties = {}, required = []) {
+    return {
+      type: 'object',
+      properties: {
+        type: { type: 'string' },
+        id: text(80),
+        seq: count,
+        ...properties
+      },
+      required: ['type', ...required]
+    };
+  }
+
+  const registration = message({ room: text(16), locked: flag, protocolVersion: version });
+  const isCriticalAction = (m) => CRITICAL_ACTIONS.includes(m.action);
+
+  /*
+   * Message types by sender. Options:
+   *   schema   - Schema of the whole message
+   *   critical - true, or a function of the message: acknowledged and retried
+   *   room     - Only accepted from a screen registered in a booth room
+   */
+  const MESSAGES = {
+    client: {
+      register_controller: { schema: registration },
+      register_display: { schema: registration },
+      register_admin: { schema: message({ token: text(200), protocolVersion: version }) },
+      // The command itself is checked by lib/kiosk-commands.js
+      admin_command: { schema: message({ command: { type: 'string', maxLength: 40 } }, ['command']) },
+      command_ack: { schema: message({ commandId: { type: 'string', maxLength: 80 }, ok: { type: 'boolean' }, error: text(200) }, ['commandId', 'ok']) },
+      controller_action: { schema: message({ action: { type: 'string', maxLength: 40 }, payload: data }, ['action']), critical: isCriticalAction, room: true },
+      page_change: { schema: message({ page: { type: 'string', maxLength: 40 }, payload: data }, ['page']), critical: true, room: true },
+      app_start: { schema: message({ payload: data }), critical: true, room: true },
+      result: { schema: message({ payload: data }), critical: true, room: true },
+      canvas_update: {
+        schema: message({ payload: { type: 'object', properties: { kind: { type: 'string', maxLength: 40 } }, required: ['kind'] } }, ['payload']),
+        room: true
+      },
+      canvas_snapshot_request: { schema: message(), room: true },
+      // Sent after a reconnection, answered with resync_state
+      resync: { schema: message(), room: true },
+      ack: { schema: message({ id: { type: 'string', maxLength: 80 } }, ['id']) }
+    },
+    server: {
+      connection_established: { schema: message({ message: text(200), protocolVersion: { type: 'integer' } }, ['protocolVersion']) },
+      protocol_error: {
+        schema: message({
+          error: { type: 'string', enum: PROTOCOL_ERRORS },
+          messageType: text(80),
+          messageId: text(80),
+          details: { type: 'array', nullable: true, items: { type: 'string' } },
+          protocolVersion: { type: 'integer' }
+        }, ['error', 'protocolVersion'])
+      },
+      room_joined: { schema: message({ room: { type: 'string', maxLength: 16 }, displays: count, controllers: count }, ['room']) },
+      room_required: { schema: message() },
+      // Presence of the displays, for the controllers of the room (`displays`: how many are left)
+      display_joined: { schema: message({ room: { type: 'string', maxLength: 16 }, displays: { type: 'integer', minimum: 0 } }, ['room', 'displays']) },
+      display_left: {
+        schema: message({
+          room: { type: 'string', maxLength: 16 },
+          displays: { type: 'integer', minimum: 0 },
+          reason: { type: 'string', enum: ['closed', 'timeout', 'moved'] }
+        }, ['room', 'displays', 'reason'])
+      },
+      admin_snapshot: { schema: message({ snapshot: { type: 'object' } }, ['snapshot']) },
+      admin_unauthorized: { schema: message() },
+      command_sent: { schema: message({ requestId: text(64), commandId: { type: 'string' }, command: { type: 'string' }, targets: { type: 'array' } }, ['commandId', 'command', 'targets']) },
+      command_ack: { schema: message({ commandId: { type: 'string' }, clientId: { type: 'string' }, clientType: { type: 'string' }, room: text(16), ok: { type: 'boolean' }, error: text(200) }, ['commandId', 'clientId', 'ok']) },
+      command_timeout: { schema: message({ commandId: { type: 'string' }, missing: { type: 'array' } }, ['commandId', 'missing']) },
+      command_error: { schema: message({ requestId: text(64), error: { type: 'string' }, details: { type: 'array', nullable: true } }, ['error']) },
+      admin_command: { schema: message({ commandId: { type: 'string' }, command: { type: 'string' }, payload: data }, ['commandId', 'command']) },
+      sync_action: { schema: message({ action: { type: 'string' }, payload: data }, ['action']), critical: isCriticalAction },
+      sync_page_change: { schema: message({ page: { type: 'string' }, payload: data }, ['page']), critical: true },
+      sync_app_start: { schema: message({ payload: data }), critical: true },
+      sync_result: { schema: message({ payload: data }), critical: true },
+      sync_canvas: { schema: message({ payload: { type: 'object' } }, ['payload']) },
+      sync_canvas_request: { schema: message() },
+      // State of the booth (lib/room-state.js) for a screen that reconnected
+      resync_state: {
+        schema: message({
+          room: { type: 'string', maxLength: 16 },
+          page: { type: 'string', maxLength: 40 },
+          // Copied from the controller's messages: no length limits
+          locale: { type: 'string', nullable: true },
+          result: data,
+          canvas: data,
+          guess: { type: 'string', nullable: true },
+          generation: data,
+          controllers: count,
+          displays: count,
+          updatedAt: count
+        }, ['room', 'page'])
+      },
+      generation_progress: { schema: message({ jobId: { type: 'string' }, stage: { type: 'string' }, status: { type: 'string' }, details: data }, ['jobId', 'stage', 'status']) },
+      moderation_override: { schema: message({ decisionId: { type: 'string' } }, ['decisionId']), critical: true },
+      ack: { schema: message({ id: { type: 'string', maxLength: 80 } }, ['id']) }
+    }
+  };
+
+  /**
+   * Definition of a message type.
+   *
+   * @param {string} sender - 'client' or 'server'
+   * @param {string} type - Message type
+   * @returns {object|null} - { schema, critical, room }, null for an unknown type
+   */
+  function getDefinition(sender, type) {
+    return Object.prototype.hasOwnProperty.call(MESSAGES[sender], type) ? MESSAGES[sender][type] : null;
+  }
+
+  /**
+   * Whether a message must be acknowledged by its receiver.
+   *
+   * @param {string} sender - 'client' or 'server'
+   * @param {object} msg - The message
+   * @returns {boolean}
+   */
+  function isCritical(sender, msg) {
+    const definition = msg && getDefinition(sender, msg.type);
+    if (!definition || !definition.critical) return false;
+    return definition.critical === true || definition.critical(msg);
+  }
+
+  /**
+   * Validate a message against its definition.
+   *
+   * @param {string} sender - 'client' or 'server'
+   * @param {object} msg - The message
+   * @returns {Array<string>} - Validation errors, empty if the message is valid
+   */
+  function validateMessage(sender, msg) {
+    if (!msg || typeof msg !== 'object' || typeof msg.type !== 'string') {
+      return ['$.type is required'];
+    }
+    const definition = getDefinition(sender, msg.type);
+    if (!definition) {
+      return [`Unknown message type: ${msg.type}`];
+    }
+
+    return validate(definition.schema, msg);
+  }
+
+  function isSupportedVersion(protocolVersion) {
+    return Number.isInteger(protocolVersion) &&
+      protocolVersion >= MIN_PROTOCOL_VERSION &&
+      protocolVersion <= PROTOCOL_VERSION;
+  }
+
+  const api = {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    ACK_TIMEOUT_MS,
+    MAX_RETRIES,
+    CRITICAL_ACTIONS,
+    MESSAGES,
+    getDefinition,
+    isCritical,
+    validateMessage,
+    isSupportedVersion
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.WsProtocol = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
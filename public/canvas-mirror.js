@@ -0,0 +1,361 @@
+// Canvas Mirror
+//
+// Streams the controller's drawing to the display screen over the WebSocket
+// hub.  The controller (app.html) uses CanvasMirrorSender to send stroke
+// deltas from `paths`, shape changes from `shapes`, the layers and the
+// current prediction guess.  The display (awaiting.html) uses CanvasMirrorRenderer
+// to rebuild and render a live copy of the drawing.
+//
+// Payload kinds sent with the `canvas_update` message:
+//   stroke_start  - { id, color, size, point, layerId, erase }
+//   stroke_points - { id, points }            (batched deltas)
+//   stroke_end    - { id }
+//   shape         - { shape }                 (created or modified shape)
+//   shape_remove  - { id }
+//   snapshot      - { items, shapes, layers } (full state after undo/redo/clear
+//                                              and layer changes)
+//   prediction    - { guess }
+// Every payload also carries `canvasSize`, the page of the drawing (coordinates
+// and sizes are in page units, see lib/drawing-document.js), so the display
+// can scale the drawing.
+// Points are those of the stroke model ({ x, y, t, p }, see stroke.js), so the
+// display draws the same smoothed, pressure-sensitive lines.  Strokes and
+// shapes carry their `layerId`; `layers` lists the layers from the bottom up
+// (see layers.js).  Without `layers` (older controllers) the drawing is a
+// single layer.
+
+// Serialize a Shape instance into plain data for the display
+function serializeMirrorShape(shape) {
+  return {
+    id: shape.id,
+    type: shape.type,
+    x: shape.x,
+    y: shape.y,
+    width: shape.width,
+    height: shape.height,
+    rotation: shape.rotation,
+    borderColor: shape.borderColor,
+    fillColor: shape.fillColor,
+    layerId: shape.layerId
+  };
+}
+
+// Serialize a layer for the display (its number only names it on the controller)
+function serializeMirrorLayer(layer) {
+  return {
+    id: layer.id,
+    visible: layer.visible,
+    opacity: layer.opacity
+  };
+}
+
+class CanvasMirrorSender {
+  constructor(pageSize, getState) {
+    this.pageSize = pageSize; // { width, height } of the page
+    this.getState = getState; // Returns the current { paths, shapes, layers }
+    this.strokeId = null;
+    this.pendingPoints = [];
+    this.pendingShapes = new Map();
+    this.flushTimer = null;
+    this.flushInterval = 50; // Batch deltas to at most 20 messages per second
+  }
+
+  // Only the controller streams its canvas
+  getSync() {
+    const sync = window.wsSync;
+    return sync && sync.clientType === 'controller' ? sync : null;
+  }
+
+  send(payload) {
+    const sync = this.getSync();
+    if (!sync) return;
+
+    sync.sendCanvasUpdate({
+      ...payload,
+      canvasSize: { width: this.pageSize.width, height: this.pageSize.height }
+    });
+  }
+
+  scheduleFlush() {
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+  }
+
+  // Send the batched stroke points and shape changes
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.strokeId && this.pendingPoints.length > 0) {
+      this.send({ kind: 'stroke_points', id: this.strokeId, points: this.pendingPoints });
+      this.pendingPoints = [];
+    }
+
+    this.pendingShapes.forEach((shape) => {
+      this.send({ kind: 'shape', shape: serializeMirrorShape(shape) });
+    });
+    this.pendingShapes.clear();
+  }
+
+  // Stroke of the stroke model with its first point
+  strokeStart(stroke) {
+    this.flush();
+    this.strokeId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    this.send({
+      kind: 'stroke_start',
+      id: this.strokeId,
+      color: stroke.color,
+      size: stroke.size,
+      point: stroke.points[0],
+      layerId: stroke.layerId,
+      erase: Boolean(stroke.erase)
+    });
+  }
+
+  strokePoint(point) {
+    if (!this.strokeId) return;
+    this.pendingPoints.push(point);
+    this.scheduleFlush();
+  }
+
+  strokeEnd() {
+    if (!this.strokeId) return;
+    this.flush();
+    this.send({ kind: 'stroke_end', id: this.strokeId });
+    this.strokeId = null;
+  }
+
+  shapeChanged(shape) {
+    if (!shape) return;
+    this.pendingShapes.set(shape.id, shape);
+    this.scheduleFlush();
+  }
+
+  shapeRemoved(shapeId) {
+    this.pendingShapes.delete(shapeId);
+    this.send({ kind: 'shape_remove', id: shapeId });
+  }
+
+  // Send the whole drawing (used after undo/redo/clear and when a display asks for it)
+  snapshot() {
+    this.flush();
+    const { paths, shapes, layers } = this.getState();
+    const layerIds = new Set(layers.map((layer) => layer.id));
+
+    // Keep the drawing order of redraw(): strokes and shapes as they
+    // appear in paths, without the content of removed layers
+    const items = [];
+    for (const path of paths) {
+      if (path.isShape) {
+        const shape = shapes.find((s) => s.id === path.shapeId);
+        if (shape && layerIds.has(shape.layerId)) {
+          items.push({ shapeId: path.shapeId });
+        }
+      } else if (path.points && layerIds.has(path.layerId)) {
+        items.push({
+          points: path.points,
+          color: path.color,
+          size: path.size,
+          layerId: path.layerId,
+          erase: Boolean(path.erase)
+        });
+      }
+    }
+
+    this.send({
+      kind: 'snapshot',
+      items,
+      shapes: shapes.map(serializeMirrorShape),
+      layers: layers.map(serializeMirrorLayer)
+    });
+  }
+
+  prediction(guess) {
+    this.send({ kind: 'prediction', guess });
+  }
+}
+
+class CanvasMirrorRenderer {
+  constructor(canvas, guessElement) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.guessElement = guessElement;
+    this.items = [];               // Ordered strokes and shape references
+    this.shapes = new Map();       // Shape data by id
+    this.activeStrokes = new Map(); // Strokes currently being drawn
+    this.layers = null;            // Layers from the bottom up, null for a single layer
+    this.sourceSize = { width: 1, height: 1 };
+    this.renderScheduled = false;
+  }
+
+  apply(payload) {
+    if (payload.canvasSize) {
+      this.sourceSize = payload.canvasSize;
+    }
+
+    switch (payload.kind) {
+      case 'stroke_start':
+        this.activeStrokes.set(payload.id, {
+          points: [payload.point],
+          color: payload.color,
+          size: payload.size,
+          layerId: payload.layerId,
+          erase: payload.erase
+        });
+        break;
+      case 'stroke_points': {
+        const stroke = this.activeStrokes.get(payload.id);
+        if (stroke) {
+          stroke.points.push(...payload.points);
+        }
+        break;
+      }
+      case 'stroke_end': {
+        const stroke = this.activeStrokes.get(payload.id);
+        if (stroke) {
+          this.items.push(stroke);
+          this.activeStrokes.delete(payload.id);
+        }
+        break;
+      }
+      case 'shape':
+        if (!this.shapes.has(payload.shape.id)) {
+          this.items.push({ shapeId: payload.shape.id });
+        }
+        this.shapes.set(payload.shape.id, payload.shape);
+        break;
+      case 'shape_remove':
+        this.shapes.delete(payload.id);
+        this.items = this.items.filter((item) => item.shapeId !== payload.id);
+        break;
+      case 'snapshot':
+        this.items = payload.items || [];
+        this.shapes = new Map((payload.shapes || []).map((shape) => [shape.id, shape]));
+        this.layers = payload.layers || null;
+        this.activeStrokes.clear();
+        break;
+      case 'prediction':
+        this.showGuess(payload.guess);
+        return;
+      default:
+        console.log('Unknown canvas update kind:', payload.kind);
+        return;
+    }
+
+    this.scheduleRender();
+  }
+
+  showGuess(guess) {
+    if (!this.guessElement) return;
+    this.guessElement.textContent = guess ? `🤔 ${guess} ?` : '';
+    this.guessElement.classList.toggle('hidden', !guess);
+  }
+
+  scheduleRender() {
+    if (this.renderScheduled) return;
+    this.renderScheduled = true;
+    requestAnimationFrame(() => {
+      this.renderScheduled = false;
+      this.render();
+    });
+  }
+
+  render() {
+    const { canvas, ctx } = this;
+
+    // Match the element size and the pixel density so the mirror stays sharp
+    const pixelRatio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * pixelRatio);
+    const height = Math.round(canvas.clientHeight * pixelRatio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    // Fit the page of the drawing inside the display canvas, keeping its aspect ratio
+    const scale = Math.min(canvas.width / this.sourceSize.width, canvas.height / this.sourceSize.height);
+    const offsetX = (canvas.width - this.sourceSize.width * scale) / 2;
+    const offsetY = (canvas.height - this.sourceSize.height * scale) / 2;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.save();
+    ctx.translate(offsetX, offsetY);
+    ctx.scale(scale, scale);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, this.sourceSize.width, this.sourceSize.height);
+
+    const items = [...this.items, ...this.activeStrokes.values()];
+    const layers = this.layers || [{ id: null, visible: true, opacity: 1 }];
+    renderLayers(ctx, layers.filter((layer) => layer.visible), (layerCtx, layer) => {
+      for (const item of items) {
+        if (layer.id === null || this.layerIdOf(item) === layer.id) {
+          this.drawItem(layerCtx, item);
+        }
+      }
+    });
+
+    ctx.restore();
+  }
+
+  layerIdOf(item) {
+    if (item.shapeId) {
+      const shape = this.shapes.get(item.shapeId);
+      return shape ? shape.layerId : null;
+    }
+    return item.layerId;
+  }
+
+  drawItem(ctx, item) {
+    if (item.shapeId) {
+      const shape = this.shapes.get(item.shapeId);
+      if (shape) this.drawShape(ctx, shape);
+    } else {
+      renderStroke(ctx, item);
+    }
+  }
+
+  // Same geometry as Shape.draw() in script.js, without the editing handles
+  drawShape(ctx, shape) {
+    const centerX = shape.x + shape.width / 2;
+    const centerY = shape.y + shape.height / 2;
+
+    ctx.save();
+    ctx.strokeStyle = shape.borderColor;
+    ctx.fillStyle = shape.fillColor;
+    ctx.lineWidth = 2;
+
+    if (shape.rotation) {
+      ctx.translate(centerX, centerY);
+      ctx.rotate(shape.rotation * Math.PI / 180);
+      ctx.translate(-centerX, -centerY);
+    }
+
+    ctx.beginPath();
+    if (shape.type === 'square') {
+      ctx.rect(shape.x, shape.y, shape.width, shape.height);
+      ctx.fill();
+      ctx.stroke();
+    } else if (shape.type === 'circle') {
+      ctx.ellipse(centerX, centerY, Math.abs(shape.width / 2), Math.abs(shape.height / 2), 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    } else if (shape.type === 'triangle') {
+      ctx.moveTo(shape.x + shape.width / 2, shape.y);
+      ctx.lineTo(shape.x, shape.y + shape.height);
+      ctx.lineTo(shape.x + shape.width, shape.y + shape.height);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    } else if (shape.type === 'line') {
+      ctx.moveTo(shape.x, shape.y);
+      ctx.lineTo(shape.x + shape.width, shape.y + shape.height);
+      ctx.lineWidth = 3;
+      ctx.lineCap = 'round';
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+}
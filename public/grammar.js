@@ -0,0 +1,213 @@
+// French Grammar
+//
+// Phrases the prediction question in French ("Est-ce que c'est une voiture
+// rouge ?", "Est-ce que ce sont des fleurs ?").  Gemini returns the article,
+// gender and number of its guess with the prediction (see the PREDICTION
+// schema in lib/schemas.js).  When they are missing, the head noun of the
+// guess is looked up in the lexicon below, and unknown nouns are guessed from
+// their ending.
+//
+// The head noun is the first word that is not an article, a number or an
+// adjective placed before the noun: "petite voiture rouge" -> "voiture".
+
+const FRENCH_INDEFINITE_ARTICLES = { masculine: 'un', feminine: 'une', plural: 'des' };
+
+// Words removed from the start of a guess ("un chat" -> "chat")
+const FRENCH_LEADING_ARTICLES = [
+  'un', 'une', 'des', 'le', 'la', 'les', 'l\'', 'du', 'de', 'd\'', 'ce', 'cet', 'cette', 'ces'
+];
+
+// Counted guesses have no article: "Est-ce que ce sont deux chats ?"
+const FRENCH_QUANTIFIERS = [
+  'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+  'plusieurs', 'quelques', 'beaucoup', 'nombreux', 'nombreuses'
+];
+
+// Adjectives that usually come before the noun
+const FRENCH_PRENOMINAL_ADJECTIVES = [
+  'petit', 'petite', 'petits', 'petites', 'grand', 'grande', 'grands', 'grandes',
+  'gros', 'grosse', 'grosses', 'beau', 'bel', 'belle', 'beaux', 'belles',
+  'joli', 'jolie', 'jolis', 'jolies', 'vieux', 'vieil', 'vieille', 'vieilles',
+  'jeune', 'jeunes', 'bon', 'bonne', 'bons', 'bonnes', 'mauvais', 'mauvaise', 'mauvaises',
+  'nouveau', 'nouvel', 'nouvelle', 'nouveaux', 'nouvelles', 'long', 'longue', 'longs', 'longues',
+  'haut', 'haute', 'hauts', 'hautes', 'gentil', 'gentille', 'premier', 'première',
+  'dernier', 'dernière', 'autre', 'autres', 'double', 'mini', 'super', 'énorme', 'immense'
+];
+
+// Gender of common drawable nouns (singular forms)
+const FRENCH_LEXICON = (() => {
+  const masculine = `
+    chat chien oiseau poisson cheval lapin lion tigre éléphant ours loup renard singe serpent
+    crocodile dauphin requin papillon escargot hibou canard cochon mouton poussin dinosaure dragon
+    insecte animal zèbre chameau kangourou panda koala écureuil hérisson perroquet aigle pingouin
+    manchot phoque poulpe crabe homard ver moustique scarabée taureau veau âne
+    arbre soleil nuage ciel arc-en-ciel éclair océan lac fleuve volcan désert champ jardin parc
+    rocher caillou sable village paysage chemin sommet bois
+    bateau avion train bus vélo camion hélicoptère taxi tracteur métro sous-marin navire vaisseau
+    voilier tramway skateboard scooter char
+    robot ordinateur téléphone livre stylo crayon cahier sac chapeau bonnet manteau pantalon pull
+    t-shirt tee-shirt gant parapluie ballon jouet cadeau gâteau bonbon fromage pain œuf fruit légume
+    citron ananas raisin melon abricot champignon hamburger sandwich biscuit croissant chocolat café
+    thé verre bol couteau lit canapé fauteuil bureau miroir tableau piano violon tambour château pont
+    immeuble magasin hôpital phare moulin toit mur escalier igloo
+    visage œil nez bras pied doigt cœur cerveau corps dos genou ventre cou front sourire cheveu os
+    homme garçon bébé enfant ami roi prince chevalier pirate clown fantôme monstre extraterrestre
+    astronaute policier pompier docteur
+    cercle carré triangle rectangle losange cube cône cylindre ovale trait point hexagone
+    bonhomme sapin cactus palmier coquelicot tournesol nénuphar bouquet feu flocon glaçon diamant
+    trésor coffre drapeau masque casque parachute cerf-volant arrosoir seau marteau tournevis
+    anneau collier bracelet vase pot panier tapis rideau oreiller coussin réveil balai
+    riz gaz jus puits radis pois prix
+  `;
+  const feminine = `
+    maison voiture table chaise fleur montagne rivière plage pomme banane orange fraise tomate
+    carotte cerise poire pêche framboise pizza glace tarte soupe salade frite crêpe baguette
+    personne femme fille tête main jambe bouche dent oreille épaule joue langue barbe moustache
+    porte fenêtre école ville rue route plante étoile lune planète terre mer vague île forêt
+    colline cascade neige pluie goutte tempête feuille branche racine herbe rose tulipe marguerite
+    abeille araignée fourmi coccinelle mouche tortue grenouille girafe vache chèvre poule souris
+    baleine pieuvre méduse licorne sirène fée sorcière princesse reine maman sœur dame chenille
+    chauve-souris biche jument brebis
+    guitare trompette flûte batterie lampe ampoule bougie horloge montre télévision radio caméra
+    chaussure botte chaussette robe jupe chemise veste casquette cravate écharpe valise boîte
+    bouteille tasse assiette fourchette cuillère casserole poêle clé balle poupée trottinette moto
+    fusée barque locomotive tour église tente cabane grange fontaine échelle cheminée
+    ligne forme croix flèche spirale courbe sphère pyramide ombre silhouette couronne épée plume
+    cage voix noix photo lettre carte page note musique cloche roue pelle tondeuse
+  `;
+
+  const lexicon = new Map();
+  masculine.trim().split(/\s+/).forEach((word) => lexicon.set(word, 'masculine'));
+  feminine.trim().split(/\s+/).forEach((word) => lexicon.set(word, 'feminine'));
+  return lexicon;
+})();
+
+// Irregular plurals (the others drop their final s or x)
+const FRENCH_IRREGULAR_PLURALS = {
+  'yeux': 'œil',
+  'cieux': 'ciel',
+  'messieurs': 'monsieur',
+  'mesdames': 'madame'
+};
+
+// Endings of unknown nouns, checked in order
+const FRENCH_GENDER_ENDINGS = [
+  ['tion', 'feminine'], ['sion', 'feminine'], ['ure', 'feminine'], ['ette', 'feminine'],
+  ['elle', 'feminine'], ['ence', 'feminine'], ['ance', 'feminine'], ['ière', 'feminine'],
+  ['euse', 'feminine'], ['trice', 'feminine'], ['esse', 'feminine'], ['ade', 'feminine'],
+  ['ude', 'feminine'], ['té', 'feminine'], ['ie', 'feminine'], ['ine', 'feminine'],
+  ['age', 'masculine'], ['ment', 'masculine'], ['eau', 'masculine'], ['isme', 'masculine'],
+  ['oir', 'masculine'], ['ier', 'masculine'], ['ail', 'masculine'], ['eil', 'masculine'],
+  ['on', 'masculine'], ['et', 'masculine'], ['at', 'masculine'], ['in', 'masculine']
+];
+
+// Singular candidates of a word that may be plural ("chevaux" -> "cheval")
+function frenchSingularForms(word) {
+  if (FRENCH_IRREGULAR_PLURALS[word]) return [FRENCH_IRREGULAR_PLURALS[word]];
+
+  const forms = [];
+  if (word.endsWith('aux')) {
+    forms.push(word.slice(0, -3) + 'al', word.slice(0, -3) + 'ail');
+  }
+  if (/[sx]$/.test(word)) {
+    forms.push(word.slice(0, -1));
+  }
+  return forms;
+}
+
+// Gender and number of a noun from the lexicon, or null if it is unknown
+function lookupFrenchNoun(word) {
+  if (FRENCH_LEXICON.has(word)) {
+    return { gender: FRENCH_LEXICON.get(word), number: 'singular' };
+  }
+  // Compound nouns: the first part carries the gender ("pomme de terre" is handled by the caller)
+  const firstPart = word.split('-')[0];
+  if (firstPart !== word && FRENCH_LEXICON.has(firstPart)) {
+    return { gender: FRENCH_LEXICON.get(firstPart), number: 'singular' };
+  }
+  for (const singular of frenchSingularForms(word)) {
+    if (FRENCH_LEXICON.has(singular)) {
+      return { gender: FRENCH_LEXICON.get(singular), number: 'plural' };
+    }
+  }
+  return null;
+}
+
+// Guess the gender and number of an unknown noun from its ending
+function guessFrenchNoun(word) {
+  const number = /[sx]$/.test(word) ? 'plural' : 'singular';
+  const singular = number === 'plural' ? word.slice(0, -1) : word;
+  const ending = FRENCH_GENDER_ENDINGS.find(([suffix]) => singular.endsWith(suffix));
+  return { gender: ending ? ending[1] : 'masculine', number };
+}
+
+/**
+ * Split a guess into its optional leading article and its noun phrase, and
+ * find the gender and number of its head noun.
+ *
+ * @param {string} guess - Prediction from Gemini ("voiture rouge", "des fleurs")
+ * @param {object} [hints] - Grammar returned by Gemini: { article, gender, number }
+ * @returns {{phrase: string, head: string, article: string, gender: string, number: string, source: string}}
+ *   source is 'gemini', 'lexicon' or 'rules'
+ */
+function analyzeFrenchGuess(guess, hints = {}) {
+  let words = guess.trim().replace(/\s+/g, ' ').replace(/^(l'|d')/i, '$1 ').split(' ');
+
+  // Remove an article Gemini left in the guess
+  if (words.length > 1 && FRENCH_LEADING_ARTICLES.includes(words[0].toLowerCase())) {
+    words = words.slice(1);
+  }
+  const phrase = words.join(' ').replace(/^(l'|d') /i, '$1');
+
+  const lowerWords = words.map((w) => w.toLowerCase());
+  const counted = FRENCH_QUANTIFIERS.includes(lowerWords[0]);
+  const head = lowerWords.find((w, i) =>
+    !(i === 0 && counted) && !FRENCH_PRENOMINAL_ADJECTIVES.includes(w)) || lowerWords[lowerWords.length - 1];
+
+  const known = lookupFrenchNoun(head);
+  const fallback = known || guessFrenchNoun(head);
+
+  const geminiArticle = Object.values(FRENCH_INDEFINITE_ARTICLES).includes(hints.article) ? hints.article : null;
+  const number = counted ? 'plural'
+    : hints.number || (geminiArticle ? (geminiArticle === 'des' ? 'plural' : 'singular') : fallback.number);
+  const gender = hints.gender || (geminiArticle === 'une' ? 'feminine' : geminiArticle === 'un' ? 'masculine' : fallback.gender);
+
+  let article;
+  if (counted) {
+    article = '';
+  } else if (geminiArticle) {
+    article = geminiArticle;
+  } else {
+    article = number === 'plural' ? FRENCH_INDEFINITE_ARTICLES.plural : FRENCH_INDEFINITE_ARTICLES[gender];
+  }
+
+  return {
+    phrase,
+    head,
+    article,
+    gender,
+    number,
+    source: geminiArticle || hints.gender || hints.number ? 'gemini' : known ? 'lexicon' : 'rules'
+  };
+}
+
+/**
+ * Phrase the prediction question for a guess.
+ *
+ * @param {string} guess - Prediction from Gemini
+ * @param {object} [hints] - Grammar returned by Gemini: { article, gender, number }
+ * @returns {string} - "Est-ce que c'est un chat ?", "Est-ce que ce sont des fleurs ?"
+ */
+function frenchQuestion(guess, hints) {
+  const { phrase, article, number } = analyzeFrenchGuess(guess, hints || {});
+  const nounPhrase = article ? `${article} ${phrase}` : phrase;
+  return number === 'plural'
+    ? `Est-ce que ce sont ${nounPhrase} ?`
+    : `Est-ce que c'est ${nounPhrase} ?`;
+}
+
+window.FrenchGrammar = {
+  analyze: analyzeFrenchGuess,
+  question: frenchQuestion,
+  lookup: lookupFrenchNoun
+};
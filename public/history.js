@@ -0,0 +1,84 @@
+// Undo History
+//
+// Every change of the drawing in app.html is a command of the undo history
+// (undoBtn / redoBtn, Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y):
+//
+//   { type, apply(), revert(), discard() }
+//
+//   type     - What the command does ('stroke', 'erase', 'shape', 'move',
+//              'resize', 'rotate', 'flip', 'fill', 'clear', 'layer_add'...)
+//   apply    - Make the change again (redo)
+//   revert   - Undo it
+//   discard  - Optional: called when the command leaves the history for good
+//              and will never be reverted
+//
+// execute() applies a command and records it; record() only records a change
+// that was already made on screen (a stroke, the drag of a shape).  A new
+// command clears the redo side.  Only the last HISTORY_LIMIT commands are
+// kept: the older ones can no longer be undone.
+
+const HISTORY_LIMIT = 100;
+
+class CommandHistory {
+  // options: { limit, onChange } - onChange runs after every change of the history
+  constructor(options = {}) {
+    this.limit = options.limit || HISTORY_LIMIT;
+    this.onChange = options.onChange || (() => {});
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  execute(command) {
+    command.apply();
+    this.record(command);
+  }
+
+  record(command) {
+    this.undoStack.push(command);
+    this.redoStack = [];
+    while (this.undoStack.length > this.limit) {
+      const dropped = this.undoStack.shift();
+      if (dropped.discard) dropped.discard();
+    }
+    this.onChange();
+  }
+
+  // Returns the reverted command, or null when there is nothing to undo
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    command.revert();
+    this.redoStack.push(command);
+    this.onChange();
+    return command;
+  }
+
+  // Returns the applied command, or null when there is nothing to redo
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    command.apply();
+    this.undoStack.push(command);
+    this.onChange();
+    return command;
+  }
+}
+
+// Command doing the opposite of another one (removing what it adds)
+function invertCommand(command, type) {
+  return {
+    type,
+    apply: () => command.revert(),
+    revert: () => command.apply()
+  };
+}
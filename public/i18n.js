@@ -0,0 +1,859 @@
+// Interface Translations
+//
+// Locale of the booth (fr, en, ar) and the UI strings of every page.  The
+// locale comes from ?lang=xx or from the previous pages (localStorage), is
+// picked by the visitor on the controller start screen (index2.html) and is
+// sent to the displays with the `set_locale` controller action.  It is also
+// sent to /api/predict and /api/generate, where it selects the Gemini prompt
+// templates and therefore the language of the guesses and descriptions.
+//
+// Static text is translated through attributes:
+//   data-i18n             - textContent
+//   data-i18n-html        - innerHTML (only for the strings below)
+//   data-i18n-title       - title attribute
+//   data-i18n-placeholder - placeholder attribute
+//   data-i18n-alt         - alt attribute
+// Pages with generated text listen to the `localechange` window event.
+
+const LOCALE_STORAGE_KEY = 'imaginationLocale';
+const DEFAULT_LOCALE = 'fr';
+
+const TRANSLATIONS = {
+  fr: {
+    name: 'Français',
+    dir: 'ltr',
+    // "Est-ce que c'est une voiture ?" / "Est-ce que ce sont des fleurs ?" (public/grammar.js)
+    question: (guess, grammar) => FrenchGrammar.question(guess, grammar),
+    styles: {
+      'Aquarelle': 'Aquarelle',
+      'Illustration': 'Illustration',
+      'Pop Art': 'Pop Art',
+      'Croquis': 'Croquis',
+      'Dessin Animé 3D': 'Dessin Animé 3D',
+      'Peinture à l\'huile': 'Peinture à l\'huile'
+    },
+    stylePrompts: {
+      'Aquarelle': 'Transformer ce croquis en une peinture aquarelle délicate, avec des lavis de couleur doux, des dégradés subtils et un effet de pigments naturels sur papier texturé. Mettre en valeur la transparence, les fondus et des coups de pinceau fluides.',
+      'Illustration': 'Améliorer ce croquis en une illustration nette et détaillée, avec des lignes précises, des couleurs vives et des ombrages équilibrés. Style professionnel et raffiné, adapté à l’éditorial ou au concept art.',
+      'Pop Art': 'Convertir ce croquis en une œuvre Pop Art audacieuse, avec des couleurs saturées, des contours épais, des motifs tramés et un contraste fort. Donner un style iconique et ludique, inspiré de la bande dessinée.',
+      'Croquis': 'Transformer ce croquis en une image qui garde l’apparence d’un prédessin ou d’un avant-dessin. Conserver uniquement les traits rapides, les lignes expressives et les hachures, sans ajouter de réalisme ni de volume 3D. Éviter les couleurs fortes : utiliser seulement quelques nuances discrètes, comme si l’image était à l’état d’esquisse. Employer des textures de crayon ou de fusain avec un style carnet de dessin, qui met en valeur le geste et la construction de la forme, plutôt que l’aspect global ou réaliste de l’image.',
+      'Dessin Animé 3D': 'Transformer ce croquis en un rendu cartoon 3D coloré, avec des ombrages doux, une lumière réaliste et des personnages stylisés. Mettre l’accent sur l’expression, les proportions ludiques et un rendu proche d’un film d’animation.',
+      'Peinture à l\'huile': 'Convertir ce croquis en une peinture à l’huile riche et texturée, avec des coups de pinceau visibles, des couleurs profondes et des effets de lumière réalistes. Donner une esthétique classique et artistique.'
+    },
+    strings: {
+      'title.app': 'Plateforme d\'Imagination - Application',
+      'title.controller': 'Plateforme d\'Imagination - Contrôleur',
+      'title.display': 'Plateforme d\'Imagination',
+      'title.awaiting': 'Plateforme d\'Imagination - En Attente',
+      'title.moderation': 'Plateforme d\'Imagination - Modération',
+      'title.admin': 'Plateforme d\'Imagination - Supervision',
+
+      'prompt.yes': 'Oui',
+      'prompt.no': 'Non',
+
+      'tool.eraser': 'Gomme',
+      'tool.size': 'Taille du pinceau',
+      'tool.colors': 'Couleurs',
+      'tool.undo': 'Annuler',
+      'tool.redo': 'Rétablir',
+      'tool.clear': 'Effacer le Canvas',
+      'tool.square': 'Carré',
+      'tool.circle': 'Cercle',
+      'tool.triangle': 'Triangle',
+      'tool.line': 'Ligne',
+      'tool.fill': 'Remplissage',
+      'tool.home': 'Retour à l\'accueil',
+      'tool.layers': 'Calques',
+      'tool.drawings': 'Mes dessins',
+
+      'layers.title': 'Calques',
+      'layers.name': 'Calque {number}',
+      'layers.add': 'Nouveau calque',
+      'layers.visible': 'Afficher / masquer',
+      'layers.exported': 'Envoyer à la génération',
+      'layers.opacity': 'Opacité',
+      'layers.up': 'Monter',
+      'layers.down': 'Descendre',
+      'layers.remove': 'Supprimer le calque',
+
+      'drawings.title': 'Mes dessins',
+      'drawings.name': 'Nom du dessin',
+      'drawings.untitled': 'Dessin sans nom',
+      'drawings.save': 'Enregistrer',
+      'drawings.saveHint': 'Enregistrer dans la bibliothèque',
+      'drawings.export': 'Exporter',
+      'drawings.exportHint': 'Télécharger le fichier du dessin',
+      'drawings.import': 'Importer',
+      'drawings.importHint': 'Ouvrir un fichier de dessin',
+      'drawings.none': 'Aucun dessin enregistré',
+      'drawings.listError': 'Impossible de charger les dessins',
+      'drawings.saveError': 'Le dessin n\'a pas pu être enregistré. Veuillez réessayer.',
+      'drawings.openError': 'Le dessin n\'a pas pu être ouvert. Veuillez réessayer.',
+      'drawings.invalid': 'Ce fichier n\'est pas un dessin valide.',
+
+      'toolbar.style': 'Style',
+      'toolbar.styles': 'Styles',
+      'toolbar.placeholder': 'Décrivez votre imagination...',
+      'toolbar.generate': 'Générer',
+      'styles.title': 'Choisissez un style',
+      'styles.inStyle': 'dans le style {style}',
+      'styles.inStyleStart': 'Dans le style {style}',
+
+      'stage.queued': 'Traitement de votre image…',
+      'stage.moderation': 'Vérification du contenu…',
+      'stage.gemini-prompt': 'Analyse de votre dessin…',
+      'stage.bfl-polling': 'Création de votre œuvre…',
+      'stage.fal-fallback': 'Création de votre œuvre (service de secours)…',
+      'stage.fal-text': 'Création de votre œuvre…',
+      'stage.mock': 'Création de votre œuvre…',
+      'stage.done': 'Finalisation de votre œuvre…',
+
+      'result.alt': 'Image générée',
+      'result.back': 'Retour au dessin',
+
+      'generate.empty': 'Veuillez dessiner quelque chose ou saisir un prompt textuel !',
+      'generate.emptyText': 'Veuillez saisir un prompt textuel pour générer une image !',
+      'generate.error': 'Une erreur est survenue lors de la génération de l\'image.',
+      'generate.textError': 'Une erreur est survenue lors de la génération de l\'image à partir du texte.',
+      'generate.loadError': 'Erreur lors du chargement de l\'image générée.',
+
+      'censorship.title': 'Contenu Censuré',
+      'censorship.message': 'Votre croquis contient du contenu inapproprié et ne peut pas être traité. Veuillez dessiner quelque chose d\'approprié.',
+      'censorship.home': '🏠 Retour à l\'accueil',
+      'censorship.reason.flags': 'Pays ou drapeaux',
+      'censorship.reason.politics': 'Politique',
+      'censorship.reason.violence': 'Violence ou armes',
+      'censorship.reason.sexual': 'Contenu sexuel ou romantique',
+      'censorship.reason.drugs': 'Drogues, alcool ou tabac',
+      'censorship.reason.hate': 'Symboles haineux',
+      'censorship.reason.mature': 'Contenu réservé aux adultes',
+      'censorship.reason.other': 'Contenu inapproprié',
+
+      'controller.rotate': 'Veuillez tourner votre appareil en mode paysage',
+      'controller.pairing': 'Entrez le code affiché sur l\'écran de la borne',
+      'controller.pair': 'Associer',
+      'controller.booth': '🔗 Borne {room}',
+      'controller.noDisplay': '○ Écran non connecté',
+      'controller.displayConnected': '● Écran connecté',
+      'controller.intro': '🖌️Dessinez un simple croquis et notre IA le transformera en 🪄une œuvre d\'art époustouflante en quelques secondes.',
+      'controller.noSkills': 'Aucune compétence artistique requise!',
+
+      'display.headline': 'Donnez vie à votre imagination',
+      'display.sketchAlt': 'Croquis robot',
+      'display.resultAlt': 'Image générée',
+      'display.tap': 'Tapez pour commencer votre chef-d\'œuvre',
+      'display.pairingCode': 'Code de la borne',
+
+      'awaiting.title': 'L\'artiste crée...',
+      'awaiting.subtitle': 'Quelqu\'un est en train de créer une œuvre d\'art magique !<br>Regardez l\'art prendre vie sous vos yeux.',
+      'awaiting.revealAlt': 'Œuvre générée',
+      'awaiting.revealStyle': 'Style : {style}',
+      'awaiting.status': '✨ Création en cours... Veuillez patienter ✨',
+      'awaiting.stage.queued': '✨ Préparation de l\'œuvre... ✨',
+      'awaiting.stage.moderation': '🔍 Vérification de l\'œuvre... 🔍',
+      'awaiting.stage.gemini-prompt': '🔍 L\'IA analyse le dessin... 🔍',
+      'awaiting.stage.bfl-polling': '🎨 L\'IA peint l\'œuvre... 🎨',
+      'awaiting.stage.fal-fallback': '🎨 L\'IA peint l\'œuvre (service de secours)... 🎨',
+      'awaiting.stage.fal-text': '🎨 L\'IA peint l\'œuvre... 🎨',
+      'awaiting.stage.mock': '🎨 L\'IA peint l\'œuvre... 🎨',
+      'awaiting.stage.done': '🌟 L\'œuvre est prête ! 🌟',
+      'awaiting.stage.failed': '✨ Création en cours... Veuillez patienter ✨',
+
+      'moderation.heading': '🛡️ Revue de la modération',
+      'moderation.filter.pending': 'À revoir',
+      'moderation.filter.all': 'Tout',
+      'moderation.filter.approved': 'Confirmés',
+      'moderation.filter.overridden': 'Autorisés',
+      'moderation.refresh': 'Actualiser',
+      'moderation.empty': 'Aucun contenu bloqué',
+      'moderation.loadError': 'Impossible de charger le journal de modération',
+      'moderation.reviewError': 'La revue n\'a pas pu être enregistrée',
+      'moderation.token': 'Jeton opérateur',
+      'moderation.sketchAlt': 'Croquis du visiteur',
+      'moderation.imageAlt': 'Image bloquée',
+      'moderation.showImage': 'Cliquez pour afficher l\'image',
+      'moderation.guess': 'Supposition : {guess}',
+      'moderation.room': 'Borne {room}',
+      'moderation.stage.sketch': 'Croquis',
+      'moderation.stage.prompt': 'Prompt personnel',
+      'moderation.stage.image': 'Image générée',
+      'moderation.source.keywords': 'Mots-clés',
+      'moderation.source.gemini': 'Vérification IA',
+      'moderation.source.gemini_blocked': 'Refusé par Gemini',
+      'moderation.source.prediction': 'Prédiction',
+      'moderation.status.pending': '⏳ À revoir',
+      'moderation.status.approved': '🚫 Blocage confirmé',
+      'moderation.status.overridden': '✅ Autorisé (faux positif)',
+      'moderation.note': 'Note (facultatif)',
+      'moderation.approve': 'Confirmer le blocage',
+      'moderation.override': 'Autoriser',
+
+      'admin.heading': '📊 Supervision des bornes',
+      'admin.live': '● En direct',
+      'admin.offline': '● Hors ligne',
+      'admin.uptime': 'Serveur démarré il y a {duration}',
+      'admin.token': 'Jeton opérateur',
+      'admin.seconds': '{s} s',
+      'admin.minutes': '{m} min {s} s',
+      'admin.hours': '{h} h {m} min',
+      'admin.yes': 'Oui',
+      'admin.no': 'Non',
+      'admin.summary.rooms': 'Bornes',
+      'admin.summary.controllers': 'Contrôleurs',
+      'admin.summary.displays': 'Écrans',
+      'admin.summary.jobs': 'Générations en cours',
+      'admin.rooms.title': 'Bornes connectées',
+      'admin.rooms.code': 'Code',
+      'admin.rooms.controllers': 'Contrôleurs',
+      'admin.rooms.displays': 'Écrans',
+      'admin.rooms.status': 'État',
+      'admin.rooms.since': 'Ouverte depuis',
+      'admin.rooms.ok': '✓ Prête',
+      'admin.rooms.noDisplay': '⚠️ Écran non connecté',
+      'admin.rooms.noController': '⚠️ Contrôleur non connecté',
+      'admin.rooms.empty': 'Aucune borne connectée',
+      'admin.rooms.unpaired': '{count} écran(s) connecté(s) sans code de borne',
+      'admin.rooms.locked': '🔒 Verrouillée',
+      'admin.rooms.commands': 'Commandes',
+      'admin.jobs.title': 'Générations en cours',
+      'admin.jobs.room': 'Borne',
+      'admin.jobs.mode': 'Mode',
+      'admin.jobs.style': 'Style',
+      'admin.jobs.stage': 'Étape',
+      'admin.jobs.inStage': 'Dans l\'étape',
+      'admin.jobs.total': 'Durée',
+      'admin.jobs.empty': 'Aucune génération en cours',
+      'admin.providers.title': 'Services de génération',
+      'admin.providers.name': 'Service',
+      'admin.providers.configured': 'Configuré',
+      'admin.providers.attempts': 'Essais',
+      'admin.providers.successes': 'Réussites',
+      'admin.providers.failures': 'Échecs',
+      'admin.providers.average': 'Temps moyen',
+      'admin.providers.usage': '{label} : {count} œuvre(s)',
+      'admin.providers.noUsage': 'Aucune œuvre générée depuis le démarrage',
+      'admin.errors.title': 'Erreurs récentes',
+      'admin.errors.empty': 'Aucune erreur',
+      'admin.commands.title': 'Commandes envoyées',
+      'admin.commands.allScreens': 'Tous les écrans :',
+      'admin.commands.go_home': '🏠 Accueil',
+      'admin.commands.reload': '🔄 Recharger',
+      'admin.commands.clear_canvas': '🧹 Effacer',
+      'admin.commands.lock': '🔒 Verrouiller',
+      'admin.commands.unlock': '🔓 Déverrouiller',
+      'admin.commands.show_message': '💬 Message',
+      'admin.commands.room': 'borne {room}',
+      'admin.commands.all': 'tous les écrans',
+      'admin.commands.sending': 'Envoi…',
+      'admin.commands.acks': '{done}/{total} écran(s) ont exécuté la commande',
+      'admin.commands.noAnswer': 'pas de réponse',
+      'admin.commands.empty': 'Aucune commande envoyée',
+      'admin.commands.messageText': 'Message à afficher :',
+      'admin.commands.lockText': 'Texte de l\'écran verrouillé (facultatif) :',
+      'admin.commands.confirm': 'Envoyer « {command} » ? Le visiteur en cours perdra son dessin.',
+      'kiosk.locked': '🔒 Borne momentanément indisponible',
+      'kiosk.idleTitle': 'Toujours là ?',
+      'kiosk.idleCountdown': 'Retour à l\'accueil dans {seconds} s. Touchez l\'écran pour continuer votre dessin.',
+      'attract.artwork': 'Créé sur cette borne',
+      'attract.style': 'Exemple de style'
+    }
+  },
+
+  en: {
+    name: 'English',
+    dir: 'ltr',
+    // "Is it a cat?" / "Is it an apple?" / "Are these flowers?"
+    question: (guess, grammar = {}) => {
+      if (grammar.number === 'plural') return `Are these ${guess}?`;
+      const article = ['a', 'an'].includes(grammar.article) ? grammar.article : (/^[aeiou]/i.test(guess) ? 'an' : 'a');
+      return `Is it ${article} ${guess}?`;
+    },
+    styles: {
+      'Aquarelle': 'Watercolor',
+      'Illustration': 'Illustration',
+      'Pop Art': 'Pop Art',
+      'Croquis': 'Sketch',
+      'Dessin Animé 3D': '3D Cartoon',
+      'Peinture à l\'huile': 'Oil Painting'
+    },
+    stylePrompts: {
+      'Aquarelle': 'Turn this sketch into a delicate watercolor painting, with soft color washes, subtle gradients and natural pigments on textured paper. Highlight transparency, blending and fluid brushstrokes.',
+      'Illustration': 'Refine this sketch into a crisp, detailed illustration, with precise lines, vivid colors and balanced shading. Professional and polished style, suited to editorial work or concept art.',
+      'Pop Art': 'Convert this sketch into a bold Pop Art piece, with saturated colors, thick outlines, halftone patterns and strong contrast. Give it an iconic, playful comic book style.',
+      'Croquis': 'Turn this sketch into an image that keeps the look of a preliminary drawing. Keep only quick strokes, expressive lines and hatching, without adding realism or 3D volume. Avoid strong colors: use only a few discreet tones, as if the image were still a draft. Use pencil or charcoal textures in a sketchbook style that highlights the gesture and the construction of the shapes rather than a realistic rendering.',
+      'Dessin Animé 3D': 'Turn this sketch into a colorful 3D cartoon render, with soft shading, realistic lighting and stylized characters. Focus on expression, playful proportions and an animated film look.',
+      'Peinture à l\'huile': 'Convert this sketch into a rich, textured oil painting, with visible brushstrokes, deep colors and realistic lighting effects. Give it a classic, artistic look.'
+    },
+    strings: {
+      'title.app': 'Imagination Platform - Application',
+      'title.controller': 'Imagination Platform - Controller',
+      'title.display': 'Imagination Platform',
+      'title.awaiting': 'Imagination Platform - Waiting',
+      'title.moderation': 'Imagination Platform - Moderation',
+      'title.admin': 'Imagination Platform - Monitoring',
+
+      'prompt.yes': 'Yes',
+      'prompt.no': 'No',
+
+      'tool.eraser': 'Eraser',
+      'tool.size': 'Brush size',
+      'tool.colors': 'Colors',
+      'tool.undo': 'Undo',
+      'tool.redo': 'Redo',
+      'tool.clear': 'Clear the canvas',
+      'tool.square': 'Square',
+      'tool.circle': 'Circle',
+      'tool.triangle': 'Triangle',
+      'tool.line': 'Line',
+      'tool.fill': 'Fill',
+      'tool.home': 'Back to home',
+      'tool.layers': 'Layers',
+      'tool.drawings': 'My drawings',
+
+      'layers.title': 'Layers',
+      'layers.name': 'Layer {number}',
+      'layers.add': 'New layer',
+      'layers.visible': 'Show / hide',
+      'layers.exported': 'Send to generation',
+      'layers.opacity': 'Opacity',
+      'layers.up': 'Move up',
+      'layers.down': 'Move down',
+      'layers.remove': 'Delete layer',
+
+      'drawings.title': 'My drawings',
+      'drawings.name': 'Drawing name',
+      'drawings.untitled': 'Untitled drawing',
+      'drawings.save': 'Save',
+      'drawings.saveHint': 'Save to the library',
+      'drawings.export': 'Export',
+      'drawings.exportHint': 'Download the drawing file',
+      'drawings.import': 'Import',
+      'drawings.importHint': 'Open a drawing file',
+      'drawings.none': 'No saved drawings',
+      'drawings.listError': 'Could not load the drawings',
+      'drawings.saveError': 'The drawing could not be saved. Please try again.',
+      'drawings.openError': 'The drawing could not be opened. Please try again.',
+      'drawings.invalid': 'This file is not a valid drawing.',
+
+      'toolbar.style': 'Style',
+      'toolbar.styles': 'Styles',
+      'toolbar.placeholder': 'Describe your imagination...',
+      'toolbar.generate': 'Generate',
+      'styles.title': 'Choose a style',
+      'styles.inStyle': 'in the {style} style',
+      'styles.inStyleStart': 'In the {style} style',
+
+      'stage.queued': 'Processing your image…',
+      'stage.moderation': 'Checking the content…',
+      'stage.gemini-prompt': 'Analyzing your drawing…',
+      'stage.bfl-polling': 'Creating your artwork…',
+      'stage.fal-fallback': 'Creating your artwork (backup service)…',
+      'stage.fal-text': 'Creating your artwork…',
+      'stage.mock': 'Creating your artwork…',
+      'stage.done': 'Finishing your artwork…',
+
+      'result.alt': 'Generated image',
+      'result.back': 'Back to drawing',
+
+      'generate.empty': 'Please draw something or type a text prompt!',
+      'generate.emptyText': 'Please type a text prompt to generate an image!',
+      'generate.error': 'An error occurred while generating the image.',
+      'generate.textError': 'An error occurred while generating the image from the text.',
+      'generate.loadError': 'Error while loading the generated image.',
+
+      'censorship.title': 'Censored Content',
+      'censorship.message': 'Your sketch contains inappropriate content and cannot be processed. Please draw something appropriate.',
+      'censorship.home': '🏠 Back to home',
+      'censorship.reason.flags': 'Countries or flags',
+      'censorship.reason.politics': 'Politics',
+      'censorship.reason.violence': 'Violence or weapons',
+      'censorship.reason.sexual': 'Sexual or romantic content',
+      'censorship.reason.drugs': 'Drugs, alcohol or tobacco',
+      'censorship.reason.hate': 'Hateful symbols',
+      'censorship.reason.mature': 'Adult content',
+      'censorship.reason.other': 'Inappropriate content',
+
+      'controller.rotate': 'Please rotate your device to landscape mode',
+      'controller.pairing': 'Enter the code shown on the booth screen',
+      'controller.pair': 'Pair',
+      'controller.booth': '🔗 Booth {room}',
+      'controller.noDisplay': '○ Screen not connected',
+      'controller.displayConnected': '● Screen connected',
+      'controller.intro': '🖌️Draw a simple sketch and our AI will turn it into 🪄a stunning work of art in seconds.',
+      'controller.noSkills': 'No artistic skills required!',
+
+      'display.headline': 'Bring your imagination to life',
+      'display.sketchAlt': 'Robot sketch',
+      'display.resultAlt': 'Generated image',
+      'display.tap': 'Tap to start your masterpiece',
+      'display.pairingCode': 'Booth code',
+
+      'awaiting.title': 'The artist is creating...',
+      'awaiting.subtitle': 'Someone is creating a magical work of art!<br>Watch the art come to life before your eyes.',
+      'awaiting.revealAlt': 'Generated artwork',
+      'awaiting.revealStyle': 'Style: {style}',
+      'awaiting.status': '✨ Creating... Please wait ✨',
+      'awaiting.stage.queued': '✨ Preparing the artwork... ✨',
+      'awaiting.stage.moderation': '🔍 Checking the artwork... 🔍',
+      'awaiting.stage.gemini-prompt': '🔍 The AI is analyzing the drawing... 🔍',
+      'awaiting.stage.bfl-polling': '🎨 The AI is painting the artwork... 🎨',
+      'awaiting.stage.fal-fallback': '🎨 The AI is painting the artwork (backup service)... 🎨',
+      'awaiting.stage.fal-text': '🎨 The AI is painting the artwork... 🎨',
+      'awaiting.stage.mock': '🎨 The AI is painting the artwork... 🎨',
+      'awaiting.stage.done': '🌟 The artwork is ready! 🌟',
+      'awaiting.stage.failed': '✨ Creating... Please wait ✨',
+
+      'moderation.heading': '🛡️ Moderation review',
+      'moderation.filter.pending': 'To review',
+      'moderation.filter.all': 'All',
+      'moderation.filter.approved': 'Confirmed',
+      'moderation.filter.overridden': 'Allowed',
+      'moderation.refresh': 'Refresh',
+      'moderation.empty': 'No blocked content',
+      'moderation.loadError': 'Could not load the moderation log',
+      'moderation.reviewError': 'The review could not be saved',
+      'moderation.token': 'Operator token',
+      'moderation.sketchAlt': 'Visitor sketch',
+      'moderation.imageAlt': 'Blocked image',
+      'moderation.showImage': 'Click to show the image',
+      'moderation.guess': 'Guess: {guess}',
+      'moderation.room': 'Booth {room}',
+      'moderation.stage.sketch': 'Sketch',
+      'moderation.stage.prompt': 'Personal prompt',
+      'moderation.stage.image': 'Generated image',
+      'moderation.source.keywords': 'Keywords',
+      'moderation.source.gemini': 'AI check',
+      'moderation.source.gemini_blocked': 'Refused by Gemini',
+      'moderation.source.prediction': 'Prediction',
+      'moderation.status.pending': '⏳ To review',
+      'moderation.status.approved': '🚫 Block confirmed',
+      'moderation.status.overridden': '✅ Allowed (false positive)',
+      'moderation.note': 'Note (optional)',
+      'moderation.approve': 'Confirm block',
+      'moderation.override': 'Allow',
+
+      'admin.heading': '📊 Booth monitoring',
+      'admin.live': '● Live',
+      'admin.offline': '● Offline',
+      'admin.uptime': 'Server started {duration} ago',
+      'admin.token': 'Operator token',
+      'admin.seconds': '{s} s',
+      'admin.minutes': '{m} min {s} s',
+      'admin.hours': '{h} h {m} min',
+      'admin.yes': 'Yes',
+      'admin.no': 'No',
+      'admin.summary.rooms': 'Booths',
+      'admin.summary.controllers': 'Controllers',
+      'admin.summary.displays': 'Displays',
+      'admin.summary.jobs': 'Generations in progress',
+      'admin.rooms.title': 'Connected booths',
+      'admin.rooms.code': 'Code',
+      'admin.rooms.controllers': 'Controllers',
+      'admin.rooms.displays': 'Displays',
+      'admin.rooms.status': 'Status',
+      'admin.rooms.since': 'Open for',
+      'admin.rooms.ok': '✓ Ready',
+      'admin.rooms.noDisplay': '⚠️ Display not connected',
+      'admin.rooms.noController': '⚠️ Controller not connected',
+      'admin.rooms.empty': 'No booth connected',
+      'admin.rooms.unpaired': '{count} screen(s) connected without a booth code',
+      'admin.rooms.locked': '🔒 Locked',
+      'admin.rooms.commands': 'Commands',
+      'admin.jobs.title': 'Generations in progress',
+      'admin.jobs.room': 'Booth',
+      'admin.jobs.mode': 'Mode',
+      'admin.jobs.style': 'Style',
+      'admin.jobs.stage': 'Stage',
+      'admin.jobs.inStage': 'In stage',
+      'admin.jobs.total': 'Duration',
+      'admin.jobs.empty': 'No generation in progress',
+      'admin.providers.title': 'Generation services',
+      'admin.providers.name': 'Service',
+      'admin.providers.configured': 'Configured',
+      'admin.providers.attempts': 'Attempts',
+      'admin.providers.successes': 'Successes',
+      'admin.providers.failures': 'Failures',
+      'admin.providers.average': 'Average time',
+      'admin.providers.usage': '{label}: {count} artwork(s)',
+      'admin.providers.noUsage': 'No artwork generated since startup',
+      'admin.errors.title': 'Recent errors',
+      'admin.errors.empty': 'No errors',
+      'admin.commands.title': 'Sent commands',
+      'admin.commands.allScreens': 'All screens:',
+      'admin.commands.go_home': '🏠 Home',
+      'admin.commands.reload': '🔄 Reload',
+      'admin.commands.clear_canvas': '🧹 Clear',
+      'admin.commands.lock': '🔒 Lock',
+      'admin.commands.unlock': '🔓 Unlock',
+      'admin.commands.show_message': '💬 Message',
+      'admin.commands.room': 'booth {room}',
+      'admin.commands.all': 'all screens',
+      'admin.commands.sending': 'Sending…',
+      'admin.commands.acks': '{done}/{total} screen(s) ran the command',
+      'admin.commands.noAnswer': 'no answer',
+      'admin.commands.empty': 'No command sent',
+      'admin.commands.messageText': 'Message to show:',
+      'admin.commands.lockText': 'Text of the lock screen (optional):',
+      'admin.commands.confirm': 'Send "{command}"? The current visitor will lose their drawing.',
+      'kiosk.locked': '🔒 Booth temporarily unavailable',
+      'kiosk.idleTitle': 'Still there?',
+      'kiosk.idleCountdown': 'Back to the start screen in {seconds} s. Touch the screen to keep drawing.',
+      'attract.artwork': 'Made at this booth',
+      'attract.style': 'Style example'
+    }
+  },
+
+  ar: {
+    name: 'العربية',
+    dir: 'rtl',
+    // "هل هذا قلم؟" / "هل هذه قطة؟" (feminine and plural guesses use هذه)
+    question: (guess, grammar = {}) => {
+      const demonstrative = grammar.gender === 'feminine' || grammar.number === 'plural' ? 'هذه' : 'هذا';
+      return `هل ${demonstrative} ${guess}؟`;
+    },
+    styles: {
+      'Aquarelle': 'ألوان مائية',
+      'Illustration': 'رسم توضيحي',
+      'Pop Art': 'فن البوب',
+      'Croquis': 'رسم تخطيطي',
+      'Dessin Animé 3D': 'رسوم متحركة ثلاثية الأبعاد',
+      'Peinture à l\'huile': 'لوحة زيتية'
+    },
+    stylePrompts: {
+      'Aquarelle': 'حوّل هذا الرسم إلى لوحة ألوان مائية رقيقة، بطبقات لونية ناعمة وتدرجات خفيفة وأصباغ طبيعية على ورق محبب. أبرز الشفافية وامتزاج الألوان وضربات الفرشاة الانسيابية.',
+      'Illustration': 'طوّر هذا الرسم إلى رسم توضيحي واضح ومفصل، بخطوط دقيقة وألوان زاهية وظلال متوازنة. أسلوب احترافي وأنيق يناسب النشر أو الفن المفاهيمي.',
+      'Pop Art': 'حوّل هذا الرسم إلى عمل جريء بأسلوب فن البوب، بألوان مشبعة وحدود سميكة ونقاط طباعية وتباين قوي. امنحه طابعًا أيقونيًا ومرحًا مستوحى من القصص المصورة.',
+      'Croquis': 'حوّل هذا الرسم إلى صورة تحافظ على مظهر الرسم التمهيدي. احتفظ فقط بالخطوط السريعة والتعبيرية والتظليل بالخطوط، دون إضافة واقعية أو حجم ثلاثي الأبعاد. تجنب الألوان القوية واستخدم بعض الدرجات الخفيفة فقط، كأن الصورة ما زالت مسودة. استعمل ملمس قلم الرصاص أو الفحم بأسلوب دفتر الرسم الذي يبرز حركة اليد وبناء الأشكال.',
+      'Dessin Animé 3D': 'حوّل هذا الرسم إلى مشهد كرتوني ملون ثلاثي الأبعاد، بظلال ناعمة وإضاءة واقعية وشخصيات مبسطة. ركّز على التعابير والنسب المرحة ومظهر قريب من أفلام الرسوم المتحركة.',
+      'Peinture à l\'huile': 'حوّل هذا الرسم إلى لوحة زيتية غنية بالملمس، بضربات فرشاة ظاهرة وألوان عميقة وتأثيرات إضاءة واقعية. امنحه طابعًا فنيًا كلاسيكيًا.'
+    },
+    strings: {
+      'title.app': 'منصة الخيال - التطبيق',
+      'title.controller': 'منصة الخيال - وحدة التحكم',
+      'title.display': 'منصة الخيال',
+      'title.awaiting': 'منصة الخيال - في الانتظار',
+      'title.moderation': 'منصة الخيال - الإشراف',
+      'title.admin': 'منصة الخيال - المراقبة',
+
+      'prompt.yes': 'نعم',
+      'prompt.no': 'لا',
+
+      'tool.eraser': 'ممحاة',
+      'tool.size': 'حجم الفرشاة',
+      'tool.colors': 'الألوان',
+      'tool.undo': 'تراجع',
+      'tool.redo': 'إعادة',
+      'tool.clear': 'مسح اللوحة',
+      'tool.square': 'مربع',
+      'tool.circle': 'دائرة',
+      'tool.triangle': 'مثلث',
+      'tool.line': 'خط',
+      'tool.fill': 'تعبئة',
+      'tool.home': 'العودة إلى البداية',
+      'tool.layers': 'الطبقات',
+      'tool.drawings': 'رسوماتي',
+
+      'layers.title': 'الطبقات',
+      'layers.name': 'طبقة {number}',
+      'layers.add': 'طبقة جديدة',
+      'layers.visible': 'إظهار / إخفاء',
+      'layers.exported': 'إرسال إلى التوليد',
+      'layers.opacity': 'العتامة',
+      'layers.up': 'تحريك للأعلى',
+      'layers.down': 'تحريك للأسفل',
+      'layers.remove': 'حذف الطبقة',
+
+      'drawings.title': 'رسوماتي',
+      'drawings.name': 'اسم الرسم',
+      'drawings.untitled': 'رسم بدون اسم',
+      'drawings.save': 'حفظ',
+      'drawings.saveHint': 'الحفظ في المكتبة',
+      'drawings.export': 'تصدير',
+      'drawings.exportHint': 'تنزيل ملف الرسم',
+      'drawings.import': 'استيراد',
+      'drawings.importHint': 'فتح ملف رسم',
+      'drawings.none': 'لا توجد رسومات محفوظة',
+      'drawings.listError': 'تعذر تحميل الرسومات',
+      'drawings.saveError': 'تعذر حفظ الرسم. يرجى المحاولة مرة أخرى.',
+      'drawings.openError': 'تعذر فتح الرسم. يرجى المحاولة مرة أخرى.',
+      'drawings.invalid': 'هذا الملف ليس رسمًا صالحًا.',
+
+      'toolbar.style': 'الأسلوب',
+      'toolbar.styles': 'الأساليب',
+      'toolbar.placeholder': 'صف ما تتخيله...',
+      'toolbar.generate': 'إنشاء',
+      'styles.title': 'اختر أسلوبًا',
+      'styles.inStyle': 'بأسلوب {style}',
+      'styles.inStyleStart': 'بأسلوب {style}',
+
+      'stage.queued': 'جارٍ معالجة صورتك…',
+      'stage.moderation': 'جارٍ التحقق من المحتوى…',
+      'stage.gemini-prompt': 'جارٍ تحليل رسمك…',
+      'stage.bfl-polling': 'جارٍ إنشاء عملك الفني…',
+      'stage.fal-fallback': 'جارٍ إنشاء عملك الفني (خدمة احتياطية)…',
+      'stage.fal-text': 'جارٍ إنشاء عملك الفني…',
+      'stage.mock': 'جارٍ إنشاء عملك الفني…',
+      'stage.done': 'جارٍ إنهاء عملك الفني…',
+
+      'result.alt': 'الصورة المُنشأة',
+      'result.back': 'العودة إلى الرسم',
+
+      'generate.empty': 'يرجى رسم شيء أو كتابة وصف نصي!',
+      'generate.emptyText': 'يرجى كتابة وصف نصي لإنشاء صورة!',
+      'generate.error': 'حدث خطأ أثناء إنشاء الصورة.',
+      'generate.textError': 'حدث خطأ أثناء إنشاء الصورة من النص.',
+      'generate.loadError': 'خطأ أثناء تحميل الصورة المُنشأة.',
+
+      'censorship.title': 'محتوى محظور',
+      'censorship.message': 'يحتوي رسمك على محتوى غير لائق ولا يمكن معالجته. يرجى رسم شيء مناسب.',
+      'censorship.home': '🏠 العودة إلى البداية',
+      'censorship.reason.flags': 'دول أو أعلام',
+      'censorship.reason.politics': 'سياسة',
+      'censorship.reason.violence': 'عنف أو أسلحة',
+      'censorship.reason.sexual': 'محتوى جنسي أو رومانسي',
+      'censorship.reason.drugs': 'مخدرات أو كحول أو تبغ',
+      'censorship.reason.hate': 'رموز كراهية',
+      'censorship.reason.mature': 'محتوى للبالغين',
+      'censorship.reason.other': 'محتوى غير لائق',
+
+      'controller.rotate': 'يرجى تدوير جهازك إلى الوضع الأفقي',
+      'controller.pairing': 'أدخل الرمز المعروض على شاشة الكشك',
+      'controller.pair': 'ربط',
+      'controller.booth': '🔗 الكشك {room}',
+      'controller.noDisplay': '○ الشاشة غير متصلة',
+      'controller.displayConnected': '● الشاشة متصلة',
+      'controller.intro': '🖌️ارسم رسمًا بسيطًا وسيحوّله الذكاء الاصطناعي إلى 🪄عمل فني مذهل في ثوانٍ.',
+      'controller.noSkills': 'لا حاجة لأي مهارة فنية!',
+
+      'display.headline': 'أطلق العنان لخيالك',
+      'display.sketchAlt': 'رسم روبوت',
+      'display.resultAlt': 'الصورة المُنشأة',
+      'display.tap': 'المس للبدء في تحفتك الفنية',
+      'display.pairingCode': 'رمز الكشك',
+
+      'awaiting.title': 'الفنان يبدع...',
+      'awaiting.subtitle': 'شخص ما يبدع عملًا فنيًا سحريًا!<br>شاهد الفن يولد أمام عينيك.',
+      'awaiting.revealAlt': 'العمل الفني المُنشأ',
+      'awaiting.revealStyle': 'الأسلوب: {style}',
+      'awaiting.status': '✨ جارٍ الإبداع... يرجى الانتظار ✨',
+      'awaiting.stage.queued': '✨ جارٍ تحضير العمل الفني... ✨',
+      'awaiting.stage.moderation': '🔍 جارٍ التحقق من العمل الفني... 🔍',
+      'awaiting.stage.gemini-prompt': '🔍 الذكاء الاصطناعي يحلل الرسم... 🔍',
+      'awaiting.stage.bfl-polling': '🎨 الذكاء الاصطناعي يرسم العمل الفني... 🎨',
+      'awaiting.stage.fal-fallback': '🎨 الذكاء الاصطناعي يرسم العمل الفني (خدمة احتياطية)... 🎨',
+      'awaiting.stage.fal-text': '🎨 الذكاء الاصطناعي يرسم العمل الفني... 🎨',
+      'awaiting.stage.mock': '🎨 الذكاء الاصطناعي يرسم العمل الفني... 🎨',
+      'awaiting.stage.done': '🌟 العمل الفني جاهز! 🌟',
+      'awaiting.stage.failed': '✨ جارٍ الإبداع... يرجى الانتظار ✨',
+
+      'moderation.heading': '🛡️ مراجعة الإشراف',
+      'moderation.filter.pending': 'للمراجعة',
+      'moderation.filter.all': 'الكل',
+      'moderation.filter.approved': 'مؤكدة',
+      'moderation.filter.overridden': 'مسموح بها',
+      'moderation.refresh': 'تحديث',
+      'moderation.empty': 'لا يوجد محتوى محظور',
+      'moderation.loadError': 'تعذر تحميل سجل الإشراف',
+      'moderation.reviewError': 'تعذر حفظ المراجعة',
+      'moderation.token': 'رمز المشغل',
+      'moderation.sketchAlt': 'رسم الزائر',
+      'moderation.imageAlt': 'صورة محظورة',
+      'moderation.showImage': 'انقر لعرض الصورة',
+      'moderation.guess': 'التخمين: {guess}',
+      'moderation.room': 'الكشك {room}',
+      'moderation.stage.sketch': 'الرسم',
+      'moderation.stage.prompt': 'الوصف الشخصي',
+      'moderation.stage.image': 'الصورة المولدة',
+      'moderation.source.keywords': 'كلمات مفتاحية',
+      'moderation.source.gemini': 'فحص الذكاء الاصطناعي',
+      'moderation.source.gemini_blocked': 'رفضه Gemini',
+      'moderation.source.prediction': 'التنبؤ',
+      'moderation.status.pending': '⏳ للمراجعة',
+      'moderation.status.approved': '🚫 تم تأكيد الحظر',
+      'moderation.status.overridden': '✅ مسموح به (إنذار خاطئ)',
+      'moderation.note': 'ملاحظة (اختياري)',
+      'moderation.approve': 'تأكيد الحظر',
+      'moderation.override': 'السماح',
+
+      'admin.heading': '📊 مراقبة الأكشاك',
+      'admin.live': '● مباشر',
+      'admin.offline': '● غير متصل',
+      'admin.uptime': 'بدأ الخادم منذ {duration}',
+      'admin.token': 'رمز المشغل',
+      'admin.seconds': '{s} ث',
+      'admin.minutes': '{m} د {s} ث',
+      'admin.hours': '{h} س {m} د',
+      'admin.yes': 'نعم',
+      'admin.no': 'لا',
+      'admin.summary.rooms': 'الأكشاك',
+      'admin.summary.controllers': 'وحدات التحكم',
+      'admin.summary.displays': 'الشاشات',
+      'admin.summary.jobs': 'عمليات إنشاء جارية',
+      'admin.rooms.title': 'الأكشاك المتصلة',
+      'admin.rooms.code': 'الرمز',
+      'admin.rooms.controllers': 'وحدات التحكم',
+      'admin.rooms.displays': 'الشاشات',
+      'admin.rooms.status': 'الحالة',
+      'admin.rooms.since': 'مفتوح منذ',
+      'admin.rooms.ok': '✓ جاهز',
+      'admin.rooms.noDisplay': '⚠️ الشاشة غير متصلة',
+      'admin.rooms.noController': '⚠️ وحدة التحكم غير متصلة',
+      'admin.rooms.empty': 'لا يوجد كشك متصل',
+      'admin.rooms.unpaired': '{count} شاشة متصلة بدون رمز كشك',
+      'admin.rooms.locked': '🔒 مقفل',
+      'admin.rooms.commands': 'الأوامر',
+      'admin.jobs.title': 'عمليات إنشاء جارية',
+      'admin.jobs.room': 'الكشك',
+      'admin.jobs.mode': 'الوضع',
+      'admin.jobs.style': 'النمط',
+      'admin.jobs.stage': 'المرحلة',
+      'admin.jobs.inStage': 'في المرحلة',
+      'admin.jobs.total': 'المدة',
+      'admin.jobs.empty': 'لا توجد عمليات إنشاء جارية',
+      'admin.providers.title': 'خدمات الإنشاء',
+      'admin.providers.name': 'الخدمة',
+      'admin.providers.configured': 'مُعدّ',
+      'admin.providers.attempts': 'المحاولات',
+      'admin.providers.successes': 'النجاحات',
+      'admin.providers.failures': 'الإخفاقات',
+      'admin.providers.average': 'متوسط الوقت',
+      'admin.providers.usage': '{label}: {count} عمل',
+      'admin.providers.noUsage': 'لم يتم إنشاء أي عمل منذ بدء التشغيل',
+      'admin.errors.title': 'الأخطاء الأخيرة',
+      'admin.errors.empty': 'لا توجد أخطاء',
+      'admin.commands.title': 'الأوامر المرسلة',
+      'admin.commands.allScreens': 'كل الشاشات:',
+      'admin.commands.go_home': '🏠 البداية',
+      'admin.commands.reload': '🔄 إعادة التحميل',
+      'admin.commands.clear_canvas': '🧹 مسح',
+      'admin.commands.lock': '🔒 قفل',
+      'admin.commands.unlock': '🔓 فتح',
+      'admin.commands.show_message': '💬 رسالة',
+      'admin.commands.room': 'الكشك {room}',
+      'admin.commands.all': 'كل الشاشات',
+      'admin.commands.sending': 'جارٍ الإرسال…',
+      'admin.commands.acks': '{done}/{total} شاشة نفذت الأمر',
+      'admin.commands.noAnswer': 'لا رد',
+      'admin.commands.empty': 'لم يُرسل أي أمر',
+      'admin.commands.messageText': 'الرسالة المراد عرضها:',
+      'admin.commands.lockText': 'نص شاشة القفل (اختياري):',
+      'admin.commands.confirm': 'إرسال "{command}"؟ سيفقد الزائر الحالي رسمه.',
+      'kiosk.locked': '🔒 الكشك غير متاح مؤقتًا',
+      'kiosk.idleTitle': 'هل ما زلت هنا؟',
+      'kiosk.idleCountdown': 'العودة إلى شاشة البداية خلال {seconds} ثانية. المس الشاشة لمتابعة رسمك.',
+      'attract.artwork': 'أُنشئ في هذا الكشك',
+      'attract.style': 'مثال على النمط'
+    }
+  }
+};
+
+class I18n {
+  constructor() {
+    this.locale = this.loadLocale();
+
+    // Another page of this browser picked a language
+    window.addEventListener('storage', (e) => {
+      if (e.key === LOCALE_STORAGE_KEY && e.newValue && e.newValue !== this.locale) {
+        this.setLocale(e.newValue);
+      }
+    });
+  }
+
+  // Read the locale from ?lang=xx or from the previous pages
+  loadLocale() {
+    const fromUrl = new URLSearchParams(window.location.search).get('lang');
+    const locale = this.normalize(fromUrl) || this.normalize(localStorage.getItem(LOCALE_STORAGE_KEY));
+    if (locale && fromUrl) {
+      localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    }
+    return locale || DEFAULT_LOCALE;
+  }
+
+  // 'en-US' -> 'en', unsupported -> null
+  normalize(locale) {
+    const language = String(locale || '').trim().toLowerCase().split(/[-_]/)[0];
+    return TRANSLATIONS[language] ? language : null;
+  }
+
+  get locales() {
+    return Object.keys(TRANSLATIONS).map((code) => ({ code, name: TRANSLATIONS[code].name }));
+  }
+
+  get dir() {
+    return TRANSLATIONS[this.locale].dir;
+  }
+
+  setLocale(locale) {
+    const normalized = this.normalize(locale);
+    if (!normalized || normalized === this.locale) return;
+
+    this.locale = normalized;
+    localStorage.setItem(LOCALE_STORAGE_KEY, normalized);
+    this.apply();
+    window.dispatchEvent(new CustomEvent('localechange', { detail: { locale: normalized } }));
+    console.log(`✓ Locale set to ${normalized}`);
+  }
+
+  has(key) {
+    return TRANSLATIONS[DEFAULT_LOCALE].strings[key] !== undefined;
+  }
+
+  // Translate a key, replacing {name} with params.name (French if missing)
+  t(key, params = {}) {
+    const text = TRANSLATIONS[this.locale].strings[key] ?? TRANSLATIONS[DEFAULT_LOCALE].strings[key];
+    if (text === undefined) {
+      console.warn(`⚠️ Missing translation: ${key}`);
+      return key;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+  }
+
+  // Prediction question shown above the canvas
+  // grammar: { article, gender, number } returned by /api/predict (may be null)
+  question(guess, grammar) {
+    return TRANSLATIONS[this.locale].question(guess, grammar || {});
+  }
+
+  // Styles are identified by their French name (sent as `style` to the API)
+  styleLabel(style) {
+    return TRANSLATIONS[this.locale].styles[style] || style;
+  }
+
+  stylePrompt(style) {
+    return TRANSLATIONS[this.locale].stylePrompts[style];
+  }
+
+  // Every style prompt in every locale (to recognize one typed earlier)
+  allStylePrompts(style) {
+    return Object.values(TRANSLATIONS).map((locale) => locale.stylePrompts[style]).filter(Boolean);
+  }
+
+  // Translate the static text of the page
+  apply(root = document) {
+    document.documentElement.lang = this.locale;
+
+    const attributes = { title: 'i18nTitle', placeholder: 'i18nPlaceholder', alt: 'i18nAlt' };
+    root.querySelectorAll('[data-i18n], [data-i18n-html], [data-i18n-title], [data-i18n-placeholder], [data-i18n-alt]').forEach((el) => {
+      if (el.dataset.i18n) {
+        el.textContent = this.t(el.dataset.i18n);
+      }
+      if (el.dataset.i18nHtml) {
+        el.innerHTML = this.t(el.dataset.i18nHtml);
+      }
+      for (const [attribute, dataKey] of Object.entries(attributes)) {
+        if (el.dataset[dataKey]) {
+          el.setAttribute(attribute, this.t(el.dataset[dataKey]));
+        }
+      }
+      // Only the text turns right-to-left: the kiosk layout stays the same
+      if (el.dataset.i18n || el.dataset.i18nHtml) {
+        el.dir = this.dir;
+      }
+    });
+  }
+}
+
+const i18n = new I18n();
+window.i18n = i18n;
+
+document.addEventListener('DOMContentLoaded', () => i18n.apply());
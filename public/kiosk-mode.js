@@ -0,0 +1,185 @@
+// Kiosk Mode
+//
+// Idle timeout and attract mode of unattended booths (settings from
+// GET /api/kiosk, see lib/kiosk.js).
+//
+// The controller (app.html) uses KioskIdleTimer: after `idleTimeoutMs`
+// without a touch it shows a countdown for `idleWarningMs`, then calls
+// onIdle(), which clears the canvas and returns both screens home with the
+// `return_to_home` controller action.  Any touch cancels the countdown.
+//
+// The display start screen (index.html) uses KioskAttractMode: after
+// `attract.delayMs` it cycles through `attract.slides` (recent gallery
+// artworks, then the style reference images), shows the start screen again
+// for the same delay, and starts over with fresh slides.
+
+const KIOSK_CONFIG_URL = '/api/kiosk';
+
+async function fetchKioskConfig() {
+  const res = await fetch(KIOSK_CONFIG_URL);
+  if (!res.ok) {
+    throw new Error(`Kiosk settings unavailable (${res.status})`);
+  }
+  return res.json();
+}
+
+class KioskIdleTimer {
+  // onIdle: resets the booth; isBusy: true while the visitor waits for the server
+  constructor({ onIdle, isBusy = () => false }) {
+    this.onIdle = onIdle;
+    this.isBusy = isBusy;
+    this.idleTimeoutMs = 0;
+    this.idleWarningMs = 0;
+    this.timer = null;
+    this.countdownTimer = null;
+    this.warning = null;
+  }
+
+  async start() {
+    try {
+      const config = await fetchKioskConfig();
+      this.idleTimeoutMs = config.idleTimeoutMs;
+      this.idleWarningMs = config.idleWarningMs;
+    } catch (error) {
+      console.warn('⚠️ Idle timeout disabled:', error.message);
+      return;
+    }
+    if (!this.idleTimeoutMs) {
+      console.log('Idle timeout disabled by the server');
+      return;
+    }
+
+    // Capture phase: the drawing tools stop the propagation of some events
+    ['pointerdown', 'pointermove', 'keydown', 'wheel'].forEach((type) => {
+      window.addEventListener(type, () => this.reset(), { capture: true, passive: true });
+    });
+    window.addEventListener('localechange', () => this.renderWarning());
+    this.reset();
+    console.log(`Idle timeout: ${this.idleTimeoutMs / 1000}s`);
+  }
+
+  reset() {
+    clearTimeout(this.timer);
+    this.hideWarning();
+    this.timer = setTimeout(() => this.showWarning(), this.idleTimeoutMs - this.idleWarningMs);
+  }
+
+  showWarning() {
+    // No reset while a generation is in progress: check again later
+    if (this.isBusy()) {
+      this.reset();
+      return;
+    }
+
+    this.deadline = Date.now() + this.idleWarningMs;
+    this.warning = document.createElement('div');
+    this.warning.className = 'kiosk-idle-warning';
+    this.warning.appendChild(document.createElement('h2'));
+    this.warning.appendChild(document.createElement('p'));
+    document.body.appendChild(this.warning);
+
+    this.renderWarning();
+    this.countdownTimer = setInterval(() => this.renderWarning(), 1000);
+  }
+
+  renderWarning() {
+    if (!this.warning) return;
+
+    const seconds = Math.max(0, Math.ceil((this.deadline - Date.now()) / 1000));
+    if (seconds === 0) {
+      this.hideWarning();
+      console.log('Booth idle: returning home');
+      this.onIdle();
+      return;
+    }
+    this.warning.querySelector('h2').textContent = i18n.t('kiosk.idleTitle');
+    this.warning.querySelector('p').textContent = i18n.t('kiosk.idleCountdown', { seconds });
+  }
+
+  hideWarning() {
+    clearInterval(this.countdownTimer);
+    if (this.warning) {
+      this.warning.remove();
+      this.warning = null;
+    }
+  }
+}
+
+class KioskAttractMode {
+  constructor() {
+    this.config = null;
+    this.overlay = null;
+    this.timer = null;
+    this.index = 0;
+    window.addEventListener('localechange', () => this.renderCaption());
+  }
+
+  async start() {
+    try {
+      this.config = (await fetchKioskConfig()).attract;
+    } catch (error) {
+      console.warn('⚠️ Attract mode disabled:', error.message);
+      return;
+    }
+    if (!this.config.delayMs || this.config.slides.length === 0) {
+      console.log('Attract mode disabled');
+      return;
+    }
+    this.timer = setTimeout(() => this.showSlide(0), this.config.delayMs);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+  }
+
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'attract-mode';
+    this.overlay.innerHTML = `
+      <img alt="">
+      <p class="attract-caption"></p>
+      <p class="attract-tap"></p>
+    `;
+    document.body.appendChild(this.overlay);
+  }
+
+  showSlide(index) {
+    const slide = this.config.slides[index];
+    if (!slide) {
+      // End of the cycle: back to the start screen, then fresh slides
+      this.stop();
+      this.start();
+      return;
+    }
+
+    if (!this.overlay) this.createOverlay();
+    this.index = index;
+    // A new image for each slide, so it fades in
+    const image = document.createElement('img');
+    image.alt = '';
+    this.overlay.querySelector('img').replaceWith(image);
+    // A missing image is skipped rather than shown broken
+    image.onerror = () => {
+      clearTimeout(this.timer);
+      this.showSlide(index + 1);
+    };
+    image.src = slide.imageUrl;
+    this.renderCaption();
+
+    this.timer = setTimeout(() => this.showSlide(index + 1), this.config.slideMs);
+  }
+
+  renderCaption() {
+    if (!this.overlay) return;
+
+    const slide = this.config.slides[this.index];
+    const kind = i18n.t(slide.kind === 'artwork' ? 'attract.artwork' : 'attract.style');
+    this.overlay.querySelector('.attract-caption').textContent = slide.style ? `${kind} · ${i18n.styleLabel(slide.style)}` : kind;
+    this.overlay.querySelector('.attract-tap').textContent = i18n.t('display.tap');
+    this.overlay.dir = i18n.dir;
+  }
+}
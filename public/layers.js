@@ -0,0 +1,144 @@
+// Drawing Layers
+//
+// The drawing of app.html is split into layers, listed from the bottom to the
+// top:
+//
+//   { id, number, visible, opacity, exported }
+//
+//   number    - Shown in the layer name ("Calque 2"), never reused
+//   visible   - Shown on the canvas and on the display mirror
+//   opacity   - 0 to 1, applied to the layer as a whole
+//   exported  - Sent to /api/predict and /api/generate (off for construction
+//               lines, for example); hidden layers are never sent
+//
+// Freehand strokes and Shape objects carry the `layerId` of the layer they
+// were drawn on.  Each layer is rendered on a transparent canvas of its own,
+// so an eraser stroke (see stroke.js) only erases its layer, then the layers
+// are drawn over the white background with their opacity.  The controller
+// (script.js) keeps one canvas per layer; the display mirror
+// (canvas-mirror.js) uses renderLayers().
+
+const MAX_LAYERS = 8;
+
+class LayerStack {
+  constructor() {
+    this.layers = [];
+    this.activeId = null;
+    this.lastNumber = 0;
+    this.add();
+  }
+
+  get active() {
+    return this.get(this.activeId);
+  }
+
+  get(id) {
+    return this.layers.find((layer) => layer.id === id) || null;
+  }
+
+  indexOf(id) {
+    return this.layers.findIndex((layer) => layer.id === id);
+  }
+
+  canAdd() {
+    return this.layers.length < MAX_LAYERS;
+  }
+
+  canRemove() {
+    return this.layers.length > 1;
+  }
+
+  // New layer above the active one, which becomes the active layer
+  add() {
+    this.lastNumber += 1;
+    const layer = {
+      id: `layer-${this.lastNumber}-${Math.random().toString(36).substr(2, 5)}`,
+      number: this.lastNumber,
+      visible: true,
+      opacity: 1,
+      exported: true
+    };
+    const activeIndex = this.indexOf(this.activeId);
+    this.insert(layer, activeIndex === -1 ? this.layers.length : activeIndex + 1);
+    return layer;
+  }
+
+  // Put back a layer (undo of a removal, redo of an addition)
+  insert(layer, index) {
+    this.layers.splice(Math.min(index, this.layers.length), 0, layer);
+    this.activeId = layer.id;
+  }
+
+  // Returns the index the layer had, -1 if it does not exist. The active
+  // layer moves to the one below (or above, for the bottom layer).
+  remove(id) {
+    const index = this.indexOf(id);
+    if (index === -1) return -1;
+
+    this.layers.splice(index, 1);
+    if (this.activeId === id) {
+      const next = this.layers[Math.max(0, index - 1)];
+      this.activeId = next ? next.id : null;
+    }
+    return index;
+  }
+
+  move(id, index) {
+    const from = this.indexOf(id);
+    if (from === -1 || index < 0 || index >= this.layers.length) return false;
+
+    const [layer] = this.layers.splice(from, 1);
+    this.layers.splice(index, 0, layer);
+    return true;
+  }
+
+  select(id) {
+    if (this.get(id)) {
+      this.activeId = id;
+    }
+  }
+
+  // Replace every layer (a drawing loaded from a document). The numbers of the
+  // new layers continue after the highest one.
+  replace(layers, activeId) {
+    this.layers = layers;
+    this.lastNumber = Math.max(0, ...layers.map((layer) => layer.number));
+    this.activeId = this.get(activeId) ? activeId : layers[layers.length - 1].id;
+  }
+}
+
+// Draw the canvas of a layer with its opacity. The image covers the whole
+// target canvas, whatever the transform of the context.
+function drawLayerImage(ctx, layer, image) {
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = layer.opacity;
+  ctx.drawImage(image, 0, 0);
+  ctx.restore();
+}
+
+// Scratch canvas of renderLayers(), reused between frames
+let layerScratchCanvas = null;
+
+// Draw `layers` (bottom first) over what ctx already holds. drawLayer(layerCtx, layer)
+// draws the content of a layer, with the transform of ctx.
+function renderLayers(ctx, layers, drawLayer) {
+  const { width, height } = ctx.canvas;
+  if (!layerScratchCanvas) {
+    layerScratchCanvas = document.createElement('canvas');
+  }
+  if (layerScratchCanvas.width !== width || layerScratchCanvas.height !== height) {
+    layerScratchCanvas.width = width;
+    layerScratchCanvas.height = height;
+  }
+
+  const layerCtx = layerScratchCanvas.getContext('2d');
+  const transform = ctx.getTransform();
+  for (const layer of layers) {
+    layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+    layerCtx.clearRect(0, 0, width, height);
+    layerCtx.setTransform(transform);
+    drawLayer(layerCtx, layer);
+    drawLayerImage(ctx, layer, layerScratchCanvas);
+  }
+}
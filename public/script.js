@@ -37,15 +37,30 @@ document.addEventListener('DOMContentLoaded', () => {
   const triangleBtn = document.getElementById('triangleBtn');
   const lineBtn = document.getElementById('lineBtn');
   const fillToolBtn = document.getElementById('fillToolBtn');
+  
+  // Layers panel
+  const layersBtn = document.getElementById('layersBtn');
+  const layersPanel = document.getElementById('layersPanel');
+  const layersList = document.getElementById('layersList');
+  const addLayerBtn = document.getElementById('addLayerBtn');
+  
+  // Drawings panel (sketches library)
+  const drawingsBtn = document.getElementById('drawingsBtn');
+  const drawingsPanel = document.getElementById('drawingsPanel');
+  const drawingTitleInput = document.getElementById('drawingTitle');
+  const saveDrawingBtn = document.getElementById('saveDrawingBtn');
+  const exportFileBtn = document.getElementById('exportFileBtn');
+  const importFileBtn = document.getElementById('importFileBtn');
+  const importFileInput = document.getElementById('importFileInput');
+  const drawingsList = document.getElementById('drawingsList');
 
   // State variables
   let isDrawing = false;
   let isErasing = false;
   let brushSize = parseInt(sizeSlider.value, 10);
   let currentColor = '#000000';
-  let paths = []; // stack of drawn strokes for undo
-  let redoPaths = []; // stack of undone strokes for redo
-  let currentPath = [];
+  let paths = []; // Drawn strokes and shapes ({ isShape, shapeId }), in drawing order
+  let strokeBuilder = null; // Stroke being drawn (see stroke.js)
   let drawingChanged = false;
   let predictionIntervalId;
   let promptTimeoutId;
@@ -65,46 +80,33 @@ document.addEventListener('DOMContentLoaded', () => {
   let lastClickTime = 0; // For double-click detection
   let startPos = { x: 0, y: 0 }; // For resizing and moving operations
   let startAngle = 0; // For rotation operations
+  let shapeEditStart = null; // Geometry of the active shape before a move, resize or rotation
   let resizeCorner = null; // Which corner is being used for resizing
   
-  // Helper function to determine the correct French article
-  function getArticle(word) {
-    // Default to indefinite masculine "un"
-    let article = "un";
-    
-    // Common feminine words for basic detection
-    const feminineWords = [
-      'maison', 'voiture', 'table', 'chaise', 'fleur', 'montagne', 'rivière',
-      'plage', 'pomme', 'banane', 'orange', 'fraise', 'tomate', 'carotte',
-      'personne', 'femme', 'fille', 'tête', 'main', 'jambe', 'bouche', 'dent',
-      'porte', 'fenêtre', 'école', 'ville', 'rue', 'plante', 'étoile', 'lune'
-    ];
-    
-    // Common plural words
-    const pluralWords = [
-      'montagnes', 'arbres', 'fleurs', 'personnes', 'animaux', 'oiseaux', 
-      'poissons', 'chats', 'chiens', 'maisons', 'voitures', 'étoiles', 
-      'enfants', 'femmes', 'hommes', 'fruits', 'légumes'
-    ];
-    
-    // Words that start with vowel sounds need "l'"
-    const vowelStart = /^[aeiouàâéèêëîïôùûüÿæœ]/i;
-    
-    // Basic rule checking - very simplified
-    const lowercaseWord = word.toLowerCase();
-    
-    if (pluralWords.some(plural => lowercaseWord.includes(plural))) {
-      article = "des";
-    } else if (feminineWords.some(fem => lowercaseWord.includes(fem))) {
-      article = vowelStart.test(word) ? "l'" : "une";
-    } else {
-      article = vowelStart.test(word) ? "l'" : "un";
-    }
-    
-    return article;
-  }
-
-  // Style options with personalized prompts
+  // The drawing lives on a page of DrawingDocument.PAGE units, whatever the
+  // screen: the page is fitted into the window and rendered for its pixel
+  // density (see resizeCanvas). Strokes, shapes, brush sizes and the mirror
+  // use page units; only the pointer positions and the pixels are converted.
+  const page = DrawingDocument.PAGE;
+  let view = { scale: 1, offsetX: 0, offsetY: 0, pixelRatio: 1 }; // Page -> CSS pixels of the canvas
+  let exportSize = { width: 1024, height: 640 }; // Sketch sent to the API (GET /api/canvas)
+  
+  // Layers of the drawing (see layers.js): strokes and shapes are drawn on the
+  // active layer, and each layer is rendered on a canvas of its own
+  const layerStack = new LayerStack();
+  const layerCanvases = new Map(); // Rendered layers, by layer id
+  
+  // Drawing of the sketches library being continued ({ id, title }), saved
+  // again in place; null for a new drawing
+  let openedDrawing = null;
+  
+  // Live mirror of the drawing on the display screen (see canvas-mirror.js)
+  const canvasMirror = new CanvasMirrorSender(page, () => ({ paths, shapes, layers: layerStack.layers }));
+  
+  // Every change of the drawing is an undoable command (see history.js)
+  const commandHistory = new CommandHistory({ onChange: updateHistoryButtons });
+  
+  // Style options, identified by their French name (labels and prompts in i18n.js)
   const styles = [
     'Aquarelle',
     'Illustration',
@@ -114,15 +116,10 @@ document.addEventListener('DOMContentLoaded', () => {
     'Peinture à l\'huile',
   ];
   
-  // Personalized prompts for each style
-  const stylePrompts = {
-    'Aquarelle': 'Transformer ce croquis en une peinture aquarelle délicate, avec des lavis de couleur doux, des dégradés subtils et un effet de pigments naturels sur papier texturé. Mettre en valeur la transparence, les fondus et des coups de pinceau fluides.',
-    'Illustration': 'Améliorer ce croquis en une illustration nette et détaillée, avec des lignes précises, des couleurs vives et des ombrages équilibrés. Style professionnel et raffiné, adapté à l’éditorial ou au concept art.',
-    'Pop Art': 'Convertir ce croquis en une œuvre Pop Art audacieuse, avec des couleurs saturées, des contours épais, des motifs tramés et un contraste fort. Donner un style iconique et ludique, inspiré de la bande dessinée.',
-    'Croquis': 'Transformer ce croquis en une image qui garde l’apparence d’un prédessin ou d’un avant-dessin. Conserver uniquement les traits rapides, les lignes expressives et les hachures, sans ajouter de réalisme ni de volume 3D. Éviter les couleurs fortes : utiliser seulement quelques nuances discrètes, comme si l’image était à l’état d’esquisse. Employer des textures de crayon ou de fusain avec un style carnet de dessin, qui met en valeur le geste et la construction de la forme, plutôt que l’aspect global ou réaliste de l’image.',
-    'Dessin Animé 3D': 'Transformer ce croquis en un rendu cartoon 3D coloré, avec des ombrages doux, une lumière réaliste et des personnages stylisés. Mettre l’accent sur l’expression, les proportions ludiques et un rendu proche d’un film d’animation.',
-    'Peinture à l\'huile': 'Convertir ce croquis en une peinture à l’huile riche et texturée, avec des coups de pinceau visibles, des couleurs profondes et des effets de lumière réalistes. Donner une esthétique classique et artistique.'
-  };
+  // Find the personalized prompt of a style (any language, see i18n.js) in a text
+  function findStylePrompt(style, text) {
+    return i18n.allStylePrompts(style).find((prompt) => text.includes(prompt)) || null;
+  }
 
   /**
    * Initialise the drawing canvas to fill the window and set up event handlers.
@@ -130,68 +127,83 @@ document.addEventListener('DOMContentLoaded', () => {
   function initCanvas() {
     resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
+    loadCanvasSettings();
 
-    // Mouse events
-    canvas.addEventListener('mousedown', startDrawing);
-    canvas.addEventListener('mousemove', handleMouseMove);
-    window.addEventListener('mouseup', stopDrawing);
-    canvas.addEventListener('mouseout', stopDrawing);
-
-    // Touch events for mobile
-    canvas.addEventListener('touchstart', (e) => {
+    // Pointer events: mouse, touch and pen (with its pressure) alike.
+    // Only the primary pointer draws, so a palm or a second finger is ignored;
+    // the capture keeps the stroke going outside the canvas until it ends.
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!e.isPrimary) return;
       e.preventDefault(); // Empêche le défilement sur les appareils mobiles
-      startDrawing(e.touches[0]);
-    }, { passive: false });
-    canvas.addEventListener('touchmove', (e) => {
-      e.preventDefault();
-      handleMouseMove(e.touches[0]);
-    }, { passive: false });
-    window.addEventListener('touchend', stopDrawing);
+      canvas.setPointerCapture(e.pointerId);
+      startDrawing(e);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+      if (!e.isPrimary) return;
+      handlePointerMove(e);
+    });
+    canvas.addEventListener('pointerup', (e) => {
+      if (e.isPrimary) stopDrawing();
+    });
+    canvas.addEventListener('pointercancel', (e) => {
+      if (e.isPrimary) stopDrawing();
+    });
     
     // Initialize button states
-    undoBtn.classList.remove('active');
-    redoBtn.classList.remove('active');
+    updateHistoryButtons();
     
     // Initialize shape tools
     initShapeTools();
   }
 
   /**
-   * Adjust the canvas size to match the viewport and redraw existing paths.
+   * Adjust the canvas size to match the viewport and its pixel density, fit
+   * the page into it and redraw existing paths.
    */
   function resizeCanvas() {
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+    
+    const scale = Math.min(width / page.width, height / page.height);
+    view = {
+      scale,
+      offsetX: (width - page.width * scale) / 2,
+      offsetY: (height - page.height * scale) / 2,
+      pixelRatio
+    };
     redraw();
   }
 
+  // Draw on a context of the canvas size in page units
+  function applyView(context) {
+    const ratio = view.pixelRatio;
+    context.setTransform(ratio * view.scale, 0, 0, ratio * view.scale, ratio * view.offsetX, ratio * view.offsetY);
+  }
+
   /**
-   * Dessine un point circulaire à la position spécifiée
-   * @param {number} x - Coordonnée X du point
-   * @param {number} y - Coordonnée Y du point
-   * @param {string} color - Couleur du point
-   * @param {number} size - Taille du point (diamètre)
+   * Read the size of the sketches sent to the API (see lib/canvas-settings.js).
    */
-  function drawDot(x, y, color, size) {
-    ctx.beginPath();
-    ctx.fillStyle = color;
-    ctx.arc(x, y, size / 2, 0, Math.PI * 2);
-    ctx.fill();
+  async function loadCanvasSettings() {
+    try {
+      const res = await fetch('/api/canvas');
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      exportSize = (await res.json()).export;
+    } catch (err) {
+      console.warn('⚠️ Canvas settings unavailable, default sketch size kept:', err.message);
+    }
   }
-  
+
   /**
-   * Begin a new stroke or shape interaction on mousedown/touchstart.
+   * Begin a new stroke or shape interaction on pointerdown.
    */
   function startDrawing(e) {
     const { x, y } = getCanvasPos(e);
     
-    // Clear redo history when starting a new stroke
-    if (redoPaths.length > 0) {
-      redoPaths = [];
-      // Update redo button visual state
-      redoBtn.classList.remove('active');
-    }
-    
     // Check if we're clicking on shape control icons first
     if (activeShape && !activeShape.finalized) {
       // Check confirm icon
@@ -207,6 +219,12 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
     
+    // Nothing can be drawn on a hidden layer: show it in the layers panel instead
+    if (!layerStack.active.visible) {
+      showLayersPanel();
+      return;
+    }
+    
     // Handle shape creation first
     if (isCreatingShape && selectedShapeType) {
       // Create a new shape
@@ -221,18 +239,8 @@ document.addEventListener('DOMContentLoaded', () => {
       const clickedShape = findFinalizedShapeAt(x, y);
       if (clickedShape) {
         // Change the fill color of the clicked shape
-        const previousFillColor = clickedShape.fillColor;
-        clickedShape.fillColor = currentColor;
-        
-        // Add to undo stack
-        paths.push({
-          isShape: true,
-          shapeId: clickedShape.id,
-          action: 'fill',
-          previousFillColor: previousFillColor,
-          newFillColor: currentColor
-        });
-        undoBtn.classList.add('active');
+        commandHistory.execute(fillCommand(clickedShape, clickedShape.fillColor, currentColor));
+        canvasMirror.shapeChanged(clickedShape);
         
         // Show visual feedback for successful fill
         showFillFeedback(x, y, currentColor);
@@ -260,6 +268,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Store the initial rotation
         startAngle = shape.rotation;
+        shapeEditStart = shapeGeometry(shape);
         
         redraw();
         return;
@@ -273,6 +282,7 @@ document.addEventListener('DOMContentLoaded', () => {
       isResizingShape = true;
       activeShape = resizeHandleInfo.shape;
       resizeCorner = resizeHandleInfo.cornerIndex;
+      shapeEditStart = shapeGeometry(activeShape);
       return; // Don't proceed with regular drawing
     }
     
@@ -287,6 +297,7 @@ document.addEventListener('DOMContentLoaded', () => {
         activeShape = clickedShape;
         startPos.x = x;
         startPos.y = y;
+        shapeEditStart = shapeGeometry(activeShape);
         redraw(); // To show resize handles
         return; // Don't proceed with regular drawing
       }
@@ -303,21 +314,25 @@ document.addEventListener('DOMContentLoaded', () => {
       if (!isCreatingShape) {
         // Regular drawing behavior
         isDrawing = true;
-        currentPath = [];
         drawingChanged = true;
+        strokeBuilder = new StrokeBuilder(isErasing ? '#ffffff' : currentColor, brushSize, e, {
+          layerId: layerStack.activeId,
+          erase: isErasing
+        });
+        strokeBuilder.addPoint(x, y, e);
         
         // Draw a point immediately for instant visual feedback
-        drawDot(x, y, isErasing ? '#ffffff' : currentColor, brushSize);
-        
-        draw(e);
+        renderStroke(getLayerContext(layerStack.activeId), strokeBuilder.stroke);
+        composeCanvas();
+        canvasMirror.strokeStart(strokeBuilder.stroke);
       }
     }
   }
 
   /**
-   * Handle mouse movement for cursor feedback and drawing
+   * Handle pointer movement for cursor feedback and drawing
    */
-  function handleMouseMove(e) {
+  function handlePointerMove(e) {
     const { x, y } = getCanvasPos(e);
     
     // Handle rotation if we're in rotating mode
@@ -338,6 +353,7 @@ document.addEventListener('DOMContentLoaded', () => {
       if (activeShape.rotation < 0) {
         activeShape.rotation += 360;
       }
+      canvasMirror.shapeChanged(activeShape);
       
       redraw();
       return;
@@ -428,7 +444,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   
   /**
-   * Draw a line segment or handle shape resizing/moving during mouse/touch move.
+   * Extend the stroke or handle shape resizing/moving during pointermove.
    */
   function draw(e) {
     const { x, y } = getCanvasPos(e);
@@ -436,6 +452,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Handle shape resizing
     if (isResizingShape && activeShape && resizeCorner !== null) {
       activeShape.resize(resizeCorner, x, y);
+      canvasMirror.shapeChanged(activeShape);
       redraw();
       drawingChanged = true;
       return;
@@ -448,47 +465,41 @@ document.addEventListener('DOMContentLoaded', () => {
       activeShape.move(dx, dy);
       startPos.x = x;
       startPos.y = y;
+      canvasMirror.shapeChanged(activeShape);
       redraw();
       drawingChanged = true;
       return;
     }
     
     // Regular drawing behavior
-    if (!isDrawing) return;
-    
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.strokeStyle = isErasing ? '#ffffff' : currentColor;
-    ctx.lineWidth = brushSize;
-    
-    if (currentPath.length === 0) {
-      ctx.beginPath();
-      ctx.moveTo(x, y);
-      currentPath.push({ x, y });
-    } else {
-      ctx.lineTo(x, y);
-      ctx.stroke();
-      currentPath.push({ x, y });
+    if (!isDrawing || !strokeBuilder) return;
+    
+    // The browser may merge several positions into one event: keep them all
+    const coalesced = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+    const layerCtx = getLayerContext(strokeBuilder.stroke.layerId);
+    let added = false;
+    for (const event of coalesced.length > 0 ? coalesced : [e]) {
+      const pos = getCanvasPos(event);
+      const point = strokeBuilder.addPoint(pos.x, pos.y, event);
+      if (!point) continue;
+      
+      // The piece of curve that the new point completes
+      renderStrokeSegment(layerCtx, strokeBuilder.stroke, strokeBuilder.stroke.points.length - 2);
+      canvasMirror.strokePoint(point);
+      added = true;
+    }
+    if (added) {
+      composeCanvas();
     }
   }
 
   /**
-   * Finish the current stroke or shape interaction on mouseup/touchend.
+   * Finish the current stroke or shape interaction on pointerup/pointercancel.
    */
   function stopDrawing() {
     // Handle rotation operation
     if (isRotatingShape) {
-      // Add to undo stack if shape was rotated
-      if (activeShape) {
-        paths.push({
-          isShape: true,
-          shapeId: activeShape.id,
-          action: 'rotate',
-          previousRotation: startAngle,
-          newRotation: activeShape.rotation
-        });
-        undoBtn.classList.add('active');
-      }
+      recordShapeEdit('rotate');
       
       // Reset the rotation flag but keep the shape active
       isRotatingShape = false;
@@ -498,15 +509,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Handle shape operations first
     if (isResizingShape || isMovingShape) {
-      // Add to undo stack if shape was resized or moved
-      if (activeShape) {
-        paths.push({
-          isShape: true,
-          shapeId: activeShape.id,
-          action: 'modify'
-        });
-        undoBtn.classList.add('active');
-      }
+      recordShapeEdit(isResizingShape ? 'resize' : 'move');
       
       // Reset the shape interaction flags but keep the shape active
       // so the user can continue editing it until they click elsewhere
@@ -525,67 +528,383 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!isDrawing) return;
     isDrawing = false;
     
-    if (currentPath.length > 0) {
-      paths.push({
-        points: currentPath.slice(),
-        color: isErasing ? '#ffffff' : currentColor,
-        size: brushSize,
-      });
-      // Update undo button state when adding a new path
-      undoBtn.classList.add('active');
+    const stroke = strokeBuilder.stroke;
+    const layerCtx = getLayerContext(stroke.layerId);
+    const lastPoint = strokeBuilder.end();
+    strokeBuilder = null;
+    if (lastPoint) {
+      renderStrokeSegment(layerCtx, stroke, stroke.points.length - 2);
+      canvasMirror.strokePoint(lastPoint);
+    }
+    if (stroke.points.length > 0) {
+      renderStrokeEnd(layerCtx, stroke);
+      composeCanvas();
+      commandHistory.execute(strokeCommand(stroke));
     }
-    currentPath = [];
+    canvasMirror.strokeEnd();
   }
 
   /**
-   * Convert a mouse/touch event into canvas coordinates.
+   * Convert a pointer event into page coordinates.
    */
   function getCanvasPos(e) {
     const rect = canvas.getBoundingClientRect();
     return {
-      x: e.clientX - rect.left,
-      y: e.clientY - rect.top,
+      x: (e.clientX - rect.left - view.offsetX) / view.scale,
+      y: (e.clientY - rect.top - view.offsetY) / view.scale,
     };
   }
 
+  /**
+   * Canvas of a layer, sized like the drawing canvas (device pixels).
+   */
+  function getLayerCanvas(layerId) {
+    let layerCanvas = layerCanvases.get(layerId);
+    if (!layerCanvas) {
+      layerCanvas = document.createElement('canvas');
+      layerCanvases.set(layerId, layerCanvas);
+    }
+    if (layerCanvas.width !== canvas.width || layerCanvas.height !== canvas.height) {
+      layerCanvas.width = canvas.width;
+      layerCanvas.height = canvas.height;
+    }
+    return layerCanvas;
+  }
+
+  // Context of a layer canvas, drawing in page units
+  function getLayerContext(layerId) {
+    const layerCtx = getLayerCanvas(layerId).getContext('2d');
+    applyView(layerCtx);
+    return layerCtx;
+  }
+
+  // Draw the strokes and shapes of a layer in the order they were drawn
+  function drawLayerContent(context, layerId, shapeOptions) {
+    for (const path of paths) {
+      // Check if it's a shape operation
+      if (path.isShape) {
+        // Find and draw the corresponding shape to maintain the drawing order
+        const shape = shapes.find(s => s.id === path.shapeId);
+        if (shape && shape.layerId === layerId) {
+          shape.draw(context, shapeOptions);
+        }
+      }
+      // Otherwise it's a freehand stroke (a dot for a simple tap)
+      else if (path.points && path.layerId === layerId) {
+        renderStroke(context, path);
+      }
+    }
+  }
+
   /**
    * Redraw the entire canvas based on the stored paths.  Used after undo
-   * operations and canvas resizes.
+   * operations, layer changes and canvas resizes.
    */
   function redraw() {
-    // Fill background white
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // Redraw each layer from its stored paths (the content of removed layers
+    // stays in paths for undo, but is not drawn)
+    for (const layer of layerStack.layers) {
+      const layerCtx = getLayerContext(layer.id);
+      layerCtx.save();
+      layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+      layerCtx.clearRect(0, 0, canvas.width, canvas.height);
+      layerCtx.restore();
+      drawLayerContent(layerCtx, layer.id);
+    }
     
-    // Redraw each stored path in the correct layer order
+    // Drop the canvases of removed layers (rendered again if the removal is undone)
+    for (const layerId of layerCanvases.keys()) {
+      if (!layerStack.get(layerId)) {
+        layerCanvases.delete(layerId);
+      }
+    }
+    
+    composeCanvas();
+  }
+
+  /**
+   * Draw the visible layers over the white page, from the bottom up. The
+   * window around the page is grey: nothing drawn there is exported.
+   */
+  function composeCanvas() {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    applyView(ctx);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, page.width, page.height);
+    for (const layer of layerStack.layers) {
+      if (layer.visible) {
+        drawLayerImage(ctx, layer, getLayerCanvas(layer.id));
+      }
+    }
+  }
+
+  /**
+   * Whether the layers sent to the API hold something: the visible layers
+   * marked for export.
+   */
+  function isExportedLayer(layerId) {
+    const layer = layerStack.get(layerId);
+    return Boolean(layer && layer.visible && layer.exported);
+  }
+
+  function hasExportedDrawing() {
+    return paths.some((path) => {
+      if (path.isShape) {
+        const shape = shapes.find(s => s.id === path.shapeId);
+        return Boolean(shape) && isExportedLayer(shape.layerId);
+      }
+      return Boolean(path.points) && isExportedLayer(path.layerId);
+    });
+  }
+
+  /**
+   * PNG data URL of the drawing sent to /api/predict and /api/generate: the
+   * exported layers only, over a white background. The page is rendered at
+   * exportSize whatever the screen, without the handles of the active shape.
+   */
+  function exportDrawing() {
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = exportSize.width;
+    exportCanvas.height = exportSize.height;
+    const exportCtx = exportCanvas.getContext('2d');
+    exportCtx.fillStyle = '#ffffff';
+    exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
+    
+    const scale = Math.min(exportCanvas.width / page.width, exportCanvas.height / page.height);
+    exportCtx.setTransform(scale, 0, 0, scale,
+      (exportCanvas.width - page.width * scale) / 2, (exportCanvas.height - page.height * scale) / 2);
+    renderLayers(exportCtx, layerStack.layers.filter(layer => isExportedLayer(layer.id)),
+      (layerCtx, layer) => drawLayerContent(layerCtx, layer.id, { handles: false }));
+    return exportCanvas.toDataURL('image/png');
+  }
+
+  /**
+   * Drawing document of the current drawing (see drawing-document.js): the
+   * layers, then the strokes and shapes of these layers in drawing order.
+   */
+  function serializeDrawing(title) {
+    const items = [];
     for (const path of paths) {
-      // Check if it's a shape operation
       if (path.isShape) {
-        // Find and draw the corresponding shape to maintain layer order
         const shape = shapes.find(s => s.id === path.shapeId);
-        if (shape && path.action === 'add') {
-          shape.draw(ctx);
+        if (shape && layerStack.get(shape.layerId)) {
+          items.push({
+            kind: 'shape',
+            id: shape.id,
+            layerId: shape.layerId,
+            type: shape.type,
+            x: shape.x,
+            y: shape.y,
+            width: shape.width,
+            height: shape.height,
+            rotation: shape.rotation,
+            borderColor: shape.borderColor,
+            fillColor: shape.fillColor
+          });
         }
+      } else if (path.points && layerStack.get(path.layerId)) {
+        items.push({
+          kind: 'stroke',
+          layerId: path.layerId,
+          color: path.color,
+          size: path.size,
+          erase: Boolean(path.erase),
+          pointerType: path.pointerType || null,
+          points: DrawingDocument.packPoints(path.points)
+        });
       }
-      // Check if it's a single point (simple click)
-      else if (path.points && path.points.length === 1) {
-        // Draw a circular point
-        const point = path.points[0];
-        drawDot(point.x, point.y, path.color, path.size);
-      }
-      // Otherwise it's a regular line
-      else if (path.points && path.points.length > 1) {
-        // Draw a line for normal strokes
-        ctx.beginPath();
-        ctx.strokeStyle = path.color;
-        ctx.lineWidth = path.size;
-        path.points.forEach((pt, index) => {
-          if (index === 0) ctx.moveTo(pt.x, pt.y);
-          else ctx.lineTo(pt.x, pt.y);
+    }
+
+    return {
+      format: DrawingDocument.DOCUMENT_FORMAT,
+      version: DrawingDocument.DOCUMENT_VERSION,
+      title: title || null,
+      canvas: { width: page.width, height: page.height },
+      layers: layerStack.layers.map(layer => ({ ...layer })),
+      items
+    };
+  }
+
+  /**
+   * Strokes, finalized Shape objects and layers of a (valid) drawing document.
+   */
+  function readDrawing(drawingDocument) {
+    const drawing = {
+      paths: [],
+      shapes: [],
+      layers: drawingDocument.layers.map(layer => ({ ...layer }))
+    };
+
+    for (const item of drawingDocument.items) {
+      if (item.kind === 'shape') {
+        const shape = new Shape(item.type, item.x, item.y, item.width, item.height, item.borderColor);
+        shape.id = item.id;
+        shape.layerId = item.layerId;
+        shape.rotation = item.rotation;
+        shape.fillColor = item.fillColor;
+        shape.finalized = true;
+        drawing.shapes.push(shape);
+        drawing.paths.push({ isShape: true, shapeId: shape.id });
+      } else {
+        drawing.paths.push({
+          points: DrawingDocument.unpackPoints(item.points),
+          color: item.color,
+          size: item.size,
+          pointerType: item.pointerType || 'mouse',
+          layerId: item.layerId,
+          ...(item.erase ? { erase: true } : {})
         });
-        ctx.stroke();
       }
     }
+    return drawing;
+  }
+
+  /*
+   * Commands of the undo history (see history.js). They change the drawing
+   * state only; undo() and redo() render it again. Items are put back at the
+   * position they had in `paths` and `shapes`, so the drawing order survives
+   * an undo.
+   */
+
+  // A freehand or eraser stroke
+  function strokeCommand(stroke) {
+    let index = paths.length;
+    return {
+      type: stroke.erase ? 'erase' : 'stroke',
+      apply() {
+        paths.splice(index, 0, stroke);
+      },
+      revert() {
+        index = paths.indexOf(stroke);
+        paths.splice(index, 1);
+      }
+    };
+  }
+
+  // A new shape (inverted to remove one)
+  function addShapeCommand(shape) {
+    const path = { isShape: true, shapeId: shape.id };
+    let pathIndex = paths.length;
+    let shapeIndex = shapes.length;
+    return {
+      type: 'shape',
+      apply() {
+        paths.splice(pathIndex, 0, path);
+        shapes.splice(shapeIndex, 0, shape);
+        // A shape that was still being edited comes back selected
+        if (!shape.finalized) {
+          activeShape = shape;
+        }
+      },
+      revert() {
+        pathIndex = paths.findIndex(p => p.isShape && p.shapeId === shape.id);
+        paths.splice(pathIndex, 1);
+        shapeIndex = shapes.indexOf(shape);
+        shapes.splice(shapeIndex, 1);
+        if (activeShape === shape) {
+          activeShape = null;
+        }
+      }
+    };
+  }
+
+  // Position, size and rotation of a shape
+  function shapeGeometry(shape) {
+    return {
+      x: shape.x,
+      y: shape.y,
+      width: shape.width,
+      height: shape.height,
+      rotation: shape.rotation,
+      centerX: shape.centerX,
+      centerY: shape.centerY
+    };
+  }
+
+  // A move, resize, rotation or flip: the geometry before and after it
+  function shapeEditCommand(type, shape, before, after) {
+    return {
+      type,
+      apply: () => Object.assign(shape, after),
+      revert: () => Object.assign(shape, before)
+    };
+  }
+
+  // Record the edit of the active shape that just ended (nothing for a simple click)
+  function recordShapeEdit(type) {
+    const before = shapeEditStart;
+    shapeEditStart = null;
+    if (!activeShape || !before) return;
+
+    const after = shapeGeometry(activeShape);
+    if (Object.keys(after).some(key => after[key] !== before[key])) {
+      commandHistory.record(shapeEditCommand(type, activeShape, before, after));
+    }
+  }
+
+  function fillCommand(shape, previousColor, newColor) {
+    return {
+      type: 'fill',
+      apply() {
+        shape.fillColor = newColor;
+      },
+      revert() {
+        shape.fillColor = previousColor;
+      }
+    };
+  }
+
+  // The whole drawing at once; the layers stay. The next save is a new drawing.
+  function clearCommand() {
+    const previousPaths = paths;
+    const previousShapes = shapes;
+    const previousDrawing = openedDrawing;
+    return {
+      type: 'clear',
+      apply() {
+        paths = [];
+        shapes = [];
+        activeShape = null;
+        openedDrawing = null;
+      },
+      revert() {
+        paths = previousPaths;
+        shapes = previousShapes;
+        openedDrawing = previousDrawing;
+      }
+    };
+  }
+
+  // A drawing opened from the sketches library or from a file, replacing the
+  // current one and its layers. drawing: { id, title } of the library entry
+  // (id is null for a file).
+  function openDrawingCommand(drawingDocument, drawing) {
+    const previous = {
+      paths,
+      shapes,
+      layers: layerStack.layers,
+      activeId: layerStack.activeId,
+      drawing: openedDrawing
+    };
+    const opened = readDrawing(drawingDocument);
+    return {
+      type: 'open',
+      apply() {
+        paths = opened.paths;
+        shapes = opened.shapes;
+        activeShape = null;
+        layerStack.replace(opened.layers);
+        openedDrawing = drawing.id ? drawing : null;
+      },
+      revert() {
+        paths = previous.paths;
+        shapes = previous.shapes;
+        layerStack.replace(previous.layers, previous.activeId);
+        openedDrawing = previous.drawing;
+      }
+    };
   }
 
 
@@ -794,7 +1113,8 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // Draw the shape on the canvas
-    draw(context) {
+    // options: { handles } - false draws the active shape without its handles
+    draw(context, options = {}) {
       context.save();
       context.strokeStyle = this.borderColor;
       context.fillStyle = this.fillColor;
@@ -852,7 +1172,7 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       
       // If this is the active shape, draw resize handles and rotation indicator
-      if (this === activeShape) {
+      if (this === activeShape && options.handles !== false) {
         // Reset rotation for drawing handles in the correct positions
         context.restore();
         context.save();
@@ -1247,23 +1567,12 @@ document.addEventListener('DOMContentLoaded', () => {
       defaultSize,
       currentColor
     );
+    newShape.layerId = layerStack.activeId;
     
-    // Add to shapes array
-    shapes.push(newShape);
-    
-    // Make it the active shape and NOT finalized yet
-    // so the user can resize/move it immediately
-    activeShape = newShape;
-    
-    // Add to undo stack
-    paths.push({
-      isShape: true,
-      shapeId: newShape.id,
-      action: 'add'
-    });
-    
-    // Update undo button state
-    undoBtn.classList.add('active');
+    // Add to the drawing; the shape is NOT finalized yet and becomes the
+    // active shape so the user can resize/move it immediately
+    commandHistory.execute(addShapeCommand(newShape));
+    canvasMirror.shapeChanged(newShape);
     
     // Mark as drawing changed for prediction
     drawingChanged = true;
@@ -1308,19 +1617,10 @@ document.addEventListener('DOMContentLoaded', () => {
   // Function to cancel/remove the active shape
   function cancelActiveShape() {
     if (activeShape && !activeShape.finalized) {
-      // Find and remove the shape from the shapes array
-      const shapeIndex = shapes.findIndex(shape => shape.id === activeShape.id);
-      if (shapeIndex !== -1) {
-        shapes.splice(shapeIndex, 1);
-      }
-      
-      // Also remove the corresponding entry from paths for undo functionality
-      const pathIndex = paths.findIndex(path => 
-        path.isShape && path.shapeId === activeShape.id && path.action === 'add'
-      );
-      if (pathIndex !== -1) {
-        paths.splice(pathIndex, 1);
-      }
+      // Remove the shape from the drawing (an undo puts it back)
+      const shape = activeShape;
+      commandHistory.execute(invertCommand(addShapeCommand(shape), 'shape_remove'));
+      canvasMirror.shapeRemoved(shape.id);
       
       // Clear active shape selection
       activeShape = null;
@@ -1348,9 +1648,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // Function to find a finalized shape at a specific position (for fill tool)
   function findFinalizedShapeAt(x, y) {
     // Check in reverse order to get the topmost shape
-    // Only return shapes that have been finalized
+    // Only return shapes that have been finalized, on the active layer
     for (let i = shapes.length - 1; i >= 0; i--) {
-      if (shapes[i].finalized && shapes[i].contains(x, y)) {
+      if (shapes[i].finalized && shapes[i].layerId === layerStack.activeId && shapes[i].contains(x, y)) {
         return shapes[i];
       }
     }
@@ -1362,8 +1662,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // Create a temporary visual indicator
     const indicator = document.createElement('div');
     indicator.className = 'shape-fill-indicator';
-    indicator.style.left = `${x}px`;
-    indicator.style.top = `${y}px`;
+    indicator.style.left = `${view.offsetX + x * view.scale}px`;
+    indicator.style.top = `${view.offsetY + y * view.scale}px`;
     indicator.style.background = color;
     indicator.textContent = 'REMPLI!';
     
@@ -1561,6 +1861,342 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * Set up the layers panel. Layer operations are commands of the undo
+   * history like the strokes. The strokes and shapes of a removed layer stay
+   * in `paths` (not drawn) so undoing the removal brings them back, until the
+   * removal leaves the history.
+   */
+  function initLayersPanel() {
+    addLayerBtn.addEventListener('click', addLayer);
+    renderLayersPanel();
+  }
+
+  function showLayersPanel() {
+    hideDrawingsPanel();
+    layersPanel.classList.remove('hidden');
+    layersBtn.classList.add('active');
+  }
+
+  // Record a layer operation that was just made, then show it
+  function recordLayerCommand(command) {
+    commandHistory.record(command);
+    redraw();
+    renderLayersPanel();
+    drawingChanged = true;
+    canvasMirror.snapshot();
+  }
+
+  function addLayer() {
+    if (!layerStack.canAdd()) return;
+    confirmActiveShape();
+    const layer = layerStack.add();
+    const index = layerStack.indexOf(layer.id);
+    recordLayerCommand({
+      type: 'layer_add',
+      apply: () => layerStack.insert(layer, index),
+      revert: () => layerStack.remove(layer.id)
+    });
+  }
+
+  function removeLayer(layer) {
+    if (!layerStack.canRemove()) return;
+    confirmActiveShape();
+    const index = layerStack.remove(layer.id);
+    recordLayerCommand({
+      type: 'layer_remove',
+      apply: () => layerStack.remove(layer.id),
+      revert: () => layerStack.insert(layer, index),
+      // The removal can no longer be undone: drop the content of the layer
+      discard() {
+        const shapeIds = new Set(shapes.filter(shape => shape.layerId === layer.id).map(shape => shape.id));
+        paths = paths.filter(path => (path.isShape ? !shapeIds.has(path.shapeId) : path.layerId !== layer.id));
+        shapes = shapes.filter(shape => !shapeIds.has(shape.id));
+      }
+    });
+  }
+
+  function moveLayer(layer, index) {
+    const from = layerStack.indexOf(layer.id);
+    if (!layerStack.move(layer.id, index)) return;
+    recordLayerCommand({
+      type: 'layer_move',
+      apply() {
+        layerStack.move(layer.id, index);
+        layerStack.select(layer.id);
+      },
+      revert() {
+        layerStack.move(layer.id, from);
+        layerStack.select(layer.id);
+      }
+    });
+  }
+
+  // Visibility, opacity or export of a layer
+  function updateLayer(layer, changes) {
+    confirmActiveShape();
+    const previous = {};
+    Object.keys(changes).forEach((key) => {
+      previous[key] = layer[key];
+    });
+    Object.assign(layer, changes);
+    recordLayerCommand({
+      type: 'layer_update',
+      apply() {
+        Object.assign(layer, changes);
+        layerStack.select(layer.id);
+      },
+      revert() {
+        Object.assign(layer, previous);
+        layerStack.select(layer.id);
+      }
+    });
+  }
+
+  function selectLayer(layerId) {
+    if (layerId === layerStack.activeId) return;
+    confirmActiveShape();
+    layerStack.select(layerId);
+    renderLayersPanel();
+  }
+
+  // Small button of a layer row; its clicks do not select the layer
+  function createLayerButton(label, titleKey, onClick, options = {}) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `layer-btn${options.off ? ' off' : ''}`;
+    button.textContent = label;
+    button.title = i18n.t(titleKey);
+    button.disabled = Boolean(options.disabled);
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Render the rows of the layers panel, the top layer first.
+   */
+  function renderLayersPanel() {
+    layersList.innerHTML = '';
+    const topIndex = layerStack.layers.length - 1;
+    
+    for (let index = topIndex; index >= 0; index--) {
+      const layer = layerStack.layers[index];
+      const row = document.createElement('li');
+      row.className = 'layer-item';
+      row.classList.toggle('active', layer.id === layerStack.activeId);
+      row.classList.toggle('hidden-layer', !layer.visible);
+      row.addEventListener('click', () => selectLayer(layer.id));
+      
+      const name = document.createElement('span');
+      name.className = 'layer-name';
+      name.textContent = i18n.t('layers.name', { number: layer.number });
+      
+      // Opacity: live preview while dragging, one undo step when released
+      const opacity = document.createElement('input');
+      opacity.type = 'range';
+      opacity.min = '0';
+      opacity.max = '100';
+      opacity.defaultValue = String(Math.round(layer.opacity * 100));
+      opacity.className = 'layer-opacity';
+      opacity.title = i18n.t('layers.opacity');
+      opacity.addEventListener('click', (e) => e.stopPropagation());
+      opacity.addEventListener('input', () => {
+        layer.opacity = opacity.value / 100;
+        composeCanvas();
+      });
+      opacity.addEventListener('change', () => {
+        // defaultValue is still the opacity the row was rendered with
+        layer.opacity = opacity.defaultValue / 100;
+        updateLayer(layer, { opacity: opacity.value / 100 });
+      });
+      
+      row.append(
+        createLayerButton(layer.visible ? '👁' : '◌', 'layers.visible',
+          () => updateLayer(layer, { visible: !layer.visible }), { off: !layer.visible }),
+        name,
+        createLayerButton('✨', 'layers.exported',
+          () => updateLayer(layer, { exported: !layer.exported }), { off: !layer.exported }),
+        createLayerButton('✕', 'layers.remove',
+          () => removeLayer(layer), { disabled: !layerStack.canRemove() }),
+        opacity,
+        createLayerButton('▲', 'layers.up',
+          () => moveLayer(layer, index + 1), { disabled: index === topIndex }),
+        createLayerButton('▼', 'layers.down',
+          () => moveLayer(layer, index - 1), { disabled: index === 0 })
+      );
+      layersList.appendChild(row);
+    }
+    
+    addLayerBtn.disabled = !layerStack.canAdd();
+  }
+
+  /**
+   * Set up the drawings panel: save the drawing in the sketches library
+   * (/api/drawings) and open it again later, or export it to a JSON file and
+   * import it on another device. Opening a drawing is a command of the undo
+   * history.
+   */
+  function initDrawingsPanel() {
+    saveDrawingBtn.addEventListener('click', saveDrawing);
+    exportFileBtn.addEventListener('click', exportDrawingFile);
+    importFileBtn.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', () => {
+      const file = importFileInput.files[0];
+      importFileInput.value = '';
+      if (file) importDrawingFile(file);
+    });
+  }
+
+  function showDrawingsPanel() {
+    layersPanel.classList.add('hidden');
+    layersBtn.classList.remove('active');
+    drawingsPanel.classList.remove('hidden');
+    drawingsBtn.classList.add('active');
+    drawingTitleInput.value = openedDrawing && openedDrawing.title ? openedDrawing.title : '';
+    loadDrawingsList();
+  }
+
+  function hideDrawingsPanel() {
+    drawingsPanel.classList.add('hidden');
+    drawingsBtn.classList.remove('active');
+  }
+
+  // Replace the drawing with a document (already validated)
+  function openDrawing(drawingDocument, drawing) {
+    confirmActiveShape();
+    const command = openDrawingCommand(drawingDocument, drawing);
+    commandHistory.execute(command);
+    drawingTitleInput.value = drawing.title || '';
+    historyApplied(command);
+  }
+
+  async function saveDrawing() {
+    confirmActiveShape();
+    const title = drawingTitleInput.value.trim() || null;
+    const drawingDocument = serializeDrawing(title);
+    saveDrawingBtn.disabled = true;
+
+    try {
+      const res = await fetch(openedDrawing ? `/api/drawings/${openedDrawing.id}` : '/api/drawings', {
+        method: openedDrawing ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title, document: drawingDocument })
+      });
+      if (res.status === 404 && openedDrawing) {
+        // The drawing was removed from the library: save it again as a new one
+        openedDrawing = null;
+        saveDrawingBtn.disabled = false;
+        return saveDrawing();
+      }
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+
+      const saved = await res.json();
+      openedDrawing = { id: saved.id, title: saved.title };
+      console.log(`✓ Drawing saved: ${saved.id}`);
+      loadDrawingsList();
+    } catch (err) {
+      console.error('Drawing save error:', err);
+      alert(i18n.t('drawings.saveError'));
+    } finally {
+      saveDrawingBtn.disabled = false;
+    }
+  }
+
+  async function openSavedDrawing(id) {
+    try {
+      const res = await fetch(`/api/drawings/${id}`);
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+
+      const drawing = await res.json();
+      openDrawing(drawing.document, { id: drawing.id, title: drawing.title });
+    } catch (err) {
+      console.error('Drawing open error:', err);
+      alert(i18n.t('drawings.openError'));
+    }
+  }
+
+  function exportDrawingFile() {
+    confirmActiveShape();
+    const title = drawingTitleInput.value.trim() || null;
+    const blob = new Blob([JSON.stringify(serializeDrawing(title))], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${(title || i18n.t('drawings.untitled')).replace(/[\\/:*?"<>|]/g, '_')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  // Documents of older versions are upgraded; invalid files are rejected
+  async function importDrawingFile(file) {
+    let result;
+    try {
+      result = DrawingDocument.readDocument(JSON.parse(await file.text()));
+    } catch (err) {
+      result = { document: null, errors: [err.message] };
+    }
+
+    if (!result.document) {
+      console.warn(`⚠️ Invalid drawing file ${file.name}:`, result.errors);
+      alert(i18n.t('drawings.invalid'));
+      return;
+    }
+    openDrawing(result.document, { id: null, title: result.document.title });
+  }
+
+  /**
+   * Fetch the sketches library and render its rows, last updated first.
+   */
+  async function loadDrawingsList() {
+    try {
+      const res = await fetch('/api/drawings?limit=50');
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      renderDrawingsList((await res.json()).drawings);
+    } catch (err) {
+      console.error('Drawings list error:', err);
+      renderDrawingsList(null);
+    }
+  }
+
+  // drawings: summaries of /api/drawings, null if the list could not be loaded
+  function renderDrawingsList(drawings) {
+    drawingsList.innerHTML = '';
+
+    if (!drawings || drawings.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'drawings-empty';
+      empty.textContent = i18n.t(drawings ? 'drawings.none' : 'drawings.listError');
+      drawingsList.appendChild(empty);
+      return;
+    }
+
+    for (const drawing of drawings) {
+      const row = document.createElement('li');
+      row.className = 'drawing-item';
+      row.classList.toggle('active', Boolean(openedDrawing) && openedDrawing.id === drawing.id);
+      row.addEventListener('click', () => openSavedDrawing(drawing.id));
+
+      const name = document.createElement('span');
+      name.className = 'drawing-name';
+      name.textContent = drawing.title || i18n.t('drawings.untitled');
+
+      const date = document.createElement('span');
+      date.className = 'drawing-date';
+      date.textContent = new Date(drawing.updatedAt).toLocaleString(i18n.locale);
+
+      row.append(name, date);
+      drawingsList.appendChild(row);
+    }
+  }
+
   /**
    * Populate the style carousel with buttons and set up selection handling.
    */
@@ -1651,7 +2287,8 @@ document.addEventListener('DOMContentLoaded', () => {
       // Create the label that will appear below the style item
       const label = document.createElement('div');
       label.className = 'style-label';
-      label.textContent = style;
+      label.textContent = i18n.styleLabel(style);
+      wrapper.dataset.style = style;
       
       // Add click event to the wrapper
       wrapper.addEventListener('click', () => {
@@ -1669,9 +2306,9 @@ document.addEventListener('DOMContentLoaded', () => {
         // If clicking on the same style that's already selected, toggle it off
         if (previousStyle === style && personalPromptInput) {
           // Remove the style prompt from input field if it exists
-          if (previousStyle && stylePrompts[previousStyle] && 
-              personalPromptInput.value.includes(stylePrompts[previousStyle])) {
-            personalPromptInput.value = personalPromptInput.value.replace(stylePrompts[previousStyle], '').trim();
+          const previousPrompt = findStylePrompt(previousStyle, personalPromptInput.value);
+          if (previousPrompt) {
+            personalPromptInput.value = personalPromptInput.value.replace(previousPrompt, '').trim();
           }
           wrapper.classList.remove('active');
           item.classList.remove('active');
@@ -1685,13 +2322,13 @@ document.addEventListener('DOMContentLoaded', () => {
         // Update the personal prompt, preserving user input and replacing only the previous style prompt
         if (personalPromptInput) {
           const currentValue = personalPromptInput.value;
-          const newStylePrompt = stylePrompts[style] || `En style ${style}`;
+          const newStylePrompt = i18n.stylePrompt(style) || i18n.t('styles.inStyleStart', { style: i18n.styleLabel(style) });
+          const previousPrompt = previousStyle ? findStylePrompt(previousStyle, currentValue) : null;
           
           // If there was a previous style, replace its prompt text only
-          if (previousStyle && stylePrompts[previousStyle] && 
-              currentValue.includes(stylePrompts[previousStyle])) {
+          if (previousPrompt) {
             personalPromptInput.value = currentValue.replace(
-              stylePrompts[previousStyle], 
+              previousPrompt, 
               newStylePrompt
             ).trim();
           } 
@@ -1729,7 +2366,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const styleItem = wrapper.querySelector('.styleItem');
         const label = wrapper.querySelector('.style-label');
         
-        if (label && label.textContent === selectedStyle) {
+        if (label && wrapper.dataset.style === selectedStyle) {
           wrapper.classList.add('active');
           styleItem.classList.add('active');
         }
@@ -1757,24 +2394,38 @@ document.addEventListener('DOMContentLoaded', () => {
   function startPredictionLoop() {
     predictionIntervalId = setInterval(async () => {
       // If the user just drew something, send a prediction request
-      if (drawingChanged && paths.length > 0 && !isDrawing) {
+      if (drawingChanged && hasExportedDrawing() && !isDrawing) {
         drawingChanged = false;
-        const dataUrl = canvas.toDataURL('image/png');
+        const dataUrl = exportDrawing();
         try {
           const res = await fetch('/api/predict', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ image: dataUrl }),
+            body: JSON.stringify({
+              image: dataUrl,
+              locale: i18n.locale,
+              room: window.wsSync ? window.wsSync.room : null
+            }),
           });
           const json = await res.json();
-          if (json && json.guess) {
+          if (!res.ok) {
+            console.warn(`Prediction failed (${json.code || res.status}):`, json.error);
+            if (json.code === 'gemini_blocked') {
+              // Gemini refused to look at the sketch: treat it as censored content
+              showCensorshipWarning([], json.details ? json.details.decisionId : null);
+            } else {
+              // Try again on the next tick instead of showing a made-up guess
+              drawingChanged = true;
+            }
+          } else if (json && json.guess) {
             // Check ethics flag
             if (json.ethics === 0) {
-              // Show censorship warning
-              showCensorshipWarning();
+              // Show censorship warning with the reasons of the moderation module
+              const blocked = json.moderation || {};
+              showCensorshipWarning(blocked.reasons, blocked.decisionId);
             } else {
               // Normal prediction flow
-              showPrompt(json.guess);
+              showPrompt(json.guess, json.grammar);
             }
           }
         } catch (err) {
@@ -1787,13 +2438,14 @@ document.addEventListener('DOMContentLoaded', () => {
   /**
    * Show the top prompt with a guess and start the 4‑second timeout.  If the
    * user answers Yes/No before the timer ends, the prompt disappears.  The
-   * progress bar is animated via CSS.
+   * progress bar is animated via CSS.  `grammar` is the article, gender and
+   * number of the guess returned by /api/predict (null with older prompts).
    */
-  function showPrompt(guess) {
+  function showPrompt(guess, grammar) {
     lastGuess = guess;
-    // Format the question in French with proper article
-    let article = getArticle(guess);
-    promptText.textContent = `Est-ce que c'est ${article} ${guess} ?`;
+    // Format the question in the booth language (article and agreement from the grammar)
+    promptText.textContent = i18n.question(guess, grammar);
+    canvasMirror.prediction(guess);
     topPrompt.classList.remove('hidden');
     // Restart progress bar animation by cloning and replacing the element
     const progressBarEl = topPrompt.querySelector('.progress');
@@ -1817,9 +2469,14 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   /**
-   * Show censorship warning overlay when inappropriate content is detected
+   * Show censorship warning overlay when inappropriate content is detected.
+   *
+   * @param {string[]} [reasons] - Reason codes of the moderation module
+   *   (flags, politics, violence...), listed under the message
+   * @param {string} [decisionId] - Id of the decision in the moderation audit
+   *   log, so that an operator override can close this overlay
    */
-  function showCensorshipWarning() {
+  function showCensorshipWarning(reasons = [], decisionId = null) {
     // Create the censorship overlay if it doesn't exist
     let censorshipOverlay = document.getElementById('censorshipOverlay');
     if (!censorshipOverlay) {
@@ -1829,20 +2486,31 @@ document.addEventListener('DOMContentLoaded', () => {
         <div class="censorship-backdrop"></div>
         <div class="censorship-container">
           <div class="censorship-icon">🚫</div>
-          <h2 class="censorship-title">Contenu Censuré</h2>
-          <p class="censorship-message">
-            Votre croquis contient du contenu inapproprié et ne peut pas être traité.
-            Veuillez dessiner quelque chose d'approprié.
-          </p>
-          <button class="censorship-home-btn" onclick="returnToCensorshipHome()">
-            🏠 Retour à l'accueil
-          </button>
+          <h2 class="censorship-title" data-i18n="censorship.title"></h2>
+          <p class="censorship-message" data-i18n="censorship.message"></p>
+          <ul class="censorship-reasons"></ul>
+          <button class="censorship-home-btn" onclick="returnToCensorshipHome()" data-i18n="censorship.home"></button>
         </div>
       `;
+      i18n.apply(censorshipOverlay);
       
       document.body.appendChild(censorshipOverlay);
     }
     
+    censorshipOverlay.dataset.decisionId = decisionId || '';
+    
+    // Reasons of this block (unknown codes are shown as "other")
+    const reasonList = censorshipOverlay.querySelector('.censorship-reasons');
+    reasonList.innerHTML = '';
+    [...new Set((reasons || []).map((reason) => (i18n.has(`censorship.reason.${reason}`) ? reason : 'other')))]
+      .forEach((reason) => {
+        const item = document.createElement('li');
+        item.dataset.i18n = `censorship.reason.${reason}`;
+        item.textContent = i18n.t(item.dataset.i18n);
+        item.dir = i18n.dir;
+        reasonList.appendChild(item);
+      });
+    
     // Apply blur effect to main content but NOT to the censorship overlay
     const mainContent = document.querySelector('.app-container');
     if (mainContent) {
@@ -1908,13 +2576,38 @@ document.addEventListener('DOMContentLoaded', () => {
     }, 500);
   }
 
-  // Make the function globally accessible
+  /**
+   * Close the censorship overlay after an operator overrode the block, so the
+   * visitor can go on drawing.
+   *
+   * @param {string} decisionId - Overridden decision (the overlay of another block stays)
+   */
+  function hideCensorshipWarning(decisionId) {
+    const censorshipOverlay = document.getElementById('censorshipOverlay');
+    if (!censorshipOverlay || censorshipOverlay.style.display === 'none') return;
+    if (censorshipOverlay.dataset.decisionId && censorshipOverlay.dataset.decisionId !== decisionId) return;
+    
+    censorshipOverlay.style.display = 'none';
+    const mainContent = document.querySelector('.app-container');
+    if (mainContent) {
+      mainContent.style.filter = '';
+      mainContent.style.pointerEvents = '';
+    }
+    
+    // Ask for a new guess of the drawing
+    drawingChanged = true;
+    console.log('✓ Censorship warning closed by an operator override');
+  }
+
+  // Make the functions globally accessible
   window.returnToCensorshipHome = returnToCensorshipHome;
+  window.hideCensorshipWarning = hideCensorshipWarning;
 
   /**
    * Show the loader overlay.
    */
   function showLoader() {
+    setLoaderStage('queued');
     loader.classList.remove('hidden');
   }
 
@@ -1925,10 +2618,140 @@ document.addEventListener('DOMContentLoaded', () => {
     loader.classList.add('hidden');
   }
 
+  /**
+   * Update the loader text for a generation job stage.
+   */
+  function setLoaderStage(stage) {
+    const loaderText = loader.querySelector('.loaderText');
+    if (loaderText && i18n.has(`stage.${stage}`)) {
+      loaderText.textContent = i18n.t(`stage.${stage}`);
+    }
+  }
+
+  /**
+   * Start an asynchronous generation job and wait for its result.
+   * The job id is kept in sessionStorage so a page reload can resume waiting.
+   */
+  async function requestGeneration(payload) {
+    const res = await fetch('/api/generate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      // The room scopes the progress events to this booth's screens
+      body: JSON.stringify({
+        ...payload,
+        async: true,
+        locale: i18n.locale,
+        room: window.wsSync ? window.wsSync.room : null
+      }),
+    });
+    const json = await res.json();
+    
+    if (!res.ok || !json.jobId) {
+      throw generationError(json.error || 'Generation request failed', json);
+    }
+    
+    console.log('Generation job started:', json.jobId);
+    sessionStorage.setItem('pendingGenerationJob', json.jobId);
+    return waitForGenerationJob(json.jobId);
+  }
+
+  /**
+   * Error carrying the code and details of a failed request or job, so that
+   * blocked content (content_blocked) can show the censorship overlay.
+   */
+  function generationError(message, body) {
+    const error = new Error(message);
+    error.code = body.code || null;
+    error.details = body.details || null;
+    return error;
+  }
+
+  /**
+   * Handle a failed generation: censorship overlay for blocked content,
+   * otherwise an alert with the given message.
+   */
+  function handleGenerationError(err, alertMessage) {
+    hideLoader();
+    if (err.code === 'content_blocked') {
+      const blocked = err.details || {};
+      showCensorshipWarning(blocked.reasons, blocked.decisionId);
+    } else {
+      alert(alertMessage);
+    }
+  }
+
+  /**
+   * Poll GET /api/jobs/:id until the job is done or failed.  Stage events
+   * pushed over the WebSocket hub update the loader in between polls.
+   */
+  async function waitForGenerationJob(jobId) {
+    // Show WebSocket progress events for this job as soon as they arrive
+    if (window.wsSync) {
+      window.wsSync.onGenerationProgress = (data) => {
+        if (data.jobId === jobId) {
+          setLoaderStage(data.stage);
+        }
+      };
+    }
+    
+    try {
+      while (true) {
+        const res = await fetch(`/api/jobs/${jobId}`);
+        const job = await res.json();
+        
+        if (!res.ok) {
+          throw new Error(job.error || 'Generation job not found');
+        }
+        
+        setLoaderStage(job.stage);
+        
+        if (job.status === 'done') {
+          return job.result;
+        }
+        if (job.status === 'failed') {
+          throw generationError(job.error || 'Generation failed', job);
+        }
+        
+        await new Promise((resolve) => setTimeout(resolve, 1500));
+      }
+    } finally {
+      sessionStorage.removeItem('pendingGenerationJob');
+    }
+  }
+
+  /**
+   * Resume waiting for a generation job started before a page reload.
+   */
+  async function resumePendingGeneration() {
+    const jobId = sessionStorage.getItem('pendingGenerationJob');
+    if (!jobId) return;
+    
+    console.log('Resuming pending generation job:', jobId);
+    backBtn.style.display = 'none';
+    showLoader();
+    
+    try {
+      const json = await waitForGenerationJob(jobId);
+      showResult(json.image, { description: json.description });
+    } catch (err) {
+      hideLoader();
+      console.error('Pending generation failed', err);
+      if (err.code === 'content_blocked') {
+        const blocked = err.details || {};
+        showCensorshipWarning(blocked.reasons, blocked.decisionId);
+      }
+    }
+  }
+
   /**
    * Show the final result overlay with the generated image.
+   *
+   * @param {string} imageUrl - Generated image URL
+   * @param {object} [details] - Shown on the display screen reveal
+   * @param {string} [details.style] - Selected style (defaults to the current one)
+   * @param {string} [details.description] - Gemini-enhanced description
    */
-  function showResult(imageUrl) {
+  function showResult(imageUrl, details = {}) {
     console.log('Showing result with image URL:', imageUrl);
     
     // Clear any existing error messages
@@ -1993,6 +2816,15 @@ document.addEventListener('DOMContentLoaded', () => {
       
       // Afficher le conteneur une fois que l'image est complètement chargée
       resultContainer.classList.remove('hidden');
+      
+      // Reveal the artwork on the display screen at the same time
+      if (window.wsSync) {
+        window.wsSync.sendResult({
+          image: imageUrl,
+          style: details.style || selectedStyle || null,
+          description: details.description || null
+        });
+      }
     };
     
     // Set image source (le chargement va commencer)
@@ -2009,8 +2841,22 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initialize the app when the page loads (since we're now on the app.html page)
   initCanvas();
   initColourMenu();
+  initLayersPanel();
+  initDrawingsPanel();
   initStyleCarousel();
   startPredictionLoop();
+  resumePendingGeneration();
+
+  // Relabel the styles when the booth language changes
+  window.addEventListener('localechange', () => {
+    document.querySelectorAll('.style-wrapper').forEach((wrapper) => {
+      wrapper.querySelector('.style-label').textContent = i18n.styleLabel(wrapper.dataset.style);
+    });
+    renderLayersPanel();
+    if (!drawingsPanel.classList.contains('hidden')) {
+      loadDrawingsList();
+    }
+  });
 
 
 
@@ -2058,273 +2904,90 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  // Undo button pops the last path, saves it to redoPaths, and redraws
-  undoBtn.addEventListener('click', () => {
-    if (paths.length > 0) {
-      const removedPath = paths.pop();
-      
-      // Handle shape operations
-      if (removedPath.isShape) {
-        if (removedPath.action === 'add') {
-          // Find and remove the shape
-          const shapeIndex = shapes.findIndex(s => s.id === removedPath.shapeId);
-          if (shapeIndex !== -1) {
-            const removedShape = shapes.splice(shapeIndex, 1)[0];
-            // Save the shape data for redo
-            redoPaths.push({
-              isShape: true,
-              action: 'add',
-              shapeId: removedShape.id,
-              shapeData: removedShape
-            });
-            
-            // If the active shape was removed, deselect it
-            if (activeShape && activeShape.id === removedPath.shapeId) {
-              activeShape = null;
-            }
-          }
-        }
-        else if (removedPath.action === 'modify') {
-          // For now, we don't have a sophisticated way to undo modifications
-          // Just store the action for redo
-          redoPaths.push(removedPath);
-        }
-        else if (removedPath.action === 'fill') {
-          // Undo fill color change
-          const shape = shapes.find(s => s.id === removedPath.shapeId);
-          if (shape) {
-            shape.fillColor = removedPath.previousFillColor;
-            redoPaths.push({
-              isShape: true,
-              action: 'fill',
-              shapeId: shape.id,
-              previousFillColor: removedPath.newFillColor,
-              newFillColor: removedPath.previousFillColor
-            });
-          }
-        }
-        else if (removedPath.action === 'delete') {
-          // Restore a deleted shape
-          if (removedPath.shapeData) {
-            shapes.push(removedPath.shapeData);
-            redoPaths.push({
-              isShape: true,
-              action: 'delete',
-              shapeId: removedPath.shapeData.id
-            });
-          }
-        }
-        else if (removedPath.action === 'flip') {
-          // Find the shape and flip it back
-          const shape = shapes.find(s => s.id === removedPath.shapeId);
-          if (shape) {
-            // Flip in the opposite direction to undo
-            if (removedPath.direction === 'horizontal') {
-              shape.flipHorizontal();
-            } else {
-              shape.flipVertical();
-            }
-            
-            // Save for redo
-            redoPaths.push({
-              isShape: true,
-              action: 'flip',
-              shapeId: shape.id,
-              direction: removedPath.direction
-            });
-          }
-        }
-        else if (removedPath.action === 'rotate') {
-          // Find the shape and restore its previous rotation
-          const shape = shapes.find(s => s.id === removedPath.shapeId);
-          if (shape) {
-            // Store current rotation for redo
-            const currentRotation = shape.rotation;
-            
-            // Restore the previous rotation
-            shape.rotation = removedPath.previousRotation;
-            
-            // Save for redo
-            redoPaths.push({
-              isShape: true,
-              action: 'rotate',
-              shapeId: shape.id,
-              previousRotation: currentRotation,
-              newRotation: removedPath.previousRotation
-            });
-          }
-        }
-      }
-      else {
-        // Standard undo for individual drawing paths
-        redoPaths.push(removedPath);
-      }
-      
-      redraw();
+  // Layers panel button shows or hides the panel
+  layersBtn.addEventListener('click', () => {
+    if (layersPanel.classList.contains('hidden')) {
+      showLayersPanel();
     } else {
-      // Check if the last redo operation is a full canvas restore (after clear)
-      const lastRedo = redoPaths[redoPaths.length - 1];
-      if (lastRedo && lastRedo.isFullCanvas && lastRedo.paths) {
-        // Restore the full canvas
-        paths = [...lastRedo.paths];
-        
-        // Also restore shapes if they were stored
-        if (lastRedo.shapes) {
-          shapes = [...lastRedo.shapes];
-        }
-        
-        redoPaths.pop();
-        redraw();
-      }
+      layersPanel.classList.add('hidden');
+      layersBtn.classList.remove('active');
     }
-    
-    // Update the buttons' visual state
-    redoBtn.classList.toggle('active', redoPaths.length > 0);
-    undoBtn.classList.toggle('active', paths.length > 0);
   });
-  
-  // Redo button restores the last undone path and redraws
-  redoBtn.addEventListener('click', () => {
-    if (redoPaths.length > 0) {
-      const pathToRestore = redoPaths.pop();
-      
-      // Handle shape operations
-      if (pathToRestore.isShape) {
-        if (pathToRestore.action === 'add' && pathToRestore.shapeData) {
-          // Restore the shape
-          shapes.push(pathToRestore.shapeData);
-          paths.push({
-            isShape: true,
-            action: 'add',
-            shapeId: pathToRestore.shapeData.id
-          });
-        }
-        else if (pathToRestore.action === 'modify') {
-          // For now, we don't have a sophisticated way to redo modifications
-          // Just store the action for undo
-          paths.push(pathToRestore);
-        }
-        else if (pathToRestore.action === 'fill') {
-          // Redo fill color change
-          const shape = shapes.find(s => s.id === pathToRestore.shapeId);
-          if (shape) {
-            shape.fillColor = pathToRestore.newFillColor;
-            paths.push({
-              isShape: true,
-              action: 'fill',
-              shapeId: shape.id,
-              previousFillColor: pathToRestore.previousFillColor,
-              newFillColor: pathToRestore.newFillColor
-            });
-          }
-        }
-        else if (pathToRestore.action === 'delete') {
-          // Re-delete the shape
-          const shapeIndex = shapes.findIndex(s => s.id === pathToRestore.shapeId);
-          if (shapeIndex !== -1) {
-            const removedShape = shapes.splice(shapeIndex, 1)[0];
-            paths.push({
-              isShape: true,
-              action: 'delete',
-              shapeId: removedShape.id,
-              shapeData: removedShape
-            });
-          }
-        }
-        else if (pathToRestore.action === 'flip') {
-          // Find the shape and flip it again
-          const shape = shapes.find(s => s.id === pathToRestore.shapeId);
-          if (shape) {
-            // Apply the same flip to redo
-            if (pathToRestore.direction === 'horizontal') {
-              shape.flipHorizontal();
-            } else {
-              shape.flipVertical();
-            }
-            
-            // Save for undo
-            paths.push({
-              isShape: true,
-              action: 'flip',
-              shapeId: shape.id,
-              direction: pathToRestore.direction
-            });
-          }
-        }
-        else if (pathToRestore.action === 'rotate') {
-          // Find the shape and restore its new rotation
-          const shape = shapes.find(s => s.id === pathToRestore.shapeId);
-          if (shape) {
-            // Store current rotation for undo
-            const currentRotation = shape.rotation;
-            
-            // Apply the new rotation
-            shape.rotation = pathToRestore.newRotation;
-            
-            // Save for undo
-            paths.push({
-              isShape: true,
-              action: 'rotate',
-              shapeId: shape.id,
-              previousRotation: currentRotation,
-              newRotation: pathToRestore.newRotation
-            });
-          }
-        }
-      }
-      // Check if it's a full canvas restore (after clear)
-      else if (pathToRestore.isFullCanvas && pathToRestore.paths) {
-        paths = [...pathToRestore.paths];
-        
-        // Also restore shapes if they were stored
-        if (pathToRestore.shapes) {
-          shapes = [...pathToRestore.shapes];
-        }
-      } 
-      else {
-        // Standard redo for individual drawing paths
-        paths.push(pathToRestore);
-      }
-      
-      redraw();
-      // Update the redo button's visual state
-      redoBtn.classList.toggle('active', redoPaths.length > 0);
+
+  // Drawings panel button shows or hides the sketches library
+  drawingsBtn.addEventListener('click', () => {
+    if (drawingsPanel.classList.contains('hidden')) {
+      showDrawingsPanel();
     } else {
-      console.log('Nothing to redo');
+      hideDrawingsPanel();
+    }
+  });
+
+  function updateHistoryButtons() {
+    undoBtn.classList.toggle('active', commandHistory.canUndo());
+    redoBtn.classList.toggle('active', commandHistory.canRedo());
+  }
+
+  // Nothing is undone in the middle of a stroke or of a shape drag
+  function isEditing() {
+    return isDrawing || isMovingShape || isResizingShape || isRotatingShape;
+  }
+
+  // Render the drawing again after an undo, a redo or an opened drawing
+  function historyApplied(command) {
+    if (!command) return;
+    redraw();
+    renderLayersPanel();
+    drawingChanged = true;
+    canvasMirror.snapshot();
+  }
+
+  function undo() {
+    if (isEditing()) return;
+    historyApplied(commandHistory.undo());
+  }
+
+  function redo() {
+    if (isEditing()) return;
+    historyApplied(commandHistory.redo());
+  }
+
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+
+  // Keyboard shortcuts: Ctrl+Z (⌘Z on a Mac) undoes, Ctrl+Shift+Z and Ctrl+Y
+  // redo. Text fields keep their own undo.
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const target = e.target;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && target.type !== 'range')) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
     }
-    // Update the undo button's visual state
-    undoBtn.classList.toggle('active', paths.length > 0);
   });
   
-  // Clear Canvas button clears all paths and redraws an empty canvas
+  // Clear Canvas button clears all paths and shapes (one undo step) and redraws an empty canvas
   const clearCanvasBtn = document.getElementById('clearCanvasBtn');
   clearCanvasBtn.addEventListener('click', () => {
-    // Save current paths and shapes for undo functionality if there are any
     if (paths.length > 0 || shapes.length > 0) {
-      // Save all current paths and shapes as one undo step
-      redoPaths.push({
-        isFullCanvas: true,
-        paths: [...paths],
-        shapes: [...shapes]
-      });
-      // Update redo button visual state
-      redoBtn.classList.add('active');
+      commandHistory.execute(clearCommand());
     }
     
-    // Clear all paths and shapes
-    paths = [];
-    shapes = [];
-    activeShape = null;
-    
     // Redraw empty canvas - always clear the canvas
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    
-    // Update button states
-    undoBtn.classList.remove('active');
+    redraw();
     
     // Mark as changed to trigger prediction
     drawingChanged = true;
+    canvasMirror.snapshot();
     
     // Log for debugging
     console.log('Canvas cleared');
@@ -2347,12 +3010,12 @@ document.addEventListener('DOMContentLoaded', () => {
     const personalPromptInput = document.getElementById('personalPrompt');
     const personalPrompt = personalPromptInput ? personalPromptInput.value.trim() : '';
     
-    // Check if we have either a drawing or a text prompt
-    const hasDrawing = paths.length > 0;
+    // Check if we have either a drawing (on the exported layers) or a text prompt
+    const hasDrawing = hasExportedDrawing();
     const hasPrompt = personalPrompt !== '';
     
     if (!hasDrawing && !hasPrompt) {
-      alert('Veuillez dessiner quelque chose ou saisir un prompt textuel !');
+      alert(i18n.t('generate.empty'));
       return;
     }
     
@@ -2375,7 +3038,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Enhance personal prompt with the selected style if available
         let enhancedPrompt = personalPrompt;
         if (selectedStyle && selectedStyle.trim() !== '') {
-          enhancedPrompt += `, dans le style ${selectedStyle}`;
+          enhancedPrompt += `, ${i18n.t('styles.inStyle', { style: i18n.styleLabel(selectedStyle) })}`;
         }
         
         // Clear the input after getting the value
@@ -2399,15 +3062,15 @@ document.addEventListener('DOMContentLoaded', () => {
         // CASE 2: Image-to-image generation (Steps 2-4) with or without additional text prompt
         console.log('Drawing detected, using image-to-image generation (Steps 2-4)');
         
-        const dataUrl = canvas.toDataURL('image/png');
+        const dataUrl = exportDrawing();
         let processedPrompt = personalPrompt;
         
         // Enhance personal prompt with the selected style if available
         if (selectedStyle && selectedStyle.trim() !== '') {
           if (processedPrompt !== '') {
-            processedPrompt += `, dans le style ${selectedStyle}`;
+            processedPrompt += `, ${i18n.t('styles.inStyle', { style: i18n.styleLabel(selectedStyle) })}`;
           } else {
-            processedPrompt = `Dans le style ${selectedStyle}`;
+            processedPrompt = i18n.t('styles.inStyleStart', { style: i18n.styleLabel(selectedStyle) });
           }
         }
         
@@ -2428,17 +3091,11 @@ document.addEventListener('DOMContentLoaded', () => {
         });
       }
       
-      // Make single API call to server
-      console.log('Making API call to /api/generate...');
-      const res = await fetch('/api/generate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
-      
-      const json = await res.json();
+      // Start a generation job on the server and wait for its result
+      console.log('Starting generation job on /api/generate...');
+      const json = await requestGeneration(payload);
       
-      if (res.ok && json.image) {
+      if (json && json.image) {
         console.log('Generation successful:', {
           service: json.fallbackType,
           usedFallback: json.fallback,
@@ -2446,16 +3103,16 @@ document.addEventListener('DOMContentLoaded', () => {
         });
         
         // Don't hide loader, it will be hidden when image loads
-        showResult(json.image);
+        showResult(json.image, { style: payload.style, description: json.description });
       } else {
         hideLoader(); // Hide loader only on error
-        console.error('Generation error:', json.error);
-        alert('Une erreur est survenue lors de la génération de l\'image.');
+        console.error('Generation error: no image in result');
+        alert(i18n.t('generate.error'));
       }
     } catch (err) {
-      hideLoader(); // Hide loader on error
+      // Hide loader on error, with the censorship overlay for blocked content
       console.error('Generation failed', err);
-      alert('Une erreur est survenue lors de la génération de l\'image.');
+      handleGenerationError(err, i18n.t('generate.error'));
     }
   });
 
@@ -2468,6 +3125,9 @@ document.addEventListener('DOMContentLoaded', () => {
   window.showLoader = showLoader;
   window.hideLoader = hideLoader;
   window.showResult = showResult;
+  window.requestGeneration = requestGeneration;
+  window.handleGenerationError = handleGenerationError;
+  window.canvasMirror = canvasMirror;
   window.hidePrompt = hidePrompt;
   
   console.log('Script.js loaded - functions exposed to global scope');
@@ -0,0 +1,189 @@
+// Stroke Model
+//
+// Freehand strokes of the drawing canvas, kept as vector data and shared by
+// the controller (script.js) and the display mirror (canvas-mirror.js):
+//
+//   { points: [{ x, y, t, p }], color, size, pointerType, layerId, erase }
+//
+//   x, y         - Page coordinates (see lib/drawing-document.js)
+//   t            - Milliseconds since the start of the stroke
+//   p            - Pressure, 0 to 1 (0.5 draws at the brush size)
+//   pointerType  - 'mouse', 'pen' or 'touch' (Pointer Events)
+//   layerId      - Layer of the stroke (see layers.js)
+//   erase        - Eraser stroke: removes what is below it on its layer
+//
+// StrokeBuilder turns Pointer Events into points: it drops the jitter of the
+// touch screens (points too close to the previous one, light stabilization)
+// and resolves the pressure.  Pens report a real pressure; mice and most
+// touch screens do not, so the speed stands in for it (fast lines are
+// thinner, like with a real pen).  end() adds the point where the pointer
+// was lifted.
+//
+// Strokes are rendered as quadratic curves through the midpoints of their
+// points, each piece with the width of its pressure.  renderStrokeSegment()
+// draws one piece as the points arrive; renderStroke() draws a whole stroke.
+// Points without `p` (drawings of older pages) are drawn at the brush size.
+// Eraser strokes keep a white `color` for the pages drawing without layers.
+
+const STROKE_DEFAULT_PRESSURE = 0.5;
+// Width at pressure 0, as a share of the brush size (pressure 1 draws 2 - this)
+const STROKE_MIN_WIDTH_FACTOR = 0.4;
+// Points closer than this to the previous one (page units) are jitter
+const STROKE_MIN_DISTANCE = 1.5;
+// Share of the previous point kept in a new one (0: raw input)
+const STROKE_STABILIZATION = 0.35;
+// Speed (page units/ms) drawn with the lowest simulated pressure
+const STROKE_MAX_SPEED = 3;
+// Share of the previous pressure kept, so the width changes gradually
+const STROKE_PRESSURE_SMOOTHING = 0.7;
+
+// A real pressure sensor: pens, and touch screens reporting values other than 0, 0.5 and 1
+function hasPressureSensor(event) {
+  if (event.pointerType === 'pen') return true;
+  return event.pointerType === 'touch' && event.pressure > 0 && event.pressure < 1 && event.pressure !== 0.5;
+}
+
+class StrokeBuilder {
+  // options: { layerId, erase }
+  constructor(color, size, event, options = {}) {
+    this.stroke = {
+      points: [],
+      color,
+      size,
+      pointerType: event.pointerType || 'mouse',
+      layerId: options.layerId || null,
+      ...(options.erase ? { erase: true } : {})
+    };
+    this.startTime = event.timeStamp || performance.now();
+    this.usesPressure = hasPressureSensor(event);
+  }
+
+  // Add the position of a pointer event; returns the new point, or null for jitter
+  addPoint(x, y, event) {
+    const { points } = this.stroke;
+    const t = Math.max(0, Math.round((event.timeStamp || performance.now()) - this.startTime));
+    const previous = points[points.length - 1];
+    this.lastInput = { x, y, t };
+
+    if (!previous) {
+      const point = { x, y, t, p: this.usesPressure ? event.pressure : STROKE_DEFAULT_PRESSURE };
+      points.push(point);
+      return point;
+    }
+
+    if (Math.hypot(x - previous.x, y - previous.y) < STROKE_MIN_DISTANCE) return null;
+
+    const point = {
+      x: x + (previous.x - x) * STROKE_STABILIZATION,
+      y: y + (previous.y - y) * STROKE_STABILIZATION,
+      t,
+      p: this.usesPressure ? event.pressure : this.pressureFromSpeed(previous, x, y, t)
+    };
+    points.push(point);
+    return point;
+  }
+
+  // The stabilized points trail behind the pointer: end the stroke where it
+  // was lifted. Returns the added point, or null.
+  end() {
+    const { points } = this.stroke;
+    const last = points[points.length - 1];
+    const input = this.lastInput;
+    if (!last || !input || (input.x === last.x && input.y === last.y)) return null;
+
+    const point = { x: input.x, y: input.y, t: input.t, p: last.p };
+    points.push(point);
+    return point;
+  }
+
+  pressureFromSpeed(previous, x, y, t) {
+    const speed = Math.hypot(x - previous.x, y - previous.y) / Math.max(1, t - previous.t);
+    // Slow: a bit above the brush size, fast: below it
+    const target = 0.6 - 0.3 * Math.min(1, speed / STROKE_MAX_SPEED);
+    return previous.p * STROKE_PRESSURE_SMOOTHING + target * (1 - STROKE_PRESSURE_SMOOTHING);
+  }
+}
+
+function strokeWidth(stroke, point) {
+  const pressure = typeof point.p === 'number' ? point.p : STROKE_DEFAULT_PRESSURE;
+  return stroke.size * (STROKE_MIN_WIDTH_FACTOR + 2 * (1 - STROKE_MIN_WIDTH_FACTOR) * pressure);
+}
+
+// Eraser strokes punch through their layer instead of painting on it
+function strokeComposite(stroke) {
+  return stroke.erase ? 'destination-out' : 'source-over';
+}
+
+function strokeMidpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+// A stroke of a single point (a tap) is a dot
+function renderStrokeDot(ctx, stroke, point) {
+  ctx.beginPath();
+  ctx.globalCompositeOperation = strokeComposite(stroke);
+  ctx.fillStyle = stroke.color;
+  ctx.arc(point.x, point.y, strokeWidth(stroke, point) / 2, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.globalCompositeOperation = 'source-over';
+}
+
+// Piece `index` of a stroke: from its first point (or the midpoint before
+// point `index`) to the midpoint after it. Drawn once point `index + 1` exists.
+function renderStrokeSegment(ctx, stroke, index) {
+  const { points } = stroke;
+  if (index < 0 || index > points.length - 2) return;
+
+  const point = points[index];
+  const end = strokeMidpoint(point, points[index + 1]);
+
+  ctx.beginPath();
+  ctx.globalCompositeOperation = strokeComposite(stroke);
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = stroke.color;
+  if (index === 0) {
+    ctx.lineWidth = (strokeWidth(stroke, point) + strokeWidth(stroke, points[1])) / 2;
+    ctx.moveTo(point.x, point.y);
+    ctx.lineTo(end.x, end.y);
+  } else {
+    const start = strokeMidpoint(points[index - 1], point);
+    ctx.lineWidth = strokeWidth(stroke, point);
+    ctx.moveTo(start.x, start.y);
+    ctx.quadraticCurveTo(point.x, point.y, end.x, end.y);
+  }
+  ctx.stroke();
+  ctx.globalCompositeOperation = 'source-over';
+}
+
+// Last piece of a finished stroke: from the last midpoint to the last point
+function renderStrokeEnd(ctx, stroke) {
+  const { points } = stroke;
+  if (points.length < 2) return;
+
+  const last = points[points.length - 1];
+  const start = strokeMidpoint(points[points.length - 2], last);
+  ctx.beginPath();
+  ctx.globalCompositeOperation = strokeComposite(stroke);
+  ctx.lineCap = 'round';
+  ctx.strokeStyle = stroke.color;
+  ctx.lineWidth = strokeWidth(stroke, last);
+  ctx.moveTo(start.x, start.y);
+  ctx.lineTo(last.x, last.y);
+  ctx.stroke();
+  ctx.globalCompositeOperation = 'source-over';
+}
+
+function renderStroke(ctx, stroke) {
+  const { points } = stroke;
+  if (!points || points.length === 0) return;
+
+  if (points.length === 1) {
+    renderStrokeDot(ctx, stroke, points[0]);
+    return;
+  }
+  for (let index = 0; index < points.length - 1; index++) {
+    renderStrokeSegment(ctx, stroke, index);
+  }
+  renderStrokeEnd(ctx, stroke);
+}
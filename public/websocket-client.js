@@ -1,13 +1,56 @@
 // WebSocket Synchronization Client
+
+// Booth pairing code, shared by the pages of this browser (see lib/rooms.js)
+const ROOM_STORAGE_KEY = 'imaginationRoom';
+
+// Lock screen of an admin command, kept by this tab across pages (see lib/kiosk-commands.js)
+const KIOSK_LOCK_STORAGE_KEY = 'kioskLock';
+const KIOSK_MESSAGE_DURATION_MS = 10000;
+// Navigation waits for the acknowledgement to leave
+const KIOSK_NAVIGATION_DELAY_MS = 200;
+
+// Messages follow lib/ws-protocol.js (loaded before this file as WsProtocol).
+// A page older than the server reloads, at most once per interval.
+const PROTOCOL_RELOAD_STORAGE_KEY = 'protocolReloadAt';
+const PROTOCOL_RELOAD_INTERVAL_MS = 60000;
+// Ids of the critical messages already handled, to skip the retries
+const MAX_HANDLED_MESSAGE_IDS = 200;
+// Critical messages not acknowledged yet survive a navigation of this tab
+// (return_to_home leaves the page right away)
+const OUTBOX_STORAGE_KEY = 'wsOutbox';
+
+// Reconnection: exponential backoff with jitter, without limit (venue Wi-Fi drops)
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+// Messages sent while offline wait for the reconnection; older ones are dropped
+// (the screens then catch up with `resync`)
+const OFFLINE_QUEUE_MAX_LENGTH = 100;
+const OFFLINE_QUEUE_MAX_AGE_MS = 10 * 60 * 1000;
+// Not queued: sent again or superseded after the reconnection (the drawing comes back with resync)
+const UNQUEUED_MESSAGE_TYPES = ['register_controller', 'register_display', 'ack', 'canvas_update', 'canvas_snapshot_request', 'resync'];
+// A display sent to another page by a resync resyncs again there
+const RESYNC_STORAGE_KEY = 'resyncPending';
+// Pages of the display for each page of the booth (lib/room-state.js)
+const DISPLAY_PAGES = { home: 'index.html', app: 'awaiting.html' };
+
 class WebSocketSync {
   constructor(clientType) {
     this.clientType = clientType; // 'controller' or 'display'
+    this.room = this.loadRoom(); // Pairing code of the booth, null until paired
     this.ws = null;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 1000;
+    this.reconnectTimer = null;
     this.isConnected = false;
     this.manualDisconnect = false;
+
+    // Protocol state: ids of this page, number of the message on the connection,
+    // critical messages waiting for an ack (id -> { message, attempts, timer })
+    this.sessionId = Math.random().toString(36).slice(2, 10);
+    this.messageCount = 0;
+    this.seq = 0;
+    this.outbox = new Map();
+    this.offlineQueue = []; // Other messages sent while offline: { message, queuedAt }
+    this.handledIds = new Set();
     
     // Detect environment
     this.isLocal = this.detectLocalEnvironment();
@@ -26,19 +69,64 @@ class WebSocketSync {
   }
 
   init() {
+    this.loadOutbox();
     this.connect();
     this.setupFallbackListeners();
+    this.renderLock();
+    window.addEventListener('localechange', () => this.renderLock());
+
+    // Back online, or a tablet waking up: no need to wait for the backoff
+    window.addEventListener('online', () => this.reconnectNow());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.reconnectNow();
+    });
+  }
+
+  // Read the pairing code from ?room=CODE or from the previous pages
+  loadRoom() {
+    const fromUrl = new URLSearchParams(window.location.search).get('room');
+    if (fromUrl) {
+      this.saveRoom(fromUrl.trim().toUpperCase());
+    }
+    return localStorage.getItem(ROOM_STORAGE_KEY);
+  }
+
+  saveRoom(room) {
+    localStorage.setItem(ROOM_STORAGE_KEY, room);
+  }
+
+  // Join another booth (controller pairing form)
+  joinRoom(room) {
+    this.room = room.trim().toUpperCase();
+    this.saveRoom(this.room);
+    this.register();
+  }
+
+  // Register client type with server, in this booth's room (version handshake)
+  register() {
+    this.send({
+      type: `register_${this.clientType}`,
+      room: this.room,
+      locked: this.isLocked(),
+      protocolVersion: WsProtocol.PROTOCOL_VERSION
+    });
   }
   
   // Setup fallback communication listeners
   setupFallbackListeners() {
     // Listen for localStorage changes (fallback method 1)
     window.addEventListener('storage', (e) => {
+      // A display in this browser got its pairing code: pair this controller with it
+      if (e.key === ROOM_STORAGE_KEY && e.newValue && !this.room) {
+        this.joinRoom(e.newValue);
+        return;
+      }
+
       if (e.key && e.key.startsWith('wsync_') && e.newValue) {
         try {
           const data = JSON.parse(e.newValue);
-          // Only process messages from other client types
-          if (data.clientType !== this.clientType) {
+          // Only process messages from other client types of the same booth
+          if (data.clientType !== this.clientType && data.room === this.room) {
             console.log('Received fallback message via localStorage:', data);
             this.handleMessage(data);
           }
@@ -53,8 +141,8 @@ class WebSocketSync {
       const channel = new BroadcastChannel('wsync-fallback');
       channel.onmessage = (event) => {
         const data = event.data;
-        // Only process messages from other client types
-        if (data.clientType !== this.clientType) {
+        // Only process messages from other client types of the same booth
+        if (data.clientType !== this.clientType && data.room === this.room) {
           console.log('Received fallback message via BroadcastChannel:', data);
           this.handleMessage(data);
         }
@@ -91,12 +179,19 @@ class WebSocketSync {
         clearTimeout(timeoutId); // Clear connection timeout
         console.log(`WebSocket connected as ${this.clientType}`);
         this.isConnected = true;
+        // After a connection loss the booth may have moved on without this screen
+        const needsResync = this.reconnectAttempts > 0 || sessionStorage.getItem(RESYNC_STORAGE_KEY) !== null;
+        sessionStorage.removeItem(RESYNC_STORAGE_KEY);
         this.reconnectAttempts = 0;
+        this.seq = 0;
         
-        // Register client type with server
-        this.send({
-          type: `register_${this.clientType}`
-        });
+        this.register();
+        // Messages sent while offline, and critical ones never acknowledged
+        this.flushPending();
+        if (needsResync && this.room) {
+          console.log('Asking the server for the state of the booth');
+          this.send({ type: 'resync' });
+        }
 
         // Trigger connection established event
         this.onConnectionEstablished();
@@ -105,7 +200,7 @@ class WebSocketSync {
       this.ws.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
-          this.handleMessage(data);
+          this.receive(data);
         } catch (error) {
           console.error('Error parsing WebSocket message:', error);
         }
@@ -137,31 +232,185 @@ class WebSocketSync {
     }
   }
 
+  // Exponential backoff, with a random half of the delay so the screens of
+  // the venue do not all reconnect at the same moment
   attemptReconnect() {
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-      
-      setTimeout(() => {
-        this.connect();
-      }, this.reconnectDelay * this.reconnectAttempts);
-    } else {
-      console.error('Max reconnection attempts reached');
-    }
+    if (this.reconnectTimer) return;
+
+    const ceiling = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts);
+    const delay = ceiling / 2 + Math.random() * ceiling / 2;
+    this.reconnectAttempts++;
+    console.log(`Attempting to reconnect in ${(delay / 1000).toFixed(1)}s (attempt ${this.reconnectAttempts})...`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  reconnectNow() {
+    if (this.isConnected || this.manualDisconnect || !this.reconnectTimer) return;
+    console.log('Reconnecting now');
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.connect();
   }
 
   send(data) {
+    const errors = WsProtocol.validateMessage('client', data);
+    if (errors.length > 0) {
+      console.error(`Not sending invalid ${data.type} message:`, errors, data);
+      return false;
+    }
+
+    // Critical messages get an id and are sent again until the server acknowledges them
+    let message = data;
+    if (WsProtocol.isCritical('client', data) && !data.id) {
+      message = { ...data, id: `${this.clientType}-${this.sessionId}-${++this.messageCount}` };
+      this.expectAck(message);
+    }
+
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(data));
+      this.ws.send(JSON.stringify({ ...message, seq: ++this.seq }));
       return true;
     } else {
-      console.warn('WebSocket not connected. Using fallback communication:', data);
+      console.warn('WebSocket not connected. Using fallback communication:', message);
+      if (!message.id) {
+        this.enqueue(message);
+      }
       
       // Fallback: Use localStorage and BroadcastChannel for local synchronization
-      this.sendViaFallback(data);
+      this.sendViaFallback(message);
       return false;
     }
   }
+
+  expectAck(message, queuedAt = Date.now()) {
+    const entry = { message, queuedAt, attempts: 0, timer: null };
+    const retry = () => {
+      entry.timer = setTimeout(() => {
+        if (!this.outbox.has(message.id)) return;
+        if (this.isOutdated(entry)) {
+          this.dropFromOutbox(message.id);
+          console.error(`${message.type} ${message.id} is outdated: dropped`);
+          return;
+        }
+        // Offline: flushPending() sends it after the reconnection
+        if (!this.isConnected) {
+          retry();
+          return;
+        }
+        if (++entry.attempts > WsProtocol.MAX_RETRIES) {
+          this.dropFromOutbox(message.id);
+          console.error(`${message.type} ${message.id} was never acknowledged by the server`);
+          return;
+        }
+        console.warn(`Resending ${message.type} ${message.id} (attempt ${entry.attempts}/${WsProtocol.MAX_RETRIES})`);
+        this.ws.send(JSON.stringify({ ...message, seq: ++this.seq }));
+        retry();
+      }, WsProtocol.ACK_TIMEOUT_MS);
+    };
+    this.outbox.set(message.id, entry);
+    this.saveOutbox();
+    retry();
+  }
+
+  dropFromOutbox(id) {
+    const entry = this.outbox.get(id);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.outbox.delete(id);
+    this.saveOutbox();
+  }
+
+  // Too old to be sent after a reconnection or on the next page
+  isOutdated({ queuedAt }) {
+    return Date.now() - queuedAt >= OFFLINE_QUEUE_MAX_AGE_MS;
+  }
+
+  // Keep a message sent while offline for the reconnection (critical ones are in the outbox)
+  enqueue(message) {
+    if (UNQUEUED_MESSAGE_TYPES.includes(message.type)) return;
+    this.offlineQueue.push({ message, queuedAt: Date.now() });
+    if (this.offlineQueue.length > OFFLINE_QUEUE_MAX_LENGTH) {
+      const { message: dropped } = this.offlineQueue.shift();
+      console.warn(`Offline queue full: dropping ${dropped.type}`);
+    }
+  }
+
+  saveOutbox() {
+    const pending = Array.from(this.outbox.values()).map(({ message, queuedAt }) => ({ message, queuedAt }));
+    sessionStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(pending));
+  }
+
+  // Messages left by the previous page of this tab, sent once connected
+  loadOutbox() {
+    let pending = [];
+    try {
+      pending = JSON.parse(sessionStorage.getItem(OUTBOX_STORAGE_KEY)) || [];
+    } catch (error) {
+      console.warn('Ignoring unreadable outbox:', error);
+    }
+    pending
+      .filter((entry) => !this.isOutdated(entry))
+      .forEach(({ message, queuedAt }) => this.expectAck(message, queuedAt));
+    this.saveOutbox();
+  }
+
+  // After a reconnection: the offline queue and the outbox, in the order they were sent
+  flushPending() {
+    const pending = [...this.offlineQueue, ...this.outbox.values()]
+      .filter((entry) => !this.isOutdated(entry))
+      .sort((a, b) => a.queuedAt - b.queuedAt);
+    this.offlineQueue = [];
+
+    pending.forEach(({ message }) => {
+      console.log(`Sending ${message.type} ${message.id || ''} after the reconnection`);
+      this.ws.send(JSON.stringify({ ...message, seq: ++this.seq }));
+    });
+  }
+
+  // Protocol checks before the page handles a message from the server
+  receive(data) {
+    const errors = WsProtocol.validateMessage('server', data);
+    if (errors.length > 0) {
+      console.warn('Ignoring invalid WebSocket message:', errors, data);
+      return;
+    }
+
+    if (data.type === 'ack') {
+      this.dropFromOutbox(data.id);
+      return;
+    }
+
+    if (data.id && WsProtocol.isCritical('server', data)) {
+      this.send({ type: 'ack', id: data.id });
+      if (this.handledIds.has(data.id)) {
+        console.log(`Ignoring ${data.type} ${data.id}: already handled`);
+        return;
+      }
+      this.handledIds.add(data.id);
+      if (this.handledIds.size > MAX_HANDLED_MESSAGE_IDS) {
+        this.handledIds.delete(this.handledIds.values().next().value);
+      }
+    }
+
+    this.handleMessage(data);
+  }
+
+  // The server speaks a newer protocol than this page: reload to get the current scripts
+  checkProtocolVersion(serverVersion) {
+    if (!serverVersion || serverVersion <= WsProtocol.PROTOCOL_VERSION) return;
+
+    const lastReload = parseInt(sessionStorage.getItem(PROTOCOL_RELOAD_STORAGE_KEY), 10) || 0;
+    if (Date.now() - lastReload < PROTOCOL_RELOAD_INTERVAL_MS) {
+      console.error(`Server protocol version ${serverVersion} is still newer than this page (${WsProtocol.PROTOCOL_VERSION}) after a reload`);
+      return;
+    }
+    console.warn(`Server protocol version ${serverVersion} is newer than this page (${WsProtocol.PROTOCOL_VERSION}): reloading`);
+    sessionStorage.setItem(PROTOCOL_RELOAD_STORAGE_KEY, String(Date.now()));
+    window.location.reload();
+  }
   
   // Fallback communication method
   sendViaFallback(data) {
@@ -171,7 +420,8 @@ class WebSocketSync {
       localStorage.setItem(fallbackKey, JSON.stringify({
         ...data,
         timestamp: Date.now(),
-        clientType: this.clientType
+        clientType: this.clientType,
+        room: this.room
       }));
       
       // Clean up old fallback messages
@@ -185,7 +435,8 @@ class WebSocketSync {
         channel.postMessage({
           ...data,
           timestamp: Date.now(),
-          clientType: this.clientType
+          clientType: this.clientType,
+          room: this.room
         });
         channel.close();
       }
@@ -197,11 +448,53 @@ class WebSocketSync {
   }
 
   handleMessage(data) {
-    console.log('Received WebSocket message:', data);
+    // Live canvas updates are too frequent to log
+    if (data.type !== 'sync_canvas') {
+      console.log('Received WebSocket message:', data);
+    }
 
     switch (data.type) {
       case 'connection_established':
         console.log('Connection confirmed:', data.message);
+        this.checkProtocolVersion(data.protocolVersion);
+        break;
+
+      case 'protocol_error':
+        // The server dropped one of our messages (see lib/ws-protocol.js)
+        console.error(`Protocol error ${data.error} for ${data.messageType} ${data.messageId || ''}:`, data.details);
+        if (data.error === 'unsupported_version') {
+          this.checkProtocolVersion(data.protocolVersion);
+        }
+        break;
+
+      case 'room_joined':
+        // Registered in a booth room (displays get a new code if they had none)
+        this.room = data.room;
+        this.saveRoom(data.room);
+        this.onRoomJoined(data);
+        break;
+
+      case 'room_required':
+        // Controller without a pairing code: nothing is sent to any display
+        this.onRoomRequired();
+        break;
+
+      case 'resync_state':
+        // State of the booth after a reconnection (lib/room-state.js)
+        if (this.clientType === 'display') {
+          this.applyResyncState(data);
+        } else {
+          // The drawing streamed while offline was lost: send all of it again
+          this.onCanvasSnapshotRequest();
+        }
+        break;
+
+      case 'display_joined':
+      case 'display_left':
+        // A display of the booth connected, or closed / stopped answering the heartbeat
+        if (this.clientType === 'controller') {
+          this.onDisplayPresence(data);
+        }
         break;
 
       case 'sync_action':
@@ -225,6 +518,44 @@ class WebSocketSync {
         }
         break;
 
+      case 'generation_progress':
+        // Handle image generation job progress (sent to all screens)
+        this.onGenerationProgress(data);
+        break;
+
+      case 'sync_result':
+        // Handle the generated artwork sent by the controller
+        if (this.clientType === 'display') {
+          this.onResult(data.payload);
+        }
+        break;
+
+      case 'sync_canvas':
+        // Handle live drawing updates from the controller
+        if (this.clientType === 'display') {
+          this.onCanvasUpdate(data.payload);
+        }
+        break;
+
+      case 'sync_canvas_request':
+        // A display asks for the full drawing
+        if (this.clientType === 'controller') {
+          this.onCanvasSnapshotRequest();
+        }
+        break;
+
+      case 'moderation_override':
+        // An operator overrode a moderation block of this booth
+        if (this.clientType === 'controller') {
+          this.onModerationOverride(data);
+        }
+        break;
+
+      case 'admin_command':
+        // Command of the staff from the admin dashboard (/admin)
+        this.handleAdminCommand(data);
+        break;
+
       default:
         console.log('Unknown message type received:', data.type);
     }
@@ -265,6 +596,32 @@ class WebSocketSync {
     }
   }
 
+  sendResult(payload = {}) {
+    if (this.clientType === 'controller') {
+      this.send({
+        type: 'result',
+        payload: payload
+      });
+    }
+  }
+
+  sendCanvasUpdate(payload) {
+    if (this.clientType === 'controller') {
+      this.send({
+        type: 'canvas_update',
+        payload: payload
+      });
+    }
+  }
+
+  requestCanvasSnapshot() {
+    if (this.clientType === 'display') {
+      this.send({
+        type: 'canvas_snapshot_request'
+      });
+    }
+  }
+
   // Display methods - handle incoming sync messages
   handleSyncAction(action, payload) {
     console.log(`Display handling sync action: ${action}`, payload);
@@ -282,6 +639,12 @@ class WebSocketSync {
       case 'return_to_home':
         this.handleReturnToHome(payload);
         break;
+      case 'set_locale':
+        // The visitor picked a language on the controller (see i18n.js)
+        if (window.i18n) {
+          window.i18n.setLocale(payload.locale);
+        }
+        break;
       default:
         console.log('Unknown sync action:', action);
     }
@@ -352,6 +715,23 @@ class WebSocketSync {
     }
   }
 
+  // Catch up with the booth: its page first, then the drawing and the result
+  applyResyncState(state) {
+    if (state.locale && window.i18n && state.locale !== window.i18n.locale) {
+      window.i18n.setLocale(state.locale);
+    }
+
+    const page = DISPLAY_PAGES[state.page];
+    const currentPage = window.location.pathname.split('/').pop() || 'index.html';
+    if (page && page !== currentPage) {
+      console.log(`Resync: the booth is on ${state.page}, going to ${page}`);
+      sessionStorage.setItem(RESYNC_STORAGE_KEY, String(Date.now()));
+      window.location.href = page;
+      return;
+    }
+    this.onResync(state);
+  }
+
   handleReturnToHome(payload) {
     console.log('WebSocket handleReturnToHome called for clientType:', this.clientType, 'payload:', payload);
     
@@ -364,12 +744,157 @@ class WebSocketSync {
     }
   }
 
+  // Run a command of the admin dashboard and acknowledge it
+  handleAdminCommand({ commandId, command, payload = {} }) {
+    let result;
+    try {
+      result = this.runAdminCommand(command, payload);
+    } catch (error) {
+      console.error(`Admin command ${command} failed:`, error);
+      result = { ok: false, error: error.message };
+    }
+    this.send({ type: 'command_ack', commandId, ...result });
+  }
+
+  runAdminCommand(command, payload) {
+    console.log(`Running admin command: ${command}`, payload);
+
+    switch (command) {
+      case 'go_home':
+        setTimeout(() => {
+          window.location.href = this.clientType === 'controller' ? 'index2.html' : 'index.html';
+        }, KIOSK_NAVIGATION_DELAY_MS);
+        return { ok: true };
+      case 'reload':
+        setTimeout(() => window.location.reload(), KIOSK_NAVIGATION_DELAY_MS);
+        return { ok: true };
+      case 'clear_canvas':
+        // Only the drawing app has a canvas to clear
+        return this.onClearCanvas() ? { ok: true } : { ok: false, error: 'no_canvas' };
+      case 'lock':
+        this.setLocked(true, payload.text);
+        return { ok: true };
+      case 'unlock':
+        this.setLocked(false);
+        return { ok: true };
+      case 'show_message':
+        this.showKioskMessage(payload.text, payload.durationMs);
+        return { ok: true };
+      default:
+        return { ok: false, error: 'unknown_command' };
+    }
+  }
+
+  isLocked() {
+    return sessionStorage.getItem(KIOSK_LOCK_STORAGE_KEY) !== null;
+  }
+
+  setLocked(locked, text) {
+    if (locked) {
+      sessionStorage.setItem(KIOSK_LOCK_STORAGE_KEY, text || '');
+    } else {
+      sessionStorage.removeItem(KIOSK_LOCK_STORAGE_KEY);
+    }
+    this.renderLock();
+  }
+
+  // Full-screen cover that takes every touch while the kiosk is locked
+  renderLock() {
+    if (!document.body) {
+      document.addEventListener('DOMContentLoaded', () => this.renderLock(), { once: true });
+      return;
+    }
+
+    const text = sessionStorage.getItem(KIOSK_LOCK_STORAGE_KEY);
+    let overlay = document.getElementById('kioskLock');
+    if (text === null) {
+      if (overlay) overlay.remove();
+      return;
+    }
+
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'kioskLock';
+      overlay.className = 'kiosk-lock';
+      overlay.appendChild(document.createElement('p'));
+      document.body.appendChild(overlay);
+    }
+    overlay.querySelector('p').textContent = text || (window.i18n ? window.i18n.t('kiosk.locked') : '🔒');
+  }
+
+  showKioskMessage(text, durationMs = KIOSK_MESSAGE_DURATION_MS) {
+    const message = document.createElement('div');
+    message.className = 'kiosk-message';
+    message.textContent = text;
+    document.body.appendChild(message);
+    setTimeout(() => message.remove(), durationMs);
+  }
+
   // Event handlers that can be overridden
   onConnectionEstablished() {
     // Override this method to handle connection establishment
     console.log(`${this.clientType} connection established`);
   }
 
+  onRoomJoined(data) {
+    // Override this method to show the pairing code
+    // data: { room, displays } for controllers, { room, controllers } for displays
+    console.log(`${this.clientType} joined room ${data.room}`);
+  }
+
+  onRoomRequired() {
+    // Override this method to ask for the pairing code shown on the display
+    console.warn('Controller is not paired: enter the code shown on the display screen');
+  }
+
+  onResync(state) {
+    // Override this method to restore more of the booth after a reconnection
+    // state: { page, locale, result, canvas, guess, generation, controllers, displays }
+    if (state.canvas) this.onCanvasUpdate(state.canvas);
+    if (state.guess) this.onCanvasUpdate({ kind: 'prediction', guess: state.guess });
+    if (state.generation) this.onGenerationProgress({ ...state.generation, details: {} });
+    if (state.result) this.onResult(state.result);
+  }
+
+  onDisplayPresence(data) {
+    // Override this method to show whether a display is attached
+    // data: { type: 'display_joined' | 'display_left', room, displays, reason }
+    console.log(`${data.type} in room ${data.room}: ${data.displays} display(s)`);
+  }
+
+  onGenerationProgress(data) {
+    // Override this method to show generation progress
+    // data: { jobId, stage, status, details }
+    console.log(`Generation job ${data.jobId} stage: ${data.stage}`);
+  }
+
+  onResult(payload) {
+    // Override this method to reveal the generated artwork
+    // payload: { image, style, description }
+    console.log('Generation result received:', payload.image);
+  }
+
+  onCanvasUpdate(payload) {
+    // Override this method to render the controller's drawing
+    // payload: { kind, canvasSize, ... } (see canvas-mirror.js)
+  }
+
+  onCanvasSnapshotRequest() {
+    // Override this method to send the full drawing to the displays
+    console.log('Canvas snapshot requested');
+  }
+
+  onModerationOverride(data) {
+    // Override this method to close the censorship overlay
+    // data: { decisionId }
+    console.log(`Moderation decision ${data.decisionId} overridden by an operator`);
+  }
+
+  onClearCanvas() {
+    // Override this method on pages with a drawing; return true once cleared
+    return false;
+  }
+
   // Clean up
   disconnect() {
     this.manualDisconnect = true;
@@ -392,7 +917,7 @@ function initializeWebSocket() {
   const currentPage = window.location.pathname;
   let clientType;
 
-  if (currentPage.includes('index2') || currentPage.includes('controller')) {
+  if (currentPage.includes('index2') || currentPage.includes('app.html') || currentPage.includes('controller')) {
     clientType = 'controller';
   } else {
     clientType = 'display';
@@ -28,13 +28,18 @@
  * 5. Text-Only Image Generation (Fal AI Stable Diffusion)
  *    - Used when no sketch is provided, only text prompt
  *    - Generates images from scratch using Stable Diffusion
+ * 
+ * Steps 3-5 run through the image provider registry (lib/providers), which
+ * tries an ordered, configurable chain of providers for each generation mode.
+ *
+ * The sketch, the personal prompt and the generated image are checked by the
+ * moderation module (lib/moderation.js), separately from the prediction.
  */
 
 // Import required dependencies
 const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
-const fetch = require('node-fetch');
-const axios = require('axios');
 const http = require('http');
 const WebSocket = require('ws');
 let uuidv4;
@@ -42,16 +47,53 @@ let uuidv4;
 // Load environment variables from .env file
 require('dotenv').config();
 
-// Import and configure Fal AI client for the fallback image generation
-const { fal } = require('@fal-ai/client');
+// Image generation providers (BFL AI, Fal AI, mock) and their fallback chains
+const imageProviders = require('./lib/providers');
 
-// Configure Fal AI with credentials from the environment
-fal.config({
-  credentials: process.env.FAL_API_KEY || '',
-});
+// Asynchronous generation jobs (status API and progress events)
+const jobs = require('./lib/jobs');
+
+// Local storage of generated artworks
+const gallery = require('./lib/gallery');
+// Drawings saved from the drawing app, to continue them later
+const drawings = require('./lib/drawings');
+// Page of the drawings and size of the sketches sent to the API
+const canvasSettings = require('./lib/canvas-settings');
+
+// Booth rooms pairing controllers with their displays
+const rooms = require('./lib/rooms');
+// Last known page, result and drawing of each booth, for the screens that reconnect
+const roomState = require('./lib/room-state');
+
+// Gemini client and the shared schema validator
+const gemini = require('./lib/gemini');
+const promptExtraction = require('./lib/prompt-extraction');
+const schema = require('./lib/schema');
+const schemas = require('./lib/schemas');
+
+// Versioned Gemini prompt templates (prompts/)
+const prompts = require('./lib/prompts');
+
+// Content checks of the sketch, the personal prompt and the generated image,
+// and the audit log of the blocked ones
+const moderation = require('./lib/moderation');
+const moderationLog = require('./lib/moderation-log');
+
+// Live state of the booths, jobs and providers for the admin dashboard
+const monitoring = require('./lib/monitoring');
+
+// Commands of the admin dashboard to the screens (go home, lock, message...)
+const kioskCommands = require('./lib/kiosk-commands');
+
+// Idle timeout and attract mode of the unattended booths
+const kiosk = require('./lib/kiosk');
+
+// WebSocket protocol shared with the pages, and its validation and acknowledgements
+const wsProtocol = require('./lib/ws-protocol');
+const messaging = require('./lib/ws-messaging');
 
-// Extract the subscribe function for easier access
-const { subscribe } = fal;
+// Ping/pong heartbeat evicting the sockets of sleeping tablets
+const heartbeat = require('./lib/ws-heartbeat');
 
 /**
  * Express and WebSocket Server Setup
@@ -62,44 +104,119 @@ const { subscribe } = fal;
 const app = express();
 const server = http.createServer(app);
 
-// Store connected WebSocket clients by type
-const clients = {
-  controllers: [], // index2.html clients (21" screens control interface)
-  displays: []     // index.html clients (vertical display screens for output)
-};
-
 // Create WebSocket server attached to the HTTP server
 const wss = new WebSocket.Server({ server });
+heartbeat.start(wss);
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   console.log('New WebSocket connection established');
+  ws.id = crypto.randomUUID();
+  ws.connectedAt = Date.now();
+  ws.address = req.socket.remoteAddress;
+  heartbeat.track(ws);
+  notifyAdmins();
 
   // Handle incoming messages
   ws.on('message', (message) => {
     try {
       const data = JSON.parse(message);
-      console.log('Received WebSocket message:', data);
+      // Live canvas updates are too frequent to log
+      if (data.type !== 'canvas_update') {
+        console.log('Received WebSocket message:', data);
+      }
+      // Invalid messages, acknowledgements and retries already handled
+      if (!messaging.receive(ws, data)) return;
+      if (ws.clientType === 'controller') {
+        roomState.record(ws.room, data);
+      }
 
       switch (data.type) {
-        case 'register_controller':
-          // Register as controller (index2.html)
-          clients.controllers.push(ws);
-          ws.clientType = 'controller';
-          console.log(`Controller registered. Total controllers: ${clients.controllers.length}`);
+        case 'register_controller': {
+          // Register as controller (index2.html) in the room entered by the user
+          if (!messaging.negotiateVersion(ws, data)) break;
+          const code = rooms.normalizeCode(data.room);
+          if (!code) {
+            rooms.leave(ws);
+            ws.clientType = 'controller';
+            messaging.send(ws, { type: 'room_required' });
+            console.log('Controller connected without a pairing code');
+            break;
+          }
+
+          const room = rooms.join(ws, 'controller', code);
+          // A screen locked by an admin command stays locked across pages
+          ws.locked = Boolean(data.locked);
+          messaging.send(ws, {
+            type: 'room_joined',
+            room: code,
+            displays: room.displays.length
+          });
+          console.log(`Controller registered in room ${code}. Displays in room: ${room.displays.length}`);
+          notifyAdmins();
+          break;
+        }
+
+        case 'register_display': {
+          // Register as display (index.html), with a new pairing code if it has none
+          if (!messaging.negotiateVersion(ws, data)) break;
+          const code = rooms.normalizeCode(data.room) || rooms.generateCode();
+          const previousRoom = ws.clientType === 'display' ? ws.room : null;
+          const room = rooms.join(ws, 'display', code);
+          ws.locked = Boolean(data.locked);
+          messaging.send(ws, {
+            type: 'room_joined',
+            room: code,
+            controllers: room.controllers.length
+          });
+          console.log(`Display registered in room ${code}. Displays in room: ${room.displays.length}`);
+          // The controllers of the booth show whether a display is attached
+          if (previousRoom && previousRoom !== code) {
+            announceDisplayLeft(previousRoom, 'moved');
+          }
+          broadcastToControllers(code, {
+            type: 'display_joined',
+            room: code,
+            displays: room.displays.length
+          });
+          notifyAdmins();
+          break;
+        }
+
+        case 'register_admin':
+          // Admin dashboard (/admin): live snapshots, with the operator token if one is set
+          if (!messaging.negotiateVersion(ws, data)) break;
+          if (!isOperatorToken(data.token)) {
+            messaging.send(ws, { type: 'admin_unauthorized' });
+            console.log('Admin dashboard refused: invalid operator token');
+            break;
+          }
+          rooms.leave(ws);
+          ws.clientType = 'admin';
+          messaging.send(ws, { type: 'admin_snapshot', snapshot: monitoring.buildSnapshot(wss.clients) });
+          console.log('Admin dashboard connected');
+          break;
+
+        case 'admin_command':
+          // Command of the admin dashboard for some screens, acknowledged by each of them
+          if (ws.clientType !== 'admin') {
+            console.warn('⚠️ Ignoring admin command from a non-admin client');
+            break;
+          }
+          kioskCommands.dispatch(ws, data, wss.clients);
           break;
 
-        case 'register_display':
-          // Register as display (index.html)
-          clients.displays.push(ws);
-          ws.clientType = 'display';
-          console.log(`Display registered. Total displays: ${clients.displays.length}`);
+        case 'command_ack':
+          // A screen ran (or could not run) an admin command
+          kioskCommands.acknowledge(ws, data);
+          notifyAdmins();
           break;
 
         case 'controller_action':
           // Forward controller actions to all displays
           console.log('Broadcasting controller action to displays:', data.action);
-          broadcastToDisplays({
+          broadcastToDisplays(ws.room, {
             type: 'sync_action',
+            id: data.id,
             action: data.action,
             payload: data.payload || {}
           });
@@ -108,8 +225,9 @@ wss.on('connection', (ws) => {
         case 'page_change':
           // Handle page navigation
           console.log('Broadcasting page change to displays:', data.page);
-          broadcastToDisplays({
+          broadcastToDisplays(ws.room, {
             type: 'sync_page_change',
+            id: data.id,
             page: data.page,
             payload: data.payload || {}
           });
@@ -118,12 +236,54 @@ wss.on('connection', (ws) => {
         case 'app_start':
           // Handle application start
           console.log('Broadcasting app start to displays');
-          broadcastToDisplays({
+          broadcastToDisplays(ws.room, {
             type: 'sync_app_start',
+            id: data.id,
+            payload: data.payload || {}
+          });
+          break;
+
+        case 'result':
+          // Forward the generated artwork to displays for the reveal
+          console.log('Broadcasting generation result to displays');
+          broadcastToDisplays(ws.room, {
+            type: 'sync_result',
+            id: data.id,
             payload: data.payload || {}
           });
           break;
 
+        case 'canvas_update':
+          // Forward live drawing updates (strokes, shapes, prediction) to displays
+          broadcastToDisplays(ws.room, {
+            type: 'sync_canvas',
+            payload: data.payload || {}
+          });
+          break;
+
+        case 'canvas_snapshot_request':
+          // A display (re)joined: ask the controllers for the full drawing
+          console.log('Requesting canvas snapshot from controllers');
+          broadcastToControllers(ws.room, {
+            type: 'sync_canvas_request'
+          });
+          break;
+
+        case 'resync': {
+          // A screen reconnected: send it the current state of its booth
+          const job = jobs.listActiveJobs().find((activeJob) => activeJob.meta.room === ws.room);
+          console.log(`Resynchronizing ${ws.clientType} in room ${ws.room}`);
+          messaging.send(ws, {
+            type: 'resync_state',
+            room: ws.room,
+            ...roomState.describe(ws.room),
+            generation: job ? { jobId: job.id, stage: job.stage, status: job.status } : null,
+            controllers: rooms.getClients(ws.room, 'controller').length,
+            displays: rooms.getClients(ws.room, 'display').length
+          });
+          break;
+        }
+
         default:
           console.log('Unknown WebSocket message type:', data.type);
       }
@@ -134,43 +294,104 @@ wss.on('connection', (ws) => {
 
   // Handle client disconnect
   ws.on('close', () => {
-    console.log('WebSocket connection closed');
+    console.log(ws.evicted ? 'WebSocket connection evicted (no heartbeat)' : 'WebSocket connection closed');
     
-    // Remove from appropriate client list
-    if (ws.clientType === 'controller') {
-      clients.controllers = clients.controllers.filter(client => client !== ws);
-      console.log(`Controller disconnected. Remaining controllers: ${clients.controllers.length}`);
-    } else if (ws.clientType === 'display') {
-      clients.displays = clients.displays.filter(client => client !== ws);
-      console.log(`Display disconnected. Remaining displays: ${clients.displays.length}`);
+    // Remove from its room
+    messaging.release(ws);
+    const room = rooms.leave(ws);
+    if (room) {
+      console.log(`${ws.clientType === 'controller' ? 'Controller' : 'Display'} left room ${room.code}. ` +
+        `Remaining: ${room.controllers.length} controller(s), ${room.displays.length} display(s)`);
+      if (ws.clientType === 'display') {
+        announceDisplayLeft(room.code, ws.evicted ? 'timeout' : 'closed');
+      }
+      if (room.controllers.length === 0 && room.displays.length === 0) {
+        roomState.release(room.code);
+      }
     }
+    notifyAdmins();
   });
 
   // Send initial connection confirmation
-  ws.send(JSON.stringify({
+  // The version handshake starts here: pages older than the server reload
+  messaging.send(ws, {
     type: 'connection_established',
-    message: 'WebSocket connection successful'
-  }));
+    message: 'WebSocket connection successful',
+    protocolVersion: wsProtocol.PROTOCOL_VERSION
+  });
 });
 
-// Function to broadcast messages to all display clients
-function broadcastToDisplays(message) {
-  clients.displays.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(message));
-    }
+// Function to broadcast messages to the display clients of a room
+// Critical messages get one id for all the clients (see lib/ws-messaging.js)
+function broadcastToDisplays(room, message) {
+  const outgoing = messaging.withId(message);
+  rooms.getClients(room, 'display').forEach(client => {
+    messaging.send(client, outgoing);
   });
 }
 
-// Function to broadcast messages to all controller clients
-function broadcastToControllers(message) {
-  clients.controllers.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(message));
-    }
+// Function to broadcast messages to the controller clients of a room
+function broadcastToControllers(room, message) {
+  const outgoing = messaging.withId(message);
+  rooms.getClients(room, 'controller').forEach(client => {
+    messaging.send(client, outgoing);
+  });
+}
+
+// Function to broadcast messages to every client of a room (controllers and displays)
+function broadcastToRoom(room, message) {
+  const outgoing = messaging.withId(message);
+  broadcastToControllers(room, outgoing);
+  broadcastToDisplays(room, outgoing);
+}
+
+// Tell the controllers of a room that one of its displays is gone
+// reason: 'closed' (page closed or reloaded), 'timeout' (no heartbeat), 'moved' (other room)
+function announceDisplayLeft(code, reason) {
+  broadcastToControllers(code, {
+    type: 'display_left',
+    room: code,
+    displays: rooms.getClients(code, 'display').length,
+    reason
   });
 }
 
+// Push the state of the installation to the admin dashboards. Changes come in
+// bursts (a booth reconnecting, a job moving through its stages), so they are
+// batched into one snapshot per ADMIN_SNAPSHOT_DELAY_MS.
+const ADMIN_SNAPSHOT_DELAY_MS = 500;
+let adminSnapshotTimer = null;
+
+function notifyAdmins() {
+  if (adminSnapshotTimer) return;
+  adminSnapshotTimer = setTimeout(() => {
+    adminSnapshotTimer = null;
+    const admins = Array.from(wss.clients).filter((client) => client.clientType === 'admin' && client.readyState === WebSocket.OPEN);
+    if (admins.length === 0) return;
+
+    const message = { type: 'admin_snapshot', snapshot: monitoring.buildSnapshot(wss.clients) };
+    admins.forEach((client) => messaging.send(client, message));
+  }, ADMIN_SNAPSHOT_DELAY_MS);
+}
+
+imageProviders.events.on('attempt', notifyAdmins);
+
+// Push generation job progress to the screens of the booth that started the job
+// Stages: gemini-prompt, bfl-polling, fal-fallback, fal-text, done, failed
+jobs.events.on('stage', (job, details) => {
+  console.log(`Generation job ${job.id} stage: ${job.stage}`);
+  notifyAdmins();
+  if (!job.meta.room) return;
+
+  broadcastToRoom(job.meta.room, {
+    type: 'generation_progress',
+    jobId: job.id,
+    stage: job.stage,
+    status: job.status,
+    details: details || {}
+  });
+});
+
 /**
  * Express Middleware and Static File Configuration
  */
@@ -180,9 +401,20 @@ app.use(express.json({ limit: '15mb' }));
 // Serve static web assets from the public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Server modules also loaded by the pages: the WebSocket protocol, the drawing
+// document format and their validator
+const SHARED_MODULES = ['schema.js', 'ws-protocol.js', 'drawing-document.js'];
+app.get('/shared/:file', (req, res, next) => {
+  if (!SHARED_MODULES.includes(req.params.file)) return next();
+  res.sendFile(path.join(__dirname, 'lib', req.params.file));
+});
+
 // Make the images folder available for reference by the client
 app.use('/images', express.static(path.join(__dirname, 'images')));
 
+// Serve the stored gallery artworks (generated images and sketches)
+app.use(gallery.PUBLIC_PREFIX, express.static(gallery.GALLERY_DIR));
+
 /**
  * Web Routes
  */
@@ -192,6 +424,11 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Live monitoring dashboard for the on-site staff
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
 // Optional: Add a manual route to open both screens
 app.get('/dual-screen', (req, res) => {
   const dualScreenHTML = `
@@ -248,6 +485,93 @@ app.get('/dual-screen', (req, res) => {
   res.send(dualScreenHTML);
 });
 
+/**
+ * Send a JSON error response. Typed errors (GeminiError, SchemaValidationError)
+ * carry their HTTP status and a machine readable code; anything else is a 500.
+ *
+ * @param {object} res - Express response
+ * @param {Error} err - The error to report
+ * @param {string} fallbackMessage - Message used for untyped errors
+ */
+function sendError(res, err, fallbackMessage) {
+  if (err.status && err.code) {
+    return res.status(err.status).json({
+      error: err.message,
+      code: err.code,
+      details: err.details || err.errors || null
+    });
+  }
+  res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * GET /api/providers
+ *
+ * Lists the registered image providers with their capabilities and the
+ * resolved provider chain for each generation mode.
+ */
+app.get('/api/providers', (req, res) => {
+  res.json({
+    providers: imageProviders.listProviders(),
+    chains: {
+      'image-to-image': imageProviders.resolveChain('image-to-image').map((p) => p.name),
+      'text-to-image': imageProviders.resolveChain('text-to-image').map((p) => p.name)
+    }
+  });
+});
+
+/**
+ * GET /api/rooms
+ *
+ * Lists the open booth rooms (pairing codes) with their connected
+ * controllers and displays.
+ */
+app.get('/api/rooms', (req, res) => {
+  res.json({ rooms: rooms.listRooms() });
+});
+
+/**
+ * GET /api/kiosk
+ *
+ * Idle timeout of the controllers and attract mode of the displays, with the
+ * slides to cycle through (recent artworks and style reference images).
+ */
+app.get('/api/kiosk', async (req, res) => {
+  try {
+    res.json(await kiosk.getKioskConfig());
+  } catch (err) {
+    console.error('Kiosk config error:', err.message);
+    res.status(500).json({ error: 'Failed to read kiosk settings' });
+  }
+});
+
+/**
+ * GET /api/canvas
+ *
+ * Page of the drawing app (document units) and size of the sketches it
+ * sends to /api/predict and /api/generate.
+ */
+app.get('/api/canvas', (req, res) => {
+  res.json(canvasSettings.getCanvasConfig());
+});
+
+/**
+ * Prompt Templates API
+ *
+ * GET /api/prompts
+ *
+ * Lists the Gemini prompt templates of prompts/ with their variables,
+ * available versions, active version and A/B experiment weights.
+ */
+app.get('/api/prompts', async (req, res) => {
+  try {
+    res.json({ templates: await prompts.listTemplates() });
+  } catch (err) {
+    console.error('Prompt templates error:', err.message);
+    res.status(500).json({ error: 'Failed to read prompt templates' });
+  }
+});
+
 /**
  * STEP 1: Sketch Prediction API
  * 
@@ -259,222 +583,328 @@ app.get('/dual-screen', (req, res) => {
  * - image: Base64 encoded PNG data URL of the sketch
  * - previousPrediction (optional): Previous guess to avoid repetition
  * - userResponse (optional): User's response to previous prediction
+ * - locale (optional): Booth language (fr, en, ar), selects the prompt template
  * 
  * Response:
- * - guess: 2-3 word French description of the sketch
- * - ethics: 1 if content is appropriate, 0 if inappropriate/censored
- * - error: Error message if the prediction fails
+ * - guess: 2-3 word description of the sketch, in the booth language
+ * - ethics: 1 if content is appropriate, 0 if inappropriate/censored (decided
+ *   by the moderation module, or by the prediction if the sketch stage is off)
+ * - moderation: { stage, reasons, decisionId } when ethics is 0 (reason codes of
+ *   lib/moderation.js, id of the decision in the moderation audit log)
+ * - grammar: { article, gender, number } of the guess, used to phrase the
+ *   question (null with template versions that do not ask for it)
+ * - promptVersion: Prompt template used (e.g. "prediction@v1")
+ * - locale: Language of the template used
+ *
+ * Errors ({ error, code, details }):
+ * - 400 invalid_schema: Invalid request body
+ * - 422 gemini_blocked: Gemini refused to analyze the sketch
+ * - 502 gemini_unavailable, gemini_empty, gemini_invalid_json, gemini_schema:
+ *   Gemini failed or its answer did not match the PREDICTION schema
+ * - 502 moderation_unavailable: The sketch could not be checked
  */
 app.post('/api/predict', async (req, res) => {
   try {
-    // Extract parameters from request
-    const { image, previousPrediction, userResponse } = req.body;
-    
     // Validate input
-    if (!image) {
-      return res.status(400).json({ error: 'No image provided' });
-    }
+    schema.assertValid(schemas.PREDICT_REQUEST, req.body, 'Invalid prediction request');
+    const { image, previousPrediction, userResponse, locale } = req.body;
+    const room = rooms.normalizeCode(req.body.room);
     
     // Clean the base64 data by removing the data URL prefix
     const base64 = image.replace(/^data:image\/\w+;base64,/, '');
 
-    // Build the JSON-formatted prompt for Gemini based on context
-    let prompt = `Analysez ce croquis et retournez UNIQUEMENT un objet JSON valide avec cette structure exacte:
-{
-  "prediction": "2-3 mots français décrivant le croquis",
-  "ethics": 1
-}
+    // Render the instructions from the prompt template store (prompts/prediction)
+    // in the booth language, which is also the language of the guess, with the
+    // censored categories of the deployment's moderation policy
+    const predictionTemplate = await prompts.renderPrompt('prediction', {
+      ...(await moderation.getCategoryFlags()),
+      previousGuess: previousPrediction,
+      userAnswer: userResponse
+    }, { locale });
 
-CONTENU CENSURÉ (ethics = 0):
-- Pays et drapeaux (France, USA, Allemagne, etc.)
-- Politique (politiciens, partis, élections, etc.)
-- Sang et violence (blessures, armes, combats)
-- Contenu sexuel ou romantique (baisers, câlins intimes)
-- Drogues et substances (cigarettes, alcool, pilules)
-- Symboles haineux ou religieux controversés
-- Contenu mature ou inapproprié
-
-CONTENU AUTORISÉ (ethics = 1):
-- Croquis incomplets (juste une tête, un bras, etc.) - DÉCRIVEZ CE QUE VOUS VOYEZ
-- Animaux, objets, nature, nourriture
-- Personnages neutres et innocents
-- Véhicules, bâtiments, formes géométriques
-
-Règles importantes:
-- prediction: Décrivez en 2-3 mots français simples ce que vous voyez réellement dans le croquis
-- Si le croquis est incomplet, décrivez la partie visible (ex: "tête", "bras", "forme ronde")
-- Ne dites jamais "croquis incomplet" - décrivez toujours ce qui est visible
-- ethics: Mettez 0 si le contenu fait partie de la liste censurée, sinon 1
-- Retournez UNIQUEMENT le JSON, aucun autre texte, aucune explication
-
-Exemples de réponses valides:
-{"prediction": "chat mignon", "ethics": 1}
-{"prediction": "tête humaine", "ethics": 1}
-{"prediction": "contenu censuré", "ethics": 0}`;
-    
-    // Adapt prompt based on previous interactions
-    if (previousPrediction && userResponse) {
-      // If we have both a previous prediction and user response
-      prompt = `Analysez ce croquis et retournez UNIQUEMENT un objet JSON valide avec cette structure exacte:
-{
-  "prediction": "2-3 mots français décrivant le croquis",
-  "ethics": 1
-}
+    // Ask Gemini for a structured answer matching the PREDICTION schema
+    // (the answer format itself is enforced by the response schema),
+    // while the moderation module checks the sketch
+    // (unless an operator overrode a block of this booth)
+    const overridden = moderation.hasOverride(room);
+    const [predicted, sketchChecked] = await Promise.allSettled([
+      gemini.generateStructured({
+        prompt: predictionTemplate.text,
+        image: base64,
+        schema: schemas.PREDICTION
+      }),
+      overridden ? null : moderation.checkSketch(base64, locale)
+    ]);
+    if (predicted.status === 'rejected') {
+      throw predicted.reason;
+    }
+    const prediction = predicted.value;
 
-CONTENU CENSURÉ (ethics = 0):
-- Pays et drapeaux (France, USA, Allemagne, etc.)
-- Politique (politiciens, partis, élections, etc.)
-- Sang et violence (blessures, armes, combats)
-- Contenu sexuel ou romantique (baisers, câlins intimes)
-- Drogues et substances (cigarettes, alcool, pilules)
-- Symboles haineux ou religieux controversés
-- Contenu mature ou inapproprié
-
-CONTENU AUTORISÉ (ethics = 1):
-- Croquis incomplets (juste une tête, un bras, etc.) - DÉCRIVEZ CE QUE VOUS VOYEZ
-- Animaux, objets, nature, nourriture
-- Personnages neutres et innocents
-- Véhicules, bâtiments, formes géométriques
-
-Règles importantes:
-- prediction: Décrivez en 2-3 mots français simples ce que vous voyez réellement dans le croquis
-- Si le croquis est incomplet, décrivez la partie visible (ex: "tête", "bras", "forme ronde")
-- Ne dites jamais "croquis incomplet" - décrivez toujours ce qui est visible
-- ethics: Mettez 0 si le contenu fait partie de la liste censurée, sinon 1
-- Ne répétez pas la supposition précédente: "${previousPrediction}"
-- L'utilisateur a répondu: "${userResponse}" - utilisez cette information pour affiner
-- Retournez UNIQUEMENT le JSON, aucun autre texte, aucune explication
-
-Exemples de réponses valides:
-{"prediction": "chat mignon", "ethics": 1}
-{"prediction": "tête humaine", "ethics": 1}
-{"prediction": "contenu censuré", "ethics": 0}`;
-    } else if (previousPrediction) {
-      // If we only have a previous prediction
-      prompt = `Analysez ce croquis et retournez UNIQUEMENT un objet JSON valide avec cette structure exacte:
-{
-  "prediction": "2-3 mots français décrivant le croquis",
-  "ethics": 1
-}
+    // A failed sketch check must not cost the visitor the guess: it counts as
+    // unchecked, like a disabled sketch stage
+    let sketchCheck = sketchChecked.value;
+    if (sketchChecked.status === 'rejected') {
+      console.warn('⚠️ Sketch check failed, using the prediction flag:', sketchChecked.reason.message);
+      sketchCheck = { allowed: true, stage: 'sketch', reasons: [], checked: false };
+    }
 
-CONTENU CENSURÉ (ethics = 0):
-- Pays et drapeaux (France, USA, Allemagne, etc.)
-- Politique (politiciens, partis, élections, etc.)
-- Sang et violence (blessures, armes, combats)
-- Contenu sexuel ou romantique (baisers, câlins intimes)
-- Drogues et substances (cigarettes, alcool, pilules)
-- Symboles haineux ou religieux controversés
-- Contenu mature ou inapproprié
-
-CONTENU AUTORISÉ (ethics = 1):
-- Croquis incomplets (juste une tête, un bras, etc.) - DÉCRIVEZ CE QUE VOUS VOYEZ
-- Animaux, objets, nature, nourriture
-- Personnages neutres et innocents
-- Véhicules, bâtiments, formes géométriques
-
-Règles importantes:
-- prediction: Décrivez en 2-3 mots français simples ce que vous voyez réellement dans le croquis
-- Si le croquis est incomplet, décrivez la partie visible (ex: "tête", "bras", "forme ronde")
-- Ne dites jamais "croquis incomplet" - décrivez toujours ce qui est visible
-- ethics: Mettez 0 si le contenu fait partie de la liste censurée, sinon 1
-- Ne répétez pas la supposition précédente: "${previousPrediction}"
-- Rendez votre nouvelle supposition plus précise et différente
-- Retournez UNIQUEMENT le JSON, aucun autre texte, aucune explication
-
-Exemples de réponses valides:
-{"prediction": "chat mignon", "ethics": 1}
-{"prediction": "tête humaine", "ethics": 1}
-{"prediction": "contenu censuré", "ethics": 0}`;
+    const guess = prediction.prediction.trim();
+    // Without the sketch stage (or if it failed), fall back to the prediction's own flag
+    let ethics = 1;
+    if (!overridden) {
+      ethics = sketchCheck.checked ? (sketchCheck.allowed ? 1 : 0) : prediction.ethics;
     }
 
-    // Prepare the request body for Gemini API
-    const body = {
-      contents: [
-        {
-          parts: [
-            { text: prompt },
-            {
-              inline_data: {
-                mime_type: 'image/png',
-                data: base64,
-              },
-            },
-          ],
-        },
-      ],
-    };
-    
-    // Get API key and construct Gemini API URL
-    const apiKey = process.env.GEMINI_API_KEY;
-    const url =
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent' +
-      '?key=' + apiKey;
-    
-    // Call Gemini API to analyze the sketch
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-    });
-     
-    // Parse the response
-    const data = await response.json();
-    let guess = '';
-    let ethics = 1; // Default to appropriate content
-    
-    // Extract the prediction if available
-    if (data && Array.isArray(data.candidates) && data.candidates[0]?.content?.parts?.length) {
-      const rawResponse = data.candidates[0].content.parts.map((p) => p.text).join(' ').trim();
-      
-      try {
-        // Try to parse as JSON
-        const jsonResponse = JSON.parse(rawResponse);
-        
-        if (jsonResponse.prediction && typeof jsonResponse.ethics === 'number') {
-          guess = jsonResponse.prediction.trim();
-          ethics = jsonResponse.ethics;
-          console.log('✓ STEP 1: Successfully parsed JSON response', { guess, ethics });
-        } else {
-          // Fallback if JSON structure is incorrect - force appropriate fallback
-          console.warn('⚠️ STEP 1: Invalid JSON structure, using safe fallback');
-           guess = "croquis incomplet";
-          ethics = 1; // Default to safe content
-        }
-      } catch (jsonError) {
-        // Fallback if not valid JSON - prevent raw JSON from being shown
-        console.warn('⚠️ STEP 1: Failed to parse JSON, using safe fallback');
-        
-        // Check if it looks like inappropriate content
-        const lowerResponse = rawResponse.toLowerCase();
-        if (lowerResponse.includes('censuré') || 
-            lowerResponse.includes('inapproprié') ||
-            lowerResponse.includes('politique') ||
-            lowerResponse.includes('sang') ||
-            lowerResponse.includes('baiser') ||
-            lowerResponse.includes('drapeau') ||
-            lowerResponse.includes('pays')) {
-          guess = "contenu censuré";
-          ethics = 0;
-        } else {
-          // Safe fallback for any parsing issues
-          guess = "croquis incomplet";
-          ethics = 1;
-        }
-      }
+    let moderationResult = null;
+    if (!ethics) {
+      const blocked = {
+        stage: 'sketch',
+        reasons: sketchCheck.reasons.length > 0 ? sketchCheck.reasons : ['other'],
+        source: sketchCheck.checked ? sketchCheck.source : 'prediction'
+      };
+      const decision = await recordModeration(blocked, {
+        endpoint: '/api/predict', sketch: base64, guess, room, locale
+      });
+      moderationResult = { stage: blocked.stage, reasons: blocked.reasons, decisionId: decision ? decision.id : null };
     }
+    // Older template versions do not ask for the grammar fields
+    const grammar = prediction.article || prediction.gender || prediction.number ? {
+      article: prediction.article ? prediction.article.trim().toLowerCase() : null,
+      gender: prediction.gender || null,
+      number: prediction.number || null
+    } : null;
+    const promptVersion = `${predictionTemplate.name}@${predictionTemplate.version}`;
+    console.log('✓ STEP 1: Prediction received', { guess, ethics, grammar, promptVersion, locale: predictionTemplate.locale });
     
     // Return the prediction with ethics flag to the client
     res.json({ 
       guess,
-      ethics 
+      ethics,
+      moderation: moderationResult,
+      grammar,
+      promptVersion,
+      locale: predictionTemplate.locale
     });
   } catch (err) {
-    // Handle errors
-    console.error('Prediction error:', err);
-    res.status(500).json({ error: 'Prediction failed' });
+    // Typed errors (invalid request, Gemini failures) carry their own status and code
+    console.error('Prediction error:', err.message, err.details || err.errors || '');
+
+    // The drawing app treats a refused sketch as censored content: log it too
+    if (err.code === 'gemini_blocked') {
+      const decision = await recordModeration({ stage: 'sketch', reasons: ['other'], source: 'gemini_blocked' }, {
+        endpoint: '/api/predict',
+        sketch: req.body.image,
+        room: rooms.normalizeCode(req.body.room),
+        locale: req.body.locale
+      });
+      err.details = { ...err.details, decisionId: decision ? decision.id : null };
+    }
+    sendError(res, err, 'Prediction failed');
   }
 });
 
+/**
+ * Record blocked content in the moderation audit log.
+ * A failure to write the log must not change the answer to the visitor.
+ *
+ * @param {object} result - Blocked moderation result { stage, reasons, source }
+ * @param {object} context - Sketch, text, room... (see lib/moderation-log.js)
+ * @returns {Promise<object|null>} - The recorded decision, null if it failed
+ */
+async function recordModeration(result, context) {
+  try {
+    return await moderationLog.recordDecision({
+      stage: result.stage,
+      reasons: result.reasons,
+      source: result.source,
+      ...context
+    });
+  } catch (err) {
+    console.error('⚠️ Failed to record moderation decision:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Run the generation pipeline (STEPS 2-5) for a validated request.
+ *
+ * Shared by the synchronous and asynchronous (job-based) modes of
+ * /api/generate. Progress is reported through onStage, using the stage
+ * names documented in lib/jobs.js.
+ *
+ * @param {object} params - Request body of /api/generate
+ * @param {function} [onStage] - Called with (stage, details) on each stage change
+ * @returns {Promise<object>} - Result returned to the client
+ * @throws {ModerationError} content_blocked if the sketch, the personal prompt
+ *   or the generated image is blocked by the moderation module
+ */
+async function runGenerationPipeline(params, onStage = () => {}) {
+  const { image, style, question, answer, personalPrompt, locale } = params;
+  const room = rooms.normalizeCode(params.room);
+
+  // Prepare image data for Gemini
+  const base64 = image ? image.replace(/^data:image\/\w+;base64,/, '') : '';
+
+  // Blocked content is recorded in the audit log with what the visitor sent
+  // (an operator override of the booth skips the checks until this artwork)
+  const overridden = moderation.hasOverride(room);
+  const moderationContext = {
+    endpoint: '/api/generate', sketch: base64 || null, text: personalPrompt, guess: question, room, locale
+  };
+  const enforce = async (check) => {
+    if (check.allowed) return;
+    const decision = await recordModeration(check, moderationContext);
+    moderation.assertAllowed(check, { decisionId: decision ? decision.id : null });
+  };
+
+  // Check the visitor's sketch and personal prompt before using them
+  // --------------------------------------------------------
+  const checkSketch = base64 && moderation.isStageEnabled('sketch');
+  const checkPrompt = personalPrompt && moderation.isStageEnabled('prompt');
+  if (!overridden && (checkSketch || checkPrompt)) {
+    onStage('moderation', { checks: 'input' });
+    const inputChecks = await Promise.all([
+      checkSketch ? moderation.checkSketch(base64, locale) : null,
+      checkPrompt ? moderation.checkPrompt(personalPrompt, locale) : null
+    ]);
+    for (const check of inputChecks.filter(Boolean)) {
+      await enforce(check);
+    }
+    console.log('✓ Moderation: sketch and personal prompt allowed');
+  }
+
+  // STEP 2: Gemini Call for Enhanced Description and Prompt
+  // --------------------------------------------------------
+  
+  // Render the instructions from the prompt template store (prompts/enhance)
+  const enhanceTemplate = await prompts.renderPrompt('enhance', {
+    question: question || '',
+    answer: answer || '',
+    style,
+    personalPrompt,
+    maxPromptLength: promptExtraction.MAX_PROMPT_LENGTH
+  }, { locale });
+  const promptVersion = `${enhanceTemplate.name}@${enhanceTemplate.version}`;
+
+  // Log details of the Gemini request for debugging
+  onStage('gemini-prompt');
+  console.log('STEP 2: Sending sketch and context to Gemini for prompt refinement');
+  console.log('   - Style specified:', style || 'none');
+  console.log('   - Personal prompt:', personalPrompt || 'none');
+  console.log('   - Prompt template:', promptVersion, `(${enhanceTemplate.locale})`);
+  
+  // Initialize variables to store the enhanced description and prompt
+  let description = '';
+  let finalPrompt = '';
+  
+  try {
+    // Make the API call to Gemini for prompt enhancement and read the
+    // DESCRIPTION/PROMPT envelopes (Gemini is asked again once if the answer is unusable)
+    const enhanced = await promptExtraction.requestEnhancedPrompt(async () => {
+      const combinedText = await gemini.generateText({ prompt: enhanceTemplate.text, image: base64 });
+      
+      // Log the response for debugging
+      console.log('Gemini response received with length:', combinedText.length);
+      console.log('Gemini response preview:', combinedText.substring(0, 100) + '...');
+      return combinedText;
+    });
+    description = enhanced.description;
+    finalPrompt = enhanced.prompt;
+    
+    console.log('✓ STEP 2: Successfully generated enhanced description and prompt');
+  } catch (err) {
+    // The personal prompt can still drive the generation without Gemini
+    console.warn(`⚠️ STEP 2: Gemini failed (${err.code || 'error'}: ${err.message}), using fallback prompt`);
+  }
+
+  // STEPS 3-5: Image generation through the provider chain
+  // --------------------------------------------------------
+  // Image-to-image (sketch provided) runs the IMAGE_TO_IMAGE_CHAIN
+  // (default: BFL AI, then Fal AI Kontext as fallback).
+  // Text-to-image (no sketch) runs the TEXT_TO_IMAGE_CHAIN
+  // (default: Fal AI Stable Diffusion).
+
+  // Prepare the best available prompt for the image generation services
+  // Priority: 1) Enhanced prompt from Gemini, 2) Description, 3) User's personal prompt, 4) Default
+  const promptToUse = finalPrompt || description || personalPrompt || 'Une image détaillée et belle';
+  const mode = image ? 'image-to-image' : 'text-to-image';
+
+  console.log(`STEPS 3-5: Generating image (${mode}) through provider chain`);
+  console.log('Image generation input:', {
+    prompt: promptToUse.substring(0, 100) + '...',
+    promptLength: promptToUse.length,
+    imageProvided: !!image,
+    style: style || 'none'
+  });
+
+  let generation;
+  try {
+    generation = await imageProviders.generateWithChain({
+      prompt: promptToUse,
+      image: image || null,
+      width: 768,
+      height: 768
+    }, {
+      // Report each provider attempt as a job stage (bfl-polling, fal-fallback...)
+      onAttempt: (provider, index) => onStage(provider.stage, { provider: provider.name, attempt: index + 1 })
+    });
+  } catch (providerErr) {
+    console.error('✗ All image providers failed:', providerErr.providerErrors || providerErr.message);
+    throw new Error(image ? 'All image providers failed' : 'Text-to-image generation failed');
+  }
+
+  // Check the generated image before it is shown or stored
+  if (!overridden && moderation.isStageEnabled('image')) {
+    onStage('moderation', { checks: 'image' });
+    const imageCheck = await moderation.checkImage(generation.image, locale);
+    if (!imageCheck.allowed) {
+      moderationContext.image = generation.image;
+    }
+    await enforce(imageCheck);
+  }
+  // The operator override covered this artwork only
+  moderation.clearOverride(room);
+
+  // Log completion of the entire generation workflow
+  console.log('✓ Image generation workflow complete, returning results to client');
+  console.log('  - Image generated by:', generation.provider.label, generation.fallback ? '(fallback)' : '(primary)');
+  console.log('  - Generation mode:', mode);
+
+  const result = {
+    description,                                 // The detailed description from Gemini
+    prompt: finalPrompt || description,          // The optimized prompt used for generation
+    image: generation.image,                     // URL to the generated image
+    provider: generation.provider.name,          // Registry name of the provider used
+    fallback: generation.fallback,               // Flag indicating whether a fallback provider was used
+    fallbackType: generation.provider.label,     // Which service generated the final image
+    promptVersion,                               // Prompt template used for STEP 2 (e.g. "enhance@v2")
+    locale: enhanceTemplate.locale,              // Language of the description
+    galleryId: null                              // Id of the stored copy in the gallery
+  };
+
+  // Keep a local copy of the artwork, as provider URLs expire
+  // A gallery failure must not cost the visitor their image
+  try {
+    const artwork = await gallery.saveArtwork({
+      image: generation.image,
+      sketch: image || null,
+      style,
+      personalPrompt,
+      description: result.description,
+      prompt: result.prompt,
+      provider: generation.provider.name,
+      providerLabel: generation.provider.label,
+      promptVersion,
+      locale: enhanceTemplate.locale
+    });
+    result.galleryId = artwork.id;
+  } catch (galleryErr) {
+    console.error('⚠️ Failed to save artwork to gallery:', galleryErr.message);
+  }
+
+  return result;
+}
+
 /**
  * STEP 2-5: Complete Image Generation Pipeline
  * 
@@ -486,6 +916,7 @@ Exemples de réponses valides:
  * 3. Attempts to generate image with BFL AI (STEP 3)
  * 4. Falls back to Fal AI if BFL fails (STEP 4)
  * 5. Uses text-to-image if no sketch is provided (STEP 5)
+ * Steps 3-5 follow the provider chains configured in lib/providers.
  * 
  * Request:
  * - image (optional): Base64 data URL of the sketch
@@ -493,521 +924,335 @@ Exemples de réponses valides:
  * - question (optional): Last question from prediction
  * - answer (optional): User's answer to prediction
  * - personalPrompt (optional): User's text prompt
+ * - locale (optional): Booth language (fr, en, ar), language of the description
+ * - async (optional): When true, respond immediately with a job id (202)
+ *
+ * The sketch and the personal prompt are checked before STEP 2, and the
+ * generated image before it is returned. Blocked content fails with 422
+ * content_blocked and { stage, reasons, decisionId } as details (in the job
+ * status, for asynchronous requests).
  * 
- * Response:
+ * Response (async): 
+ * - jobId: Id to poll with GET /api/jobs/:id
+ * - status: Current job status
+ * - statusUrl: URL of the job status endpoint
+ * 
+ * Response (sync, or job result once done):
  * - image: URL to the generated image
- * - description: Brief description of the image
- * - prompt: The enhanced prompt used for generation
- * - fallback: Whether the fallback service was used
+ * - description: Brief description of the image (shown to the visitor)
+ * - prompt: The enhanced prompt used for generation (max 1000 characters)
+ * - provider: Registry name of the provider that generated the image
+ * - fallback: Whether a fallback provider was used
  * - fallbackType: Which service was used (BFL or Fal)
+ * - promptVersion: Prompt template used for STEP 2 (e.g. "enhance@v2")
+ * - locale: Language of the description
+ * - galleryId: Id of the artwork stored in the gallery (null if saving failed)
  */
 app.post('/api/generate', async (req, res) => {
+  // Validate input - need at least an image or text prompt
   try {
-    // Extract all parameters from request
-    const { image, style, question, answer, personalPrompt } = req.body;
-    
-    // Validate input - need at least an image or text prompt
-    if (!image && !personalPrompt) {
-      return res.status(400).json({ error: 'No image or prompt provided' });
-    }
-    
-    // Prepare image data and Gemini API configuration
-    const base64 = image ? image.replace(/^data:image\/\w+;base64,/, '') : '';
-    const apiKey = process.env.GEMINI_API_KEY;
-    const geminiUrl =
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent' +
-      '?key=' + apiKey;
-
-    // STEP 2: Gemini Call for Enhanced Description and Prompt
-    // --------------------------------------------------------
-    
-    // Get context from previous prediction if available
-    const q = question || '';
-    const a = answer || '';
-    
-    // Emphasize style by marking it as IMPORTANT and placing it first
-    const styleFragment = style ? 
-      `IMPORTANT: L'image doit être générée dans le style spécifique "${style}". ` : '';
+    schema.assertValid(schemas.GENERATE_REQUEST, req.body, 'Invalid generation request');
+  } catch (err) {
+    return sendError(res, err, 'Invalid generation request');
+  }
 
-    // Format user's personal prompt as additional context
-    const userPromptFragment = personalPrompt ? 
-      `L'utilisateur a fourni cette instruction spécifique: "${personalPrompt}". ` : '';
+  // Extract all parameters from request
+  const { image, personalPrompt } = req.body;
 
-    // Combine with style emphasized first for priority
-    const combinedUserInput = `${styleFragment}${userPromptFragment}`;
-    
-    const combinedPrompt =
-      `Vous êtes un expert en interprétation visuelle et en création de descriptions immersives pour l'IA artistique. Analysez attentivement l’image fournie et déduisez les sujets principaux, leurs positions, proportions, perspective et intention générale. Imaginez des couleurs réalistes, des matériaux, des textures, un éclairage cohérent et un arrière-plan crédible afin de transformer la scène en une représentation professionnelle et immersive. Ne mentionnez pas l’existence de l’image ou du croquis, ni d’instructions techniques. Retournez UNIQUEMENT un paragraphe en français entre <<<BEGIN_PROMPT>>> et <<<END_PROMPT>>>. Maximum 1000 caractères. Le texte doit être descriptif, fluide et exploitable tel quel par un modèle de diffusion image-à-image ou text-à-image.
-
-Tâche :
-1) Intégrez l’analyse visuelle pour enrichir les détails (matériaux, lumière, ambiance, environnement) tout en respectant la structure et les relations de la scène.
-2) Ajoutez la dimension d’intention : la dernière question posée à l’utilisateur était "${q}" et la réponse était "${a}".
-3) Fusionnez cela avec ${combinedUserInput}, qui précise le style ou l’ambiance souhaitée.
-
-Format attendu :
-<<<BEGIN_PROMPT>>>
-{paragraphe final en français}
-<<<END_PROMPT>>>`;
-    // Prepare the Gemini API request with both text prompt and image
-    const body = {
-      contents: [
-        {
-          parts: [
-            { text: combinedPrompt },
-            // Include the image in the request if provided
-            ...(base64 ? [{
-              inline_data: {
-                mime_type: 'image/png',
-                data: base64,
-              },
-            }] : []),
-          ],
-        },
-      ],
-    };
-    // Log details of the Gemini request for debugging
-    console.log('STEP 2: Sending sketch and context to Gemini for prompt refinement');
-    console.log('   - Style specified:', style || 'none');
-    console.log('   - Personal prompt:', personalPrompt || 'none');
-    console.log('   - Combined input:', combinedUserInput);
-    // Make the API call to Gemini for prompt enhancement
-    const geminiRes = await fetch(geminiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
+  if (!image && !personalPrompt) {
+    return res.status(400).json({ error: 'No image or prompt provided' });
+  }
+
+  // Asynchronous mode: return a job id right away and run the pipeline in the background
+  if (req.body.async) {
+    const job = jobs.createJob({
+      mode: image ? 'image-to-image' : 'text-to-image',
+      style: req.body.style || null,
+      room: rooms.normalizeCode(req.body.room)
     });
-    
-    // Parse the response from Gemini
-    const geminiJson = await geminiRes.json();
-    
-    // Initialize variables to store the enhanced description and prompt
-    let description = '';
-    let finalPrompt = '';
-    
-    // Extract the enhanced description and prompt if available
-    if (geminiJson && Array.isArray(geminiJson.candidates) && geminiJson.candidates[0]?.content?.parts?.length) {
-      // Combine all text parts from the response
-      const combinedText = geminiJson.candidates[0].content.parts.map((p) => p.text).join('\n').trim();
-      
-      // Log the response for debugging
-      console.log('Gemini response received with length:', combinedText.length);
-      console.log('Gemini response preview:', combinedText.substring(0, 100) + '...');
-      
-      // Process the response to extract description and prompt
-      // Format expected is a multi-line response with description and prompt sections
-      const [desc, ...promptLines] = combinedText.split('\n');
-      description = desc.trim();
-      finalPrompt = promptLines.join(' ').trim();
-      
-      console.log('✓ STEP 2: Successfully generated enhanced description and prompt');
-    } else {
-      console.warn('⚠️ STEP 2: Gemini response missing or invalid, using fallback prompt');
+
+    runGenerationPipeline(req.body, (stage, details) => jobs.setStage(job.id, stage, details))
+      .then((result) => jobs.completeJob(job.id, result))
+      .catch((err) => {
+        console.error('Generation job error:', err);
+        jobs.failJob(job.id, err.message || 'Image generation failed', { code: err.code, details: err.details });
+      });
+
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  }
+
+  try {
+    const result = await runGenerationPipeline(req.body);
+    res.json(result);
+  } catch (err) {
+    // Handle any uncaught errors in the generation process
+    // (typed moderation errors carry their own status and code)
+    console.error('Generate endpoint error:', err);
+    sendError(res, err, err.message || 'Image generation failed');
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ *
+ * Returns the status of an asynchronous generation job.
+ *
+ * Response:
+ * - id, status ('queued' | 'running' | 'done' | 'failed'), stage
+ * - stages: History of stage changes with timestamps
+ * - result: Same payload as the synchronous /api/generate response (when done)
+ * - error: Error message (when failed)
+ * - code, details: Error code and details of typed errors (e.g. content_blocked)
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(jobs.serializeJob(job));
+});
+
+/**
+ * Gallery API
+ *
+ * GET /api/gallery          - List stored artworks, newest first (?limit=N)
+ * GET /api/gallery/:id      - Metadata of one artwork
+ * DELETE /api/gallery/:id   - Delete an artwork and its files (operator)
+ *
+ * Each entry contains the style, prompts, provider, timestamp and the local
+ * URLs of the generated image (imageUrl) and of the sketch (sketchUrl).
+ */
+app.get('/api/gallery', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    res.json({ artworks: await gallery.listArtworks({ limit }) });
+  } catch (err) {
+    console.error('Gallery list error:', err);
+    res.status(500).json({ error: 'Failed to list gallery' });
+  }
+});
+
+app.get('/api/gallery/:id', async (req, res) => {
+  try {
+    const artwork = await gallery.getArtwork(req.params.id);
+    if (!artwork) {
+      return res.status(404).json({ error: 'Artwork not found' });
     }
+    res.json(artwork);
+  } catch (err) {
+    console.error('Gallery read error:', err);
+    res.status(500).json({ error: 'Failed to read artwork' });
+  }
+});
 
-    // STEP 3: Primary Image Generation with BFL AI
-    // --------------------------------------------------------
-    // Attempt to generate an image with BFL AI as the primary service
-    // Will automatically fall back to Fal AI if BFL fails or times out
-    
-    /**
-     * Primary Image Generation Service - BFL AI
-     * 
-     * This function handles the primary image generation using Black Forest Labs AI API.
-     * It supports both text-to-image and image-to-image generation modes.
-     * 
-     * @param {string} prompt - The text prompt to guide image generation
-     * @param {object} options - Configuration options including width, height, and seedImage
-     * @returns {Promise<string>} - URL of the generated image
-     */
-    async function generateImageWithBFL(prompt, options = {}) {
-      const axios = require("axios");
-      const apiKey = process.env.BFL_API_KEY;
-      
-      if (!apiKey) {
-        throw new Error('Missing BFL API key');
-      }
-      
-      const {
-        width = 768,
-        height = 768,
-        seedImage,
-        strength = 0.8,
-      } = options;
-      
-      try {
-        console.log('Generating image with BFL AI...');
-        
-        // Préparer la requête pour l'API BFL
-        let requestData = {
-          prompt: prompt,
-        };
-        
-        console.log('BFL prompt length:', prompt ? prompt.length : 0, 'chars');
-        
-        // Si une image source est fournie, l'ajouter à la requête
-        if (seedImage) {
-          // Pour BFL API, nous devons extraire uniquement la partie base64 (sans le préfixe dataURI)
-          if (seedImage.startsWith('data:')) {
-            // Si c'est un dataURI, extraire uniquement la partie base64
-            requestData.input_image = seedImage.replace(/^data:image\/\w+;base64,/, '');
-          } else {
-            // Si c'est déjà du base64 pur, l'utiliser tel quel
-            requestData.input_image = seedImage;
-          }
-          console.log('Using input image with BFL AI');
-          // Afficher le début de l'image et sa longueur
-          console.log('Image length:', requestData.input_image.length, 
-                     'Preview:', requestData.input_image.substring(0, 20) + '...');
-        }
-        
-        // Effectuer la requête initiale pour démarrer la génération
-        const response = await axios.post(
-          "https://api.bfl.ai/v1/flux-kontext-pro",
-          requestData,
-          {
-            headers: {
-              accept: "application/json",
-              "x-key": apiKey,
-              "Content-Type": "application/json",
-            },
-          }
-        );
-        
-        console.log("BFL initial response received, polling for results...");
-        
-        // Extraire l'URL de polling pour suivre l'avancement
-        const pollingUrl = response.data.polling_url;
-        const requestId = response.data.id;
-        
-        if (!pollingUrl) {
-          throw new Error('No polling URL returned from BFL API');
-        }
-        
-        // Attendre que le résultat soit prêt (avec un timeout de 10 secondes)
-        let resultUrl = null;
-        let attempts = 0;
-        const maxAttempts = 5; // 5 tentatives avec 2 secondes d'attente = 10 secondes max
-        
-        while (attempts < maxAttempts) {
-          // Attendre 2 secondes entre chaque tentative
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          attempts++;
-          
-          // Vérifier l'état de la génération
-          const statusResponse = await axios.get(pollingUrl, {
-            headers: {
-              accept: "application/json",
-              "x-key": apiKey
-            }
-          });
-          
-          const status = statusResponse.data.status;
-          
-          // Vérifier les différents états possibles
-          console.log(`BFL status: ${status}, attempt ${attempts}/${maxAttempts}`);
-          
-          // Si la génération est terminée avec succès (COMPLETED ou Ready)
-          if (status === "COMPLETED" || status === "Ready") {
-            // Inspecter la réponse complète pour trouver l'URL de l'image
-            console.log("BFL full response:", JSON.stringify(statusResponse.data, null, 2));
-
-            // Vérifier si l'URL est dans le champ "sample" du résultat (format BFL observé)
-            if (statusResponse.data.result && statusResponse.data.result.sample) {
-              resultUrl = statusResponse.data.result.sample;
-              console.log(`BFL image found at result.sample: ${resultUrl}`);
-              break;
-            }
-            // Essayer d'autres chemins possibles
-            else if (statusResponse.data.output && statusResponse.data.output.image) {
-              resultUrl = statusResponse.data.output.image;
-              console.log(`BFL image found at output.image: ${resultUrl}`);
-              break;
-            } 
-            else if (statusResponse.data.image) {
-              resultUrl = statusResponse.data.image;
-              console.log(`BFL image found at root.image: ${resultUrl}`);
-              break;
-            }
-            else if (statusResponse.data.output) {
-              resultUrl = statusResponse.data.output;
-              console.log(`BFL using output as image URL: ${resultUrl}`);
-              break;
-            }
-            
-            // Si le statut est "Ready", considérons que l'image est prête à la première tentative
-            if (status === "Ready") {
-              // D'après la capture d'écran, l'image est déjà prête dès le premier "Ready"
-              // mais nous ne la trouvons pas dans la réponse - demandons une nouvelle fois
-              console.log("Status is Ready but no image URL found yet. Continuing...");
-            }
-          }
-          // Si la génération a échoué
-          else if (status === "FAILED") {
-            throw new Error(`BFL image generation failed: ${statusResponse.data.error || "Unknown error"}`);
-          }
-        }
-        
-        if (!resultUrl) {
-          console.error(`BFL image generation timed out after ${maxAttempts} attempts (${maxAttempts * 2} seconds)`);
-          throw new Error(`BFL image generation timed out after ${maxAttempts} attempts (${maxAttempts * 2} seconds)`);
-        }
-        
-        // Vérifier si l'URL de l'image semble valide
-        if (!resultUrl.startsWith('http')) {
-          console.warn(`BFL returned potentially invalid image URL: ${resultUrl}. Proceeding anyway.`);
-        }
-        
-        console.log(`BFL final image URL: ${resultUrl}`);
-        return resultUrl;
-      } catch (error) {
-        console.error("BFL API error:", error.response?.data || error.message);
-        
-        // Fournir plus de détails sur l'erreur
-        let errorMessage = error.message;
-        if (error.response && error.response.data) {
-          try {
-            const errorData = error.response.data;
-            if (typeof errorData === 'string') {
-              errorMessage += ` - ${errorData}`;
-            } else if (errorData.error) {
-              errorMessage += ` - ${errorData.error}`;
-            } else {
-              errorMessage += ` - ${JSON.stringify(errorData)}`;
-            }
-          } catch (e) {
-            console.error('Erreur lors du traitement des détails de l\'erreur:', e);
-          }
-        }
-        
-        throw new Error(`BFL API error: ${errorMessage}`);
-      }
+app.delete('/api/gallery/:id', requireOperator, async (req, res) => {
+  try {
+    const deleted = await gallery.deleteArtwork(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Artwork not found' });
     }
-    
-    const dataUri = image;  // Store the image for use in both services
-    let resultImage;        // Will store the final generated image URL
-    let bflError = null;    // Track any BFL errors for logging
-    let usedFallback = false;  // Flag to indicate if fallback was used
-    
-    // Prepare the best available prompt for both image generation services
-    // Priority: 1) Enhanced prompt from Gemini, 2) Description, 3) User's personal prompt, 4) Default
-    const promptToUse = finalPrompt || description || personalPrompt || 'Une image détaillée et belle';
-
-    // Decide on the generation path based on whether an image is provided
-    if (!dataUri) {
-      // STEP 5: Direct text-to-image generation when no sketch is provided
-      // ------------------------------------------------------------------
-      console.log('STEP 5: No image provided, using direct text-to-image generation with Fal AI Stable Diffusion');
-      
-      try {
-        // Verify Fal AI API key availability
-        if (!process.env.FAL_API_KEY) {
-          console.error('FAL_API_KEY is missing in environment variables');
-          throw new Error('Missing Fal AI API key');
-        }
-        
-        // Log request details for debugging
-        console.log('Fal AI Text-to-Image Input:', {
-          prompt: promptToUse.substring(0, 100) + '...',
-          promptLength: promptToUse.length,
-          style: style || 'none'
-        });
-        
-        // Text-to-image generation with stable-diffusion model
-        const falResult = await subscribe('fal-ai/stable-diffusion-xl-lightning', {
-          input: {
-            prompt: promptToUse,
-            // Comprehensive negative prompt to avoid common generation issues
-            negative_prompt: "deformed, bad anatomy, disfigured, poorly drawn face, mutation, mutated, extra limb, ugly, poorly drawn hands, missing limb, floating limbs, disconnected limbs, malformed hands, blurry, watermark, watermarked, oversaturated, censored, distorted, deeply detailed, poorly drawn, low quality, draft, out of frame, cut off, poorly framed",
-            width: 768,
-            height: 768,
-            num_images: 1
-          },
-          sync_mode: true,
-          logs: true,
-        });
-        
-        // Log response details
-        console.log('Fal AI text-to-image response received:', 
-                    falResult ? 'Success' : 'Empty response',
-                    falResult?.images ? `with ${falResult.images.length} images` : 'without images');
-        
-        // Extract image URL from response (handling different response formats)
-        if (falResult?.images && falResult.images.length > 0) {
-          console.log('Using image URL from falResult.images[0].url');
-          resultImage = falResult.images[0].url;
-          usedFallback = true; // Mark as using Fal AI
-        } else if (falResult?.data?.images && falResult.data.images.length > 0) {
-          console.log('Using image URL from falResult.data.images[0].url');
-          resultImage = falResult.data.images[0].url;
-          usedFallback = true;
-        } else if (falResult?.output) {
-          console.log('Using image URL from falResult.output');
-          resultImage = falResult.output;
-          usedFallback = true;
-        } else {
-          // Log the full response for debugging if no image found
-          console.error('No image URL found in Fal AI text-to-image response:', JSON.stringify(falResult, null, 2));
-          throw new Error('No image returned from Fal AI text-to-image generation');
-        }
-        
-        console.log('✓ STEP 5: Successfully generated image with Fal AI Stable Diffusion (text-to-image)');
-        
-      } catch (falErr) {
-        console.error('✗ STEP 5: Fal AI text-to-image error:', falErr);
-        return res.status(500).json({ error: 'Text-to-image generation failed' });
-      }
-    } else {
-      // STEPS 3-4: Image-to-image generation workflow (when sketch is provided)
-      // ------------------------------------------------------------------------
-
-    // Create a promise that attempts BFL image generation with a timeout
-    const bflPromise = (async () => {
-      try {
-        console.log('STEP 3: Attempting to generate image with BFL AI (primary service)...');
-        
-        // Verify API key availability
-        if (!process.env.BFL_API_KEY) {
-          console.error('BFL_API_KEY is missing in environment variables');
-          throw new Error('Missing BFL AI API key');
-        }
-        
-        // Log request details for debugging
-        console.log('BFL AI Input:', {
-          prompt: promptToUse.substring(0, 100) + '...',
-          imageProvided: !!dataUri,
-          promptLength: promptToUse.length
-        });
-        
-        // Configure BFL API parameters
-        const options = {
-          width: 768,    // Standard resolution
-          height: 768,
-          strength: 0.8  // Balance between input image and prompt (higher = more prompt influence)
-        };
-        
-        // Handle image-to-image mode if sketch is provided
-        if (dataUri) {
-          // BFL requires base64 without the data URI prefix
-          if (dataUri.startsWith('data:')) {
-            options.seedImage = dataUri.replace(/^data:image\/\w+;base64,/, '');
-            console.log("Providing sketch to BFL (base64 format), length:", options.seedImage.length);
-          } else {
-            options.seedImage = dataUri;
-            console.log("Providing sketch to BFL (raw format), length:", dataUri.length);
-          }
-        }
-        
-        // Call BFL AI service
-        const bflResult = await generateImageWithBFL(promptToUse, options);
-        console.log('BFL AI generation successful:', !!bflResult);
-        return bflResult;
-      } catch (e) {
-        // Record error for fallback decision
-        console.error('BFL AI generation error:', e.message);
-        bflError = e;
-        return null;
-      }
-    })();
-    
-    // Create a timeout promise to ensure BFL doesn't block the process
-    function timeoutPromise(ms) {
-      return new Promise((resolve) => setTimeout(() => resolve('TIMEOUT'), ms));
+    res.json({ deleted: true, id: req.params.id });
+  } catch (err) {
+    console.error('Gallery delete error:', err);
+    res.status(500).json({ error: 'Failed to delete artwork' });
+  }
+});
+
+/**
+ * Drawings API
+ *
+ * GET /api/drawings          - List saved drawings, last updated first (?limit=N)
+ * GET /api/drawings/:id      - One drawing with its document
+ * POST /api/drawings         - { title, document } saves a new drawing
+ * PUT /api/drawings/:id      - { title, document } replaces a saved drawing
+ *
+ * The document format is described in lib/drawing-document.js. Documents of
+ * an older version are upgraded when they are saved or read; invalid ones are
+ * rejected with a 400 listing the errors.
+ */
+app.get('/api/drawings', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    res.json({ drawings: await drawings.listDrawings({ limit }) });
+  } catch (err) {
+    console.error('Drawings list error:', err);
+    res.status(500).json({ error: 'Failed to list drawings' });
+  }
+});
+
+app.get('/api/drawings/:id', async (req, res) => {
+  try {
+    const drawing = await drawings.getDrawing(req.params.id);
+    if (!drawing) {
+      return res.status(404).json({ error: 'Drawing not found' });
     }
-    
-    // Race the BFL generation against a timeout (40 second maximum wait)
-    let bflResult = await Promise.race([bflPromise, timeoutPromise(40000)]);
-    
-    // STEP 3 (success path): Use BFL result if available
-    if (bflResult && bflResult !== 'TIMEOUT') {
-      console.log('✓ STEP 3: Successfully generated image with BFL AI (primary service)');
-      resultImage = bflResult;
-    } 
-    // STEP 4: Fallback to Fal AI if BFL fails or times out
-    // -------------------------------------------------------------
-    else {
-      // Log the specific reason for fallback
-      console.error('✗ STEP 3: BFL AI failed:', bflResult === 'TIMEOUT' ? 
-        'Request timed out after 40 seconds' : 
-        (bflError ? bflError.message : 'Unknown error'));
-      
-      // Set fallback flag and proceed with Fal AI
-      usedFallback = true;
-      console.log('STEP 4: Initiating fallback to Fal AI...');
-      
-      try {
-        // Verify Fal AI API key availability
-        if (!process.env.FAL_API_KEY) {
-          console.error('FAL_API_KEY is missing in environment variables');
-          throw new Error('Missing Fal AI API key');
-        }
-        
-        // Log request details for debugging
-        console.log('Fal AI Input:', {
-          prompt: promptToUse.substring(0, 100) + '...',
-          imageProvided: !!dataUri,
-          promptLength: promptToUse.length
-        });
-        
-        // Image-to-image generation with kontext model (since we have a sketch)
-        console.log('STEP 4: Using Fal AI Kontext for image-to-image generation (fallback)');
-        const falResult = await subscribe('fal-ai/flux-pro/kontext', {
-          input: {
-            prompt: promptToUse,
-            image_url: dataUri,  // Pass the full dataURI (Fal AI handles this format)
-          },
-          sync_mode: true,  // Wait for completion
-          logs: true,       // Enable logs for debugging
-        });
-        
-        // Log response details
-        console.log('Fal AI response received:', 
-                    falResult ? 'Success' : 'Empty response',
-                    falResult?.images ? `with ${falResult.images.length} images` : 'without images');
-        
-        // Extract image URL from response (handling different response formats)
-        if (falResult?.images && falResult.images.length > 0) {
-          console.log('Using image URL from falResult.images[0].url');
-          resultImage = falResult.images[0].url;
-        } else if (falResult?.data?.images && falResult.data.images.length > 0) {
-          console.log('Using image URL from falResult.data.images[0].url');
-          resultImage = falResult.data.images[0].url;
-        } else if (falResult?.output) {
-          console.log('Using image URL from falResult.output');
-          resultImage = falResult.output;
-        } else {
-          // Log the full response for debugging if no image found
-          console.error('No image URL found in Fal AI response:', JSON.stringify(falResult, null, 2));
-          throw new Error('No image returned from Fal AI');
-        }
-        
-        console.log('✓ STEP 4: Successfully generated image with Fal AI (image-to-image fallback)');
-        
-      } catch (falErr) {
-        // Handle case where both services fail
-        console.error('✗ STEP 4: Fal AI error:', falErr);
-        return res.status(500).json({ error: 'Both BFL AI and Fal AI failed' });
-      }
+    res.json(drawing);
+  } catch (err) {
+    console.error('Drawing read error:', err.message);
+    sendError(res, err, 'Failed to read drawing');
+  }
+});
+
+app.post('/api/drawings', async (req, res) => {
+  try {
+    schema.assertValid(schemas.DRAWING_REQUEST, req.body, 'Invalid drawing request');
+    res.status(201).json(await drawings.saveDrawing(req.body));
+  } catch (err) {
+    console.error('Drawing save error:', err.message);
+    sendError(res, err, 'Failed to save drawing');
+  }
+});
+
+app.put('/api/drawings/:id', async (req, res) => {
+  try {
+    schema.assertValid(schemas.DRAWING_REQUEST, req.body, 'Invalid drawing request');
+    const drawing = await drawings.updateDrawing(req.params.id, req.body);
+    if (!drawing) {
+      return res.status(404).json({ error: 'Drawing not found' });
     }
-    } // End of image-to-image workflow (else block)
-    
-    // Return the complete generation results to the client
-    res.json({ 
-      description,                               // The detailed description from Gemini
-      prompt: finalPrompt || description,        // The optimized prompt used for generation
-      image: resultImage,                        // URL to the generated image
-      fallback: usedFallback,                    // Flag indicating whether fallback was used
-      fallbackType: usedFallback ? 'Fal AI' : 'BFL AI'  // Which service generated the final image
-    });
-    
-    // Log completion of the entire generation workflow
-    console.log('✓ Image generation workflow complete, returning results to client');
-    console.log('  - Image generated by:', usedFallback ? 'Fal AI (fallback)' : 'BFL AI (primary)');
-    console.log('  - Generation mode:', dataUri ? 'image-to-image' : 'text-to-image');
-    
+    res.json(drawing);
   } catch (err) {
-    // Handle any uncaught errors in the generation process
-    console.error('Generate endpoint error:', err);
-    res.status(500).json({ error: 'Image generation failed' });
+    console.error('Drawing update error:', err.message);
+    sendError(res, err, 'Failed to update drawing');
+  }
+});
+
+// Whether a token gives access to the operator pages (always true without OPERATOR_TOKEN)
+function isOperatorToken(provided) {
+  const token = process.env.OPERATOR_TOKEN;
+  return !token || provided === token;
+}
+
+/**
+ * Protect the operator endpoints with OPERATOR_TOKEN when it is set. The
+ * token is sent as "Authorization: Bearer <token>", or as ?token=<token> by
+ * the images of the operator pages.
+ */
+function requireOperator(req, res, next) {
+  const header = req.get('authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+  if (isOperatorToken(provided)) return next();
+
+  res.status(401).json({ error: 'Operator token required', code: 'unauthorized' });
+}
+
+/**
+ * GET /api/admin/status
+ *
+ * Snapshot shown by the admin dashboard (/admin), which receives the same
+ * snapshot live over the WebSocket (`register_admin`, then `admin_snapshot`):
+ * - rooms, clients: Open booth rooms and connected screens
+ * - jobs: Generation jobs in progress with their current stage
+ * - providers, usage, recentErrors: Image provider statistics since startup
+ */
+app.get('/api/admin/status', requireOperator, (req, res) => {
+  res.json(monitoring.buildSnapshot(wss.clients));
+});
+
+/**
+ * Moderation Review API (operator page: /moderation.html)
+ *
+ * GET  /api/moderation/decisions               - Blocked content, newest first (?status=pending&limit=N)
+ * GET  /api/moderation/decisions/:id           - One decision
+ * GET  /api/moderation/decisions/:id/sketch    - Sketch of the visitor
+ * GET  /api/moderation/decisions/:id/image     - Blocked generated image
+ * POST /api/moderation/decisions/:id/review    - { action: 'approve' | 'override', note }
+ *
+ * Overriding a decision marks it as a false positive and lets the visitor's
+ * booth continue: its room is no longer checked until its next artwork, and
+ * its controller closes the censorship overlay (`moderation_override` message).
+ */
+app.get('/api/moderation/decisions', requireOperator, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    const status = req.query.status || undefined;
+    res.json({ decisions: await moderationLog.listDecisions({ status, limit }) });
+  } catch (err) {
+    console.error('Moderation log list error:', err);
+    res.status(500).json({ error: 'Failed to list moderation decisions' });
+  }
+});
+
+app.get('/api/moderation/decisions/:id', requireOperator, async (req, res) => {
+  try {
+    const decision = await moderationLog.getDecision(req.params.id);
+    if (!decision) {
+      return res.status(404).json({ error: 'Decision not found' });
+    }
+    res.json(decision);
+  } catch (err) {
+    console.error('Moderation log read error:', err);
+    res.status(500).json({ error: 'Failed to read moderation decision' });
+  }
+});
+
+app.get('/api/moderation/decisions/:id/:kind(sketch|image)', requireOperator, async (req, res) => {
+  try {
+    const decision = await moderationLog.getDecision(req.params.id);
+    const file = decision ? moderationLog.getFilePath(decision, req.params.kind) : null;
+    if (!file) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.sendFile(file);
+  } catch (err) {
+    console.error('Moderation log file error:', err);
+    res.status(500).json({ error: 'Failed to read moderation image' });
+  }
+});
+
+app.post('/api/moderation/decisions/:id/review', requireOperator, async (req, res) => {
+  try {
+    schema.assertValid(schemas.REVIEW_REQUEST, req.body, 'Invalid review request');
+
+    const decision = await moderationLog.reviewDecision(req.params.id, req.body);
+    if (!decision) {
+      return res.status(404).json({ error: 'Decision not found' });
+    }
+
+    // Let the visitor go on if their booth is still open
+    if (decision.status === 'overridden' && decision.room) {
+      moderation.grantOverride(decision.room);
+      broadcastToControllers(decision.room, {
+        type: 'moderation_override',
+        decisionId: decision.id
+      });
+    }
+
+    res.json(decision);
+  } catch (err) {
+    console.error('Moderation review error:', err.message);
+    sendError(res, err, 'Failed to review moderation decision');
+  }
+});
+
+/**
+ * Moderation Policy API (see lib/moderation-policy.js)
+ *
+ * GET /api/moderation/policy  - Blocked and allowed categories of this deployment
+ * PUT /api/moderation/policy  - { name, allowed, blocked, keywords } replaces the policy
+ *
+ * The new policy applies to the next checks and predictions, and is kept in
+ * the policy file across restarts.
+ */
+app.get('/api/moderation/policy', requireOperator, async (req, res) => {
+  const policy = await moderation.getPolicy();
+  res.json({
+    policy: moderation.serializePolicy(policy),
+    categories: Object.keys(moderation.CATEGORIES)
+  });
+});
+
+app.put('/api/moderation/policy', requireOperator, async (req, res) => {
+  try {
+    const policy = await moderation.setPolicy(req.body);
+    res.json({ policy: moderation.serializePolicy(policy) });
+  } catch (err) {
+    console.error('Moderation policy error:', err.message);
+    sendError(res, err, 'Failed to update moderation policy');
   }
 });
 
@@ -1025,10 +1270,25 @@ server.listen(port, () => {
   console.log('   - Dual-screen synchronization active');
   console.log('   - Controllers (index2.html): Interactive control screens');
   console.log('   - Displays (index.html): Synchronized display screens');
+  console.log('   - Booth rooms: each display shows a pairing code for its controller');
+  console.log(heartbeat.HEARTBEAT_INTERVAL_MS
+    ? `   - Heartbeat: stale sockets evicted after ${heartbeat.HEARTBEAT_INTERVAL_MS / 1000}s to ${2 * heartbeat.HEARTBEAT_INTERVAL_MS / 1000}s`
+    : '   - Heartbeat: off');
   
   console.log('\n🎨 API ENDPOINTS:');
   console.log('   - POST /api/predict: STEP 1 - Sketch prediction (Gemini)');
   console.log('   - POST /api/generate: STEPS 2-5 - Complete image generation workflow');
+  console.log('   - GET /api/jobs/:id: Asynchronous generation job status and result');
+  console.log('   - GET /api/providers: Registered image providers and chains');
+  console.log('   - GET /api/rooms: Open booth rooms and their screens');
+  console.log('   - GET /api/kiosk: Idle timeout and attract mode slides');
+  console.log('   - GET /api/canvas: Drawing page and exported sketch size');
+  console.log('   - GET /api/prompts: Gemini prompt templates and versions');
+  console.log('   - GET/DELETE /api/gallery: Stored artworks');
+  console.log('   - GET/POST/PUT /api/drawings: Saved drawings (sketches library)');
+  console.log('   - GET/POST /api/moderation/decisions: Moderation audit log and reviews (/moderation.html)');
+  console.log('   - GET/PUT /api/moderation/policy: Censorship policy of this deployment');
+  console.log('   - GET /api/admin/status: Live monitoring snapshot (/admin dashboard)');
   
   console.log('\n� WORKFLOW STAGES:');
   console.log('   1. Sketch prediction using Gemini');
@@ -1036,7 +1296,19 @@ server.listen(port, () => {
   console.log('   3. Primary image generation using BFL AI');
   console.log('   4. Fallback image generation using Fal AI (if needed)');
   console.log('   5. Text-only image generation using Stable Diffusion (if no sketch)');
-  
+  console.log(`   Image-to-image chain: ${imageProviders.getChainNames('image-to-image').join(' → ')}`);
+  console.log(`   Text-to-image chain: ${imageProviders.getChainNames('text-to-image').join(' → ')}`);
+  const moderationConfig = moderation.describeConfig();
+  console.log(moderationConfig.enabled
+    ? `   Moderation: ${moderationConfig.stages.join(', ')} (policy: ${moderationConfig.policyFile}; on error: ${moderationConfig.onError})`
+    : '   Moderation: off');
+  // Load the policy now, so an invalid policy file is reported at startup
+  moderation.getPolicy();
+  console.log(`   Sketch export size: ${canvasSettings.SETTINGS.exportWidth} x ${canvasSettings.SETTINGS.exportHeight}`);
+  console.log(kiosk.SETTINGS.idleTimeoutMs > 0
+    ? `   Kiosk idle timeout: ${kiosk.SETTINGS.idleTimeoutMs / 1000}s`
+    : '   Kiosk idle timeout: off');
+
   console.log('\n✅ Server initialization complete');
 });
 
@@ -0,0 +1,155 @@
+/**
+ * Tests of the drawing document format of lib/drawing-document.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DOCUMENT_FORMAT,
+  DOCUMENT_VERSION,
+  PAGE,
+  fitToPage,
+  packPoints,
+  unpackPoints,
+  validateDocument,
+  readDocument
+} = require('../lib/drawing-document');
+
+const LAYER = { id: 'layer-1', number: 1, visible: true, opacity: 1, exported: true };
+
+function makeDocument(overrides = {}) {
+  return {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    title: 'Chat',
+    canvas: { ...PAGE },
+    layers: [LAYER],
+    items: [
+      {
+        kind: 'stroke', layerId: 'layer-1', color: '#000000', size: 8, erase: false, pointerType: 'pen',
+        points: [[100, 100, 0, 0.5], [200, 150, 16, 0.7]]
+      },
+      {
+        kind: 'shape', id: 'shape-1', layerId: 'layer-1', type: 'circle',
+        x: 400, y: 300, width: 200, height: 200, rotation: 0, borderColor: '#000000', fillColor: 'transparent'
+      }
+    ],
+    ...overrides
+  };
+}
+
+test('packPoints and unpackPoints round-trip the stroke points', () => {
+  const points = [{ x: 10.123, y: 20.456, t: 16, p: 0.333 }, { x: 30, y: 40, t: 0, p: 1 }];
+  const packed = packPoints(points);
+  assert.deepEqual(packed, [[10.12, 20.46, 16, 0.33], [30, 40, 0, 1]]);
+  assert.deepEqual(unpackPoints(packed), [{ x: 10.12, y: 20.46, t: 16, p: 0.33 }, { x: 30, y: 40, t: 0, p: 1 }]);
+});
+
+test('unpackPoints fills in the missing time and pressure', () => {
+  assert.deepEqual(unpackPoints([[1, 2]]), [{ x: 1, y: 2, t: 0, p: 0.5 }]);
+});
+
+test('readDocument returns a current document unchanged', () => {
+  const document = makeDocument();
+  assert.deepEqual(readDocument(document), { document, errors: [] });
+});
+
+test('readDocument reads back a document written as JSON', () => {
+  const document = makeDocument();
+  assert.deepEqual(readDocument(JSON.parse(JSON.stringify(document))).document, document);
+});
+
+test('fitToPage centers a size of another aspect ratio', () => {
+  const { scale, offsetX, offsetY } = fitToPage({ width: 800, height: 600 });
+  assert.equal(scale, 1000 / 600);
+  assert.ok(Math.abs(offsetX - 400 / 3) < 1e-9);
+  assert.equal(offsetY, 0);
+});
+
+test('readDocument fits a version 1 drawing into the page', () => {
+  const { document, errors } = readDocument(makeDocument({
+    version: 1,
+    canvas: { width: 800, height: 600 },
+    items: [
+      { kind: 'stroke', layerId: 'layer-1', color: '#000000', size: 5, points: [[0, 0, 0, 0.5], [100, 100, 16, 0.5]] },
+      {
+        kind: 'shape', id: 'shape-1', layerId: 'layer-1', type: 'square',
+        x: 400, y: 300, width: 60, height: 30, rotation: 0, borderColor: '#000000', fillColor: '#ff0000'
+      }
+    ]
+  }));
+
+  assert.deepEqual(errors, []);
+  assert.equal(document.version, 2);
+  assert.deepEqual(document.canvas, PAGE);
+  assert.equal(document.items[0].size, 8.33);
+  assert.deepEqual(document.items[0].points, [[133.33, 0, 0, 0.5], [300, 166.67, 16, 0.5]]);
+  assert.deepEqual(
+    [document.items[1].x, document.items[1].y, document.items[1].width, document.items[1].height],
+    [800, 500, 100, 50]
+  );
+});
+
+test('readDocument does not change the version 1 document it migrates', () => {
+  const original = makeDocument({ version: 1, canvas: { width: 800, height: 600 } });
+  const copy = JSON.parse(JSON.stringify(original));
+  readDocument(original);
+  assert.deepEqual(original, copy);
+});
+
+test('readDocument rejects a document of a newer version', () => {
+  assert.deepEqual(readDocument(makeDocument({ version: 3 })), {
+    document: null,
+    errors: ['Unsupported document version 3 (latest: 2)']
+  });
+});
+
+test('readDocument rejects a value of another format', () => {
+  const expected = { document: null, errors: ['$.format must be "imagination-drawing"'] };
+  assert.deepEqual(readDocument(makeDocument({ format: 'svg' })), expected);
+  assert.deepEqual(readDocument(null), expected);
+  assert.deepEqual(readDocument('imagination-drawing'), expected);
+});
+
+test('readDocument rejects an invalid version', () => {
+  assert.deepEqual(readDocument(makeDocument({ version: 0 })).errors, ['$.version must be a positive integer']);
+  assert.deepEqual(readDocument(makeDocument({ version: '2' })).errors, ['$.version must be a positive integer']);
+});
+
+test('validateDocument reports schema errors with their path', () => {
+  const document = makeDocument({ layers: [{ ...LAYER, opacity: 2 }] });
+  delete document.items;
+  assert.deepEqual(validateDocument(document), ['$.items is required', '$.layers[0].opacity must be <= 1']);
+});
+
+test('validateDocument requires the page as canvas', () => {
+  assert.deepEqual(validateDocument(makeDocument({ canvas: { width: 800, height: 600 } })), [
+    '$.canvas must be the page (1600 x 1000)'
+  ]);
+});
+
+test('validateDocument checks the layers and the items', () => {
+  const [stroke, shape] = makeDocument().items;
+  const document = makeDocument({
+    layers: [LAYER, LAYER],
+    items: [
+      { ...stroke, layerId: 'layer-2', points: [[1]] },
+      shape,
+      { ...shape, type: 'star' },
+      { ...shape }
+    ]
+  });
+
+  assert.deepEqual(validateDocument(document), [
+    '$.layers must have unique ids',
+    '$.items[0].layerId must be the id of a layer',
+    '$.items[0].points must contain [x, y, t, p] arrays',
+    '$.items[2].type must be one of "square", "circle", "triangle", "line"',
+    '$.items[2].id must be unique',
+    '$.items[3].id must be unique'
+  ]);
+});
+
+test('validateDocument requires at least one layer', () => {
+  assert.deepEqual(validateDocument(makeDocument({ layers: [], items: [] })), ['$.layers must contain at least one layer']);
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests of the drawing store of lib/drawings.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DRAWINGS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'drawings-test-'));
+process.env.DRAWINGS_DIR = DRAWINGS_DIR;
+
+const drawings = require('../lib/drawings');
+const { SchemaValidationError } = require('../lib/schema');
+const { DOCUMENT_FORMAT, DOCUMENT_VERSION, PAGE } = require('../lib/drawing-document');
+
+const DOCUMENT = {
+  format: DOCUMENT_FORMAT,
+  version: DOCUMENT_VERSION,
+  canvas: { ...PAGE },
+  layers: [{ id: 'layer-1', number: 1, visible: true, opacity: 1, exported: true }],
+  items: []
+};
+
+test.after(() => fs.rmSync(DRAWINGS_DIR, { recursive: true, force: true }));
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('getDrawing returns a saved drawing', async () => {
+  const saved = await drawings.saveDrawing({ title: 'Chat', document: DOCUMENT });
+
+  const drawing = await drawings.getDrawing(saved.id);
+  assert.equal(drawing.title, 'Chat');
+  assert.deepEqual(drawing.document, DOCUMENT);
+});
+
+test('getDrawing returns null for an unknown or invalid id', async () => {
+  assert.equal(await drawings.getDrawing('00000000-0000-0000-0000-000000000000'), null);
+  assert.equal(await drawings.getDrawing('../moderation-policy'), null);
+});
+
+test('saveDrawing rejects an invalid document as a request error', async () => {
+  await assert.rejects(drawings.saveDrawing({ document: { ...DOCUMENT, format: 'svg' } }), (error) => {
+    assert.ok(error instanceof SchemaValidationError);
+    assert.equal(error.status, 400);
+    return true;
+  });
+});
+
+test('getDrawing reports a corrupt stored document as a server error', async () => {
+  const saved = await drawings.saveDrawing({ document: DOCUMENT });
+  const file = path.join(DRAWINGS_DIR, `${saved.id}.json`);
+  const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  fs.writeFileSync(file, JSON.stringify({ ...entry, document: { ...DOCUMENT, layers: [] } }));
+
+  await assert.rejects(drawings.getDrawing(saved.id), (error) => {
+    assert.ok(!(error instanceof SchemaValidationError));
+    assert.equal(error.status, undefined);
+    assert.match(error.message, /^Stored drawing .* is invalid: \$\.layers must contain at least one layer$/);
+    return true;
+  });
+});
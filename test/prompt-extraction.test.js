@@ -0,0 +1,128 @@
+/**
+ * Tests of the Gemini envelope parser and retry of lib/prompt-extraction.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_PROMPT_LENGTH,
+  PromptExtractionError,
+  extractPrompt,
+  truncatePrompt,
+  requestEnhancedPrompt
+} = require('../lib/prompt-extraction');
+
+const ANSWER = [
+  '<<<BEGIN_DESCRIPTION>>>',
+  'Un chat roux',
+  '<<<END_DESCRIPTION>>>',
+  '<<<BEGIN_PROMPT>>>',
+  'Un chat roux assis sur un toit. Lumière du soir.',
+  '<<<END_PROMPT>>>'
+].join('\n');
+
+function assertExtractionError(text, code) {
+  assert.throws(() => extractPrompt(text), (error) => {
+    assert.ok(error instanceof PromptExtractionError);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+test('extractPrompt reads both envelopes', () => {
+  assert.deepEqual(extractPrompt(ANSWER), {
+    description: 'Un chat roux',
+    prompt: 'Un chat roux assis sur un toit. Lumière du soir.',
+    truncated: false
+  });
+});
+
+test('extractPrompt ignores the text around the envelopes', () => {
+  const text = `Voici le résultat :\n\`\`\`\n${ANSWER}\n\`\`\`\nBonne création !`;
+  assert.deepEqual(extractPrompt(text), extractPrompt(ANSWER));
+});
+
+test('extractPrompt removes fences, labels and quotes inside an envelope', () => {
+  const text = '<<<BEGIN_PROMPT>>>\n```text\nPrompt: "Un chat roux"\n```\n<<<END_PROMPT>>>';
+  assert.equal(extractPrompt(text).prompt, 'Un chat roux');
+});
+
+test('extractPrompt tolerates spaces and two angle brackets in the markers', () => {
+  assert.equal(extractPrompt('<< BEGIN_PROMPT >>Un chat<< END_PROMPT >>').prompt, 'Un chat');
+});
+
+test('extractPrompt keeps the rest of the answer without an end marker', () => {
+  const text = '<<<BEGIN_PROMPT>>>\nUn chat roux assis sur un toit, lumière';
+  assert.equal(extractPrompt(text).prompt, 'Un chat roux assis sur un toit, lumière');
+});
+
+test('extractPrompt stops at the next envelope without an end marker', () => {
+  const text = '<<<BEGIN_DESCRIPTION>>>\nUn chat\n<<<BEGIN_PROMPT>>>\nUn chat roux.\n<<<END_PROMPT>>>';
+  assert.deepEqual(extractPrompt(text), { description: 'Un chat', prompt: 'Un chat roux.', truncated: false });
+});
+
+test('extractPrompt falls back to the first sentence of the prompt for the description', () => {
+  const text = '<<<BEGIN_PROMPT>>>Un chat roux. Lumière du soir.<<<END_PROMPT>>>';
+  assert.equal(extractPrompt(text).description, 'Un chat roux.');
+});
+
+test('extractPrompt rejects a missing, empty or placeholder prompt', () => {
+  assertExtractionError('Un chat roux', 'prompt_missing');
+  assertExtractionError('', 'prompt_missing');
+  assertExtractionError('<<<BEGIN_PROMPT>>>\n\n<<<END_PROMPT>>>', 'prompt_empty');
+  assertExtractionError('<<<BEGIN_PROMPT>>>{paragraphe final en français}<<<END_PROMPT>>>', 'prompt_placeholder');
+  assertExtractionError('<<<BEGIN_PROMPT>>>...<<<END_PROMPT>>>', 'prompt_placeholder');
+});
+
+test('extractPrompt cuts a long prompt to the limit', () => {
+  const sentence = 'Un chat roux assis sur un toit. ';
+  const text = `<<<BEGIN_PROMPT>>>${sentence.repeat(50)}<<<END_PROMPT>>>`;
+  const { prompt, truncated } = extractPrompt(text);
+  assert.ok(truncated);
+  assert.ok(prompt.length <= MAX_PROMPT_LENGTH);
+  assert.ok(prompt.endsWith('toit.'));
+});
+
+test('truncatePrompt cuts at a word when there is no sentence end', () => {
+  assert.equal(truncatePrompt('un chat roux, assis', 14), 'un chat roux');
+  assert.equal(truncatePrompt('un chat', 14), 'un chat');
+});
+
+test('requestEnhancedPrompt returns the first valid answer', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const generate = t.mock.fn(async () => ANSWER);
+
+  const result = await requestEnhancedPrompt(generate);
+  assert.equal(result.prompt, 'Un chat roux assis sur un toit. Lumière du soir.');
+  assert.equal(result.attempts, 1);
+  assert.equal(generate.mock.callCount(), 1);
+});
+
+test('requestEnhancedPrompt asks once more after a rejected answer', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const answers = ['<<<BEGIN_PROMPT>>>{prompt}<<<END_PROMPT>>>', ANSWER];
+  const generate = t.mock.fn(async () => answers.shift());
+
+  const result = await requestEnhancedPrompt(generate);
+  assert.equal(result.description, 'Un chat roux');
+  assert.equal(result.attempts, 2);
+  assert.equal(generate.mock.callCount(), 2);
+});
+
+test('requestEnhancedPrompt throws the last error after two rejected answers', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const answers = ['Pas d\'enveloppe', '<<<BEGIN_PROMPT>>><<<END_PROMPT>>>'];
+  const generate = t.mock.fn(async () => answers.shift());
+
+  await assert.rejects(requestEnhancedPrompt(generate), { name: 'PromptExtractionError', code: 'prompt_empty' });
+  assert.equal(generate.mock.callCount(), 2);
+});
+
+test('requestEnhancedPrompt does not ask again after a Gemini safety block', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const blocked = Object.assign(new Error('Blocked by Gemini'), { code: 'gemini_blocked' });
+  const generate = t.mock.fn(async () => { throw blocked; });
+
+  await assert.rejects(requestEnhancedPrompt(generate), blocked);
+  assert.equal(generate.mock.callCount(), 1);
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests of the template rendering of lib/prompts.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { render, renderPrompt } = require('../lib/prompts');
+
+test('render substitutes the variables', () => {
+  assert.equal(render('Guess: {{previousGuess}} ({{userAnswer}})', { previousGuess: 'un chat', userAnswer: 'non' }),
+    'Guess: un chat (non)');
+  assert.equal(render('[{{missing}}] [{{empty}}] [{{zero}}]', { empty: null, zero: 0 }), '[] [] [0]');
+});
+
+test('render keeps a section only when its variable is set', () => {
+  const template = '{{#flags}}no flags{{/flags}}{{^flags}}flags allowed{{/flags}}';
+  assert.equal(render(template, { flags: true }), 'no flags');
+  assert.equal(render(template, { flags: false }), 'flags allowed');
+});
+
+test('render renders the variables inside a section', () => {
+  assert.equal(render('{{#text}}Text: {{text}}{{/text}}', { text: 'un chat' }), 'Text: un chat');
+});
+
+test('render removes the lines of standalone section tags', () => {
+  const template = 'A\n{{#flags}}\n- flags\n{{/flags}}\n{{#violence}}\n- violence\n{{/violence}}\nB\n';
+  assert.equal(render(template, { flags: true }), 'A\n- flags\nB\n');
+});
+
+test('render does not expand the tags of a value', () => {
+  const variables = { text: 'un chat {{flags}} {{#flags}}x{{/flags}} {{previousGuess}}', flags: true, previousGuess: 'un chien' };
+  assert.equal(render('{{#text}}<{{text}}>{{/text}} {{previousGuess}}', variables),
+    '<un chat {{flags}} {{#flags}}x{{/flags}} {{previousGuess}}> un chien');
+});
+
+test('renderPrompt renders a template of the store in the requested locale', async () => {
+  const template = await renderPrompt('moderation', { text: 'un chat {{violence}}', violence: true }, { locale: 'en', version: 'v1' });
+  assert.equal(template.name, 'moderation');
+  assert.equal(template.version, 'v1');
+  assert.equal(template.locale, 'en');
+  assert.match(template.text, /<<<TEXT>>>\nun chat \{\{violence\}\}\n<<<END_TEXT>>>/);
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests of the provider chain of lib/providers/index.js, with stub providers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const providers = require('../lib/providers');
+
+const { IMAGE_TO_IMAGE, TEXT_TO_IMAGE } = providers.MODES;
+const SKETCH = 'data:image/png;base64,iVBORw0KGgo=';
+
+/**
+ * Register a stub provider.
+ *
+ * @param {string} name - Provider name
+ * @param {function} generate - Stub of generate()
+ * @param {object} [overrides] - Other provider fields
+ * @returns {object} - The registered provider
+ */
+function registerStub(name, generate, overrides = {}) {
+  return providers.registerProvider({
+    name,
+    capabilities: { modes: [IMAGE_TO_IMAGE, TEXT_TO_IMAGE] },
+    timeoutMs: 1000,
+    generate,
+    ...overrides
+  });
+}
+
+const fail = (message) => async () => { throw new Error(message); };
+const succeed = (image) => async () => image;
+
+test.beforeEach((t) => {
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, () => {});
+  }
+});
+
+test('registerProvider rejects incomplete providers', () => {
+  assert.throws(() => providers.registerProvider({}), /must have a name/);
+  assert.throws(() => providers.registerProvider({ name: 'stub-incomplete', capabilities: { modes: [] } }),
+    /must implement generate\(\)/);
+  assert.throws(() => providers.registerProvider({ name: 'stub-incomplete', generate: succeed('x') }),
+    /must declare its supported modes/);
+});
+
+test('registerProvider fills in the defaults', () => {
+  const provider = providers.registerProvider({
+    name: 'stub-defaults',
+    capabilities: { modes: [TEXT_TO_IMAGE] },
+    generate: succeed('x')
+  });
+  assert.equal(provider.label, 'stub-defaults');
+  assert.equal(provider.timeoutMs, 60000);
+  assert.equal(provider.stage, 'stub-defaults');
+  assert.equal(provider.isConfigured(), true);
+  assert.equal(providers.getProvider('stub-defaults'), provider);
+});
+
+test('getChainNames reads the chain of a mode from the environment', (t) => {
+  t.after(() => { delete process.env.TEXT_TO_IMAGE_CHAIN; });
+  process.env.TEXT_TO_IMAGE_CHAIN = ' stub-a, ,stub-b ';
+  assert.deepEqual(providers.getChainNames(TEXT_TO_IMAGE), ['stub-a', 'stub-b']);
+  delete process.env.TEXT_TO_IMAGE_CHAIN;
+  assert.deepEqual(providers.getChainNames(TEXT_TO_IMAGE), ['fal-sdxl-lightning']);
+});
+
+test('resolveChain skips unknown, unconfigured and incapable providers', () => {
+  registerStub('stub-ready', succeed('x'));
+  registerStub('stub-unconfigured', succeed('x'), { isConfigured: () => false });
+  registerStub('stub-text-only', succeed('x'), { capabilities: { modes: [TEXT_TO_IMAGE] } });
+
+  const chain = ['stub-unknown', 'stub-unconfigured', 'stub-text-only', 'stub-ready'];
+  assert.deepEqual(providers.resolveChain(IMAGE_TO_IMAGE, chain).map((p) => p.name), ['stub-ready']);
+  assert.deepEqual(providers.resolveChain(TEXT_TO_IMAGE, chain).map((p) => p.name), ['stub-text-only', 'stub-ready']);
+});
+
+test('generateWithChain returns the image of the first provider', async (t) => {
+  const second = t.mock.fn(succeed('second.png'));
+  registerStub('stub-first-ok', succeed('first.png'));
+  registerStub('stub-second-ok', second);
+
+  const result = await providers.generateWithChain({ prompt: 'un chat' }, { chain: ['stub-first-ok', 'stub-second-ok'] });
+  assert.equal(result.image, 'first.png');
+  assert.equal(result.provider.name, 'stub-first-ok');
+  assert.equal(result.fallback, false);
+  assert.deepEqual(result.errors, []);
+  assert.equal(second.mock.callCount(), 0);
+});
+
+test('generateWithChain falls back to the next providers in order', async (t) => {
+  const calls = [];
+  const track = (name, generate) => async (request) => {
+    calls.push(name);
+    return generate(request);
+  };
+  registerStub('stub-down', track('stub-down', fail('Service unavailable')));
+  registerStub('stub-empty', track('stub-empty', succeed(null)));
+  registerStub('stub-up', track('stub-up', succeed('up.png')));
+  registerStub('stub-after', track('stub-after', succeed('after.png')));
+  const onAttempt = t.mock.fn();
+
+  const result = await providers.generateWithChain({ prompt: 'un chat', image: SKETCH }, {
+    chain: ['stub-down', 'stub-empty', 'stub-up', 'stub-after'],
+    onAttempt
+  });
+
+  assert.deepEqual(calls, ['stub-down', 'stub-empty', 'stub-up']);
+  assert.deepEqual(onAttempt.mock.calls.map((call) => [call.arguments[0].name, call.arguments[1]]),
+    [['stub-down', 0], ['stub-empty', 1], ['stub-up', 2]]);
+  assert.equal(result.image, 'up.png');
+  assert.equal(result.fallback, true);
+  assert.deepEqual(result.errors, [
+    { provider: 'stub-down', message: 'Service unavailable' },
+    { provider: 'stub-empty', message: 'Provider returned no image' }
+  ]);
+});
+
+test('generateWithChain skips the providers that are not configured', async (t) => {
+  const unconfigured = t.mock.fn(succeed('unconfigured.png'));
+  registerStub('stub-no-key', unconfigured, { isConfigured: () => false });
+  registerStub('stub-with-key', succeed('configured.png'));
+
+  const result = await providers.generateWithChain({ prompt: 'un chat' }, { chain: ['stub-no-key', 'stub-with-key'] });
+  assert.equal(result.image, 'configured.png');
+  assert.equal(result.fallback, false);
+  assert.equal(unconfigured.mock.callCount(), 0);
+});
+
+test('generateWithChain moves on when a provider exceeds its timeout', async () => {
+  registerStub('stub-slow', () => new Promise(() => {}), { timeoutMs: 20 });
+  registerStub('stub-fast', succeed('fast.png'));
+
+  const result = await providers.generateWithChain({ prompt: 'un chat' }, { chain: ['stub-slow', 'stub-fast'] });
+  assert.equal(result.image, 'fast.png');
+  assert.deepEqual(result.errors, [{ provider: 'stub-slow', message: 'Request timed out after 0.02 seconds' }]);
+});
+
+test('generateWithChain limits the size to the provider resolution', async (t) => {
+  const generate = t.mock.fn(succeed('small.png'));
+  registerStub('stub-small', generate, { capabilities: { modes: [TEXT_TO_IMAGE], maxResolution: 512 } });
+
+  await providers.generateWithChain({ prompt: 'un chat', width: 1024, height: 256 }, { chain: ['stub-small'] });
+  assert.deepEqual(generate.mock.calls[0].arguments[0], { prompt: 'un chat', image: undefined, width: 512, height: 256 });
+});
+
+test('generateWithChain reports every error when all providers fail', async () => {
+  registerStub('stub-fail-1', fail('Quota exceeded'));
+  registerStub('stub-fail-2', fail('Bad gateway'));
+
+  await assert.rejects(
+    providers.generateWithChain({ prompt: 'un chat', image: SKETCH }, { chain: ['stub-fail-1', 'stub-fail-2'] }),
+    (error) => {
+      assert.equal(error.message, 'All image providers failed for image-to-image');
+      assert.deepEqual(error.providerErrors, [
+        { provider: 'stub-fail-1', message: 'Quota exceeded' },
+        { provider: 'stub-fail-2', message: 'Bad gateway' }
+      ]);
+      return true;
+    }
+  );
+});
+
+test('generateWithChain fails without a usable provider', async () => {
+  await assert.rejects(
+    providers.generateWithChain({ prompt: 'un chat' }, { chain: ['stub-unknown'] }),
+    { message: 'No configured image provider supports text-to-image' }
+  );
+});
+
+test('generateWithChain emits an attempt event per provider', async (t) => {
+  registerStub('stub-event-fail', fail('Down'));
+  registerStub('stub-event-ok', succeed('ok.png'));
+  const attempts = [];
+  const listener = (attempt) => attempts.push(attempt);
+  providers.events.on('attempt', listener);
+  t.after(() => providers.events.off('attempt', listener));
+
+  await providers.generateWithChain({ prompt: 'un chat' }, { chain: ['stub-event-fail', 'stub-event-ok'] });
+  assert.deepEqual(attempts.map(({ provider, mode, ok, error }) => ({ provider, mode, ok, error })), [
+    { provider: 'stub-event-fail', mode: TEXT_TO_IMAGE, ok: false, error: 'Down' },
+    { provider: 'stub-event-ok', mode: TEXT_TO_IMAGE, ok: true, error: null }
+  ]);
+});
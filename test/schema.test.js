@@ -0,0 +1,130 @@
+/**
+ * Tests of lib/schema.js and of the API schemas of lib/schemas.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, assertValid, SchemaValidationError } = require('../lib/schema');
+const schemas = require('../lib/schemas');
+
+const LAYERS = {
+  type: 'object',
+  properties: {
+    layers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1, maxLength: 8 },
+          number: { type: 'integer', minimum: 1, maximum: 8 },
+          opacity: { type: 'number', nullable: true, minimum: 0, maximum: 1 }
+        },
+        required: ['id', 'number']
+      }
+    }
+  },
+  required: ['layers']
+};
+
+test('validate accepts a matching value', () => {
+  assert.deepEqual(validate(LAYERS, { layers: [{ id: 'a', number: 1, opacity: 0.5 }] }), []);
+});
+
+test('validate reports missing required properties with their path', () => {
+  assert.deepEqual(validate(LAYERS, {}), ['$.layers is required']);
+  assert.deepEqual(validate(LAYERS, { layers: [{ id: 'a' }] }), ['$.layers[0].number is required']);
+});
+
+test('validate reports type errors without checking deeper', () => {
+  assert.deepEqual(validate(LAYERS, []), ['$ must be of type object']);
+  assert.deepEqual(validate(LAYERS, { layers: {} }), ['$.layers must be of type array']);
+  assert.deepEqual(validate(LAYERS, { layers: [{ id: 'a', number: 1.5 }] }), ['$.layers[0].number must be of type integer']);
+  assert.deepEqual(validate({ type: 'number' }, NaN), ['$ must be of type number']);
+});
+
+test('validate reports number and length bounds', () => {
+  assert.deepEqual(validate(LAYERS, { layers: [{ id: '', number: 0, opacity: 2 }] }), [
+    '$.layers[0].id must be at least 1 characters',
+    '$.layers[0].number must be >= 1',
+    '$.layers[0].opacity must be <= 1'
+  ]);
+  assert.deepEqual(validate(LAYERS, { layers: [{ id: 'abcdefghi', number: 9 }] }), [
+    '$.layers[0].id must be at most 8 characters',
+    '$.layers[0].number must be <= 8'
+  ]);
+});
+
+test('validate accepts null only for nullable values', () => {
+  assert.deepEqual(validate(LAYERS, { layers: [{ id: 'a', number: 1, opacity: null }] }), []);
+  assert.deepEqual(validate(LAYERS, { layers: [{ id: null, number: 1 }] }), ['$.layers[0].id is required']);
+  assert.deepEqual(validate({ type: 'string' }, null, '$.name'), ['$.name is required']);
+});
+
+test('validate reports values outside an enum', () => {
+  assert.deepEqual(validate({ type: 'integer', enum: [0, 1] }, 2), ['$ must be one of 0, 1']);
+});
+
+test('assertValid returns the value or throws a 400 SchemaValidationError', () => {
+  const value = { layers: [] };
+  assert.equal(assertValid(LAYERS, value), value);
+
+  assert.throws(() => assertValid(LAYERS, {}, 'Invalid layers'), (error) => {
+    assert.ok(error instanceof SchemaValidationError);
+    assert.equal(error.message, 'Invalid layers');
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'invalid_schema');
+    assert.deepEqual(error.errors, ['$.layers is required']);
+    return true;
+  });
+});
+
+test('PREDICT_REQUEST requires the sketch', () => {
+  assert.deepEqual(validate(schemas.PREDICT_REQUEST, { image: 'data:image/png;base64,AA' }), []);
+  assert.deepEqual(validate(schemas.PREDICT_REQUEST, { previousPrediction: null }), ['$.image is required']);
+  assert.deepEqual(validate(schemas.PREDICT_REQUEST, { image: '' }), ['$.image must be at least 1 characters']);
+});
+
+test('PREDICTION requires a guess and an ethics flag', () => {
+  assert.deepEqual(validate(schemas.PREDICTION, { prediction: 'un chat', ethics: 1, gender: 'masculine' }), []);
+  assert.deepEqual(validate(schemas.PREDICTION, { prediction: 'un chat', ethics: 2, number: 'dual' }), [
+    '$.ethics must be one of 0, 1',
+    '$.number must be one of "singular", "plural"'
+  ]);
+});
+
+test('GENERATE_REQUEST bounds the personal prompt', () => {
+  assert.deepEqual(validate(schemas.GENERATE_REQUEST, { personalPrompt: 'a cat', async: true }), []);
+  assert.deepEqual(validate(schemas.GENERATE_REQUEST, { personalPrompt: 'x'.repeat(1001) }), [
+    '$.personalPrompt must be at most 1000 characters'
+  ]);
+  assert.deepEqual(validate(schemas.GENERATE_REQUEST, { async: 'yes' }), ['$.async must be of type boolean']);
+});
+
+test('REVIEW_REQUEST only accepts the known actions', () => {
+  assert.deepEqual(validate(schemas.REVIEW_REQUEST, { action: 'approve' }), []);
+  assert.deepEqual(validate(schemas.REVIEW_REQUEST, { action: 'delete' }), ['$.action must be one of "approve", "override"']);
+});
+
+test('MODERATION_POLICY reports the path of an invalid keyword list', () => {
+  assert.deepEqual(validate(schemas.MODERATION_POLICY, { keywords: [{ category: 'violence', words: ['gun'] }] }), []);
+  assert.deepEqual(validate(schemas.MODERATION_POLICY, { keywords: [{ category: 'violence', words: [''] }, {}] }), [
+    '$.keywords[0].words[0] must be at least 1 characters',
+    '$.keywords[1].category is required',
+    '$.keywords[1].words is required'
+  ]);
+});
+
+test('ADMIN_COMMAND bounds the message duration', () => {
+  assert.deepEqual(validate(schemas.ADMIN_COMMAND, { command: 'show_message', payload: { text: 'Bonjour', durationMs: 5000 } }), []);
+  assert.deepEqual(validate(schemas.ADMIN_COMMAND, { command: 'show_message', payload: { durationMs: 10 } }), [
+    '$.payload.durationMs must be >= 1000'
+  ]);
+  assert.deepEqual(validate(schemas.ADMIN_COMMAND, { command: 'reboot' }), [
+    '$.command must be one of "go_home", "reload", "clear_canvas", "lock", "unlock", "show_message"'
+  ]);
+});
+
+test('DRAWING_REQUEST requires a document object', () => {
+  assert.deepEqual(validate(schemas.DRAWING_REQUEST, { title: 'Chat', document: {} }), []);
+  assert.deepEqual(validate(schemas.DRAWING_REQUEST, { document: [] }), ['$.document must be of type object']);
+});